@@ -1,25 +1,39 @@
 "use strict";
 
 const NucleusAction = require('./library/Action.nucleus');
+const NucleusCircuitBreaker = require('./library/CircuitBreaker.nucleus');
+const NucleusCronExpression = require('./library/CronExpression.nucleus');
 const NucleusDatastore = require('./library/Datastore.nucleus');
 const NucleusEngine = require('./library/Engine.nucleus');
 const NucleusError = require('./library/Error.nucleus');
 const NucleusEvent = require('./library/Event.nucleus');
+const NucleusInMemorySpanExporter = require('./library/InMemorySpanExporter.nucleus');
+const NucleusJSONFileSpanExporter = require('./library/JSONFileSpanExporter.nucleus');
+const NucleusMetricsRegistry = require('./library/MetricsRegistry.nucleus');
 const NucleusPublisherEngine = require('./library/PublisherEngine.nucleus');
 const NucleusResource = require('./library/Resource.nucleus');
 const NucleusResourceAPI = require('./library/ResourceAPI.nucleus');
 const NucleusResourceRelationshipDatastore = require('./library/ResourceRelationshipDatastore.nucleus');
+const NucleusTypeExpression = require('./library/TypeExpression.nucleus');
+const NucleusWebhook = require('./library/Webhook.nucleus');
 const nucleusValidator = require('./library/validator.nucleus');
 
 module.exports = {
   NucleusAction,
+  NucleusCircuitBreaker,
+  NucleusCronExpression,
   NucleusDatastore,
   NucleusEngine,
   NucleusError,
   NucleusEvent,
+  NucleusInMemorySpanExporter,
+  NucleusJSONFileSpanExporter,
+  NucleusMetricsRegistry,
   NucleusPublisherEngine,
   NucleusResource,
   NucleusResourceAPI,
   NucleusResourceRelationshipDatastore,
+  NucleusTypeExpression,
+  NucleusWebhook,
   nucleusValidator
 };
\ No newline at end of file
@@ -11,11 +11,16 @@ const NucleusResource = require('./Resource.nucleus');
 
 const nucleusValidator = require('./validator.nucleus');
 
+const CancelledActionStatus = 'Cancelled';
 const CompletedActionStatus = 'Completed';
 const FailedActionStatus = 'Failed';
 const PendingActionStatus = 'Pending';
 const ProcessingActionStatus = 'Processing';
 
+const HighActionPriority = 'High';
+const LowActionPriority = 'Low';
+const NormalActionPriority = 'Normal';
+
 /**
  * The list of available action status.
  * @enum {Object}
@@ -23,14 +28,26 @@ const ProcessingActionStatus = 'Processing';
 const NucleusActionStatusWeightList = [
   PendingActionStatus,
   ProcessingActionStatus,
+  CancelledActionStatus,
   FailedActionStatus,
   CompletedActionStatus
 ];
 
+/**
+ * The list of available action priorities, from the lowest to the highest.
+ * @enum {Object}
+ */
+const NucleusActionPriorityWeightList = [
+  LowActionPriority,
+  NormalActionPriority,
+  HighActionPriority
+];
+
 const actionResourceStructure = {
   finalMessage: 'object?',
   name: 'string',
   originalMessage: 'object',
+  progress: 'object?',
   status: 'string?'
 };
 
@@ -46,9 +63,14 @@ const actionResourceStructure = {
  * @property {String} meta.originEngineName
  * @property {String} meta.originProcessID
  * @property {String} meta.originUserID
+ * @property {String} [meta.parentSpanID] - The span ID of the action that published this action.
+ * @property {String} [meta.priority]
+ * @property {String} meta.spanID
+ * @property {String} meta.traceID
  * @property {String} name
  * @property {Object} originalMessage
  * @property {String} originUserID
+ * @property {Object} [progress] - The last progress reported by the action's handler.
  * @property {String} [status]
  */
 
@@ -67,10 +89,15 @@ class NucleusAction extends NucleusResource {
    * @argument {String} [options.originEngineName]
    * @argument {String} [options.originProcessID]
    * @argument {String} [options.originUserID]
+   * @argument {String} [options.parentSpanID] - The span ID of the action that publishes this action.
+   * @argument {String} [options.priority] - One of the `NucleusAction.NucleusActionPriorityWeightList`.
+   * @argument {String} [options.spanID] - Defaults to a new span ID.
+   * @argument {String} [options.traceID] - Defaults to a new trace ID; the trace ID of the parent action propagates it.
    *
    * @returns {NucleusAction}
    *
    * @throws Will throw an error if the action name is missing or an empty string.
+   * @throws Will throw an error if the priority is not a valid priority.
    */
   constructor (actionName, actionMessage = {}, options = {}) {
     if (arguments.length === 1 && arguments[0] instanceof NucleusAction) return arguments[0];
@@ -92,10 +119,15 @@ class NucleusAction extends NucleusResource {
     else {
       if (!nucleusValidator.isString(actionName) || nucleusValidator.isEmpty(actionName)) throw new NucleusError.UndefinedValueNucleusError("The action name is mandatory.");
 
-      const { correlationID, originEngineID = 'Unknown', originEngineName = 'Unknown', originProcessID = process.pid, originUserID = 'Unknown' } = options;
-      const actionAttributes = { meta: { originEngineID, originEngineName, originProcessID }, name: actionName, originalMessage: actionMessage };
+      const { correlationID, originEngineID = 'Unknown', originEngineName = 'Unknown', originProcessID = process.pid, originUserID = 'Unknown', parentSpanID, priority, spanID = NucleusResource.generateSpanID(), traceID = NucleusResource.generateTraceID() } = options;
+      // The trace and span IDs follow the W3C trace context format.
+      const actionAttributes = { meta: { originEngineID, originEngineName, originProcessID, spanID, traceID }, name: actionName, originalMessage: actionMessage };
+
+      if (!!priority && !~NucleusActionPriorityWeightList.indexOf(priority)) throw new NucleusError.UnexpectedValueNucleusError(`The action priority '${priority}' is not a valid priority.`);
 
       if (!!correlationID) actionAttributes.meta.correlationID = correlationID;
+      if (!!parentSpanID) actionAttributes.meta.parentSpanID = parentSpanID;
+      if (!!priority) actionAttributes.meta.priority = priority;
 
       super('NucleusAction', actionResourceStructure, actionAttributes, originUserID);
 
@@ -173,6 +205,8 @@ class NucleusAction extends NucleusResource {
 
 }
 
+/** @memberOf NucleusAction */
+NucleusAction.CancelledActionStatus = CancelledActionStatus;
 /** @memberOf NucleusAction */
 NucleusAction.CompletedActionStatus = CompletedActionStatus;
 /** @memberOf NucleusAction */
@@ -183,5 +217,13 @@ NucleusAction.PendingActionStatus = PendingActionStatus;
 NucleusAction.ProcessingActionStatus = ProcessingActionStatus;
 /** @memberOf NucleusAction */
 NucleusAction.NucleusActionStatusWeightList = NucleusActionStatusWeightList;
+/** @memberOf NucleusAction */
+NucleusAction.HighActionPriority = HighActionPriority;
+/** @memberOf NucleusAction */
+NucleusAction.LowActionPriority = LowActionPriority;
+/** @memberOf NucleusAction */
+NucleusAction.NormalActionPriority = NormalActionPriority;
+/** @memberOf NucleusAction */
+NucleusAction.NucleusActionPriorityWeightList = NucleusActionPriorityWeightList;
 
 module.exports = NucleusAction;
\ No newline at end of file
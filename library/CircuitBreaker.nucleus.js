@@ -0,0 +1,121 @@
+"use strict";
+
+/**
+ * @fileOverview Define the Nucleus Circuit Breaker class that keeps track of the recent failures of an action to fail
+ * fast once it kept failing.
+ */
+
+const ClosedCircuitState = 'Closed';
+const HalfOpenCircuitState = 'HalfOpen';
+const OpenCircuitState = 'Open';
+
+class NucleusCircuitBreaker {
+
+  /**
+   * Creates a Nucleus Circuit Breaker; the circuit is initially closed.
+   * The circuit opens once the action failed `failureThreshold` times within the failure window. Once the cooldown of
+   * an open circuit elapsed, the circuit is half-open and only one action is let through as a trial: the circuit
+   * closes if it succeeds and opens again if it fails.
+   * @example
+   * const $circuitBreaker = new NucleusCircuitBreaker({ cooldownInMillisecond: 1000 * 10, failureThreshold: 3 });
+   *
+   * if (!$circuitBreaker.allowsExecution($action.ID)) throw new NucleusError.CircuitOpenNucleusError(`The circuit is open.`);
+   *
+   * @argument {actionCircuitBreakerPolicy} [options={}]
+   *
+   * @returns {NucleusCircuitBreaker}
+   */
+  constructor (options = {}) {
+    /**
+     * @typedef {Object} actionCircuitBreakerPolicy
+     * @property {Number} [cooldownInMillisecond=30000] - The time the circuit stays open before a trial action is let through.
+     * @property {Number} [failureThreshold=5]
+     * @property {Number} [failureWindowInMillisecond=60000]
+     */
+    const { cooldownInMillisecond = 1000 * 30, failureThreshold = 5, failureWindowInMillisecond = 1000 * 60 } = options;
+
+    this.cooldownInMillisecond = cooldownInMillisecond;
+    this.failureThreshold = failureThreshold;
+    this.failureWindowInMillisecond = failureWindowInMillisecond;
+
+    this.failureTimeList = [];
+    this.openedTime = 0;
+    this.state = ClosedCircuitState;
+    this.trialActionID = undefined;
+  }
+
+  /**
+   * Verifies that the circuit lets an action through; the first action let through once the cooldown of an open
+   * circuit elapsed half-opens the circuit as its trial.
+   *
+   * @argument {String} actionID
+   * @argument {Number} [time=Date.now()]
+   *
+   * @returns {Boolean}
+   */
+  allowsExecution (actionID, time = Date.now()) {
+    if (this.state === ClosedCircuitState) return true;
+
+    // A trial action that is retried is let through again.
+    if (this.state === HalfOpenCircuitState) return this.trialActionID === actionID;
+
+    if (time - this.openedTime < this.cooldownInMillisecond) return false;
+
+    this.state = HalfOpenCircuitState;
+    this.trialActionID = actionID;
+
+    return true;
+  }
+
+  /**
+   * Records the failure of an action; only the failures within the failure window are kept.
+   *
+   * @argument {String} actionID
+   * @argument {Number} [time=Date.now()]
+   *
+   * @returns {Boolean} - Whether the failure opened the circuit.
+   */
+  recordFailure (actionID, time = Date.now()) {
+    this.failureTimeList = this.failureTimeList
+      .filter((failureTime) => failureTime > time - this.failureWindowInMillisecond)
+      .concat(time);
+
+    if (
+      !(this.state === HalfOpenCircuitState && this.trialActionID === actionID) &&
+      !(this.state === ClosedCircuitState && this.failureTimeList.length >= this.failureThreshold)
+    ) return false;
+
+    this.openedTime = time;
+    this.state = OpenCircuitState;
+    this.trialActionID = undefined;
+
+    return true;
+  }
+
+  /**
+   * Records the success of an action; only the success of the trial action of a half-open circuit has an effect.
+   *
+   * @argument {String} actionID
+   *
+   * @returns {Boolean} - Whether the success closed the circuit.
+   */
+  recordSuccess (actionID) {
+    if (this.state !== HalfOpenCircuitState || this.trialActionID !== actionID) return false;
+
+    this.failureTimeList = [];
+    this.state = ClosedCircuitState;
+    this.trialActionID = undefined;
+
+    return true;
+  }
+
+}
+
+/** @memberOf NucleusCircuitBreaker */
+NucleusCircuitBreaker.ClosedCircuitState = ClosedCircuitState;
+/** @memberOf NucleusCircuitBreaker */
+NucleusCircuitBreaker.HalfOpenCircuitState = HalfOpenCircuitState;
+/** @memberOf NucleusCircuitBreaker */
+NucleusCircuitBreaker.OpenCircuitState = OpenCircuitState;
+
+module.exports = NucleusCircuitBreaker;
@@ -0,0 +1,118 @@
+"use strict";
+
+/**
+ * @fileOverview Define the Nucleus Cron Expression class that evaluates the cron expressions of the action schedules.
+ */
+
+const NucleusError = require('./Error.nucleus');
+
+class NucleusCronExpression {
+
+  /**
+   * Retrieves the next time, after a given time, that matches a cron expression. The cron expression is evaluated in UTC.
+   * @example
+   * NucleusCronExpression.retrieveNextTime('0 2 * * *', Date.UTC(2018, 0, 1, 12));
+   * // Date.UTC(2018, 0, 2, 2)
+   *
+   * @argument {String} cronExpression
+   * @argument {Number} time
+   *
+   * @returns {Number}
+   *
+   * @throws Will throw an error if the cron expression is not valid or never matches.
+   */
+  static retrieveNextTime (cronExpression, time) {
+    const cronExpressionFieldList = cronExpression.trim().split(/\s+/);
+
+    if (cronExpressionFieldList.length !== 5) throw new NucleusError.UnexpectedValueNucleusError(`The cron expression "${cronExpression}" must have five fields.`);
+
+    const [ minuteList, hourList, dayOfMonthList, monthList, dayOfWeekList ] = [ [ 0, 59 ], [ 0, 23 ], [ 1, 31 ], [ 1, 12 ], [ 0, 7 ] ]
+      .map(([ minimumValue, maximumValue ], index) => parseCronExpressionField(cronExpressionFieldList[index], minimumValue, maximumValue));
+    // Like cron, a day matches either field when both the day of the month and the day of the week are restricted.
+    const dayOfMonthIsRestricted = !cronExpressionFieldList[2].startsWith('*');
+    const dayOfWeekIsRestricted = !cronExpressionFieldList[4].startsWith('*');
+
+    const $date = new Date(time);
+
+    $date.setUTCSeconds(0, 0);
+    $date.setUTCMinutes($date.getUTCMinutes() + 1);
+
+    // An expression like "0 0 31 2 *" never matches, the search is stopped after a few years.
+    const timeLimit = $date.getTime() + 1000 * 60 * 60 * 24 * 366 * 5;
+
+    while ($date.getTime() <= timeLimit) {
+      if (!monthList.includes($date.getUTCMonth() + 1)) {
+        $date.setUTCMonth($date.getUTCMonth() + 1, 1);
+        $date.setUTCHours(0, 0);
+
+        continue;
+      }
+
+      const dayOfMonthMatches = dayOfMonthList.includes($date.getUTCDate());
+      // Sunday is either 0 or 7.
+      const dayOfWeekMatches = dayOfWeekList.includes($date.getUTCDay()) || ($date.getUTCDay() === 0 && dayOfWeekList.includes(7));
+
+      if (!((dayOfMonthIsRestricted && dayOfWeekIsRestricted) ? (dayOfMonthMatches || dayOfWeekMatches) : (dayOfMonthMatches && dayOfWeekMatches))) {
+        $date.setUTCDate($date.getUTCDate() + 1);
+        $date.setUTCHours(0, 0);
+
+        continue;
+      }
+
+      if (!hourList.includes($date.getUTCHours())) {
+        $date.setUTCHours($date.getUTCHours() + 1, 0);
+
+        continue;
+      }
+
+      if (!minuteList.includes($date.getUTCMinutes())) {
+        $date.setUTCMinutes($date.getUTCMinutes() + 1);
+
+        continue;
+      }
+
+      return $date.getTime();
+    }
+
+    throw new NucleusError.UnexpectedValueNucleusError(`The cron expression "${cronExpression}" never matches.`);
+  }
+
+}
+
+module.exports = NucleusCronExpression;
+
+/**
+ * Parses a field of a cron expression into the list of values it matches.
+ * @example
+ * parseCronExpressionField('*\/15', 0, 59);
+ * // [ 0, 15, 30, 45 ]
+ *
+ * @argument {String} cronExpressionField
+ * @argument {Number} minimumValue
+ * @argument {Number} maximumValue
+ *
+ * @returns {Number[]}
+ *
+ * @throws Will throw an error if the field is not valid.
+ */
+function parseCronExpressionField (cronExpressionField, minimumValue, maximumValue) {
+
+  return cronExpressionField.split(',')
+    .reduce((accumulator, cronExpressionFieldPart) => {
+      if (!/^(\*|\d+(-\d+)?)(\/\d+)?$/.test(cronExpressionFieldPart)) throw new NucleusError.UnexpectedValueNucleusError(`The cron expression field "${cronExpressionField}" is not valid.`);
+
+      const [ range, step = '1' ] = cronExpressionFieldPart.split('/');
+      const [ start, end = (cronExpressionFieldPart.includes('/') ? maximumValue : start) ] = (range === '*') ?
+        [ minimumValue, maximumValue ] :
+        range.split('-').map(Number);
+      const increment = Number(step);
+
+      if (
+        start < minimumValue || end > maximumValue || start > end || increment < 1
+      ) throw new NucleusError.UnexpectedValueNucleusError(`The cron expression field "${cronExpressionField}" is not valid.`);
+
+      for (let value = start; value <= end; value += increment) accumulator.push(value);
+
+      return accumulator;
+    }, []);
+}
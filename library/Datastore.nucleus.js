@@ -63,6 +63,7 @@ class NucleusDatastore extends NucleusDeferredClassProxy {
     this.index = datastoreIndex;
 
     this.$$handlerCallbackListByChannelName = {};
+    this.$$handlerCallbackListByChannelPattern = {};
     this.scriptSHAbyScriptName = {};
 
     this.$$server = redis.createClient({
@@ -345,7 +346,7 @@ class NucleusDatastore extends NucleusDeferredClassProxy {
 
     return this.$$server.quitAsync()
       .timeout(1000)
-      // Seems like using BRPOP or BLPOP prevents it from being quit properly
+      // Seems like using BRPOP, BLPOP or BRPOPLPUSH prevents it from being quit properly
       // See https://github.com/sebastienfilion/idex.nucleus/issues/34
       .catch(async (error) => {
         if (error.name === 'TimeoutError') {
@@ -353,7 +354,7 @@ class NucleusDatastore extends NucleusDeferredClassProxy {
             .reduce((accumulator, { command: commandName, args: [ blockingItemKey ] }) => {
               if (!!accumulator) return accumulator;
 
-              if (commandName === 'brpop' || commandName === 'blpop') return blockingItemKey;
+              if (commandName === 'brpop' || commandName === 'blpop' || commandName === 'brpoplpush') return blockingItemKey;
             }, undefined);
 
           // If there is no blocking item key, there's something else blocking the connection and should be reported.
@@ -503,6 +504,30 @@ class NucleusDatastore extends NucleusDeferredClassProxy {
     }
   }
 
+  /**
+   * Executes all handler callback for a given channel pattern; like for a keyspace notification channel, the handler
+   * callbacks are called with the name of the channel the event was published to and the event.
+   *
+   * @argument {String} channelPattern
+   * @argument {String} channelName
+   * @argument {NucleusEvent|String} $event
+   *
+   * @returns {Promise}
+   */
+  async executeHandlerCallbackForChannelPattern (channelPattern, channelName, $event) {
+    const $$handlerCallbackList = this.$$handlerCallbackListByChannelPattern[channelPattern];
+
+    if (nucleusValidator.isEmpty($$handlerCallbackList)) return Promise.resolve();
+
+    this.$logger.debug(`Executing ${$$handlerCallbackList.length} handler callback${($$handlerCallbackList.length > 1) ? 's' : ''} for the channel "${channelName}" matching the pattern "${channelPattern}".`, { channelName, channelPattern, processID: process.pid });
+
+    return Promise.all($$handlerCallbackList
+      .map(($$handlerCallback) => {
+
+        return Promise.resolve($$handlerCallback.call(this, channelName, $event));
+      }));
+  }
+
   /**
    * Verifies if an item is part of a given item set.
    * @example
@@ -547,6 +572,24 @@ class NucleusDatastore extends NucleusDeferredClassProxy {
     return Promise.resolve({ channelName, handlerCallback });
   }
 
+  /**
+   * Handles event published to every channel matching a pattern given a handler callback.
+   * @example
+   * $datastore.handleEventByChannelPattern('*ByIDArchived', (channelName, $event) => {});
+   *
+   * @argument {String} channelPattern - A glob-style pattern, as used by `PSUBSCRIBE`.
+   * @argument {Function} handlerCallback
+   *
+   * @returns {Promise<Object>}
+   */
+  handleEventByChannelPattern (channelPattern, handlerCallback) {
+    if (!this.$$handlerCallbackListByChannelPattern.hasOwnProperty(channelPattern)) this.$$handlerCallbackListByChannelPattern[channelPattern] = [];
+
+    this.$$handlerCallbackListByChannelPattern[channelPattern].push(handlerCallback);
+
+    return Promise.resolve({ channelPattern, handlerCallback });
+  }
+
   /**
    * Handles Redis event.
    *
@@ -558,7 +601,25 @@ class NucleusDatastore extends NucleusDeferredClassProxy {
       const channelName = arguments[1];
       const data = arguments[2];
 
-      // NOTE: Implement handling of pattern channel
+      if ($$keyspaceNotificationChannelNameRegularExpression.test(channelName)) {
+
+        this.executeHandlerCallbackForChannelPattern(channelPattern, channelName, data)
+          .catch((error) => {
+            this.$logger.error(error);
+          });
+      } else {
+        const parsedData = NucleusDatastore.parseItem(data);
+
+        if (parsedData.hasOwnProperty('name') && parsedData.hasOwnProperty('message')) {
+          const { meta, message, name } = parsedData;
+          const $event = new NucleusEvent(name, message, Object.assign({}, meta, { originUserID: meta.authorUserID }));
+
+          this.executeHandlerCallbackForChannelPattern(channelPattern, channelName, $event)
+            .catch((error) => {
+              this.$logger.error(error);
+            });
+        }
+      }
     } else if (argumentList.length === 2) {
       const channelName = arguments[0];
       const data = arguments[1];
@@ -1096,10 +1157,22 @@ class NucleusDatastore extends NucleusDeferredClassProxy {
     } else throw new NucleusError.UnexpectedValueTypeNucleusError("The field name must be a string or a list of string.");
   }
 
+  /**
+   * Subscribes the client to every channel matching a pattern. `PSUBSCRIBE pattern`
+   *
+   * @argument {String} channelPattern - A glob-style pattern; `*` matches any sequence of characters.
+   *
+   * @returns {Promise}
+   */
+  subscribeToChannelPattern (channelPattern) {
+
+    return this.$$server.psubscribeAsync(channelPattern);
+  }
+
   /**
    * Subscribes the client to a channel given its name.
    *
-   * @argument {String} channelName
+   * @argument {String|String[]} channelName - A channel name or a list of channel names to subscribe to at once.
    *
    * @returns {Promise}
    */
@@ -1120,6 +1193,19 @@ class NucleusDatastore extends NucleusDeferredClassProxy {
     return this.$$server.unsubscribeAsync(channelName);
   }
 
+  /**
+   * Unsubscribes the client from a channel pattern and removes its handler callbacks.
+   *
+   * @argument {String} channelPattern
+   *
+   * @returns {Promise}
+   */
+  unsubscribeFromChannelPattern (channelPattern) {
+    Reflect.deleteProperty(this.$$handlerCallbackListByChannelPattern, channelPattern);
+
+    return this.$$server.punsubscribeAsync(channelPattern);
+  }
+
   /**
    * Updates a resource given its type and ID.
    * @example
@@ -8,35 +8,98 @@
 
 const Promise = require('bluebird');
 const childProcess = require('child_process');
+const crypto = require('crypto');
 const JSDocParserPath = require.resolve('jsdoc/jsdoc.js');
 const fs = require('fs');
+const http = require('http');
 const path = require('path');
+const url = require('url');
 const uuid = require('uuid');
 
 const NucleusAction = require('./Action.nucleus');
+const NucleusCircuitBreaker = require('./CircuitBreaker.nucleus');
+const NucleusCronExpression = require('./CronExpression.nucleus');
 const NucleusDatastore = require('./Datastore.nucleus');
 const NucleusDeferredClassProxy = require('./DeferredClassProxy.nucleus');
 const NucleusError = require('./Error.nucleus');
 const NucleusEvent = require('./Event.nucleus');
+const NucleusMetricsRegistry = require('./MetricsRegistry.nucleus');
 const NucleusResource = require('./Resource.nucleus');
 const NucleusResourceRelationshipDatastore = require('./ResourceRelationshipDatastore.nucleus');
+const NucleusTypeExpression = require('./TypeExpression.nucleus');
+const NucleusWebhook = require('./Webhook.nucleus');
 
 const nucleusValidator = require('./validator.nucleus');
 
 const fsReadFilePromisified = Promise.promisify(fs.readFile);
 
 const ACTION_CONFIGURATION_BY_ACTION_NAME_TABLE_NAME = 'ActionConfigurationByActionName';
+const ACTION_PRIORITY_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME = 'ActionPriorityByActionName';
+const ACTION_AUDIT_STREAM_ITEM_KEY = 'ActionAuditTrail';
 const ACTION_QUEUE_NAME_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME = 'ActionQueueNameByActionName';
 const ACTION_QUEUE_NAME_SET_ITEM_NAME_TABLE_NAME = 'ActionQueueNameSet';
+const ACTION_RATE_LIMIT_BUCKET_ITEM_KEY_PREFIX = 'ActionRateLimitBucket';
+const ACTION_RATE_LIMIT_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME = 'ActionRateLimitByActionName';
+const ACTION_RESPONSE_STREAM_ITEM_KEY_PREFIX = 'ActionResponseStream';
+const ACTION_SCHEDULE_BY_SCHEDULE_NAME_TABLE_NAME = 'ActionScheduleByScheduleName';
+const ACTION_SCHEDULE_NAME_SET_ITEM_NAME_TABLE_NAME = 'ActionScheduleNameSet';
+const ACTION_SCHEDULER_LEADER_ITEM_KEY = 'ActionSchedulerLeader';
+const DEAD_LETTER_ACTION_QUEUE_NAME_SUFFIX = 'DeadLetter';
+const ENGINE_HEARTBEAT_ITEM_KEY_PREFIX = 'EngineHeartbeat';
+const EXECUTION_RATE_LIMIT_BUCKET_ITEM_KEY_SUFFIX = 'Execution';
+const EVENT_SCHEMA_BY_EVENT_NAME_TABLE_NAME = 'EventSchemaByEventName';
+const EVENT_STREAM_ITEM_KEY_PREFIX = 'EventStream';
+const PROCESSING_ACTION_QUEUE_NAME_SUFFIX = 'Processing';
+const PROCESSING_ENGINE_ID_SET_ITEM_KEY_SUFFIX = 'ProcessingEngineIDSet';
 const EXTENDABLE_ACTION_CONFIGURATION_BY_ACTION_NAME_TABLE_NAME = 'ExtendableActionConfigurationByActionName';
+const HANDLED_EVENT_ITEM_KEY_LIST_ITEM_KEY_PREFIX = 'HandledEventItemKeyList';
+const IDEMPOTENCY_KEY_ITEM_KEY_PREFIX = 'ActionIdempotencyKey';
+const ORIGIN_USER_RATE_LIMIT_BUCKET_ITEM_KEY_PREFIX = 'OriginUserRateLimitBucket';
 const RESOURCE_STRUCTURE_BY_RESOURCE_TYPE_TABLE_NAME = 'ResourceStructureByResourceType';
+const SAGA_ENGINE_ID_BY_SAGA_ID_TABLE_NAME_PREFIX = 'SagaEngineIDBySagaID';
+const SAGA_ITEM_KEY_PREFIX = 'Saga';
+const SCHEDULED_ACTION_SET_ITEM_NAME_TABLE_NAME = 'ScheduledActionSet';
+const WEBHOOK_DELIVERY_ATTEMPT_LIST_ITEM_KEY_PREFIX = 'WebhookDeliveryAttemptList';
+const WEBHOOK_DELIVERY_RETRY_SET_ITEM_NAME_TABLE_NAME = 'WebhookDeliveryRetrySet';
+const WEBHOOK_SUBSCRIPTION_BY_ID_TABLE_NAME = 'WebhookSubscriptionByID';
 
 const NODE_ENVIRONMENT = process.env.NODE_ENV || 'development';
 const DEVELOPMENT_ENVIRONMENT_NAME = 'development';
 const TESTING_ENVIRONMENT_NAME = 'testing';
 const PRODUCTION_ENVIRONMENT_NAME = 'production';
 
+const CompensatedSagaStatus = 'Compensated';
+const CompensatingSagaStatus = 'Compensating';
+const CompletedSagaStatus = 'Completed';
+const FailedSagaStatus = 'Failed';
+const ProcessingSagaStatus = 'Processing';
+
+const BroadcastEventDelivery = 'broadcast';
+const CompetingEventDelivery = 'competing';
+
+const PubSubEventTransport = 'PubSub';
+const StreamEventTransport = 'Stream';
+
+const HealthyHealthStatus = 'Healthy';
+const UnhealthyHealthStatus = 'Unhealthy';
+
+const DeliveredWebhookDeliveryStatus = 'Delivered';
+const FailedWebhookDeliveryStatus = 'Failed';
+
+const WebhookSubscriptionCreatedEventName = 'WebhookSubscriptionCreated';
+const WebhookSubscriptionRemovedEventName = 'WebhookSubscriptionRemoved';
+
 const $$complexDataTypeRegularExpression = new RegExp(/([a-z]+)\.<[A-Za-z]+>/);
+// Node 8 doesn't define the async iterator symbol.
+const $$asyncIteratorSymbol = Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator');
+// The engine's datastores give up on quitting after a second, the event stream consumers must not block longer.
+const $$eventStreamBlockingTimeout = 500;
+// The events that failed to be handled that many times are dropped from the event stream's pending entries.
+const $$eventStreamMaximumDeliveryCount = 5;
+// The retrievals of an action queue are pipelined on its handler's connection, only one of them blocks at a time.
+const $$actionQueueHandlerUnblockingInterval = 10;
+// The event schemas are retrieved again after a minute, in case another engine discovered new ones.
+const $$eventSchemaCacheTTL = 1000 * 60;
 const $$engineFileNameRegularExpression = new RegExp(/.*engine\.js$/);
 const $$javascriptReservedWordRegularExpressionList = [
   /\s*delete.+/,
@@ -44,6 +107,51 @@ const $$javascriptReservedWordRegularExpressionList = [
   /\s*new\s*.+'/,
   /\s*process\..+/
 ];
+// The engines delivering the webhooks share the events of the subscribed channels.
+const $$webhookConsumerGroupName = 'Webhook';
+// Only the most recent delivery attempts of every webhook subscription are kept.
+const $$webhookDeliveryAttemptMaximumCount = 100;
+const $$webhookActionConfigurationList = [
+  {
+    actionName: 'CreateWebhookSubscription',
+    actionSignature: [ 'webhookSubscriptionAttributes', 'originUserID' ],
+    argumentConfigurationByArgumentName: {
+      originUserID: 'string',
+      webhookSubscriptionAttributes: 'object'
+    },
+    contextName: 'Self',
+    methodName: 'createWebhookSubscription'
+  },
+  {
+    actionName: 'RemoveWebhookSubscriptionByID',
+    actionSignature: [ 'webhookSubscriptionID', 'originUserID' ],
+    argumentConfigurationByArgumentName: {
+      originUserID: 'string',
+      webhookSubscriptionID: 'string'
+    },
+    contextName: 'Self',
+    methodName: 'removeWebhookSubscriptionByID'
+  },
+  {
+    actionName: 'RetrieveAllWebhookDeliveryAttemptsBySubscriptionID',
+    actionSignature: [ 'webhookSubscriptionID', 'originUserID' ],
+    argumentConfigurationByArgumentName: {
+      originUserID: 'string',
+      webhookSubscriptionID: 'string'
+    },
+    contextName: 'Self',
+    methodName: 'retrieveAllWebhookDeliveryAttemptsBySubscriptionID'
+  },
+  {
+    actionName: 'RetrieveAllWebhookSubscriptions',
+    actionSignature: [ 'originUserID' ],
+    argumentConfigurationByArgumentName: {
+      originUserID: 'string'
+    },
+    contextName: 'Self',
+    methodName: 'retrieveAllWebhookSubscriptions'
+  }
+];
 
 
 // NOTE: It seems like the system slows downs processing requests when there's a very high load (100+ requests under 25ms)
@@ -59,19 +167,50 @@ class NucleusEngine extends NucleusDeferredClassProxy {
    * @argument {String} name
    * @argument {Object} options
    * @argument {NucleusDatastore} [options.$actionDatastore]
+   * @argument {actionAuditWriter} [options.$actionAuditWriter] - Records the action audit entries instead of the action audit stream; implies `auditActions`.
    * @argument {NucleusDatastore} [options.$engineDatastore]
    * @argument {NucleusDatastore} [options.$eventDatastore]
    * @argument {NucleusResourceRelationshipDatastore} [options.$resourceRelationshipDatastore]
    * @argument {NucleusDatastore} [options.$logger]
+   * @argument {spanExporter} [options.$spanExporter] - Exports a span for every execution of an action.
+   * @argument {Number} [options.actionAuditStreamMaximumLength=100000] - The approximate number of entries kept in the action audit stream; the oldest entries are trimmed.
+   * @argument {actionCircuitBreakerPolicy} [options.actionCircuitBreakerPolicy] - Fails fast the actions that kept failing recently; disabled if omitted.
+   * @argument {Number} [options.actionQueueStuckTimeout=60000] - The time in milliseconds after which an action queue with pending actions that the engine didn't try to retrieve is considered stuck.
+   * @argument {Number} [options.actionSchedulerInterval=1000] - The interval in milliseconds at which the scheduled actions are published.
+   * @argument {Boolean} [options.auditActions=false] - Records every completed or failed action in the action audit trail.
    * @argument {Boolean} [options.automaticallyAutodiscover=false]
+   * @argument {Boolean} [options.automaticallyDeliverWebhooks=false] - Handles the webhook subscription actions and delivers the events of the subscribed channels to the webhooks; the engine must retrieve the pending actions of its default action queue.
    * @argument {Boolean} [options.automaticallyManageResourceRelationship=false]
+   * @argument {Boolean} [options.automaticallyPublishScheduledActions=false] - Lets the engine run for the action scheduler's leadership as soon as it is initialized; otherwise the engine only runs for it once it schedules an action.
    * @argument {Boolean} [options.automaticallyRetrievePendingActions=false]
+   * @argument {Boolean} [options.automaticallyShutdownOnProcessSignal=false] - Shuts the engine down gracefully when the process receives `SIGTERM` or `SIGINT`.
+   * @argument {Number} [options.defautlActionHangupTimeout=0] - The default time in milliseconds a publisher waits for an action's response; `0` waits forever.
    * @argument {String} [options.defaultActionQueueName=<Engine's name>]
+   * @argument {Number} [options.defaultDrainTimeout=10000] - The default time in milliseconds to wait for the actions in flight when shutting down.
+   * @argument {Number} [options.engineHeartbeatInterval=5000] - The interval in milliseconds at which the engine signals that it is alive.
+   * @argument {Number} [options.eventStreamClaimTimeout=30000] - The time in milliseconds after which the stream events that were not acknowledged by their consumer are reclaimed.
+   * @argument {Number} [options.eventStreamMaximumLength=10000] - The approximate number of events kept in every event stream for replay.
+   * @argument {String} [options.eventTransport='PubSub'] - The default event transport; `PubSub` or `Stream`. The stream transport is durable and supports consumer groups and replay.
+   * @argument {Boolean} [options.failOnInvalidActionResponse=false] - Fails the actions which response does not match their structure instead of logging a warning.
+   * @argument {Boolean} [options.failOnInvalidEventMessage=false] - Refuses to publish the events which message does not match their schema instead of logging a warning.
+   * @argument {Number} [options.healthCheckTimeout=2000] - The time in milliseconds a datastore has to answer a health check.
+   * @argument {Number} [options.HTTPListenerPort] - Serves the metrics at `/metrics` and the health probes at `/healthz` and `/readyz` over HTTP on that port; no HTTP listener is started if omitted.
+   * @argument {Number} [options.maxConcurrentActions=Infinity] - The default maximum number of actions executed at the same time per action queue.
+   * @argument {actionRateLimit} [options.originUserRateLimit] - Limits the number of actions every origin user can publish, whatever their name.
+   * @argument {Boolean} [options.reliableActionQueue=false] - Keeps the actions being executed in a processing list until they are done, so they can be requeued if the engine dies.
+   * @argument {Number} [options.reliableActionQueuePollingInterval=1000] - The interval in milliseconds at which a reliable action queue is polled in case a keyspace notification was missed.
+   * @argument {Boolean} [options.webhookAllowPrivateAddresses=false] - Allows the webhooks to be posted to the loopback, link-local and private addresses, which are refused by default whatever the host name resolving to them.
+   * @argument {Number} [options.webhookDeliveryRetryInterval=1000] - The interval in milliseconds at which the failed webhook deliveries that are due are attempted again.
+   * @argument {Number} [options.webhookDeliveryTimeout=10000] - The time in milliseconds a webhook has to answer a delivery attempt.
+   * @argument {String[]} [options.webhookHostAllowList] - The only hosts the webhooks can be posted to; any host is allowed if omitted. A host starting with `*.` matches its subdomains.
+   * @argument {String[]} [options.webhookHostDenyList=[]] - The hosts the webhooks can't be posted to, e.g. `localhost` or the cloud metadata address. A host starting with `*.` matches its subdomains.
+   * @argument {actionRetryPolicy} [options.webhookRetryPolicy] - The retry policy of the webhook deliveries; defaults to 5 attempts with a backoff of a second.
    *
    * @returns {Proxy}
    */
   constructor (engineName, options = {}) {
     const {
+      $actionAuditWriter,
       $actionDatastore = new NucleusDatastore(`${engineName}ActionDatastore`),
       $engineDatastore = new NucleusDatastore(`${engineName}EngineDatastore`),
       $eventDatastore = new NucleusDatastore(`${engineName}EventDatastore`),
@@ -79,12 +218,40 @@ class NucleusEngine extends NucleusDeferredClassProxy {
       $resourceCacheDatastore,
       $resourceRelationshipDatastore = new NucleusResourceRelationshipDatastore($engineDatastore),
       $logger = console,
+      $spanExporter,
+      actionAuditStreamMaximumLength = 100000,
+      actionCircuitBreakerPolicy,
+      actionQueueStuckTimeout = 1000 * 60,
+      actionSchedulerInterval = 1000,
+      auditActions = false,
       automaticallyAutodiscover = false,
+      automaticallyDeliverWebhooks = false,
       automaticallyManageResourceRelationship = false,
+      automaticallyPublishScheduledActions = false,
       automaticallyRetrievePendingActions = false,
+      automaticallyShutdownOnProcessSignal = false,
       debounceActionExecution = true,
-      defautlActionHangupTimeout = 1000 * 5,
-      defaultActionQueueName = engineName
+      defautlActionHangupTimeout = 0,
+      defaultActionQueueName = engineName,
+      defaultDrainTimeout = 1000 * 10,
+      engineHeartbeatInterval = 1000 * 5,
+      eventStreamClaimTimeout = 1000 * 30,
+      eventStreamMaximumLength = 10000,
+      eventTransport = PubSubEventTransport,
+      failOnInvalidActionResponse = false,
+      failOnInvalidEventMessage = false,
+      healthCheckTimeout = 1000 * 2,
+      HTTPListenerPort,
+      maxConcurrentActions = Infinity,
+      originUserRateLimit,
+      reliableActionQueue = false,
+      reliableActionQueuePollingInterval = 1000,
+      webhookAllowPrivateAddresses = false,
+      webhookDeliveryRetryInterval = 1000,
+      webhookDeliveryTimeout = 1000 * 10,
+      webhookHostAllowList,
+      webhookHostDenyList = [],
+      webhookRetryPolicy = { backoffInMillisecond: 1000, maximumAttemptCount: 5 }
     } = options;
 
     super();
@@ -94,10 +261,35 @@ class NucleusEngine extends NucleusDeferredClassProxy {
     /** @member {String} name */
     Reflect.defineProperty(this, 'name', { value: engineName, writable: false });
 
+    this.actionAuditStreamMaximumLength = actionAuditStreamMaximumLength;
+    this.actionCircuitBreakerPolicy = actionCircuitBreakerPolicy;
+    this.actionQueueStuckTimeout = actionQueueStuckTimeout;
+    this.actionSchedulerInterval = actionSchedulerInterval;
+    this.auditActions = auditActions || !!$actionAuditWriter;
     // Debouncing the action execution allows a performance gain of 20% on heavy request load.
     this.debounceActionExecution = debounceActionExecution;
     this.defautlActionHangupTimeout = defautlActionHangupTimeout;
     this.defaultActionQueueName = defaultActionQueueName;
+    this.defaultDrainTimeout = defaultDrainTimeout;
+    this.engineHeartbeatInterval = engineHeartbeatInterval;
+    this.eventStreamClaimTimeout = eventStreamClaimTimeout;
+    this.eventStreamMaximumLength = eventStreamMaximumLength;
+    this.eventTransport = eventTransport;
+    this.failOnInvalidActionResponse = failOnInvalidActionResponse;
+    this.failOnInvalidEventMessage = failOnInvalidEventMessage;
+    this.healthCheckTimeout = healthCheckTimeout;
+    this.maxConcurrentActions = maxConcurrentActions;
+    this.originUserRateLimit = originUserRateLimit;
+    this.reliableActionQueue = reliableActionQueue;
+    this.reliableActionQueuePollingInterval = reliableActionQueuePollingInterval;
+    this.webhookAllowPrivateAddresses = webhookAllowPrivateAddresses;
+    this.webhookDeliveryRetryInterval = webhookDeliveryRetryInterval;
+    this.webhookDeliveryTimeout = webhookDeliveryTimeout;
+    this.webhookHostAllowList = webhookHostAllowList;
+    this.webhookHostDenyList = webhookHostDenyList;
+    this.webhookRetryPolicy = webhookRetryPolicy;
+
+    if (![ PubSubEventTransport, StreamEventTransport ].includes(eventTransport)) throw new NucleusError.UnexpectedValueNucleusError(`The event transport "${eventTransport}" is not a valid event transport.`);
 
     if (
       $actionDatastore.type !== 'Redis' ||
@@ -110,6 +302,23 @@ class NucleusEngine extends NucleusDeferredClassProxy {
     this.$eventDatastore = $eventDatastore;
     this.$eventSubscriberDatastore = this.$eventDatastore.duplicateConnection(`${this.name}EventSubscriberDatastore`);
 
+    /**
+     * @typedef {Object} actionAuditWriter
+     * @property {Function} write - Called with every action audit entry; may return a promise.
+     * @property {Function} [retrieve] - Called with the filter options of `retrieveAllActionAuditEntries`; must return a promise of an action audit entry list.
+     */
+    if (!!$actionAuditWriter && !nucleusValidator.isFunction($actionAuditWriter.write)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action audit writer must implement a `write` function.");
+
+    this.$actionAuditWriter = $actionAuditWriter;
+
+    /**
+     * @typedef {Object} spanExporter
+     * @property {Function} export - Called with every span; may return a promise.
+     */
+    if (!!$spanExporter && !nucleusValidator.isFunction($spanExporter.export)) throw new NucleusError.UnexpectedValueTypeNucleusError("The span exporter must implement an `export` function.");
+
+    this.$spanExporter = $spanExporter;
+
     this.$resourceDatastore = $resourceDatastore || this.$engineDatastore;
     this.$resourceCacheDatastore = $resourceCacheDatastore || this.$engineDatastore;
 
@@ -117,12 +326,40 @@ class NucleusEngine extends NucleusDeferredClassProxy {
 
     this.$handlerDatastoreByName = {};
     this.eventHandlerByChannelName = {};
+    this.eventHandlerByChannelPattern = {};
+    this.$$actionCircuitBreakerByActionName = {};
+    this.$$actionMiddlewareList = [];
+    this.$$actionQueueSemaphoreByActionQueueName = {};
+    this.$$actionRequestCountByChannelName = {};
+    this.$$actionSchedulerIsStarted = false;
+    this.$$eventSchemaCacheByEventName = {};
+    this.$$eventStreamSubscriptionByChannelName = {};
+    this.$$eventSubscriptionPromiseByChannelName = {};
+    this.$$eventSubscriptionPromiseByChannelPattern = {};
+    this.$$handlerClientIDPromiseByActionQueueName = {};
+    this.$$inFlightActionPromiseSet = new Set();
+    this.$$intervalList = [];
+    this.$$isInitialized = false;
+    this.$$isShuttingDown = false;
+    this.$$sagaDefinitionBySagaName = {};
+    this.$$webhookChannelNameSet = new Set();
+    this.$$webhookSubscriptionByID = {};
 
     this.$logger = $logger;
 
+    this.$metricsRegistry = new NucleusMetricsRegistry();
+    registerAllEngineMetrics(this.$metricsRegistry);
+
     this.actionTTL = 1000 * 60 * 60; // One hour
     this.eventTTL = 1000 * 60 * 5; // 5 minutes
 
+    if (automaticallyShutdownOnProcessSignal) {
+      this.$$processSignalHandler = this.handleProcessSignal.bind(this);
+
+      process.once('SIGINT', this.$$processSignalHandler);
+      process.once('SIGTERM', this.$$processSignalHandler);
+    }
+
     this.$logger.info(`Initializing the ${this.name} engine...`);
 
     // Execute everything needed during the initialization phase of the engine.
@@ -130,19 +367,118 @@ class NucleusEngine extends NucleusDeferredClassProxy {
       .then(this.verifyRedisConfiguration.bind(this))
       .then(this.$datastore.createItem.bind(this.$datastore, 'EngineName', this.name, undefined))
       .then(() => { return this.$actionDatastore.addItemToSetByName(ACTION_QUEUE_NAME_SET_ITEM_NAME_TABLE_NAME, this.defaultActionQueueName); })
+      // The heartbeat is used to detect the engines that stopped processing actions or orchestrating sagas.
+      .then(this.sendEngineHeartbeat.bind(this))
+      .then(() => {
+        this.$$intervalList.push(setInterval(this.sendEngineHeartbeat.bind(this), this.engineHeartbeatInterval));
+      })
+      .then(() => {
+        if (!this.reliableActionQueue) return;
+
+        return Promise.all([
+          fsReadFilePromisified(path.join(__dirname, '/lua/requeueStaleProcessingActions.lua'), 'UTF8'),
+          fsReadFilePromisified(path.join(__dirname, '/lua/retrievePendingActionByPriority.lua'), 'UTF8')
+        ])
+          .then(([ requeueStaleProcessingActionsScript, retrievePendingActionByPriorityScript ]) => {
+
+            return Promise.all([
+              this.$actionDatastore.registerScriptByName('RequeueStaleProcessingActions', requeueStaleProcessingActionsScript),
+              this.$actionDatastore.registerScriptByName('RetrievePendingActionByPriority', retrievePendingActionByPriorityScript)
+            ]);
+          });
+      })
+      .then(() => {
+
+        return fsReadFilePromisified(path.join(__dirname, '/lua/claimInterruptedSagas.lua'), 'UTF8');
+      })
+      .then((claimInterruptedSagasScript) => {
+
+        return this.$actionDatastore.registerScriptByName('ClaimInterruptedSagas', claimInterruptedSagasScript);
+      })
+      .then(() => {
+
+        return Promise.all([
+          fsReadFilePromisified(path.join(__dirname, '/lua/cancelPendingAction.lua'), 'UTF8'),
+          fsReadFilePromisified(path.join(__dirname, '/lua/consumeRateLimitTokens.lua'), 'UTF8'),
+          fsReadFilePromisified(path.join(__dirname, '/lua/registerActionIdempotencyKey.lua'), 'UTF8'),
+          fsReadFilePromisified(path.join(__dirname, '/lua/releaseActionIdempotencyKey.lua'), 'UTF8')
+        ]);
+      })
+      .then(([ cancelPendingActionScript, consumeRateLimitTokensScript, registerActionIdempotencyKeyScript, releaseActionIdempotencyKeyScript ]) => {
+
+        return Promise.all([
+          this.$actionDatastore.registerScriptByName('CancelPendingAction', cancelPendingActionScript),
+          this.$actionDatastore.registerScriptByName('ConsumeRateLimitTokens', consumeRateLimitTokensScript),
+          this.$actionDatastore.registerScriptByName('RegisterActionIdempotencyKey', registerActionIdempotencyKeyScript),
+          this.$actionDatastore.registerScriptByName('ReleaseActionIdempotencyKey', releaseActionIdempotencyKeyScript)
+        ]);
+      })
+      .then(() => {
+        this.$$intervalList.push(setInterval(() => {
+          this.resumeAllInterruptedSagas()
+            .catch((error) => {
+              this.$logger.warn(`Could not resume the interrupted sagas because of an error: ${error}`, { engineID: this.ID, engineName: this.name });
+            });
+        }, this.engineHeartbeatInterval * 3));
+      })
+      .then(() => {
+
+        return Promise.all([
+          fsReadFilePromisified(path.join(__dirname, '/lua/claimActionSchedule.lua'), 'UTF8'),
+          fsReadFilePromisified(path.join(__dirname, '/lua/electActionSchedulerLeader.lua'), 'UTF8'),
+          fsReadFilePromisified(path.join(__dirname, '/lua/publishAllDueScheduledActions.lua'), 'UTF8')
+        ]);
+      })
+      .then(([ claimActionScheduleScript, electActionSchedulerLeaderScript, publishAllDueScheduledActionsScript ]) => {
+
+        return Promise.all([
+          this.$actionDatastore.registerScriptByName('ClaimActionSchedule', claimActionScheduleScript),
+          this.$actionDatastore.registerScriptByName('ElectActionSchedulerLeader', electActionSchedulerLeaderScript),
+          this.$actionDatastore.registerScriptByName('PublishAllDueScheduledActions', publishAllDueScheduledActionsScript)
+        ]);
+      })
+      .then(() => { if (automaticallyPublishScheduledActions) startActionScheduler(this); })
       // If the `automaticallyAutodiscover` flag is true, pass the engine directory path that should be set from the parent class.
       .then(() => { if (automaticallyAutodiscover) return this.autodiscover(this.engineDirectoryPath); })
       .then(() => { if (automaticallyRetrievePendingActions) return this.subscribeToActionQueueUpdate(this.defaultActionQueueName); })
       .then(this.fixDatastoreIssues.bind(this))
       .then(() => {
 
-        return fsReadFilePromisified(path.join(__dirname, '/lua/handleEventQueuing.lua'), 'UTF8');
+        return Promise.all([
+          fsReadFilePromisified(path.join(__dirname, '/lua/claimAllDueWebhookDeliveries.lua'), 'UTF8'),
+          fsReadFilePromisified(path.join(__dirname, '/lua/handleEventQueuing.lua'), 'UTF8')
+        ]);
+      })
+      .then(([ claimAllDueWebhookDeliveriesScript, handleEventQueuingScript ]) => {
+
+        return Promise.all([
+          this.$datastore.registerScriptByName('ClaimAllDueWebhookDeliveries', claimAllDueWebhookDeliveriesScript),
+          this.$datastore.registerScriptByName('HandleEventQueuing', handleEventQueuingScript)
+        ]);
       })
-      .then((handleEventQueuingScript) => {
+      .then(() => {
+        if (!automaticallyDeliverWebhooks) return;
+
+        this.$$intervalList.push(setInterval(() => {
+          this.retryAllDueWebhookDeliveries()
+            .catch((error) => {
+              this.$logger.warn(`Could not retry the webhook deliveries because of an error: ${error}`, { engineID: this.ID, engineName: this.name });
+            });
+        }, this.webhookDeliveryRetryInterval));
+
+        // Every engine delivering the webhooks updates its subscriptions when one is created or removed.
+        return Promise.all([ WebhookSubscriptionCreatedEventName, WebhookSubscriptionRemovedEventName ]
+          .map((channelName) => {
 
-        return this.$datastore.registerScriptByName('HandleEventQueuing', handleEventQueuingScript);
+            return this.subscribeAndHandleEventByChannelName(channelName, this.synchronizeWebhookSubscriptions.bind(this), { delivery: BroadcastEventDelivery, transport: PubSubEventTransport });
+          }))
+          .then(() => this.storeActionConfiguration($$webhookActionConfigurationList))
+          .then(this.synchronizeWebhookSubscriptions.bind(this));
       })
+      .then(() => { if (!!HTTPListenerPort) return this.listenToHTTPPort(HTTPListenerPort); })
       .then(() => {
+        this.$$isInitialized = true;
+
         this.$logger.info(`The ${this.name} engine has successfully initialized.`);
       });
   }
@@ -150,7 +486,7 @@ class NucleusEngine extends NucleusDeferredClassProxy {
   /**
    * Autodiscovers the module's actions.
    *
-   * @returns {Promise<{ actionConfigurationList: actionConfiguration[], extendableActionConfigurationList: extendableActionConfiguration[], resourceStructureList: resourceStructure[] }>}
+   * @returns {Promise<{ actionConfigurationList: actionConfiguration[], eventSchemaList: eventSchema[], extendableActionConfigurationList: extendableActionConfiguration[], resourceStructureList: resourceStructure[] }>}
    */
   async autodiscover (engineDirectoryPath = NucleusEngine.retrieveModuleDirectoryPath(this.name)) {
     // Retrieve all of the modules doclets using the JSDoc parser.
@@ -172,6 +508,20 @@ class NucleusEngine extends NucleusDeferredClassProxy {
       })
       .map((doclet) => {
         const nucleusTagsByName = parseNucleusTag(doclet.tags);
+        const { actionRateLimit, actionRetryPolicy } = nucleusTagsByName;
+
+        if (nucleusValidator.isArray(actionRateLimit) && !nucleusValidator.isEmpty(actionRateLimit)) {
+          nucleusTagsByName.actionRateLimit = parseNucleusTagOptionList(actionRateLimit);
+        }
+
+        if (nucleusValidator.isArray(actionRetryPolicy) && !nucleusValidator.isEmpty(actionRetryPolicy)) {
+          nucleusTagsByName.actionRetryPolicy = parseNucleusTagOptionList(actionRetryPolicy);
+        }
+
+        // The response structure can only be derived from a record type like `Promise<{ dummy: Dummy }>`.
+        const actionResponseStructure = (nucleusValidator.isArray(doclet.returns) && !!doclet.returns[0].type) ?
+          NucleusTypeExpression.parseActionResponseStructure(doclet.returns[0].type.names.join('|')) :
+          undefined;
 
         const argumentConfigurationByArgumentName = (doclet.params || [])
           .reduce((accumulator, { name: argumentName, optional: argumentIsOptional, type: { names: argumentTypeList } }) => {
@@ -182,6 +532,7 @@ class NucleusEngine extends NucleusDeferredClassProxy {
           }, {});
 
         return Object.assign({
+          actionResponseStructure,
           actionSignature: doclet.meta.code.paramnames,
           argumentConfigurationByArgumentName,
           contextName: (doclet.memberof === `${this.name}Engine`) ? 'Self' : doclet.memberof,
@@ -238,9 +589,9 @@ class NucleusEngine extends NucleusDeferredClassProxy {
       });
 
     const resourceStructureList = filteredDocletList
-      .filter(({ kind }) => {
+      .filter(({ kind, tags }) => {
 
-        return kind === 'typedef';
+        return kind === 'typedef' && !('eventSchema' in parseNucleusTag(tags));
       })
       .map((doclet) => {
         const nucleusTagsByName = parseNucleusTag(doclet.tags);
@@ -262,13 +613,411 @@ class NucleusEngine extends NucleusDeferredClassProxy {
         }, nucleusTagsByName);
       });
 
+    // A typedef tagged with an event schema describes the message of the event it names.
+    const eventMessageStructureByEventName = filteredDocletList
+      .filter(({ kind, tags }) => {
+
+        return kind === 'typedef' && 'eventSchema' in parseNucleusTag(tags);
+      })
+      .reduce((accumulator, doclet) => {
+        const { eventSchema: eventName } = parseNucleusTag(doclet.tags);
+
+        accumulator[eventName] = (doclet.properties || [])
+          // The nested properties are described by the type of their parent.
+          .filter(({ name: propertyName }) => !propertyName.includes('.'))
+          .reduce((accumulator, { name: propertyName, optional: propertyIsOptional, type: { names: propertyTypeList } }) => {
+            const propertyTypeExpression = propertyTypeList.join('|');
+            accumulator[propertyName] = NucleusTypeExpression.parse((!!propertyIsOptional) ? `${propertyTypeExpression}=` : propertyTypeExpression);
+
+            return accumulator;
+          }, {});
+
+        return accumulator;
+      }, {});
+
+    // Every event published by an action is described by its event schema or, otherwise, by the action's response structure.
+    const eventSchemaList = actionConfigurationList
+      .map(({ actionName, actionNameToExtend, actionResponseStructure, eventName, fileName, filePath }) => {
+        if (!!actionNameToExtend) {
+          const { actionResponseStructure, extendableEventName } = extendableActionConfigurationByActionName[actionNameToExtend];
+
+          if (!extendableEventName) return;
+
+          return { actionName, eventMessageStructure: actionResponseStructure, eventName: NucleusEngine.parseTemplateString(require(filePath), extendableEventName), fileName, filePath };
+        }
+
+        if (!eventName) return;
+
+        return { actionName, eventMessageStructure: actionResponseStructure, eventName, fileName, filePath };
+      })
+      .filter(Boolean)
+      .concat(Object.keys(eventMessageStructureByEventName)
+        .map((eventName) => {
+
+          return { eventName };
+        }))
+      .filter(({ eventName }, index, eventSchemaList) => {
+
+        return eventSchemaList.findIndex((eventSchema) => eventSchema.eventName === eventName) === index;
+      })
+      .map((eventSchema) => {
+        const { eventName } = eventSchema;
+
+        if (eventName in eventMessageStructureByEventName) eventSchema.eventMessageStructure = eventMessageStructureByEventName[eventName];
+
+        return eventSchema;
+      })
+      .filter(({ eventMessageStructure }) => {
+
+        return !nucleusValidator.isEmpty(eventMessageStructure);
+      });
+
     await this.storeActionConfiguration(actionConfigurationList);
 
     await this.storeExtendableActionConfiguration(extendableActionConfigurationList);
 
     await this.storeResourceStructure(resourceStructureList);
 
-    return { actionConfigurationList, extendableActionConfigurationList, resourceStructureList };
+    await this.storeEventSchema(eventSchemaList);
+
+    return { actionConfigurationList, eventSchemaList, extendableActionConfigurationList, resourceStructureList };
+  }
+
+  /**
+   * Cancels an action given its item key if it is still pending; an action that is being processed or that is done
+   * won't be affected.
+   *
+   * @argument {String} actionItemKey
+   *
+   * @returns {Promise<{ actionWasCancelled: Boolean }>}
+   */
+  cancelActionByItemKey (actionItemKey) {
+    if (!nucleusValidator.isString(actionItemKey)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action item key must be a string.");
+
+    return this.$actionDatastore.evaluateLUAScriptByName('CancelPendingAction', actionItemKey, NucleusDatastore.stringifyItem(NucleusAction.PendingActionStatus), NucleusDatastore.stringifyItem(NucleusAction.CancelledActionStatus))
+      .then((actionWasCancelled) => {
+
+        return { actionWasCancelled: !!actionWasCancelled };
+      });
+  }
+
+  /**
+   * Checks the health of the engine.
+   * The engine is healthy when every datastore connection answers and none of its action queues is stuck; it is ready
+   * when it is also initialized and not shutting down.
+   * An action queue is stuck when it has pending actions but the engine didn't try to retrieve any of them since
+   * `actionQueueStuckTimeout`, because its handler hangs or because every slot is taken by actions that hang.
+   * @example
+   * const { isReady, status } = await $engine.checkHealth();
+   *
+   * if (status !== NucleusEngine.HealthyHealthStatus) process.exit(1);
+   *
+   * @returns {Promise<engineHealth>}
+   */
+  async checkHealth () {
+    /**
+     * @typedef {Object} engineHealth
+     * @property {Object[]} actionQueueHealthList
+     * @property {String} actionQueueHealthList[].actionQueueName
+     * @property {Number} actionQueueHealthList[].inFlightActionCount
+     * @property {String} actionQueueHealthList[].lastRetrievalISOTime
+     * @property {Number} actionQueueHealthList[].pendingActionCount
+     * @property {String} actionQueueHealthList[].status
+     * @property {Object[]} datastoreHealthList
+     * @property {String} datastoreHealthList[].datastoreName
+     * @property {String} [datastoreHealthList[].error]
+     * @property {Number} [datastoreHealthList[].latencyInMillisecond]
+     * @property {String} datastoreHealthList[].status
+     * @property {String} engineID
+     * @property {String} engineName
+     * @property {Boolean} isReady
+     * @property {String} status - Either `Healthy` or `Unhealthy`.
+     */
+    const { healthCheckTimeout } = this;
+
+    // The datastores used to block on the action queues can't be pinged without waiting for the next action.
+    const datastoreHealthList = await Promise.all([
+      ...Array.from(new Set([ this.$actionDatastore, this.$engineDatastore, this.$eventDatastore, this.$eventSubscriberDatastore, this.$resourceDatastore, this.$resourceCacheDatastore ]))
+        .map(($datastore) => checkDatastoreHealth($datastore, { healthCheckTimeout })),
+      ...Object.keys(this.$handlerDatastoreByName)
+        .map((datastoreName) => checkDatastoreHealth(this.$handlerDatastoreByName[datastoreName], { datastoreIsBlocking: /Handler$/.test(datastoreName), healthCheckTimeout }))
+    ]);
+    const datastoresAreHealthy = datastoreHealthList.every(({ status }) => status === HealthyHealthStatus);
+
+    // Only the action queues the engine retrieves the pending actions of can be stuck.
+    const actionQueueNameList = Object.keys(this.$$actionQueueSemaphoreByActionQueueName)
+      .filter((actionQueueName) => this.$handlerDatastoreByName.hasOwnProperty(`${actionQueueName}Subscriber`));
+    const actionQueueHealthList = (!datastoresAreHealthy) ? [] : await Promise.all(actionQueueNameList
+      .map((actionQueueName) => {
+        const { inFlightActionCount, lastRetrievalTime } = this.$$actionQueueSemaphoreByActionQueueName[actionQueueName];
+
+        return Promise.all(NucleusEngine.generatePriorityActionQueueNameList(actionQueueName)
+          .map((priorityActionQueueName) => this.$actionDatastore.$$server.llenAsync(priorityActionQueueName)))
+          .timeout(healthCheckTimeout)
+          .then((priorityActionQueueLengthList) => {
+            const pendingActionCount = priorityActionQueueLengthList.reduce((accumulator, length) => accumulator + length, 0);
+            const actionQueueIsStuck = pendingActionCount > 0 && Date.now() - lastRetrievalTime > this.actionQueueStuckTimeout;
+
+            return {
+              actionQueueName,
+              inFlightActionCount,
+              lastRetrievalISOTime: new Date(lastRetrievalTime).toISOString(),
+              pendingActionCount,
+              status: (actionQueueIsStuck) ? UnhealthyHealthStatus : HealthyHealthStatus
+            };
+          });
+      }));
+    const engineIsHealthy = datastoresAreHealthy && actionQueueHealthList.every(({ status }) => status === HealthyHealthStatus);
+
+    if (!engineIsHealthy) {
+      this.$logger.warn(`The ${this.name} engine is unhealthy.`, { engineID: this.ID, engineName: this.name });
+    }
+
+    return {
+      actionQueueHealthList,
+      datastoreHealthList,
+      engineID: this.ID,
+      engineName: this.name,
+      isReady: this.$$isInitialized && !this.$$isShuttingDown && datastoresAreHealthy,
+      status: (engineIsHealthy) ? HealthyHealthStatus : UnhealthyHealthStatus
+    };
+  }
+
+  /**
+   * Consumes a token of the rate limit buckets of an origin user for an action.
+   * Every origin user has a bucket per rate limited action and a global bucket when the engine has an origin user rate
+   * limit; a bucket holds up to `tokenCount` tokens and is refilled at the rate of `tokenCount` tokens per interval.
+   * The execution of an action consumes from its own buckets so that an action that was published and executed by an
+   * engine is only charged once per bucket.
+   * @example
+   * await $engine.consumeActionRateLimitToken('CreateResource', originUserID, { intervalInMillisecond: 1000, tokenCount: 10 });
+   *
+   * @argument {String} actionName
+   * @argument {String} originUserID
+   * @argument {actionRateLimit} [actionRateLimit]
+   * @argument {Object} [options]
+   * @argument {Boolean} [options.isExecution=false]
+   *
+   * @returns {Promise<void>}
+   *
+   * @throws Will throw a `RateLimitedNucleusError` if any of the buckets is empty.
+   */
+  async consumeActionRateLimitToken (actionName, originUserID, actionRateLimit, options = {}) {
+    /**
+     * @typedef {Object} actionRateLimit
+     * @property {Number} [intervalInMillisecond=1000]
+     * @property {Number} tokenCount - The number of actions allowed per interval.
+     */
+    const { isExecution = false } = options;
+    const bucketItemKeySuffix = (isExecution) ? `:${EXECUTION_RATE_LIMIT_BUCKET_ITEM_KEY_SUFFIX}` : '';
+    const bucketArgumentList = [ [ actionRateLimit, `${ACTION_RATE_LIMIT_BUCKET_ITEM_KEY_PREFIX}:${actionName}:${originUserID}${bucketItemKeySuffix}` ], [ this.originUserRateLimit, `${ORIGIN_USER_RATE_LIMIT_BUCKET_ITEM_KEY_PREFIX}:${originUserID}${bucketItemKeySuffix}` ] ]
+      .filter(([ rateLimit ]) => !nucleusValidator.isEmpty(rateLimit))
+      .reduce((accumulator, [ { intervalInMillisecond = 1000, tokenCount }, bucketItemKey ]) => accumulator.concat([ bucketItemKey, tokenCount, intervalInMillisecond ]), []);
+
+    if (bucketArgumentList.length === 0) return;
+
+    const retryAfterInMillisecond = await this.$actionDatastore.evaluateLUAScriptByName('ConsumeRateLimitTokens', Date.now(), ...bucketArgumentList);
+
+    if (retryAfterInMillisecond > 0) throw new NucleusError.RateLimitedNucleusError(`The action "${actionName}" can't be published by "${originUserID}" for another ${retryAfterInMillisecond}ms.`, { actionName, originUserID, retryAfterInMillisecond });
+  }
+
+  /**
+   * Continues a saga from its current step: the steps are executed in order and, if a step fails, the compensating
+   * actions of the steps that were completed are executed in reverse order.
+   * The state of the saga is stored after every step so that it can be resumed by another engine.
+   *
+   * @argument {saga} saga
+   *
+   * @returns {Promise<{ sagaID: String, stepResponseList: Object[] }>}
+   *
+   * @throws Will reject with a `SagaFailedNucleusError` if the saga was compensated or if it could not be compensated.
+   */
+  async continueSaga (saga) {
+    const { ID: sagaID, meta: { correlationID }, name: sagaName, originUserID } = saga;
+    const { stepList } = this.$$sagaDefinitionBySagaName[sagaName];
+    const generateSagaContext = () => ({ sagaID, sagaMessage: saga.message, stepResponseList: saga.stepResponseList });
+
+    while (saga.status === ProcessingSagaStatus && saga.stepIndex < stepList.length) {
+      const { actionName, generateActionMessage } = stepList[saga.stepIndex];
+
+      try {
+        const actionMessage = (nucleusValidator.isFunction(generateActionMessage)) ? generateActionMessage(generateSagaContext()) : saga.message;
+        // The idempotency key attaches a resumed saga to the action that was published before the interruption.
+        const actionResponse = await this.publishActionByNameAndHandleResponse(actionName, actionMessage, { correlationID, idempotencyKey: `${SAGA_ITEM_KEY_PREFIX}:${sagaID}:${saga.stepIndex}`, originUserID });
+
+        saga.stepResponseList.push(actionResponse);
+        saga.stepIndex++;
+      } catch (error) {
+        this.$logger.warn(`The saga "${sagaName} (${sagaID})" failed at the step "${actionName}" because of an error: ${error}; compensating...`, { correlationID, sagaID, sagaName });
+
+        saga.error = { message: error.message, name: error.name };
+        saga.failedActionName = actionName;
+        saga.status = CompensatingSagaStatus;
+        saga.stepIndex--;
+      }
+
+      await this.storeSaga(saga);
+    }
+
+    while (saga.status === CompensatingSagaStatus && saga.stepIndex >= 0) {
+      const { compensatingActionName, generateCompensatingActionMessage } = stepList[saga.stepIndex];
+      const stepResponse = saga.stepResponseList[saga.stepIndex];
+
+      if (!!compensatingActionName) {
+        try {
+          const actionMessage = (nucleusValidator.isFunction(generateCompensatingActionMessage)) ? generateCompensatingActionMessage(generateSagaContext(), stepResponse) : stepResponse;
+
+          await this.publishActionByNameAndHandleResponse(compensatingActionName, actionMessage, { correlationID, idempotencyKey: `${SAGA_ITEM_KEY_PREFIX}:${sagaID}:${saga.stepIndex}:Compensation`, originUserID });
+        } catch (error) {
+          this.$logger.error(`The saga "${sagaName} (${sagaID})" could not be compensated at the step "${compensatingActionName}": ${error}`, { correlationID, sagaID, sagaName });
+
+          saga.compensationError = { message: error.message, name: error.name };
+          saga.status = FailedSagaStatus;
+
+          break;
+        }
+      }
+
+      saga.stepIndex--;
+
+      await this.storeSaga(saga);
+    }
+
+    if (saga.status === ProcessingSagaStatus) saga.status = CompletedSagaStatus;
+    if (saga.status === CompensatingSagaStatus) saga.status = CompensatedSagaStatus;
+
+    await this.storeSaga(saga);
+
+    if (saga.status === CompletedSagaStatus) {
+      this.$logger.debug(`The saga "${sagaName} (${sagaID})" has been completed.`, { correlationID, sagaID, sagaName });
+
+      return { sagaID, stepResponseList: saga.stepResponseList };
+    }
+
+    throw new NucleusError.SagaFailedNucleusError(`The saga "${sagaName} (${sagaID})" failed at the step "${saga.failedActionName}" and was ${(saga.status === CompensatedSagaStatus) ? 'compensated' : 'not fully compensated'}: ${saga.error.message}`, { correlationID, sagaID, sagaName, sagaStatus: saga.status });
+  }
+
+  /**
+   * Creates a webhook subscription; the events published to its channels are posted to its URL by the engines that
+   * deliver the webhooks. Every request is signed with the subscription's secret, see
+   * `NucleusEngine.generateWebhookSignature`.
+   * @example
+   * const { webhookSubscription } = await $engine.publishActionByNameAndHandleResponse('CreateWebhookSubscription', {
+   *   webhookSubscriptionAttributes: { channelNameList: [ 'DummyCreated', 'DummyRemoved' ], URL: 'https://example.com/webhook' }
+   * }, originUserID);
+   *
+   * @argument {Object} webhookSubscriptionAttributes
+   * @argument {String[]} webhookSubscriptionAttributes.channelNameList
+   * @argument {String} [webhookSubscriptionAttributes.secret] - A random secret is generated if omitted.
+   * @argument {String} webhookSubscriptionAttributes.URL - An HTTP or HTTPS URL.
+   * @argument {String} originUserID
+   *
+   * @returns {Promise<{ webhookSubscription: webhookSubscription }>}
+   *
+   * @throws Will throw an error if the channel name list is empty or if the URL is not an HTTP or HTTPS URL.
+   * @throws Will throw an error if the host of the URL is not allowed by the engine or is a private address the engine does not allow.
+   */
+  async createWebhookSubscription (webhookSubscriptionAttributes, originUserID) {
+    /**
+     * @typedef {Object} webhookSubscription
+     * @property {String[]} channelNameList
+     * @property {String} createdISOTime
+     * @property {String} ID
+     * @property {String} originUserID
+     * @property {String} [secret] - Only returned once the subscription is created.
+     * @property {String} URL
+     */
+    const { channelNameList, secret = crypto.randomBytes(32).toString('hex'), URL: webhookURL } = webhookSubscriptionAttributes || {};
+
+    if (!nucleusValidator.isArray(channelNameList) || nucleusValidator.isEmpty(channelNameList) || !channelNameList.every(nucleusValidator.isString)) throw new NucleusError.UnexpectedValueTypeNucleusError("The channel name list must be a list of strings.");
+    if (!nucleusValidator.isString(webhookURL) || ![ 'http:', 'https:' ].includes(url.parse(webhookURL).protocol)) throw new NucleusError.UnexpectedValueNucleusError(`The webhook URL "${webhookURL}" is not an HTTP or HTTPS URL.`);
+    if (!nucleusValidator.isString(secret) || nucleusValidator.isEmpty(secret)) throw new NucleusError.UnexpectedValueTypeNucleusError("The webhook secret must be a string.");
+    if (!NucleusWebhook.hostIsAllowed(webhookURL, this.webhookHostAllowList, this.webhookHostDenyList)) throw new NucleusError.UnexpectedValueNucleusError(`The host of the webhook URL "${webhookURL}" is not allowed.`);
+    // The address a host name resolves to is only verified when the webhook is posted to.
+    if (!this.webhookAllowPrivateAddresses && NucleusWebhook.addressIsPrivate(url.parse(webhookURL).hostname)) throw new NucleusError.UnexpectedValueNucleusError(`The webhook URL "${webhookURL}" is a private address.`);
+
+    const webhookSubscription = { channelNameList, createdISOTime: new Date().toISOString(), ID: uuid.v1(), originUserID, secret, URL: webhookURL };
+
+    await this.$datastore.addItemToHashFieldByName(WEBHOOK_SUBSCRIPTION_BY_ID_TABLE_NAME, webhookSubscription.ID, webhookSubscription);
+
+    await this.publishEventToChannelByName(WebhookSubscriptionCreatedEventName, new NucleusEvent(WebhookSubscriptionCreatedEventName, { webhookSubscriptionID: webhookSubscription.ID }, { originEngineID: this.ID, originEngineName: this.name, originUserID }), { transport: PubSubEventTransport });
+
+    this.$logger.info(`The webhook subscription "${webhookSubscription.ID}" has been created.`, { channelNameList, originUserID, webhookSubscriptionID: webhookSubscription.ID });
+
+    return { webhookSubscription };
+  }
+
+  /**
+   * Defines a saga given its name and a list of steps. Every step names an action and, optionally, the action that
+   * compensates it if a later step fails.
+   * The definition is kept by the engine; an engine must define a saga to be able to resume it.
+   * @example
+   * $engine.defineSaga('CreateOrganizationWithOwner', [
+   *   {
+   *     actionName: 'CreateOrganization',
+   *     compensatingActionName: 'RemoveOrganizationByID',
+   *     generateActionMessage: ({ sagaMessage }) => ({ organizationAttributes: sagaMessage.organizationAttributes }),
+   *     generateCompensatingActionMessage: (sagaContext, { organization }) => ({ organizationID: organization.ID })
+   *   },
+   *   {
+   *     actionName: 'CreateUser',
+   *     generateActionMessage: ({ sagaMessage, stepResponseList: [ { organization } ] }) => ({ organizationID: organization.ID, userAttributes: sagaMessage.userAttributes })
+   *   }
+   * ]);
+   *
+   * @argument {String} sagaName
+   * @argument {sagaStep[]} stepList
+   *
+   * @throws Will throw an error if the saga name is not a string.
+   * @throws Will throw an error if the step list is empty or if a step doesn't name an action.
+   */
+  defineSaga (sagaName, stepList) {
+    /**
+     * @typedef {Object} sagaStep
+     * @property {String} actionName
+     * @property {String} [compensatingActionName]
+     * @property {Function} [generateActionMessage] - Generates the action message given the saga context; defaults to the saga message.
+     * @property {Function} [generateCompensatingActionMessage] - Generates the compensating action message given the saga context and the step response; defaults to the step response.
+     */
+    if (!nucleusValidator.isString(sagaName) || nucleusValidator.isEmpty(sagaName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The saga name must be a string.");
+    if (!nucleusValidator.isArray(stepList) || nucleusValidator.isEmpty(stepList)) throw new NucleusError.UnexpectedValueTypeNucleusError(`The saga "${sagaName}" must have at least one step.`);
+
+    stepList
+      .forEach(({ actionName, compensatingActionName }) => {
+        if (!nucleusValidator.isString(actionName)) throw new NucleusError.UnexpectedValueTypeNucleusError(`Every step of the saga "${sagaName}" must have an action name.`);
+        if (!!compensatingActionName && !nucleusValidator.isString(compensatingActionName)) throw new NucleusError.UnexpectedValueTypeNucleusError(`The compensating action name of the step "${actionName}" must be a string.`);
+      });
+
+    this.$$sagaDefinitionBySagaName[sagaName] = { sagaName, stepList };
+  }
+
+  /**
+   * Delivers an event to a webhook subscription by posting it as JSON to its URL.
+   * The request has the headers `X-Nucleus-Delivery-ID`, `X-Nucleus-Event-ID`, `X-Nucleus-Event-Name`,
+   * `X-Nucleus-Signature` and `X-Nucleus-Timestamp`. A delivery is successful once the webhook answers with a 2xx status
+   * code; otherwise it is stored to be attempted again following the engine's `webhookRetryPolicy`, see
+   * `NucleusEngine#retryAllDueWebhookDeliveries`. Every attempt is recorded.
+   *
+   * @argument {webhookSubscription} webhookSubscription
+   * @argument {NucleusEvent} $event
+   *
+   * @returns {Promise<{ attemptCount: Number, deliveryID: String, deliveryWillBeRetried: Boolean, status: String }>}
+   */
+  deliverEventToWebhookSubscription (webhookSubscription, $event) {
+    /**
+     * @typedef {Object} webhookDelivery
+     * @property {Number} attemptCount
+     * @property {String} body
+     * @property {String} [correlationID]
+     * @property {String} deliveryID
+     * @property {String} eventID
+     * @property {String} eventName
+     * @property {String} webhookSubscriptionID
+     */
+    const { ID: eventID, meta: { correlationID }, name: eventName } = $event;
+    const webhookDelivery = { attemptCount: 1, body: JSON.stringify($event), correlationID, deliveryID: uuid.v1(), eventID, eventName, webhookSubscriptionID: webhookSubscription.ID };
+
+    return attemptWebhookDelivery(this, webhookSubscription, webhookDelivery);
   }
 
   /**
@@ -278,6 +1027,31 @@ class NucleusEngine extends NucleusDeferredClassProxy {
    */
   async destroy () {
     const $datastoreList = [this.$actionDatastore, this.$engineDatastore, this.$eventDatastore, this.$eventSubscriberDatastore];
+    const eventStreamSubscriptionByChannelName = this.$$eventStreamSubscriptionByChannelName;
+
+    this.$$intervalList.forEach(clearInterval);
+    // Stops the event stream consumers.
+    this.$$eventStreamSubscriptionByChannelName = {};
+    // Stops retrying the webhook deliveries.
+    this.$$webhookSubscriptionByID = {};
+
+    if (!!this.$$HTTPServer) this.$$HTTPServer.close();
+
+    if (!!this.$$processSignalHandler) {
+      process.removeListener('SIGINT', this.$$processSignalHandler);
+      process.removeListener('SIGTERM', this.$$processSignalHandler);
+    }
+
+    await Promise.all(Object.keys(eventStreamSubscriptionByChannelName)
+      .filter((channelName) => eventStreamSubscriptionByChannelName[channelName].consumerGroupIsTransient)
+      .map((channelName) => {
+        const { consumerGroupName } = eventStreamSubscriptionByChannelName[channelName];
+
+        return destroyEventStreamConsumerGroup(this, channelName, consumerGroupName)
+          .catch((error) => {
+            this.$logger.warn(`Could not remove the consumer group "${consumerGroupName}" of the channel "${channelName}" because of an error: ${error}`, { channelName, consumerGroupName, engineID: this.ID, engineName: this.name });
+          });
+      }));
 
     Object.keys(this.$handlerDatastoreByName)
       .forEach((datastoreName) => {
@@ -297,6 +1071,21 @@ class NucleusEngine extends NucleusDeferredClassProxy {
       });
   }
 
+  /**
+   * Elects the engine as the leader of the action scheduler if there is no leader or renews its leadership if it is
+   * already the leader. The leadership expires if it isn't renewed within three scheduler intervals.
+   *
+   * @returns {Promise<{ isLeader: Boolean }>}
+   */
+  electActionSchedulerLeader () {
+
+    return this.$actionDatastore.evaluateLUAScriptByName('ElectActionSchedulerLeader', ACTION_SCHEDULER_LEADER_ITEM_KEY, this.ID, this.actionSchedulerInterval * 3)
+      .then((isLeader) => {
+
+        return { isLeader: !!isLeader };
+      });
+  }
+
   /**
    * Executes a pending action.
    *
@@ -307,13 +1096,20 @@ class NucleusEngine extends NucleusDeferredClassProxy {
   async executeAction ($action) {
     const { ID: actionID, meta: { correlationID = uuid.v4(), originUserID = $action.meta.authorUserID }, name: actionName, originalMessage: actionMessage, } = $action;
     const actionItemKey = $action.generateOwnItemKey();
+    const executionStartTime = Date.now();
+    let actionConfiguration;
 
     try {
       // Retrieve the action configuration.
-      const actionConfiguration = await this.retrieveActionConfigurationByActionName(actionName);
+      actionConfiguration = await this.retrieveActionConfigurationByActionName(actionName);
 
       if (nucleusValidator.isEmpty(actionConfiguration)) throw new NucleusError.UndefinedContextNucleusError(`Could not retrieve the configuration for action "${actionName}".`, { actionID, actionName });
 
+      // The rate limit is re-checked against the execution buckets whichever way the action was published.
+      await this.consumeActionRateLimitToken(actionName, originUserID, actionConfiguration.actionRateLimit, { isExecution: true });
+
+      if (!!this.actionCircuitBreakerPolicy) this.verifyActionCircuitBreaker($action);
+
       this.$logger.info(`Executing action "${actionName} (${actionID})"...`, { actionID, actionName, correlationID, originUserID });
 
       $action.updateStatus(NucleusAction.ProcessingActionStatus);
@@ -358,16 +1154,21 @@ class NucleusEngine extends NucleusDeferredClassProxy {
 
           const fulfilledActionSignature = this.fulfilActionSignature($action, Object.assign({ originUserID }, parsedExtendableActionArgumentDefault, actionMessage), actionSignatureList, argumentConfigurationByArgumentName, parsedExtendableActionArgumentDefault);
 
-          return this.executeMethodInContext($action, Object.assign({ originUserID }, parsedExtendableActionArgumentDefault, actionMessage), fulfilledActionSignature, contextName, filePath, methodName)
+          return this.executeActionMiddlewareChain(
+            { $action, actionConfiguration, actionMessage: Object.assign({ originUserID }, parsedExtendableActionArgumentDefault, actionMessage), actionSignature: fulfilledActionSignature },
+            ({ actionMessage, actionSignature }) => this.executeMethodInContext($action, actionMessage, actionSignature, contextName, filePath, methodName)
+          )
+            .then(this.validateActionResponse.bind(this, $action, actionConfiguration.actionResponseStructure))
+            .then(this.streamActionResponse.bind(this, $action))
             .then((actionResponse) => {
               if (!extendableEventName) return actionResponse;
 
               const eventName = NucleusEngine.parseTemplateString.call(this, actionToExtendContext, extendableEventName);
-              const $event = new NucleusEvent(eventName, actionResponse, { correlationID, originEngineID: this.ID, originEngineName: this.name, originProcessID: process.pid, originUserID });
+              const $event = new NucleusEvent(eventName, actionResponse, { correlationID, originEngineID: this.ID, originEngineName: this.name, originProcessID: process.pid, originUserID, parentSpanID: $action.meta.spanID, traceID: $action.meta.traceID });
 
-              this.publishEventToChannelByName(eventName, $event);
-
-              return actionResponse;
+              // The action fails if its event can't be published, like when its message does not match its schema.
+              return this.publishEventToChannelByName(eventName, $event)
+                .return(actionResponse);
             });
         } else {
           const { argumentConfigurationByArgumentName = {}, actionSignature = [], actionAlternativeSignature, contextName = '',  eventName, filePath = '', methodName = '' } = actionConfiguration;
@@ -375,15 +1176,20 @@ class NucleusEngine extends NucleusDeferredClassProxy {
           // Make sure that the message meets one of the proposed signature criteria.
           const fulfilledActionSignature = this.fulfilActionSignature($action, Object.assign({ originUserID }, actionMessage), [ actionSignature, actionAlternativeSignature ], argumentConfigurationByArgumentName);
 
-          return this.executeMethodInContext($action, Object.assign({ originUserID }, actionMessage), fulfilledActionSignature, contextName, filePath, methodName)
+          return this.executeActionMiddlewareChain(
+            { $action, actionConfiguration, actionMessage: Object.assign({ originUserID }, actionMessage), actionSignature: fulfilledActionSignature },
+            ({ actionMessage, actionSignature }) => this.executeMethodInContext($action, actionMessage, actionSignature, contextName, filePath, methodName)
+          )
+            .then(this.validateActionResponse.bind(this, $action, actionConfiguration.actionResponseStructure))
+            .then(this.streamActionResponse.bind(this, $action))
             .then((actionResponse) => {
               if (!eventName) return actionResponse;
 
-              const $event = new NucleusEvent(eventName, actionResponse, { correlationID, originEngineID: this.ID, originEngineName: this.name, originProcessID: process.pid, originUserID });
-
-              this.publishEventToChannelByName(eventName, $event);
+              const $event = new NucleusEvent(eventName, actionResponse, { correlationID, originEngineID: this.ID, originEngineName: this.name, originProcessID: process.pid, originUserID, parentSpanID: $action.meta.spanID, traceID: $action.meta.traceID });
 
-              return actionResponse;
+              // The action fails if its event can't be published, like when its message does not match its schema.
+              return this.publishEventToChannelByName(eventName, $event)
+                .return(actionResponse);
             });
         }
       }).call(this);
@@ -405,20 +1211,97 @@ class NucleusEngine extends NucleusDeferredClassProxy {
 
       this.$logger.debug(`The action "${actionName} (${actionID})" has been successfully executed.`, { actionID, actionName, correlationID, originUserID });
 
+      this.$metricsRegistry.incrementCounter('nucleus_executed_action_total', { action_name: actionName });
+
+      if (!!this.actionCircuitBreakerPolicy) await this.updateActionCircuitBreaker($action);
+
+      if (!!this.$spanExporter) await this.exportActionSpan($action, executionStartTime);
+
+      if (this.auditActions) await this.recordActionAuditEntry($action, Date.now() - executionStartTime);
+
       return Promise.resolve($action);
     } catch (error) {
-      if (!(error instanceof NucleusError)) error = new NucleusError(`The execution of the action "${actionName}" failed because of an external error: ${error}.`, { actionID, actionName, correlationID, error, originUserID });
+      // The name of the external error is kept so that the retry policy can refer to it.
+      if (!(error instanceof NucleusError)) error = new NucleusError(`The execution of the action "${actionName}" failed because of an external error: ${error}.`, { actionID, actionName, correlationID, error, originalErrorName: error.name, originUserID });
+
+      this.$metricsRegistry.incrementCounter('nucleus_failed_action_total', { action_name: actionName, error_name: error.name });
+
+      // Only the failures of the action itself count towards opening its circuit.
+      if (
+        !!this.actionCircuitBreakerPolicy &&
+        !(error instanceof NucleusError.CircuitOpenNucleusError) &&
+        !(error instanceof NucleusError.RateLimitedNucleusError)
+      ) await this.updateActionCircuitBreaker($action, error);
+
+      // Every attempt of the action is a span of its own.
+      if (!!this.$spanExporter) await this.exportActionSpan($action, executionStartTime, error);
+
+      const { actionRetryPolicy } = actionConfiguration || {};
+
+      // The action will be published again later if its retry policy allows it; the publisher keeps waiting meanwhile.
+      if (!nucleusValidator.isEmpty(actionRetryPolicy) && await this.retryActionWithBackoff($action, actionRetryPolicy, error)) return Promise.resolve($action);
 
       $action.updateStatus(NucleusAction.FailedActionStatus);
       $action.updateMessage({ error });
       await this.$actionDatastore.addItemToHashFieldByName(actionItemKey, 'meta', $action.meta.toString(), 'status', $action.status, 'finalMessage', $action.finalMessage);
 
+      if (!nucleusValidator.isEmpty(actionRetryPolicy)) {
+        await this.moveActionToDeadLetterQueue($action)
+          .catch((deadLetterError) => {
+            this.$logger.error(deadLetterError.message, { actionID, actionName, correlationID, originUserID });
+          });
+      }
+
+      if (this.auditActions) await this.recordActionAuditEntry($action, Date.now() - executionStartTime);
+
       return Promise.reject(error);
     }
   }
 
+  /**
+   * Executes the action middlewares in the order they were added around the execution of an action.
+   * Every middleware receives the action context and a `next` function that calls the next middleware, or the action's
+   * method for the last middleware, and resolves once it is done; the action response is then available as
+   * `context.actionResponse`.
+   *
+   * @argument {Object} actionContext
+   * @argument {NucleusAction} actionContext.$action
+   * @argument {actionConfiguration} actionContext.actionConfiguration
+   * @argument {Object} actionContext.actionMessage
+   * @argument {String[]} actionContext.actionSignature - The signature fulfilled by the action message.
+   * @argument {Function} executeAction - Called with the action context once every middleware called `next`.
+   *
+   * @returns {Promise<Object>} - The action response.
+   */
+  executeActionMiddlewareChain (actionContext, executeAction) {
+    const actionMiddlewareList = this.$$actionMiddlewareList;
+    let lastActionMiddlewareIndex = -1;
+
+    const executeActionMiddlewareByIndex = (actionMiddlewareIndex) => {
+      if (actionMiddlewareIndex <= lastActionMiddlewareIndex) return Promise.reject(new NucleusError.UnexpectedValueNucleusError("The `next` function was called more than once by an action middleware."));
+
+      lastActionMiddlewareIndex = actionMiddlewareIndex;
+
+      if (actionMiddlewareIndex === actionMiddlewareList.length) {
+
+        return Promise.resolve(executeAction(actionContext))
+          .then((actionResponse) => {
+            actionContext.actionResponse = actionResponse;
+          });
+      }
+
+      return Promise.try(() => actionMiddlewareList[actionMiddlewareIndex](actionContext, executeActionMiddlewareByIndex.bind(null, actionMiddlewareIndex + 1)));
+    };
+
+    return executeActionMiddlewareByIndex(0)
+      .then(() => actionContext.actionResponse);
+  }
+
   /**
    * Executes the action given its context.
+   * The actions published by a handler of the engine are children of the action in its trace.
+   * The handler can report its progress with the `$progress(percent, message)` function; it is available in the context
+   * of the handlers of an API file and as the `$progress` argument for any handler.
    *
    * @argument {NucleusAction} $action
    * @argument {String[]} actionSignature
@@ -429,11 +1312,13 @@ class NucleusEngine extends NucleusDeferredClassProxy {
    * @returns {Promise<Object>}
    */
   async executeMethodInContext($action, actionMessage, actionSignature, contextName, filePath, methodName) {
+    const $progress = this.updateActionProgress.bind(this, $action);
     const argumentList = actionSignature
       .reduce((accumulator, argumentName) => {
         if (argumentName === 'options' && !('options' in actionMessage)) accumulator.push(actionMessage);
         else if (argumentName === 'originUserID') accumulator.push($action.originUserID);
         else if (argumentName === 'correlationID') accumulator.push($action.meta.correlationID);
+        else if (argumentName === '$progress') accumulator.push($progress);
         else accumulator.push(actionMessage[argumentName]);
 
         return accumulator;
@@ -446,36 +1331,103 @@ class NucleusEngine extends NucleusDeferredClassProxy {
     if (nucleusValidator.isEmpty($executionContext[methodName])) throw new NucleusError.UndefinedContextNucleusError(`Could not execute the action ${$action.name} because the handler method could not be retrieved.`);
 
     const $augmentedLogger = NucleusEngine.augmentLogger(this.$logger, $action);
+    const [ startTimeInSecond, startTimeInNanosecond ] = process.hrtime();
 
-    const actionResponse = await $executionContext[methodName].apply((
-      // If the action is part of the current engine, the context of the method to execute will be `this`...
+    const actionResponse = await Promise.resolve($executionContext[methodName].apply((
+      // If the action is part of the current engine, the context of the method to execute will be `this`, the actions
+      // it publishes are part of the action's trace...
       (contextName === 'Self')) ?
-      this :
+      generateTracedEngineProxy(this, $action) :
       // If the action is part of an external API file, the context will be either:
       // The local resource datastore, the local cache datastore and the local logger or...
       // The local resource datastore, the local cache datastore, the local logger and a relationship datastore, if available.
       (this.$resourceRelationshipDatastore) ?
-        {$datastore: this.$resourceDatastore, $logger: $augmentedLogger, $resourceDatastore: this.$resourceDatastore, $resourceCacheDatastore: this.$resourceCacheDatastore, $resourceRelationshipDatastore: this.$resourceRelationshipDatastore} :
-        {$datastore: this.$resourceDatastore, $logger: $augmentedLogger, $resourceDatastore: this.$resourceDatastore, $resourceCacheDatastore: this.$resourceCacheDatastore }
-        , argumentList);
+        {$datastore: this.$resourceDatastore, $logger: $augmentedLogger, $progress, $resourceDatastore: this.$resourceDatastore, $resourceCacheDatastore: this.$resourceCacheDatastore, $resourceRelationshipDatastore: this.$resourceRelationshipDatastore} :
+        {$datastore: this.$resourceDatastore, $logger: $augmentedLogger, $progress, $resourceDatastore: this.$resourceDatastore, $resourceCacheDatastore: this.$resourceCacheDatastore }
+        , argumentList))
+      .finally(() => {
+        const [ durationInSecond, durationInNanosecond ] = process.hrtime([ startTimeInSecond, startTimeInNanosecond ]);
+
+        this.$metricsRegistry.observeHistogram('nucleus_action_execution_duration_seconds', { action_name: $action.name }, durationInSecond + durationInNanosecond / 1e9);
+      });
 
     return actionResponse;
   }
 
   /**
-   * Fixes issues with the datastore; trying to normalize the data to avoid flushing everything when a change is made.
+   * Executes a saga given its name and a message. The saga is orchestrated by the engine, its state is stored in the
+   * action datastore so that another engine can resume it if this engine stops before the saga is completed.
+   * @example
+   * const { sagaID, stepResponseList: [ { organization }, { user } ] } = await $engine.executeSagaByName('CreateOrganizationWithOwner', { organizationAttributes, userAttributes }, originUserID);
    *
-   * @returns {Promise}
+   * @argument {String} sagaName
+   * @argument {Object} sagaMessage
+   * @argument {String|Object} options - The origin user ID or an object of options.
+   * @argument {String} [options.correlationID]
+   * @argument {String} options.originUserID
+   *
+   * @returns {Promise<{ sagaID: String, stepResponseList: Object[] }>}
+   *
+   * @throws Will throw an error if the saga is not defined.
+   * @throws Will reject with a `SagaFailedNucleusError` if the saga was compensated or if it could not be compensated.
    */
-  async fixDatastoreIssues() {
-    const staleActionEventList = await this.$eventDatastore.$$server.keysAsync('Action:*');
+  async executeSagaByName (sagaName, sagaMessage = {}, options = {}) {
+    const originUserID = (nucleusValidator.isObject(options)) ? options.originUserID : options;
+    const correlationID = (nucleusValidator.isObject(options)) ? options.correlationID : undefined;
 
-    if (staleActionEventList.length === 0) return;
-    // https://github.com/sebastienfilion/idex.nucleus/issues/3
-    // The issue was due to action event being expired but not the channel event set used to manage event control flow.
-    this.$logger.debug(`Removing old stale action channel ordered set. https://github.com/sebastienfilion/idex.nucleus/issues/3`);
-    await this.$eventDatastore.evaluateLUAScript(`
-local actionOrderedSetList = redis.call('KEYS', 'Action:*')
+    if (!this.$$sagaDefinitionBySagaName.hasOwnProperty(sagaName)) throw new NucleusError.UndefinedContextNucleusError(`The saga "${sagaName}" is not defined.`);
+    if (!nucleusValidator.isObject(sagaMessage)) throw new NucleusError.UnexpectedValueTypeNucleusError("The saga message must be an object.");
+    if (!originUserID) throw new NucleusError.UndefinedValueNucleusError("The origin user ID must be defined.");
+
+    /**
+     * @typedef {Object} saga
+     * @property {String} ID
+     * @property {Object} [compensationError]
+     * @property {Object} [error]
+     * @property {String} [failedActionName]
+     * @property {Object} message
+     * @property {Object} meta
+     * @property {String} name
+     * @property {String} originUserID
+     * @property {String} status
+     * @property {Number} stepIndex - The index of the current step, or of the step to compensate.
+     * @property {Object[]} stepResponseList
+     */
+    const saga = {
+      ID: uuid.v4(),
+      message: sagaMessage,
+      meta: { correlationID, createdISOTime: new Date().toISOString(), originEngineID: this.ID, originEngineName: this.name },
+      name: sagaName,
+      originUserID,
+      status: ProcessingSagaStatus,
+      stepIndex: 0,
+      stepResponseList: []
+    };
+
+    await Promise.all([
+      this.storeSaga(saga),
+      this.$actionDatastore.addItemToHashFieldByName(`${SAGA_ENGINE_ID_BY_SAGA_ID_TABLE_NAME_PREFIX}:${sagaName}`, saga.ID, this.ID)
+    ]);
+
+    this.$logger.debug(`Executing the saga "${sagaName} (${saga.ID})"...`, { correlationID, sagaID: saga.ID, sagaName });
+
+    return this.continueSaga(saga);
+  }
+
+  /**
+   * Fixes issues with the datastore; trying to normalize the data to avoid flushing everything when a change is made.
+   *
+   * @returns {Promise}
+   */
+  async fixDatastoreIssues() {
+    const staleActionEventList = await this.$eventDatastore.$$server.keysAsync('Action:*');
+
+    if (staleActionEventList.length === 0) return;
+    // https://github.com/sebastienfilion/idex.nucleus/issues/3
+    // The issue was due to action event being expired but not the channel event set used to manage event control flow.
+    this.$logger.debug(`Removing old stale action channel ordered set. https://github.com/sebastienfilion/idex.nucleus/issues/3`);
+    await this.$eventDatastore.evaluateLUAScript(`
+local actionOrderedSetList = redis.call('KEYS', 'Action:*')
 
 for index, itemKey in pairs(actionOrderedSetList) do
   redis.call('DEL', itemKey)
@@ -504,6 +1456,7 @@ end
             if (argumentName === 'options') accumulator.push(argumentName);
             else if (argumentName === 'originUserID') accumulator.push(argumentName);
             else if (argumentName === 'correlationID') accumulator.push(argumentName);
+            else if (argumentName === '$progress') accumulator.push(argumentName);
             else if (actionMessageArgumentList.includes(argumentName)) accumulator.push(argumentName);
 
             return accumulator;
@@ -522,7 +1475,7 @@ end
       // Use the argument configuration object to validate the action's message property types.
       const validateActionArgument = nucleusValidator.struct(Object.keys(argumentConfigurationByArgumentName)
         .reduce((accumulator, argumentName) => {
-          if (fulfilledActionSignature.includes(argumentName)) accumulator[argumentName] = argumentConfigurationByArgumentName[argumentName];
+          if (fulfilledActionSignature.includes(argumentName) && argumentName !== '$progress') accumulator[argumentName] = argumentConfigurationByArgumentName[argumentName];
 
           return accumulator;
         }, {}));
@@ -539,6 +1492,50 @@ end
     return fulfilledActionSignature;
   }
 
+  /**
+   * Exports the span of an action's execution to the span exporter.
+   * An error while exporting is only logged; it never fails the action.
+   *
+   * @argument {NucleusAction} $action
+   * @argument {Number} startTime - The time in milliseconds the execution started at.
+   * @argument {NucleusError} [error] - The error of the execution, if it failed.
+   *
+   * @returns {Promise<span|undefined>}
+   */
+  exportActionSpan ($action, startTime, error) {
+    /**
+     * @typedef {Object} span
+     * @property {Object} attributes
+     * @property {Number} endTime
+     * @property {Object} [error]
+     * @property {String} name
+     * @property {String} [parentSpanID]
+     * @property {String} spanID
+     * @property {Number} startTime
+     * @property {String} statusCode - `Ok` or `Error`.
+     * @property {String} traceID
+     */
+    const { ID: actionID, meta: { attemptCount = 1, correlationID, originUserID = $action.meta.authorUserID, parentSpanID, spanID, traceID }, name: actionName } = $action;
+    const span = {
+      attributes: { actionID, actionName, attemptCount, correlationID, engineID: this.ID, engineName: this.name, originUserID },
+      endTime: Date.now(),
+      name: actionName,
+      parentSpanID,
+      spanID,
+      startTime,
+      statusCode: (!!error) ? 'Error' : 'Ok',
+      traceID
+    };
+
+    if (!!error) span.error = { message: error.message, name: error.name };
+
+    return Promise.try(() => this.$spanExporter.export(span))
+      .then(() => span)
+      .catch((error) => {
+        this.$logger.warn(`Could not export the span of the action "${actionName} (${actionID})" because of an error: ${error}`, { actionID, actionName, correlationID });
+      });
+  }
+
   /**
    * Generates a Resource Model from a resource structure given the resource type.
    *
@@ -552,42 +1549,154 @@ end
     return NucleusResource.bind(null, resourceType, propertiesByArgumentName);
   }
 
+  /**
+   * Moves an action that exhausted its retry policy to the dead letter queue of its action queue.
+   * The action is stored as a whole so it can be inspected and replayed after the action item has expired.
+   *
+   * @argument {NucleusAction} $action
+   *
+   * @returns {Promise<{ deadLetterActionQueueName: String, $action: NucleusAction }>}
+   */
+  async moveActionToDeadLetterQueue ($action) {
+    const { ID: actionID, meta: { correlationID }, name: actionName } = $action;
+    const actionQueueName = await this.retrieveActionQueueNameByActionName(actionName);
+
+    if (!nucleusValidator.isString(actionQueueName)) throw new NucleusError.UndefinedContextNucleusError(`Could not move the action "${actionName} (${actionID})" to a dead letter queue because its action queue couldn't be retrieved.`, { actionID, actionName });
+
+    const deadLetterActionQueueName = NucleusEngine.generateDeadLetterActionQueueName(actionQueueName);
+
+    this.$logger.warn(`Moving the action "${actionName} (${actionID})" to the dead letter queue "${deadLetterActionQueueName}"...`, { actionID, actionName, correlationID, deadLetterActionQueueName });
+
+    await this.$actionDatastore.$$server.lpushAsync(deadLetterActionQueueName, JSON.stringify($action));
+
+    return { deadLetterActionQueueName, $action };
+  }
+
   /**
    * Subscribes and handles an event given a channel name.
+   * With the `competing` delivery, every consumer group receives each event of the channel once and the engines of a
+   * consumer group share the events; by default, the consumer group is the engine's name so that every type of engine
+   * receives each event while the replicas of an engine share the load. With the `broadcast` delivery, every engine
+   * receives each event.
+   * With the stream transport, a consumer group also receives the events published while none of its engines was
+   * running. An event is acknowledged once every handler callback is done; otherwise it is reclaimed after the
+   * `eventStreamClaimTimeout`. With the `broadcast` delivery, the engine is its own consumer group: by default, it is
+   * named after the engine's ID and it is removed once the engine unsubscribes or is destroyed, so the events published
+   * while the engine was not running are never received. A replica that must receive them once it restarts uses a stable
+   * consumer group name, like its host name; that consumer group is kept until it is removed from the stream.
+   * @example
+   * await $engine.subscribeAndHandleEventByChannelName('DummyCreated', ($event) => {}, { transport: NucleusEngine.StreamEventTransport });
+   * // Every replica of the engine invalidates its own cache.
+   * await $engine.subscribeAndHandleEventByChannelName('DummyUpdated', ($event) => {}, { delivery: NucleusEngine.BroadcastEventDelivery });
    *
    * @argument {String} channelName
    * @argument {Function} handlerCallback
+   * @argument {Object} [options]
+   * @argument {String} [options.consumerGroupName=<Engine's name>] - The consumer group sharing the events of the `competing` delivery, or the engine's own consumer group of the `broadcast` delivery which defaults to the engine's ID.
+   * @argument {String} [options.delivery='competing'] - `broadcast` or `competing`.
+   * @argument {String} [options.transport=this.eventTransport] - `PubSub` or `Stream`.
    *
-   * @returns {Promise<Object>}
+   * @returns {Promise<{ channelName: String, consumerGroupName: String, delivery: String }>} - Resolves once the engine is subscribed to the channel.
+   *
+   * @throws Will throw an error if the delivery is not a valid event delivery.
    */
-  subscribeAndHandleEventByChannelName (channelName, handlerCallback) {
+  subscribeAndHandleEventByChannelName (channelName, handlerCallback, options = {}) {
+    const { delivery = CompetingEventDelivery, transport = this.eventTransport } = options;
+
+    if (![ BroadcastEventDelivery, CompetingEventDelivery ].includes(delivery)) throw new NucleusError.UnexpectedValueNucleusError(`The event delivery "${delivery}" is not a valid event delivery.`);
+
+    // Every engine is its own consumer group when the events are broadcast.
+    const consumerGroupName = options.consumerGroupName || ((delivery === BroadcastEventDelivery) ? this.ID : this.name);
+
+    if (transport === StreamEventTransport) {
+      if (!this.$$eventStreamSubscriptionByChannelName.hasOwnProperty(channelName)) {
+        // Nobody else will ever consume the events of a consumer group named after the engine's ID.
+        const consumerGroupIsTransient = delivery === BroadcastEventDelivery && !options.consumerGroupName;
+        const $$eventStreamSubscription = { consumerGroupIsTransient, consumerGroupName, delivery, handlerCallbackList: [] };
+
+        this.$$eventStreamSubscriptionByChannelName[channelName] = $$eventStreamSubscription;
+
+        $$eventStreamSubscription.$$promise = createEventStreamConsumerGroup(this, channelName, consumerGroupName)
+          .then(() => {
+            consumeEventStream(this, channelName, $$eventStreamSubscription);
+
+            $$eventStreamSubscription.$$reclaimInterval = setInterval(() => {
+              this.reclaimPendingEventsByChannelName(channelName)
+                .catch((error) => {
+                  this.$logger.warn(`Could not reclaim the pending events of the channel "${channelName}" because of an error: ${error}`, { channelName, consumerGroupName, engineID: this.ID, engineName: this.name });
+                });
+            }, this.eventStreamClaimTimeout);
+
+            this.$$intervalList.push($$eventStreamSubscription.$$reclaimInterval);
+          });
+      }
+
+      const $$eventStreamSubscription = this.$$eventStreamSubscriptionByChannelName[channelName];
+
+      $$eventStreamSubscription.handlerCallbackList.push(handlerCallback);
+
+      return $$eventStreamSubscription.$$promise.return({ channelName, consumerGroupName: $$eventStreamSubscription.consumerGroupName, delivery: $$eventStreamSubscription.delivery });
+    }
+
     if (!this.eventHandlerByChannelName.hasOwnProperty(channelName)) {
       this.eventHandlerByChannelName[channelName] = [];
-      this.$eventSubscriberDatastore.subscribeToChannelName(channelName);
+      this.$$eventSubscriptionPromiseByChannelName[channelName] = this.$eventSubscriberDatastore.subscribeToChannelName(channelName);
+
+      this.$eventSubscriberDatastore.handleEventByChannelName(channelName, ($event) => {
 
-      this.$eventSubscriberDatastore.handleEventByChannelName(channelName, async ($event) => {
-        const { meta: { correlationID } } = $event;
-        const timestamp = Date.now();
-        // Keep the event referenced for 5 minutes...
-        const eventTTL = 1000 * 60 * 5;
-        const eventItemKey = (correlationID) ? NucleusResource.generateItemKey($event.type, $event.name, correlationID) : $event.generateOwnItemKey();
-        const [ eventWasHandled ] = await this.$engineDatastore.evaluateLUAScriptByName('HandleEventQueuing', 'HandledEventItemKeyList', timestamp, timestamp + eventTTL, eventItemKey);
+        return dispatchEventToSubscriptionList(this, $event, this.eventHandlerByChannelName[channelName], HANDLED_EVENT_ITEM_KEY_LIST_ITEM_KEY_PREFIX, [ $event ]);
+      });
+    }
 
-        if (!!eventWasHandled) return;
+    this.eventHandlerByChannelName[channelName].push({ consumerGroupName, delivery, handlerCallback });
 
-        this.eventHandlerByChannelName[channelName]
-          .map((handlerCallback) => {
+    return this.$$eventSubscriptionPromiseByChannelName[channelName].return({ channelName, consumerGroupName, delivery });
+  }
 
-            return handlerCallback.call(this, $event);
-          });
+  /**
+   * Subscribes and handles the events published to every channel matching a pattern.
+   * The events are delivered like for a channel name. The handler callbacks are called with the event and the name of
+   * its channel.
+   * @example
+   * // Handles every event generated from the `ExtendableEventName` tag, whatever the resource type.
+   * $engine.subscribeAndHandleEventByChannelPattern('*ByIDArchived', ($event, channelName) => {});
+   *
+   * @argument {String} channelPattern - A glob-style pattern; `*` matches any sequence of characters.
+   * @argument {Function} handlerCallback
+   * @argument {Object} [options]
+   * @argument {String} [options.consumerGroupName=<Engine's name>] - The consumer group sharing the events of the `competing` delivery.
+   * @argument {String} [options.delivery='competing'] - `broadcast` or `competing`.
+   *
+   * @returns {Promise<{ channelPattern: String, consumerGroupName: String, delivery: String }>} - Resolves once the engine is subscribed to the channel pattern.
+   *
+   * @throws Will throw an error if the delivery is not a valid event delivery.
+   */
+  subscribeAndHandleEventByChannelPattern (channelPattern, handlerCallback, options = {}) {
+    if (!nucleusValidator.isString(channelPattern)) throw new NucleusError.UnexpectedValueTypeNucleusError("The channel pattern must be a string.");
+
+    const { consumerGroupName = this.name, delivery = CompetingEventDelivery } = options;
+
+    if (![ BroadcastEventDelivery, CompetingEventDelivery ].includes(delivery)) throw new NucleusError.UnexpectedValueNucleusError(`The event delivery "${delivery}" is not a valid event delivery.`);
+
+    if (!this.eventHandlerByChannelPattern.hasOwnProperty(channelPattern)) {
+      this.eventHandlerByChannelPattern[channelPattern] = [];
+      this.$$eventSubscriptionPromiseByChannelPattern[channelPattern] = this.$eventSubscriberDatastore.subscribeToChannelPattern(channelPattern);
+
+      this.$eventSubscriberDatastore.handleEventByChannelPattern(channelPattern, (channelName, $event) => {
+
+        // The events handled through a pattern are tracked apart so that they can also be handled by channel name.
+        return dispatchEventToSubscriptionList(this, $event, this.eventHandlerByChannelPattern[channelPattern], `${HANDLED_EVENT_ITEM_KEY_LIST_ITEM_KEY_PREFIX}:${channelPattern}`, [ $event, channelName ]);
       });
     }
 
-    this.eventHandlerByChannelName[channelName].push(handlerCallback);
+    this.eventHandlerByChannelPattern[channelPattern].push({ consumerGroupName, delivery, handlerCallback });
+
+    return this.$$eventSubscriptionPromiseByChannelPattern[channelPattern].return({ channelPattern, consumerGroupName, delivery });
   }
 
   /**
    * Publishes an action given a queue name.
+   * The action is pushed to the list of the action queue that matches its priority.
    * @example
    * const queueName = 'Dummy';
    * const $action = new NucleusAction('DummyAction', {});
@@ -610,74 +1719,422 @@ end
 
     this.$logger.debug(`Publishing action "${actionName} (${actionID})" to action queue "${actionQueueName}"...`, { actionID, actionName, actionQueueName, correlationID });
 
-    const actionKeyName = $action.generateOwnItemKey();
-
-    $action.updateStatus(NucleusAction.PendingActionStatus);
-
-    return this.$actionDatastore.$$server.multi()
-      // Store the action as a hash item.
-      .hmset(actionKeyName, 'ID', actionID, 'meta', $action.meta.toString(), 'name', actionName, 'status', $action.status, 'originalMessage', $action.originalMessage.toString(), 'originUserID', $action.originUserID)
-      // Add the action key name into the appropriate action queue.
-      .lpush(actionQueueName, actionKeyName)
-      // Expire the action in a set TTL, the action should be kept a little while for debugging but not for too long to
-      // prevent unnecessary memory bulk-up.
-      .pexpire(actionKeyName, this.actionTTL)
+    return appendActionPublicationToTransaction(this.$actionDatastore.$$server.multi(), actionQueueName, $action, this.actionTTL)
       .execAsync()
       .tap(() => {
+        this.$metricsRegistry.incrementCounter('nucleus_published_action_total', { action_name: actionName });
+
         this.$logger.debug(`The action "${actionName} (${actionID})" has been successfully published.`, { actionID, actionName, actionQueueName, correlationID });
       })
       .return({ actionQueueName, $action });
   }
 
+  /**
+   * Publishes a batch of actions, then handle their responses. The actions are published in a single transaction and
+   * their responses are handled by a single subscriber; the promise resolves with the settled result of every action in
+   * the order of the batch, a failed action doesn't reject the batch.
+   * Every action is verified before it is published, as with `#publishActionByNameAndHandleResponse`: an action that is
+   * rate limited is rejected and a request with the idempotency key of an action is attached to that action.
+   * @example
+   * const settledResultList = await $engine.publishActionBatchAndHandleResponses(
+   *   dummyIDList.map((dummyID) => ({ actionName: 'RetrieveDummyByID', actionMessage: { dummyID } })),
+   *   { maxConcurrentActions: 50, originUserID, timeout: 1000 * 5 }
+   * );
+   *
+   * const dummyList = settledResultList
+   *   .filter(({ status }) => status === 'fulfilled')
+   *   .map(({ value: { dummy } }) => dummy);
+   *
+   * @argument {Object[]} actionRequestList
+   * @argument {String} actionRequestList[].actionName
+   * @argument {Object} [actionRequestList[].actionMessage]
+   * @argument {String} [actionRequestList[].actionQueueName] - Defaults to the action's registered action queue.
+   * @argument {String} [actionRequestList[].idempotencyKey] - Attaches the request to the action that was published with the same key instead of publishing a new action.
+   * @argument {String} [actionRequestList[].priority] - Defaults to the action's configured priority.
+   * @argument {String|Object} options - The origin user ID or an object of options.
+   * @argument {String} [options.correlationID]
+   * @argument {Number} [options.maxConcurrentActions=Infinity] - The maximum number of actions waiting for a response at the same time; the others are published as the responses come.
+   * @argument {String} options.originUserID
+   * @argument {String} [options.parentSpanID] - The span ID of the action that publishes the action; set automatically when publishing from a handler.
+   * @argument {Number} [options.timeout=this.defautlActionHangupTimeout] - The time in milliseconds to wait for all the responses; `0` waits forever.
+   * @argument {String} [options.traceID] - Defaults to the trace ID of the action that publishes the action, or a new trace ID.
+   *
+   * @returns {Promise<{ reason: Error=, status: String, value: Object= }[]>}
+   *
+   * @throws Will throw an error if the action request list is not an array.
+   */
+  async publishActionBatchAndHandleResponses (actionRequestList, options = {}) {
+    const originUserID = (nucleusValidator.isObject(options)) ? options.originUserID : options;
+    const { correlationID, maxConcurrentActions = Infinity, parentSpanID, timeout = this.defautlActionHangupTimeout, traceID } = (nucleusValidator.isObject(options)) ? options : {};
+
+    if (!nucleusValidator.isArray(actionRequestList)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action request list must be an array.");
+    if (!originUserID) throw new NucleusError.UndefinedValueNucleusError("The origin user ID must be defined.");
+    if (!(maxConcurrentActions >= 1)) throw new NucleusError.UnexpectedValueNucleusError("The maximum number of concurrent actions must be at least 1.");
+
+    const actionNameList = actionRequestList
+      .map(({ actionName }) => actionName)
+      .filter((actionName, index, actionNameList) => nucleusValidator.isString(actionName) && actionNameList.indexOf(actionName) === index);
+    const [ actionQueueNameList, actionPriorityList, actionRateLimitList ] = await Promise.all([
+      Promise.all(actionNameList.map(this.$actionDatastore.retrieveItemFromHashFieldByName.bind(this.$actionDatastore, ACTION_QUEUE_NAME_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME))),
+      Promise.all(actionNameList.map(this.$actionDatastore.retrieveItemFromHashFieldByName.bind(this.$actionDatastore, ACTION_PRIORITY_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME))),
+      Promise.all(actionNameList.map(this.$actionDatastore.retrieveItemFromHashFieldByName.bind(this.$actionDatastore, ACTION_RATE_LIMIT_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME)))
+    ]);
+    const requestedActionQueueNameList = actionRequestList
+      .map(({ actionName, actionQueueName }) => actionQueueName || actionQueueNameList[actionNameList.indexOf(actionName)])
+      .filter((actionQueueName, index, actionQueueNameList) => nucleusValidator.isString(actionQueueName) && actionQueueNameList.indexOf(actionQueueName) === index);
+    const registeredActionQueueNameList = (await Promise.all(requestedActionQueueNameList.map(this.$actionDatastore.itemIsMemberOfSet.bind(this.$actionDatastore, ACTION_QUEUE_NAME_SET_ITEM_NAME_TABLE_NAME))))
+      .reduce((accumulator, { isMember }, index) => {
+        if (isMember) accumulator.push(requestedActionQueueNameList[index]);
+
+        return accumulator;
+      }, []);
+
+    const settledResultList = new Array(actionRequestList.length);
+    const requestedActionPublicationList = [];
+
+    actionRequestList
+      .forEach(({ actionMessage = {}, actionName, actionQueueName, idempotencyKey, priority }, index) => {
+        try {
+          if (!nucleusValidator.isString(actionName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action name must be a string.");
+          if (!nucleusValidator.isObject(actionMessage)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action message must be an object.");
+          if (!!idempotencyKey && !nucleusValidator.isString(idempotencyKey)) throw new NucleusError.UnexpectedValueTypeNucleusError("The idempotency key must be a string.");
+
+          const resolvedActionQueueName = actionQueueName || actionQueueNameList[actionNameList.indexOf(actionName)];
+
+          if (!registeredActionQueueNameList.includes(resolvedActionQueueName)) throw new NucleusError.UndefinedContextNucleusError(`Could not execute the action "${actionName}" because its action queue doesn't exist or has not been properly registered.`);
+
+          const $action = new NucleusAction(actionName, actionMessage, { correlationID, originEngineID: this.ID, originEngineName: this.name, originProcessID: process.pid, originUserID, parentSpanID, priority: priority || actionPriorityList[actionNameList.indexOf(actionName)], traceID });
+
+          requestedActionPublicationList.push({ $action, actionQueueName: resolvedActionQueueName, actionRateLimit: actionRateLimitList[actionNameList.indexOf(actionName)], idempotencyKey, index });
+        } catch (error) {
+          settledResultList[index] = { reason: error, status: 'rejected' };
+        }
+      });
+
+    const pendingActionPublicationList = (await Promise.all(requestedActionPublicationList
+      .map((actionPublication) => {
+        const { $action, actionRateLimit, idempotencyKey, index } = actionPublication;
+
+        return verifyActionPublication(this, $action, actionRateLimit, idempotencyKey)
+          .then((actionPublicationVerification) => Object.assign(actionPublication, actionPublicationVerification))
+          .catch((error) => {
+            settledResultList[index] = { reason: error, status: 'rejected' };
+          });
+      })))
+      .filter((actionPublication) => !!actionPublication);
+
+    if (pendingActionPublicationList.length === 0) return settledResultList;
+
+    const actionDatastoreIndex = this.$actionDatastore.index;
+    const $actionSubscriberDatastore = (this.$handlerDatastoreByName.hasOwnProperty('ActionSubscriber')) ?
+      this.$handlerDatastoreByName['ActionSubscriber'] : (this.$handlerDatastoreByName['ActionSubscriber'] = this.$actionDatastore.duplicateConnection(`${this.name}ActionSubscriber`));
+
+    await $actionSubscriberDatastore;
+
+    this.$logger.debug(`Publishing a batch of ${pendingActionPublicationList.length} action${(pendingActionPublicationList.length > 1) ? 's' : ''}...`, { actionCount: pendingActionPublicationList.length, correlationID });
+
+    return new Promise((resolve) => {
+      const inFlightActionPublicationSet = new Set();
+      let unsettledActionCount = pendingActionPublicationList.length;
+      let $$timeout;
+
+      const generateChannelName = ({ actionItemKey }) => `__keyspace@${actionDatastoreIndex}__:${actionItemKey}`;
+      const releaseActionIdempotencyKeyList = (actionPublicationList) => {
+        actionPublicationList
+          .filter(({ actionIsDuplicate, idempotencyKey }) => !!idempotencyKey && !actionIsDuplicate)
+          .forEach(({ $action: { name: actionName }, actionItemKey, idempotencyKey }) => {
+            // The duplicate requests must not attach to an action that was never published.
+            releaseActionIdempotencyKey(this, actionName, idempotencyKey, actionItemKey);
+          });
+      };
+      const settleAction = (actionPublication, settledResult) => {
+        const { $action: { name: actionName }, actionID, index } = actionPublication;
+
+        // An action can't be settled twice, ie: a response that comes after the timeout.
+        if (!!settledResultList[index]) return;
+
+        settledResultList[index] = settledResult;
+        unsettledActionCount--;
+
+        if (inFlightActionPublicationSet.delete(actionPublication)) {
+          releaseActionChannelSubscription(this, $actionSubscriberDatastore, generateChannelName(actionPublication))
+            .catch((error) => {
+              this.$logger.warn(`Could not unsubscribe from the channel of the action "${actionName} (${actionID})" because of an error: ${error}`, { actionID, actionName, correlationID });
+            });
+        }
+
+        if (unsettledActionCount === 0) {
+          clearTimeout($$timeout);
+
+          return resolve(settledResultList);
+        }
+
+        publishNextActions();
+      };
+      const publishNextActions = () => {
+        const actionPublicationList = pendingActionPublicationList.splice(0, maxConcurrentActions - inFlightActionPublicationSet.size);
+
+        if (actionPublicationList.length === 0) return;
+
+        const publishedActionPublicationList = actionPublicationList.filter(({ actionIsDuplicate }) => !actionIsDuplicate);
+        const channelNameList = actionPublicationList
+          .map((actionPublication) => {
+            const channelName = generateChannelName(actionPublication);
+
+            inFlightActionPublicationSet.add(actionPublication);
+            this.$$actionRequestCountByChannelName[channelName] = (this.$$actionRequestCountByChannelName[channelName] || 0) + 1;
+
+            $actionSubscriberDatastore.handleEventByChannelName(channelName, this.handleActionChannelRedisEvent.bind(
+              this,
+              $actionSubscriberDatastore,
+              (value) => settleAction(actionPublication, { status: 'fulfilled', value }),
+              (reason) => settleAction(actionPublication, { reason, status: 'rejected' })
+            ));
+
+            return channelName;
+          });
+
+        $actionSubscriberDatastore.subscribeToChannelName(channelNameList)
+          .then(() => {
+            actionPublicationList
+              .filter(({ actionIsDuplicate }) => actionIsDuplicate)
+              .forEach((actionPublication) => {
+                const { $action: { name: actionName }, actionID, actionItemKey } = actionPublication;
+
+                // The original action might have been fulfilled before the subscription was made.
+                this.handleActionStatusUpdated(
+                  actionItemKey,
+                  actionID,
+                  actionName,
+                  (value) => settleAction(actionPublication, { status: 'fulfilled', value }),
+                  (reason) => settleAction(actionPublication, { reason, status: 'rejected' })
+                )
+                  .catch(() => {});
+              });
+
+            if (publishedActionPublicationList.length === 0) return;
+
+            const $multi = publishedActionPublicationList
+              .reduce(($multi, { $action, actionQueueName }) => appendActionPublicationToTransaction($multi, actionQueueName, $action, this.actionTTL), this.$actionDatastore.$$server.multi());
+
+            return $multi.execAsync()
+              .then(() => {
+                publishedActionPublicationList
+                  .forEach(({ $action }) => {
+                    this.$metricsRegistry.incrementCounter('nucleus_published_action_total', { action_name: $action.name });
+                  });
+              })
+              .catch((error) => {
+                releaseActionIdempotencyKeyList(publishedActionPublicationList);
+
+                publishedActionPublicationList
+                  .forEach((actionPublication) => {
+                    settleAction(actionPublication, { reason: new NucleusError(`Could not publish the action because of an external error: ${error}`, { error }), status: 'rejected' });
+                  });
+              });
+          })
+          .catch((error) => {
+            releaseActionIdempotencyKeyList(publishedActionPublicationList);
+
+            actionPublicationList
+              .forEach((actionPublication) => {
+                settleAction(actionPublication, { reason: new NucleusError(`Could not publish the action because of an external error: ${error}`, { error }), status: 'rejected' });
+              });
+          });
+      };
+
+      if (timeout > 0) $$timeout = setTimeout(() => {
+        const timedOutActionPublicationList = pendingActionPublicationList.splice(0).concat(Array.from(inFlightActionPublicationSet));
+
+        this.$logger.debug(`${timedOutActionPublicationList.length} action${(timedOutActionPublicationList.length > 1) ? 's' : ''} of the batch could not be fulfilled within ${timeout}ms.`, { correlationID, timeout });
+
+        // The actions that were never published release their idempotency key.
+        releaseActionIdempotencyKeyList(timedOutActionPublicationList.filter((actionPublication) => !inFlightActionPublicationSet.has(actionPublication)));
+
+        timedOutActionPublicationList
+          .forEach((actionPublication) => {
+            const { $action: { name: actionName }, actionID, actionIsDuplicate, actionItemKey } = actionPublication;
+
+            // Only the actions that were published need to be cancelled, the original action of a duplicate request
+            // belongs to another request.
+            if (inFlightActionPublicationSet.has(actionPublication) && !actionIsDuplicate) {
+              this.cancelActionByItemKey(actionItemKey)
+                .catch((error) => {
+                  this.$logger.warn(`Could not cancel the action "${actionName} (${actionID})" because of an error: ${error}`, { actionID, actionName, correlationID });
+                });
+            }
+
+            settleAction(actionPublication, { reason: new NucleusError.TimeoutNucleusError(`The action "${actionName} (${actionID})" could not be fulfilled within ${timeout}ms.`, { actionID, actionName, correlationID, timeout }), status: 'rejected' });
+          });
+      }, timeout);
+
+      publishNextActions();
+    });
+  }
+
   /**
    * Publishes an action given its name and a message, then handle the response.
+   * The publisher stops waiting for the response if the timeout elapses or if the signal is aborted; the action is then
+   * marked as cancelled so the consuming engine can skip it if it has not started yet.
    * @example
    * const { dummy } = await $engine.publishActionByNameAndHandleResponse('RetrieveDummyByID', { dummyID }, originUserID);
    *
+   * // Give up after 2 seconds or when the signal is aborted.
+   * const $$abortController = new AbortController();
+   * const { dummy } = await $engine.publishActionByNameAndHandleResponse('RetrieveDummyByID', { dummyID }, { originUserID, signal: $$abortController.signal, timeout: 2000 });
+   *
+   * // A request that is retried with the same idempotency key gets the response of the original action.
+   * const { dummy } = await $engine.publishActionByNameAndHandleResponse('CreateDummy', { dummyAttributes }, { idempotencyKey: requestID, originUserID });
+   *
+   * // Follow the progress reported by the handler of a long running action.
+   * const { dummyList } = await $engine.publishActionByNameAndHandleResponse('ImportDummies', { fileURL }, {
+   *   onProgress: ({ message, percent }) => $logger.info(`${percent}% ${message}`),
+   *   originUserID
+   * });
+   *
    * @argument {String} actionName
    * @argument {Object} actionMessage
-   * @argument {String} originUserID
+   * @argument {String|Object} options - The origin user ID or an object of options.
+   * @argument {String} [options.correlationID]
+   * @argument {String} [options.idempotencyKey] - Attaches the request to the action that was published with the same key instead of publishing a new action.
+   * @argument {Function} [options.onProgress] - Called with the progress (`{ message, percent, updatedISOTime }`) every time the handler reports it.
+   * @argument {String} options.originUserID
+   * @argument {String} [options.parentSpanID] - The span ID of the action that publishes the action; set automatically when publishing from a handler.
+   * @argument {String} [options.priority] - Defaults to the action's configured priority.
+   * @argument {AbortSignal} [options.signal] - Any object that has an `aborted` property and an `addEventListener` method.
+   * @argument {Number} [options.timeout=this.defautlActionHangupTimeout] - The time in milliseconds to wait for the response; `0` waits forever.
+   * @argument {String} [options.traceID] - Defaults to the trace ID of the action that publishes the action, or a new trace ID.
    *
    * @returns {Promise<Object>}
+   *
+   * @throws Will reject with a `TimeoutNucleusError` if the timeout elapses or if the signal is aborted.
    */
   publishActionByNameAndHandleResponse (actionName, actionMessage = {}, options = {}) {
     const originUserID = (nucleusValidator.isObject(options)) ? options.originUserID : options;
     const correlationID = (nucleusValidator.isObject(options)) ? options.correlationID : undefined;
+    const { idempotencyKey, onProgress, parentSpanID, priority, signal, timeout = this.defautlActionHangupTimeout, traceID } = (nucleusValidator.isObject(options)) ? options : {};
     
     if (!nucleusValidator.isString(actionName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action name must be a string.");
     if (!nucleusValidator.isObject(actionMessage)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action message must be an object.");
     if (!originUserID) throw new NucleusError.UndefinedValueNucleusError("The origin user ID must be defined.");
+    if (!!idempotencyKey && !nucleusValidator.isString(idempotencyKey)) throw new NucleusError.UnexpectedValueTypeNucleusError("The idempotency key must be a string.");
+    if (!!onProgress && !nucleusValidator.isFunction(onProgress)) throw new NucleusError.UnexpectedValueTypeNucleusError("The progress callback must be a function.");
 
-    return this.$actionDatastore.retrieveItemFromHashFieldByName(ACTION_QUEUE_NAME_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME, actionName)
-      .then((actionQueueName) => {
+    return Promise.all([
+      this.$actionDatastore.retrieveItemFromHashFieldByName(ACTION_QUEUE_NAME_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME, actionName),
+      priority || this.$actionDatastore.retrieveItemFromHashFieldByName(ACTION_PRIORITY_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME, actionName),
+      this.$actionDatastore.retrieveItemFromHashFieldByName(ACTION_RATE_LIMIT_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME, actionName)
+    ])
+      .then(async ([ actionQueueName, actionPriority, actionRateLimit ]) => {
         if (!nucleusValidator.isString(actionQueueName)) throw new NucleusError.UnexpectedValueTypeNucleusError(`Could not executed the action "${actionName}" because it wasn't registered properly.`);
 
-        const $action = new NucleusAction(actionName, actionMessage, { correlationID, originEngineID: this.ID, originEngineName: this.name, originProcessID: process.pid, originUserID });
+        const $action = new NucleusAction(actionName, actionMessage, { correlationID, originEngineID: this.ID, originEngineName: this.name, originProcessID: process.pid, originUserID, parentSpanID, priority: actionPriority, traceID });
+
+        const { actionID, actionIsDuplicate, actionItemKey } = await verifyActionPublication(this, $action, actionRateLimit, idempotencyKey);
 
         const $$actionResponsePromise = new Promise(async (resolve, reject) => {
-          const actionItemKey = $action.generateOwnItemKey();
 
           const actionDatastoreIndex = this.$actionDatastore.index;
           const $actionSubscriberDatastore = (this.$handlerDatastoreByName.hasOwnProperty('ActionSubscriber')) ?
             this.$handlerDatastoreByName['ActionSubscriber'] : (this.$handlerDatastoreByName['ActionSubscriber'] = this.$actionDatastore.duplicateConnection(`${this.name}ActionSubscriber`));
 
+          const channelName = `__keyspace@${actionDatastoreIndex}__:${actionItemKey}`;
+
+          let actionChannelIsSubscribed = false;
+          let actionWasHungUp = false;
+          let $$timeout;
+
+          const releaseSubscription = () => {
+            if (!actionChannelIsSubscribed) return;
+            actionChannelIsSubscribed = false;
+
+            releaseActionChannelSubscription(this, $actionSubscriberDatastore, channelName)
+              .catch((error) => {
+                this.$logger.warn(`Could not unsubscribe from the channel of the action "${actionName} (${actionID})" because of an error: ${error}`, { actionID, actionName, correlationID });
+              });
+          };
+          const settle = (callback, value) => {
+            clearTimeout($$timeout);
+            if (!!signal && nucleusValidator.isFunction(signal.removeEventListener)) signal.removeEventListener('abort', abort);
+
+            releaseSubscription();
+
+            callback(value);
+          };
+          const hangup = (errorMessage) => {
+            if (actionWasHungUp) return;
+            actionWasHungUp = true;
+
+            // The original action of a duplicate request belongs to another publisher.
+            if (!actionIsDuplicate) {
+              this.cancelActionByItemKey(actionItemKey)
+                .catch((error) => {
+                  this.$logger.warn(`Could not cancel the action "${actionName} (${actionID})" because of an error: ${error}`, { actionID, actionName, correlationID });
+                });
+            }
+
+            settle(reject, new NucleusError.TimeoutNucleusError(errorMessage, { actionID, actionName, correlationID, timeout }));
+          };
+          const abort = hangup.bind(null, `The action "${actionName} (${actionID})" was cancelled before it could be fulfilled.`);
+
+          if (!!signal && signal.aborted) return abort();
+
           await $actionSubscriberDatastore;
 
-          const channelName = `__keyspace@${actionDatastoreIndex}__:${actionItemKey}`;
+          $actionSubscriberDatastore.handleEventByChannelName(channelName, this.handleActionChannelRedisEvent.bind(this, $actionSubscriberDatastore, settle.bind(null, resolve), settle.bind(null, reject)));
 
-          $actionSubscriberDatastore.handleEventByChannelName(channelName, this.handleActionChannelRedisEvent.bind(this, $actionSubscriberDatastore, resolve, reject));
+          if (!!onProgress) {
+            let lastActionProgress;
 
-          await $actionSubscriberDatastore.subscribeToChannelName(channelName);
+            // The progress is written on the action's item, the same subscription is used to follow it.
+            $actionSubscriberDatastore.handleEventByChannelName(channelName, (channelName, redisCommand) => {
+              if (actionWasHungUp || (redisCommand !== 'hset' && redisCommand !== 'hmset')) return;
+
+              return this.$actionDatastore.$$server.hgetAsync(actionItemKey, 'progress')
+                .then((stringifiedActionProgress) => {
+                  if (!stringifiedActionProgress || stringifiedActionProgress === lastActionProgress) return;
+
+                  lastActionProgress = stringifiedActionProgress;
 
-          if (!actionName) throw new NucleusError.UndefinedContextNucleusError(`Can't publish action "${actionName}" because the action queue couldn't be retrieved.`);
+                  onProgress(NucleusDatastore.parseItem(stringifiedActionProgress));
+                })
+                .catch((error) => {
+                  this.$logger.warn(`Could not handle the progress of the action "${actionName} (${actionID})" because of an error: ${error}`, { actionID, actionName, correlationID });
+                });
+            });
+          }
+
+          this.$$actionRequestCountByChannelName[channelName] = (this.$$actionRequestCountByChannelName[channelName] || 0) + 1;
+          actionChannelIsSubscribed = true;
+
+          await $actionSubscriberDatastore.subscribeToChannelName(channelName);
 
-          try {
+          if (!!signal && nucleusValidator.isFunction(signal.addEventListener)) signal.addEventListener('abort', abort);
+          if (timeout > 0) $$timeout = setTimeout(hangup, timeout, `The action "${actionName} (${actionID})" could not be fulfilled within ${timeout}ms.`);
 
-            process.nextTick(this.publishActionToQueueByName.bind(this, actionQueueName, $action));
-          } catch (error) {
+          if (actionIsDuplicate) {
+            this.$logger.debug(`Attaching to the action "${actionName} (${actionID})" that was published with the idempotency key "${idempotencyKey}".`, { actionID, actionName, correlationID, idempotencyKey });
 
-            reject(new NucleusError(`Could not publish the action because of an external error: ${error}`, { error }));
+            // The original action might have been fulfilled before the subscription was made.
+            return this.handleActionStatusUpdated(actionItemKey, actionID, actionName, settle.bind(null, resolve), settle.bind(null, reject))
+              .catch(() => {});
           }
+
+          process.nextTick(() => {
+            // The action might have been cancelled while the subscription was being made.
+            if (actionWasHungUp) return;
+
+            Promise.try(() => this.publishActionToQueueByName(actionQueueName, $action))
+              .catch(async (error) => {
+                if (actionWasHungUp) return;
+                actionWasHungUp = true;
+
+                // The duplicate requests must not attach to an action that was never published.
+                if (!!idempotencyKey) await releaseActionIdempotencyKey(this, actionName, idempotencyKey, actionItemKey);
+
+                settle(reject, (error instanceof NucleusError) ? error : new NucleusError(`Could not publish the action because of an external error: ${error}`, { actionID, actionName, correlationID, error }));
+              });
+          });
         });
 
         return $$actionResponsePromise;
@@ -685,91 +2142,415 @@ end
   }
 
   /**
-   * Handles an action channel's Redis events.
-   * This is used to trigger a check of the action's status in the attempt of resolving a publisher's request.
-   * _This method is tightly coupled with the #publishActionByNameAndHandleResponse and should be refactored._
+   * Publishes an action given its name and a message, then stream the response.
+   * The handler of the action returns an async iterator which chunks are written to a Redis stream as they come; the
+   * publisher reads them through an async iterable. The response of a handler that doesn't stream is the only chunk.
+   * The action is verified before it is published, as with `#publishActionByNameAndHandleResponse`; a request with the
+   * idempotency key of an action reads the stream of that action.
+   * @example
+   * const $$dummyStream = $engine.publishActionByNameAndStreamResponse('RetrieveAllDummies', {}, originUserID);
    *
-   * @argument {NucleusDatastore} $actionSubscriberDatastore
-   * @argument {Promise.resolve} resolve - The resolver to call when the action is completed.
-   * @argument {Promise.reject} reject - The rejecter to call when the action is failed.
-   * @argument {String} channelName
-   * @argument {String} redisCommand
+   * for await (const dummy of $$dummyStream) {
+   *   // Do something with the dummy...
+   * }
    *
-   * @returns {Promise<void>}
+   * @argument {String} actionName
+   * @argument {Object} actionMessage
+   * @argument {String|Object} options - The origin user ID or an object of options.
+   * @argument {String} [options.correlationID]
+   * @argument {String} [options.idempotencyKey] - Attaches the request to the action that was published with the same key instead of publishing a new action.
+   * @argument {String} options.originUserID
+   * @argument {String} [options.parentSpanID] - The span ID of the action that publishes the action; set automatically when publishing from a handler.
+   * @argument {Number} [options.pollingInterval=1000] - The time in milliseconds to wait for a chunk before verifying that the action didn't fail.
+   * @argument {String} [options.priority] - Defaults to the action's configured priority.
+   * @argument {String} [options.traceID] - Defaults to the trace ID of the action that publishes the action, or a new trace ID.
+   *
+   * @returns {AsyncIterable}
+   *
+   * @throws Will throw an error if the action name is not a string or if the action message is not an object.
    */
-  async handleActionChannelRedisEvent ($actionSubscriberDatastore, resolve, reject, channelName, redisCommand) {
-    if (redisCommand !== 'hset' && redisCommand !== 'hmset') return;
+  publishActionByNameAndStreamResponse (actionName, actionMessage = {}, options = {}) {
+    const originUserID = (nucleusValidator.isObject(options)) ? options.originUserID : options;
+    const { correlationID, idempotencyKey, parentSpanID, pollingInterval = 1000, priority, traceID } = (nucleusValidator.isObject(options)) ? options : {};
 
-    try {
-      const [ keyspace, itemType, actionName, actionID ] = channelName.split(':');
-      const actionItemKey = `${itemType}:${actionName}:${actionID}`;
+    if (!nucleusValidator.isString(actionName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action name must be a string.");
+    if (!nucleusValidator.isObject(actionMessage)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action message must be an object.");
+    if (!originUserID) throw new NucleusError.UndefinedValueNucleusError("The origin user ID must be defined.");
+    if (!!idempotencyKey && !nucleusValidator.isString(idempotencyKey)) throw new NucleusError.UnexpectedValueTypeNucleusError("The idempotency key must be a string.");
+
+    const $$actionPromise = Promise.all([
+      this.$actionDatastore.retrieveItemFromHashFieldByName(ACTION_QUEUE_NAME_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME, actionName),
+      priority || this.$actionDatastore.retrieveItemFromHashFieldByName(ACTION_PRIORITY_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME, actionName),
+      this.$actionDatastore.retrieveItemFromHashFieldByName(ACTION_RATE_LIMIT_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME, actionName)
+    ])
+      .then(async ([ actionQueueName, actionPriority, actionRateLimit ]) => {
+        if (!nucleusValidator.isString(actionQueueName)) throw new NucleusError.UnexpectedValueTypeNucleusError(`Could not executed the action "${actionName}" because it wasn't registered properly.`);
 
-      const { actionStatus } = await this.handleActionStatusUpdated(actionItemKey, actionID, actionName, resolve, reject);
+        const $action = new NucleusAction(actionName, actionMessage, { correlationID, originEngineID: this.ID, originEngineName: this.name, originProcessID: process.pid, originUserID, parentSpanID, priority: actionPriority, traceID });
 
-      if (actionStatus === NucleusAction.CompletedActionStatus || actionStatus === NucleusAction.FailedActionStatus) {
-        $actionSubscriberDatastore.unsubscribeFromChannelName(channelName);
-      }
+        const { actionID, actionIsDuplicate, actionItemKey } = await verifyActionPublication(this, $action, actionRateLimit, idempotencyKey);
 
-    } catch (error) {
+        if (actionIsDuplicate) return { actionID, actionItemKey, actionName };
 
-      reject(new NucleusError(`Could not handle the action's response because of an external error: ${error}`, { error }));
-    }
+        try {
+          await this.publishActionToQueueByName(actionQueueName, $action);
+        } catch (error) {
+          // The duplicate requests must not attach to an action that was never published.
+          if (!!idempotencyKey) await releaseActionIdempotencyKey(this, actionName, idempotencyKey, actionItemKey);
+
+          throw error;
+        }
+
+        return { actionID, actionItemKey, actionName };
+      });
+
+    // The error is thrown once the stream is read.
+    $$actionPromise.catch(() => {});
+
+    return generateActionResponseStream(this, $$actionPromise, pollingInterval);
   }
 
   /**
-   * Handles an action's status update.
-   * _This method is tightly coupled with the #publishActionByNameAndHandleResponse and should be refactored._
+   * Publishes an action given its name and a message at a given time.
+   * The action is stored right away but it is only pushed to its action queue once it is due; the publisher doesn't wait
+   * for the response.
+   * @example
+   * const { $action } = await $engine.publishActionByNameAtTime('ArchiveResourceByID', { resourceID, resourceType }, new Date('2018-06-01T02:00:00Z'), originUserID);
    *
-   * @argument {String} actionItemKey
-   * @argument {String} actionID
    * @argument {String} actionName
-   * @argument {Promise.resolve} [resolve]
-   * @argument {Promise.reject} [reject]
+   * @argument {Object} actionMessage
+   * @argument {Date|Number} executionTime - A date or a timestamp in milliseconds.
+   * @argument {String|Object} options - The origin user ID or an object of options.
+   * @argument {String} [options.correlationID]
+   * @argument {String} options.originUserID
+   * @argument {String} [options.parentSpanID] - The span ID of the action that publishes the action; set automatically when publishing from a handler.
+   * @argument {String} [options.priority] - Defaults to the action's configured priority.
+   * @argument {String} [options.traceID] - Defaults to the trace ID of the action that publishes the action, or a new trace ID.
    *
-   * @returns {Promise}
+   * @returns {Promise<{ actionQueueName: String, $action: NucleusAction }>}
+   *
+   * @throws Will throw an error if the execution time is not a date or a number.
    */
-  async handleActionStatusUpdated (actionItemKey, actionID, actionName, resolve, reject) {
-    const [ actionFinalMessage, actionStatus ] = await this.$actionDatastore.retrieveItemFromHashFieldByName(actionItemKey, 'finalMessage', 'status');
+  async publishActionByNameAtTime (actionName, actionMessage = {}, executionTime, options = {}) {
+    const originUserID = (nucleusValidator.isObject(options)) ? options.originUserID : options;
+    const { correlationID, parentSpanID, priority, traceID } = (nucleusValidator.isObject(options)) ? options : {};
+    const executionTimestamp = (executionTime instanceof Date) ? executionTime.getTime() : executionTime;
 
-    if (actionStatus === NucleusAction.CompletedActionStatus || actionStatus === NucleusAction.FailedActionStatus) {
-      this.$logger.debug(`The action "${actionName} (${actionID})" status has been updated to "${actionStatus}".`);
-      // Resolve or reject the promise with the final message base on the action's status.
-      if (actionStatus === NucleusAction.CompletedActionStatus) {
-        if (resolve) resolve(actionFinalMessage);
-        return Promise.resolve({ actionStatus, actionFinalMessage });
-      }
-      else if ('error' in actionFinalMessage) {
-        const errorAttributes = actionFinalMessage.error;
-        const NucleusErrorType = (Object.keys(NucleusError).includes(errorAttributes.name)) ? NucleusError[errorAttributes.name] : NucleusError;
+    if (!nucleusValidator.isString(actionName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action name must be a string.");
+    if (!nucleusValidator.isObject(actionMessage)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action message must be an object.");
+    if (!Number.isFinite(executionTimestamp)) throw new NucleusError.UnexpectedValueTypeNucleusError("The execution time must be a date or a number.");
+    if (!originUserID) throw new NucleusError.UndefinedValueNucleusError("The origin user ID must be defined.");
 
-        const error = new NucleusErrorType(errorAttributes.message, {error: errorAttributes});
+    const [ actionQueueName, actionPriority ] = await Promise.all([
+      this.$actionDatastore.retrieveItemFromHashFieldByName(ACTION_QUEUE_NAME_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME, actionName),
+      priority || this.$actionDatastore.retrieveItemFromHashFieldByName(ACTION_PRIORITY_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME, actionName)
+    ]);
 
-        if (reject) reject(error);
+    if (!nucleusValidator.isString(actionQueueName)) throw new NucleusError.UnexpectedValueTypeNucleusError(`Could not schedule the action "${actionName}" because it wasn't registered properly.`);
 
-        return Promise.reject({ actionStatus, error });
-      } else (reject || Promise.reject)({ actionStatus });
-    }
+    const $action = new NucleusAction(actionName, actionMessage, { correlationID, originEngineID: this.ID, originEngineName: this.name, originProcessID: process.pid, originUserID, parentSpanID, priority: actionPriority, traceID });
+    const { ID: actionID } = $action;
+    const actionItemKey = $action.generateOwnItemKey();
+    const scheduledAction = { actionItemKey, actionQueueName: NucleusEngine.generatePriorityActionQueueName(actionQueueName, actionPriority) };
 
-    return { actionStatus };
+    this.$logger.debug(`Scheduling action "${actionName} (${actionID})" for ${new Date(executionTimestamp).toISOString()}...`, { actionID, actionName, actionQueueName, correlationID });
+
+    $action.updateStatus(NucleusAction.PendingActionStatus);
+
+    await this.$actionDatastore.$$server.multi()
+      .hmset(actionItemKey, 'ID', actionID, 'meta', $action.meta.toString(), 'name', actionName, 'status', NucleusDatastore.stringifyItem($action.status), 'originalMessage', $action.originalMessage.toString(), 'originUserID', $action.originUserID)
+      .zadd(SCHEDULED_ACTION_SET_ITEM_NAME_TABLE_NAME, executionTimestamp, JSON.stringify(scheduledAction))
+      // The action is kept for the usual TTL once it is due.
+      .pexpire(actionItemKey, Math.max(executionTimestamp - Date.now(), 0) + this.actionTTL)
+      .execAsync();
+
+    startActionScheduler(this);
+
+    return { actionQueueName, $action };
   }
 
   /**
-   * Publishes an event given a channel name.
+   * Publishes an action given its name and a message after a given delay.
    * @example
-   * const channelName = 'Dummy';
-   * const $event = new NucleusEvent('DummyEvent', {});
+   * const { $action } = await $engine.publishActionByNameWithDelay('ArchiveResourceByID', { resourceID, resourceType }, 1000 * 60 * 10, originUserID);
+   *
+   * @see {@link #publishActionByNameAtTime|NucleusEngine#publishActionByNameAtTime}
+   *
+   * @argument {String} actionName
+   * @argument {Object} actionMessage
+   * @argument {Number} delay - The delay in milliseconds.
+   * @argument {String|Object} options - The origin user ID or an object of options.
+   *
+   * @returns {Promise<{ actionQueueName: String, $action: NucleusAction }>}
+   *
+   * @throws Will throw an error if the delay is not a number.
+   */
+  publishActionByNameWithDelay (actionName, actionMessage = {}, delay, options = {}) {
+    if (!Number.isFinite(delay)) throw new NucleusError.UnexpectedValueTypeNucleusError("The delay must be a number.");
+
+    return this.publishActionByNameAtTime(actionName, actionMessage, Date.now() + delay, options);
+  }
+
+  /**
+   * Publishes the actions that are due if the engine is the leader of the action scheduler; the scheduled actions are
+   * pushed to their action queue and the recurring action schedules that are due are published.
+   * Every action is published exactly once even if many engines share the action datastore.
+   *
+   * @returns {Promise<{ publishedActionCount: Number }>}
+   */
+  async publishAllDueScheduledActions () {
+    const { isLeader } = await this.electActionSchedulerLeader();
+
+    if (!isLeader) return { publishedActionCount: 0 };
+
+    const timestamp = Date.now();
+    const dueActionScheduleList = await this.$actionDatastore.$$server.zrangebyscoreAsync(ACTION_SCHEDULE_NAME_SET_ITEM_NAME_TABLE_NAME, '-inf', timestamp, 'WITHSCORES');
+
+    for (let index = 0; index < dueActionScheduleList.length; index += 2) {
+      const [ scheduleName, scheduledTime ] = dueActionScheduleList.slice(index, index + 2);
+
+      try {
+        const actionSchedule = await this.$actionDatastore.retrieveItemFromHashFieldByName(ACTION_SCHEDULE_BY_SCHEDULE_NAME_TABLE_NAME, scheduleName);
+
+        if (nucleusValidator.isEmpty(actionSchedule)) {
+          await this.$actionDatastore.$$server.zremAsync(ACTION_SCHEDULE_NAME_SET_ITEM_NAME_TABLE_NAME, scheduleName);
+
+          continue;
+        }
+
+        const { actionMessage, actionName, cronExpression, originUserID, priority } = actionSchedule;
+
+        const actionScheduleWasClaimed = await this.$actionDatastore.evaluateLUAScriptByName('ClaimActionSchedule', ACTION_SCHEDULE_NAME_SET_ITEM_NAME_TABLE_NAME, scheduleName, scheduledTime, NucleusCronExpression.retrieveNextTime(cronExpression, timestamp));
+
+        if (!actionScheduleWasClaimed) continue;
+
+        await this.publishActionByNameAtTime(actionName, actionMessage, Number(scheduledTime), { originUserID, priority });
+      } catch (error) {
+
+        this.$logger.error(`Could not publish the action of the schedule "${scheduleName}" because of an error: ${error}`, { scheduleName });
+      }
+    }
+
+    const publishedActionCount = await this.$actionDatastore.evaluateLUAScriptByName('PublishAllDueScheduledActions', SCHEDULED_ACTION_SET_ITEM_NAME_TABLE_NAME, Date.now());
+
+    if (publishedActionCount > 0) this.$logger.debug(`Published ${publishedActionCount} scheduled action${(publishedActionCount > 1) ? 's' : ''}.`, { publishedActionCount });
+
+    return { publishedActionCount };
+  }
+
+  /**
+   * Handles an action channel's Redis events.
+   * This is used to trigger a check of the action's status in the attempt of resolving a publisher's request.
+   * _This method is tightly coupled with the #publishActionByNameAndHandleResponse and should be refactored._
+   *
+   * @argument {NucleusDatastore} $actionSubscriberDatastore
+   * @argument {Promise.resolve} resolve - The resolver to call when the action is completed.
+   * @argument {Promise.reject} reject - The rejecter to call when the action is failed.
+   * @argument {String} channelName
+   * @argument {String} redisCommand
+   *
+   * @returns {Promise<void>}
+   */
+  async handleActionChannelRedisEvent ($actionSubscriberDatastore, resolve, reject, channelName, redisCommand) {
+    if (redisCommand !== 'hset' && redisCommand !== 'hmset') return;
+
+    try {
+      const [ keyspace, itemType, actionName, actionID ] = channelName.split(':');
+      const actionItemKey = `${itemType}:${actionName}:${actionID}`;
+
+      const { actionStatus } = await this.handleActionStatusUpdated(actionItemKey, actionID, actionName, resolve, reject);
+
+      if (actionStatus === NucleusAction.CompletedActionStatus || actionStatus === NucleusAction.FailedActionStatus) {
+        $actionSubscriberDatastore.unsubscribeFromChannelName(channelName)
+          .catch((error) => {
+            this.$logger.warn(`Could not unsubscribe from the channel of the action "${actionName} (${actionID})" because of an error: ${error}`, { actionID, actionName });
+          });
+      }
+
+    } catch (error) {
+
+      reject(new NucleusError(`Could not handle the action's response because of an external error: ${error}`, { error }));
+    }
+  }
+
+  /**
+   * Handles an action's status update.
+   * _This method is tightly coupled with the #publishActionByNameAndHandleResponse and should be refactored._
+   *
+   * @argument {String} actionItemKey
+   * @argument {String} actionID
+   * @argument {String} actionName
+   * @argument {Promise.resolve} [resolve]
+   * @argument {Promise.reject} [reject]
+   *
+   * @returns {Promise}
+   */
+  async handleActionStatusUpdated (actionItemKey, actionID, actionName, resolve, reject) {
+    const [ actionFinalMessage, actionStatus ] = await this.$actionDatastore.retrieveItemFromHashFieldByName(actionItemKey, 'finalMessage', 'status');
+
+    if (actionStatus === NucleusAction.CompletedActionStatus || actionStatus === NucleusAction.FailedActionStatus) {
+      this.$logger.debug(`The action "${actionName} (${actionID})" status has been updated to "${actionStatus}".`);
+      // Resolve or reject the promise with the final message base on the action's status.
+      if (actionStatus === NucleusAction.CompletedActionStatus) {
+        if (resolve) resolve(actionFinalMessage);
+        return Promise.resolve({ actionStatus, actionFinalMessage });
+      }
+      else if ('error' in actionFinalMessage) {
+        const errorAttributes = actionFinalMessage.error;
+        const NucleusErrorType = (Object.keys(NucleusError).includes(errorAttributes.name)) ? NucleusError[errorAttributes.name] : NucleusError;
+
+        const error = new NucleusErrorType(errorAttributes.message, {error: errorAttributes});
+
+        if (reject) reject(error);
+
+        return Promise.reject({ actionStatus, error });
+      } else (reject || Promise.reject)({ actionStatus });
+    }
+
+    return { actionStatus };
+  }
+
+  /**
+   * Handles a request made to the HTTP listener of the engine.
+   *
+   * @argument {http.IncomingMessage} request
+   * @argument {http.ServerResponse} response
+   *
+   * @returns {Promise<void>}
+   */
+  handleHTTPRequest (request, response) {
+    const [ requestPath ] = request.url.split('?');
+
+    return Promise.try(() => {
+      if (request.method !== 'GET') return { body: 'Method Not Allowed\n', statusCode: 405 };
+
+      if (requestPath === '/metrics') {
+
+        return this.renderMetrics()
+          .then((renderedMetrics) => ({ body: renderedMetrics, contentType: 'text/plain; version=0.0.4; charset=utf-8', statusCode: 200 }));
+      }
+
+      // Kubernetes only looks at the status code of the probes; the body helps finding what is wrong.
+      if (requestPath === '/healthz' || requestPath === '/readyz') {
+
+        return this.checkHealth()
+          .then((engineHealth) => {
+            const probeSucceeded = (requestPath === '/healthz') ? engineHealth.status === HealthyHealthStatus : engineHealth.isReady;
+
+            return { body: JSON.stringify(engineHealth), contentType: 'application/json; charset=utf-8', statusCode: (probeSucceeded) ? 200 : 503 };
+          });
+      }
+
+      return { body: 'Not Found\n', statusCode: 404 };
+    })
+      .catch((error) => {
+        this.$logger.error(`Could not handle the HTTP request "${request.method} ${requestPath}" because of an error: ${error}`, { engineID: this.ID, engineName: this.name });
+
+        return { body: 'Internal Server Error\n', statusCode: 500 };
+      })
+      .then(({ body, contentType = 'text/plain; charset=utf-8', statusCode }) => {
+        response.writeHead(statusCode, { 'Content-Type': contentType });
+        response.end(body);
+      });
+  }
+
+  /**
+   * Handles a process signal by shutting the engine down gracefully, then raises the signal again so the process can
+   * exit as it would have without the engine.
+   *
+   * @argument {String} signal
+   *
+   * @returns {Promise<void>}
+   */
+  handleProcessSignal (signal) {
+    this.$logger.info(`The ${this.name} engine received "${signal}", shutting down...`, { engineID: this.ID, engineName: this.name, signal });
+
+    return this.shutdown()
+      .catch((error) => {
+        this.$logger.error(`Could not shutdown the ${this.name} engine gracefully because of an error: ${error}`, { engineID: this.ID, engineName: this.name });
+      })
+      .then(() => {
+        process.kill(process.pid, signal);
+      });
+  }
+
+  /**
+   * Handles an event of a channel subscribed by webhook subscriptions by delivering it to every one of them.
+   *
+   * @argument {String} channelName
+   * @argument {NucleusEvent} $event
+   *
+   * @returns {Promise<Array>}
+   */
+  handleWebhookEvent (channelName, $event) {
+    const webhookSubscriptionList = Object.keys(this.$$webhookSubscriptionByID)
+      .map((webhookSubscriptionID) => {
+
+        return this.$$webhookSubscriptionByID[webhookSubscriptionID];
+      })
+      .filter(({ channelNameList }) => {
+
+        return channelNameList.includes(channelName);
+      });
+
+    return Promise.all(webhookSubscriptionList.map((webhookSubscription) => this.deliverEventToWebhookSubscription(webhookSubscription, $event)));
+  }
+
+  /**
+   * Starts the HTTP listener of the engine on a port.
+   * @example
+   * await $engine.listenToHTTPPort(9100);
+   * // curl http://localhost:9100/metrics
+   * // curl http://localhost:9100/healthz
+   *
+   * @argument {Number} port - Use `0` for a random port.
+   *
+   * @returns {Promise<{ port: Number }>}
+   *
+   * @throws Will throw an error if the engine is already listening.
+   */
+  listenToHTTPPort (port) {
+    if (!!this.$$HTTPServer) return Promise.reject(new NucleusError.UndefinedContextNucleusError(`The ${this.name} engine is already listening to an HTTP port.`));
+
+    this.$$HTTPServer = http.createServer(this.handleHTTPRequest.bind(this));
+
+    return new Promise((resolve, reject) => {
+      this.$$HTTPServer.once('error', reject);
+      this.$$HTTPServer.listen(port, () => {
+        this.$$HTTPServer.removeListener('error', reject);
+
+        resolve({ port: this.$$HTTPServer.address().port });
+      });
+    })
+      .tap(({ port }) => {
+        this.$logger.info(`The ${this.name} engine is listening to the HTTP port ${port}.`, { engineID: this.ID, engineName: this.name, port });
+      });
+  }
+
+  /**
+   * Publishes an event given a channel name.
+   * The promise is rejected if the event's message does not match its schema and the engine fails on invalid
+   * messages; the event is not published.
+   * @example
+   * const channelName = 'Dummy';
+   * const $event = new NucleusEvent('DummyEvent', {});
    *
    * $engine.publishEventToChannelByName(channelName, $event);
    *
    * @argument {String} channelName
    * @argument {NucleusEvent} $event
+   * @argument {Object} [options]
+   * @argument {String} [options.transport=this.eventTransport] - `PubSub` or `Stream`.
    *
    * @returns {Promise<Object>}
    */
-  publishEventToChannelByName (channelName, $event) {
+  publishEventToChannelByName (channelName, $event, options = {}) {
     if (!nucleusValidator.isString(channelName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The event channel name must be a string.");
     if (!($event instanceof NucleusEvent)) throw new NucleusError.UnexpectedValueTypeNucleusError("The event is not a valid Nucleus event.");
     const { ID: eventID, meta: { correlationID }, name: eventName } = $event;
+    const { transport = this.eventTransport } = options;
+
+    if (![ PubSubEventTransport, StreamEventTransport ].includes(transport)) throw new NucleusError.UnexpectedValueNucleusError(`The event transport "${transport}" is not a valid event transport.`);
 
     this.$logger.debug(`Publishing event "${eventName} (${eventID})" to channel "${channelName}"...`, { channelName, correlationID, eventID, eventName });
 
@@ -777,7 +2558,7 @@ end
 
     const eventKeyName = $event.generateOwnItemKey();
 
-    return this.$eventDatastore.$$server.multi()
+    const $multi = this.$eventDatastore.$$server.multi()
       // Store the event as a hash item.
       .hmset(eventKeyName, 'ID', $event.ID, 'message', $event.message.toString(), 'meta', $event.meta.toString(), 'name', $event.name)
       // Add the event key name to a local set.
@@ -785,10 +2566,23 @@ end
       // Remove older events from the set.
       .zremrangebyscore(channelName, 0, timestamp)
       // Expire the event in a set TTL.
-      .pexpire(eventKeyName, this.eventTTL)
-      // Publish the event through Redis for other engine.
-      .publish(channelName, JSON.stringify($event))
-      .execAsync()
+      .pexpire(eventKeyName, this.eventTTL);
+
+    // Publish the event through Redis for other engine.
+    if (transport === PubSubEventTransport) $multi.publish(channelName, JSON.stringify($event));
+
+    return this.retrieveEventSchemaByEventName(eventName)
+      .then((eventSchema) => {
+        this.validateEventMessage($event, (eventSchema || {}).eventMessageStructure);
+
+        return $multi.execAsync();
+      })
+      .then(() => {
+        if (transport !== StreamEventTransport) return;
+
+        // The client doesn't support the stream commands in a transaction.
+        return this.$eventDatastore.$$server.send_commandAsync('XADD', [ `${EVENT_STREAM_ITEM_KEY_PREFIX}:${channelName}`, 'MAXLEN', '~', this.eventStreamMaximumLength, '*', 'event', JSON.stringify($event) ]);
+      })
       .tap(() => {
         this.$logger.debug(`The event "${eventName} (${eventID})" has been successfully published.`, { channelName, correlationID, eventID, eventName });
       })
@@ -796,98 +2590,963 @@ end
   }
 
   /**
-   * Retrieves the action configurations given an action name.
+   * Reclaims the stream events of a channel that were delivered to a consumer of the engine's consumer group but not
+   * acknowledged within the `eventStreamClaimTimeout`, because the consumer died or one of its handler callbacks
+   * failed, and handles them again. The events that failed to be handled too many times are dropped.
+   *
+   * @argument {String} channelName
+   *
+   * @returns {Promise<{ droppedEventCount: Number, reclaimedEventCount: Number }>}
+   *
+   * @throws Will throw an error if the engine is not subscribed to the channel's event stream.
+   */
+  async reclaimPendingEventsByChannelName (channelName) {
+    const $$eventStreamSubscription = this.$$eventStreamSubscriptionByChannelName[channelName];
+
+    if (!$$eventStreamSubscription) throw new NucleusError.UndefinedContextNucleusError(`The ${this.name} engine is not subscribed to the event stream of the channel "${channelName}".`, { channelName });
+
+    const { consumerGroupName } = $$eventStreamSubscription;
+    const eventStreamItemKey = `${EVENT_STREAM_ITEM_KEY_PREFIX}:${channelName}`;
+    const pendingEntryList = await this.$eventDatastore.$$server.send_commandAsync('XPENDING', [ eventStreamItemKey, consumerGroupName, '-', '+', 100 ]);
+    const stalePendingEntryList = pendingEntryList
+      .filter(([ , , idleTimeInMillisecond ]) => idleTimeInMillisecond >= this.eventStreamClaimTimeout);
+    const droppedStreamEntryIDList = stalePendingEntryList
+      .filter(([ , , , deliveryCount ]) => deliveryCount >= $$eventStreamMaximumDeliveryCount)
+      .map(([ streamEntryID ]) => streamEntryID);
+    const reclaimedStreamEntryIDList = stalePendingEntryList
+      .filter(([ , , , deliveryCount ]) => deliveryCount < $$eventStreamMaximumDeliveryCount)
+      .map(([ streamEntryID ]) => streamEntryID);
+
+    if (droppedStreamEntryIDList.length > 0) {
+      this.$logger.error(`Dropping ${droppedStreamEntryIDList.length} event${(droppedStreamEntryIDList.length > 1) ? 's' : ''} of the channel "${channelName}" that failed to be handled ${$$eventStreamMaximumDeliveryCount} times.`, { channelName, consumerGroupName, engineID: this.ID, engineName: this.name, streamEntryIDList: droppedStreamEntryIDList });
+
+      await this.$eventDatastore.$$server.send_commandAsync('XACK', [ eventStreamItemKey, consumerGroupName, ...droppedStreamEntryIDList ]);
+    }
+
+    if (reclaimedStreamEntryIDList.length > 0) {
+      const streamEntryList = await this.$eventDatastore.$$server.send_commandAsync('XCLAIM', [ eventStreamItemKey, consumerGroupName, this.ID, this.eventStreamClaimTimeout, ...reclaimedStreamEntryIDList ]);
+
+      this.$logger.debug(`Reclaimed ${streamEntryList.length} event${(streamEntryList.length > 1) ? 's' : ''} of the channel "${channelName}".`, { channelName, consumerGroupName, engineID: this.ID, engineName: this.name });
+
+      await handleEventStreamEntryList(this, channelName, $$eventStreamSubscription, streamEntryList);
+    }
+
+    return { droppedEventCount: droppedStreamEntryIDList.length, reclaimedEventCount: reclaimedStreamEntryIDList.length };
+  }
+
+  /**
+   * Records a completed or failed action in the action audit trail.
+   * The entry is appended to the action audit stream unless the engine was created with an action audit writer; the
+   * stream only keeps about the last `actionAuditStreamMaximumLength` entries. An error while recording is only logged;
+   * it never fails the action.
+   *
+   * @argument {NucleusAction} $action
+   * @argument {Number} executionDuration - The time in milliseconds the execution took.
+   *
+   * @returns {Promise<actionAuditEntry|undefined>}
+   */
+  recordActionAuditEntry ($action, executionDuration) {
+    /**
+     * @typedef {Object} actionAuditEntry
+     * @property {String} actionID
+     * @property {String} actionName
+     * @property {String} actionStatus
+     * @property {String} [correlationID]
+     * @property {String} engineID
+     * @property {String} engineName
+     * @property {Object} [error]
+     * @property {Number} executionDuration
+     * @property {String} originUserID
+     * @property {String} recordedISOTime
+     * @property {String} [resourceID]
+     * @property {String} [resourceType]
+     */
+    const { ID: actionID, finalMessage = {}, meta: { correlationID, originUserID = $action.meta.authorUserID }, name: actionName, originalMessage: actionMessage, status: actionStatus } = $action;
+    const resource = (nucleusValidator.isObject(finalMessage) && nucleusValidator.isObject(finalMessage.resource)) ? finalMessage.resource : {};
+    const actionAuditEntry = {
+      actionID,
+      actionName,
+      actionStatus,
+      correlationID,
+      engineID: this.ID,
+      engineName: this.name,
+      executionDuration,
+      originUserID,
+      recordedISOTime: new Date().toISOString(),
+      resourceID: actionMessage.resourceID || resource.ID,
+      resourceType: actionMessage.resourceType || resource.type
+    };
+
+    if (actionStatus === NucleusAction.FailedActionStatus) {
+      const { message, meta = {}, name } = finalMessage.error || {};
+
+      actionAuditEntry.error = { message, name };
+
+      if (!actionAuditEntry.resourceID && !!meta.resourceID) actionAuditEntry.resourceID = meta.resourceID;
+    }
+
+    return Promise.try(() => {
+      if (!!this.$actionAuditWriter) return this.$actionAuditWriter.write(actionAuditEntry);
+
+      return this.$actionDatastore.$$server.send_commandAsync('XADD', [ ACTION_AUDIT_STREAM_ITEM_KEY, 'MAXLEN', '~', this.actionAuditStreamMaximumLength, '*', 'actionAuditEntry', JSON.stringify(actionAuditEntry) ]);
+    })
+      .then(() => actionAuditEntry)
+      .catch((error) => {
+        this.$logger.warn(`Could not record the action "${actionName} (${actionID})" in the action audit trail because of an error: ${error}`, { actionID, actionName, correlationID });
+      });
+  }
+
+  /**
+   * Registers the idempotency key of an action for the action's TTL; the action is stored as pending until it is
+   * published.
+   * If the key is already registered, the item key of the original action is returned instead; only an action that was
+   * cancelled or that is not stored anymore releases its key.
    *
    * @argument {String} actionName
+   * @argument {String} idempotencyKey
+   * @argument {String} actionItemKey
    *
-   * @returns {Promise<actionConfiguration>}
+   * @returns {Promise<{ actionItemKey: String, actionIsDuplicate: Boolean }>}
    */
-  retrieveActionConfigurationByActionName (actionName) {
+  registerActionIdempotencyKey (actionName, idempotencyKey, actionItemKey) {
+    if (!nucleusValidator.isString(idempotencyKey)) throw new NucleusError.UnexpectedValueTypeNucleusError("The idempotency key must be a string.");
+
+    return this.$actionDatastore.evaluateLUAScriptByName('RegisterActionIdempotencyKey', `${IDEMPOTENCY_KEY_ITEM_KEY_PREFIX}:${actionName}:${idempotencyKey}`, actionItemKey, this.actionTTL, NucleusDatastore.stringifyItem(NucleusAction.PendingActionStatus), NucleusDatastore.stringifyItem(NucleusAction.CancelledActionStatus))
+      .then((registeredActionItemKey) => {
+
+        return { actionItemKey: registeredActionItemKey, actionIsDuplicate: registeredActionItemKey !== actionItemKey };
+      });
+  }
+
+  /**
+   * Removes a recurring action schedule given its name.
+   *
+   * @argument {String} scheduleName
+   *
+   * @returns {Promise}
+   */
+  removeActionScheduleByName (scheduleName) {
+    if (!nucleusValidator.isString(scheduleName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The schedule name must be a string.");
+
+    return this.$actionDatastore.$$server.multi()
+      .hdel(ACTION_SCHEDULE_BY_SCHEDULE_NAME_TABLE_NAME, scheduleName)
+      .zrem(ACTION_SCHEDULE_NAME_SET_ITEM_NAME_TABLE_NAME, scheduleName)
+      .execAsync();
+  }
+
+  /**
+   * Removes a webhook subscription given its ID, with its delivery attempts.
+   *
+   * @argument {String} webhookSubscriptionID
+   * @argument {String} originUserID
+   *
+   * @returns {Promise<{ webhookSubscriptionWasRemoved: Boolean }>}
+   *
+   * @throws Will throw an error if the origin user didn't create the webhook subscription.
+   */
+  async removeWebhookSubscriptionByID (webhookSubscriptionID, originUserID) {
+    if (!nucleusValidator.isString(webhookSubscriptionID)) throw new NucleusError.UnexpectedValueTypeNucleusError("The webhook subscription ID must be a string.");
+
+    const webhookSubscription = await this.$datastore.retrieveItemFromHashFieldByName(WEBHOOK_SUBSCRIPTION_BY_ID_TABLE_NAME, webhookSubscriptionID);
+
+    if (nucleusValidator.isEmpty(webhookSubscription)) return { webhookSubscriptionWasRemoved: false };
+    if (webhookSubscription.originUserID !== originUserID) throw new NucleusError.UnauthorizedActionNucleusError(`The user ("${originUserID}") is not authorized to remove the webhook subscription ("${webhookSubscriptionID}")`);
+
+    const [ removedFieldCount ] = await this.$datastore.$$server.multi()
+      .hdel(WEBHOOK_SUBSCRIPTION_BY_ID_TABLE_NAME, webhookSubscriptionID)
+      .del(`${WEBHOOK_DELIVERY_ATTEMPT_LIST_ITEM_KEY_PREFIX}:${webhookSubscriptionID}`)
+      .execAsync();
+
+    await this.publishEventToChannelByName(WebhookSubscriptionRemovedEventName, new NucleusEvent(WebhookSubscriptionRemovedEventName, { webhookSubscriptionID }, { originEngineID: this.ID, originEngineName: this.name, originUserID }), { transport: PubSubEventTransport });
+
+    return { webhookSubscriptionWasRemoved: !!removedFieldCount };
+  }
+
+  /**
+   * Renders the metrics of the engine in the Prometheus text format.
+   * The length of every action queue and the number of actions in flight are sampled when the metrics are rendered.
+   * @example
+   * const renderedMetrics = await $engine.renderMetrics();
+   * // # HELP nucleus_executed_action_total The number of actions executed successfully.
+   * // # TYPE nucleus_executed_action_total counter
+   * // nucleus_executed_action_total{action_name="CreateDummy"} 42
+   *
+   * @returns {Promise<String>}
+   */
+  async renderMetrics () {
+    const actionQueueNameList = await this.$actionDatastore.$$server.smembersAsync(ACTION_QUEUE_NAME_SET_ITEM_NAME_TABLE_NAME);
+    const actionQueueLengthList = await Promise.all(actionQueueNameList
+      .map((actionQueueName) => {
+
+        return Promise.all(NucleusEngine.generatePriorityActionQueueNameList(actionQueueName)
+          .map((priorityActionQueueName) => this.$actionDatastore.$$server.llenAsync(priorityActionQueueName)))
+          .then((priorityActionQueueLengthList) => priorityActionQueueLengthList.reduce((accumulator, length) => accumulator + length, 0));
+      }));
+
+    // The queues that were removed since the last rendering must not be reported anymore.
+    this.$metricsRegistry.resetMetricByName('nucleus_action_queue_length');
+    this.$metricsRegistry.resetMetricByName('nucleus_in_flight_action_count');
+
+    actionQueueNameList
+      .forEach((actionQueueName, index) => {
+        this.$metricsRegistry.setGauge('nucleus_action_queue_length', { action_queue_name: actionQueueName }, actionQueueLengthList[index]);
+      });
+
+    Object.keys(this.$$actionQueueSemaphoreByActionQueueName)
+      .forEach((actionQueueName) => {
+        this.$metricsRegistry.setGauge('nucleus_in_flight_action_count', { action_queue_name: actionQueueName }, this.retrieveInFlightActionCountByActionQueueName(actionQueueName));
+      });
+
+    return this.$metricsRegistry.render();
+  }
+
+  /**
+   * Retrieves the events published to a channel through the stream transport since a given time, from the oldest to
+   * the most recent; useful to rebuild a read model. Only the last `eventStreamMaximumLength` events are kept.
+   * @example
+   * const eventList = await $engine.replayEventsSince('DummyCreated', Date.now() - 1000 * 60 * 60 * 24);
+   *
+   * @argument {String} channelName
+   * @argument {Date|Number} timestamp - A date or a timestamp in milliseconds.
+   *
+   * @returns {Promise<NucleusEvent[]>}
+   */
+  async replayEventsSince (channelName, timestamp) {
+    if (!nucleusValidator.isString(channelName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The event channel name must be a string.");
+    if (!Number.isFinite(new Date(timestamp).getTime())) throw new NucleusError.UnexpectedValueTypeNucleusError("The timestamp must be a date or a timestamp in milliseconds.");
+
+    const eventStreamItemKey = `${EVENT_STREAM_ITEM_KEY_PREFIX}:${channelName}`;
+    const eventList = [];
+    // The stream entry IDs are prefixed by the time they were added at in milliseconds.
+    let firstStreamEntryID = String(new Date(timestamp).getTime());
+
+    while (true) {
+      const streamEntryList = await this.$eventDatastore.$$server.send_commandAsync('XRANGE', [ eventStreamItemKey, firstStreamEntryID, '+', 'COUNT', 100 ]);
+
+      streamEntryList
+        .forEach(([ , streamEntryFieldList ]) => {
+          eventList.push(parseEventStreamEntry(streamEntryFieldList));
+        });
+
+      if (streamEntryList.length < 100) break;
+
+      const [ streamEntryTime, streamEntrySequence ] = streamEntryList[streamEntryList.length - 1][0].split('-');
+
+      firstStreamEntryID = `${streamEntryTime}-${Number(streamEntrySequence) + 1}`;
+    }
+
+    this.$logger.debug(`Replaying ${eventList.length} event${(eventList.length > 1) ? 's' : ''} of the channel "${channelName}".`, { channelName, engineID: this.ID, engineName: this.name });
+
+    return eventList;
+  }
+
+  /**
+   * Replays an action from the dead letter queue given its ID.
+   * The action is removed from the dead letter queue and published again to its action queue as a new action that
+   * keeps the original correlation ID and origin user ID.
+   * @example
+   * const { $action } = await $engine.replayDeadLetterActionByID('Dummy', actionID);
+   *
+   * @argument {String} actionQueueName
+   * @argument {String} actionID - The ID of the action that has failed.
+   *
+   * @returns {Promise<{ actionQueueName: String, $action: NucleusAction }>}
+   *
+   * @throws Will throw an error if the action can't be found in the dead letter queue.
+   */
+  async replayDeadLetterActionByID (actionQueueName, actionID) {
+    if (!nucleusValidator.isString(actionQueueName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action queue name must be a string.");
+    if (!nucleusValidator.isString(actionID)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action ID must be a string.");
+
+    const deadLetterActionQueueName = NucleusEngine.generateDeadLetterActionQueueName(actionQueueName);
+    const stringifiedActionList = await this.$actionDatastore.$$server.lrangeAsync(deadLetterActionQueueName, 0, -1);
+
+    const stringifiedAction = stringifiedActionList
+      .find((stringifiedAction) => {
+
+        return NucleusDatastore.parseItem(stringifiedAction).ID === actionID;
+      });
+
+    // Removing the action first ensures that concurrent replays don't publish the same action twice.
+    const removedActionCount = (!!stringifiedAction) ? await this.$actionDatastore.$$server.lremAsync(deadLetterActionQueueName, 1, stringifiedAction) : 0;
+
+    if (removedActionCount === 0) throw new NucleusError.UndefinedContextNucleusError(`The action "${actionID}" could not be found in the dead letter queue "${deadLetterActionQueueName}".`, { actionID, deadLetterActionQueueName });
+
+    const { meta: { correlationID, priority }, name: actionName, originalMessage: actionMessage, originUserID } = NucleusDatastore.parseItem(stringifiedAction);
+    const $action = new NucleusAction(actionName, actionMessage, { correlationID, originEngineID: this.ID, originEngineName: this.name, originProcessID: process.pid, originUserID, priority });
+
+    $action.meta.replayedActionID = actionID;
+
+    this.$logger.info(`Replaying the action "${actionName} (${actionID})" from the dead letter queue "${deadLetterActionQueueName}" as "${$action.ID}".`, { actionID, actionName, correlationID, deadLetterActionQueueName });
+
+    return this.publishActionToQueueByName(actionQueueName, $action);
+  }
+
+  /**
+   * Requeues the actions that were being processed by engines that stopped sending heartbeats given an action queue name.
+   * Every action is pushed back to the list of its priority.
+   * @example
+   * const { requeuedActionCount } = await $engine.requeueStaleActionsByActionQueueName('Dummy');
+   *
+   * @argument {String} actionQueueName
+   *
+   * @returns {Promise<{ requeuedActionCount: Number }>}
+   */
+  async requeueStaleActionsByActionQueueName (actionQueueName) {
+    if (!nucleusValidator.isString(actionQueueName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action queue name must be a string.");
+
+    const requeuedActionCount = await this.$actionDatastore.evaluateLUAScriptByName(
+      'RequeueStaleProcessingActions',
+      actionQueueName,
+      `${actionQueueName}:${PROCESSING_ENGINE_ID_SET_ITEM_KEY_SUFFIX}`,
+      NucleusEngine.generateProcessingActionQueueName(actionQueueName, ''),
+      `${ENGINE_HEARTBEAT_ITEM_KEY_PREFIX}:`,
+      NucleusAction.NormalActionPriority
+    );
+
+    if (requeuedActionCount > 0) this.$logger.warn(`Requeued ${requeuedActionCount} stale action${(requeuedActionCount > 1) ? 's' : ''} to action queue "${actionQueueName}".`, { actionQueueName, requeuedActionCount });
+
+    return { requeuedActionCount };
+  }
+
+  /**
+   * Resumes the sagas that were being orchestrated by engines that stopped sending heartbeats; only the sagas defined by
+   * the engine can be resumed.
+   * A resumed saga continues from the step it was interrupted at, or keeps compensating if it was being compensated.
+   * @example
+   * const { resumedSagaCount } = await $engine.resumeAllInterruptedSagas();
+   *
+   * @returns {Promise<{ resumedSagaCount: Number }>}
+   */
+  async resumeAllInterruptedSagas () {
+    const sagaIDList = [].concat(...await Promise.all(Object.keys(this.$$sagaDefinitionBySagaName)
+      .map((sagaName) => {
+
+        return this.$actionDatastore.evaluateLUAScriptByName(
+          'ClaimInterruptedSagas',
+          `${SAGA_ENGINE_ID_BY_SAGA_ID_TABLE_NAME_PREFIX}:${sagaName}`,
+          `${ENGINE_HEARTBEAT_ITEM_KEY_PREFIX}:`,
+          this.ID
+        );
+      })));
+
+    const sagaList = (await Promise.all(sagaIDList.map(this.retrieveSagaByID.bind(this)))).filter(Boolean);
+
+    sagaList
+      .forEach((saga) => {
+        const { ID: sagaID, meta: { correlationID }, name: sagaName } = saga;
+
+        this.$logger.warn(`Resuming the interrupted saga "${sagaName} (${sagaID})"...`, { correlationID, sagaID, sagaName });
+
+        this.continueSaga(saga)
+          .catch((error) => {
+            this.$logger.error(`The resumed saga "${sagaName} (${sagaID})" failed: ${error}`, { correlationID, sagaID, sagaName });
+          });
+      });
+
+    return { resumedSagaCount: sagaList.length };
+  }
+
+  /**
+   * Retrieves the circuit breaker of an action given its name.
+   *
+   * @argument {String} actionName
+   *
+   * @returns {NucleusCircuitBreaker}
+   */
+  retrieveActionCircuitBreakerByActionName (actionName) {
+    if (!this.$$actionCircuitBreakerByActionName.hasOwnProperty(actionName)) {
+      this.$$actionCircuitBreakerByActionName[actionName] = new NucleusCircuitBreaker(this.actionCircuitBreakerPolicy);
+    }
+
+    return this.$$actionCircuitBreakerByActionName[actionName];
+  }
+
+  /**
+   * Retrieves the action configurations given an action name.
+   *
+   * @argument {String} actionName
+   *
+   * @returns {Promise<actionConfiguration>}
+   */
+  retrieveActionConfigurationByActionName (actionName) {
+
+    return this.$datastore.retrieveItemFromHashFieldByName(ACTION_CONFIGURATION_BY_ACTION_NAME_TABLE_NAME, actionName);
+  }
+
+  /**
+   * Retrieves the action queue name given an action name.
+   *
+   * @argument {String} actionName
+   *
+   * @returns {Promise<String>}
+   */
+  retrieveActionQueueNameByActionName (actionName) {
+
+    return this.$actionDatastore.retrieveItemFromHashFieldByName(ACTION_QUEUE_NAME_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME, actionName);
+  }
+
+  /**
+   * Retrieves the semaphore that limits the number of actions in flight for an action queue.
+   *
+   * @argument {String} actionQueueName
+   *
+   * @returns {{ inFlightActionCount: Number, maxConcurrentActions: Number, retrievalWasDeferred: Boolean, retrievingActionCount: Number }}
+   */
+  retrieveActionQueueSemaphoreByActionQueueName (actionQueueName) {
+    if (!this.$$actionQueueSemaphoreByActionQueueName.hasOwnProperty(actionQueueName)) {
+      this.$$actionQueueSemaphoreByActionQueueName[actionQueueName] = { inFlightActionCount: 0, lastRetrievalTime: Date.now(), maxConcurrentActions: this.maxConcurrentActions, retrievalWasDeferred: false, retrievingActionCount: 0 };
+    }
+
+    return this.$$actionQueueSemaphoreByActionQueueName[actionQueueName];
+  }
+
+  /**
+   * Retrieves the entries of the action audit trail, from the oldest to the most recent, that match every given filter.
+   * The query is delegated to the action audit writer when the engine was created with one.
+   * @example
+   * const actionAuditEntryList = await $engine.retrieveAllActionAuditEntries({
+   *   actionName: 'ArchiveResourceByID',
+   *   fromTime: Date.now() - 1000 * 60 * 60 * 24 * 7,
+   *   resourceID
+   * });
+   *
+   * @argument {Object} [options]
+   * @argument {String} [options.actionName]
+   * @argument {Date|Number} [options.fromTime] - A date or a timestamp in milliseconds.
+   * @argument {Number} [options.limit=100]
+   * @argument {String} [options.originUserID]
+   * @argument {String} [options.resourceID]
+   * @argument {String} [options.resourceType]
+   * @argument {Date|Number} [options.toTime] - A date or a timestamp in milliseconds.
+   *
+   * @returns {Promise<actionAuditEntry[]>}
+   *
+   * @throws Will throw an error if the action audit writer can't be queried.
+   */
+  async retrieveAllActionAuditEntries (options = {}) {
+    const { actionName, fromTime, limit = 100, originUserID, resourceID, resourceType, toTime } = options;
+
+    if (!!this.$actionAuditWriter) {
+      if (!nucleusValidator.isFunction(this.$actionAuditWriter.retrieve)) throw new NucleusError.UndefinedContextNucleusError("The action audit writer doesn't implement a `retrieve` function.");
+
+      return this.$actionAuditWriter.retrieve(options);
+    }
+
+    const filter = { actionName, originUserID, resourceID, resourceType };
+    const filterKeyList = Object.keys(filter).filter((key) => !!filter[key]);
+    const actionAuditEntryList = [];
+    // The stream entry IDs are prefixed by the time they were added at in milliseconds.
+    const lastStreamEntryID = (!!toTime) ? String(new Date(toTime).getTime()) : '+';
+    let firstStreamEntryID = (!!fromTime) ? String(new Date(fromTime).getTime()) : '-';
+
+    while (actionAuditEntryList.length < limit) {
+      const streamEntryList = await this.$actionDatastore.$$server.send_commandAsync('XRANGE', [ ACTION_AUDIT_STREAM_ITEM_KEY, firstStreamEntryID, lastStreamEntryID, 'COUNT', 100 ]);
+
+      streamEntryList
+        .forEach(([ , [ , stringifiedActionAuditEntry ] ]) => {
+          const actionAuditEntry = JSON.parse(stringifiedActionAuditEntry);
+
+          if (actionAuditEntryList.length < limit && filterKeyList.every((key) => actionAuditEntry[key] === filter[key])) actionAuditEntryList.push(actionAuditEntry);
+        });
+
+      if (streamEntryList.length < 100) break;
+
+      const [ streamEntryTime, streamEntrySequence ] = streamEntryList[streamEntryList.length - 1][0].split('-');
+
+      firstStreamEntryID = `${streamEntryTime}-${Number(streamEntrySequence) + 1}`;
+    }
+
+    return actionAuditEntryList;
+  }
+
+  /**
+   * Retrieves all the recurring action schedules.
+   *
+   * @returns {Promise<actionSchedule[]>}
+   */
+  async retrieveAllActionSchedules () {
+    const actionScheduleByScheduleName = await this.$actionDatastore.retrieveAllItemsFromHashByName(ACTION_SCHEDULE_BY_SCHEDULE_NAME_TABLE_NAME);
+
+    return Object.keys(actionScheduleByScheduleName || {})
+      .map((scheduleName) => {
+
+        return actionScheduleByScheduleName[scheduleName];
+      });
+  }
+
+  /**
+   * Retrieves all the actions of the dead letter queue given an action queue name.
+   * @example
+   * const deadLetterActionList = await $engine.retrieveAllDeadLetterActionsByActionQueueName('Dummy');
+   *
+   * @argument {String} actionQueueName
+   *
+   * @returns {Promise<NucleusAction[]>}
+   */
+  async retrieveAllDeadLetterActionsByActionQueueName (actionQueueName) {
+    if (!nucleusValidator.isString(actionQueueName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action queue name must be a string.");
+
+    const stringifiedActionList = await this.$actionDatastore.$$server.lrangeAsync(NucleusEngine.generateDeadLetterActionQueueName(actionQueueName), 0, -1);
+
+    return stringifiedActionList
+      .map((stringifiedAction) => {
+
+        return new NucleusAction(NucleusDatastore.parseItem(stringifiedAction));
+      });
+  }
+
+  /**
+   * Retrieves the most recent delivery attempts of a webhook subscription, the latest first.
+   *
+   * @argument {String} webhookSubscriptionID
+   * @argument {String} originUserID
+   *
+   * @returns {Promise<{ webhookDeliveryAttemptList: webhookDeliveryAttempt[] }>}
+   *
+   * @throws Will throw an error if the webhook subscription doesn't exist or if the origin user didn't create it.
+   */
+  async retrieveAllWebhookDeliveryAttemptsBySubscriptionID (webhookSubscriptionID, originUserID) {
+    /**
+     * @typedef {Object} webhookDeliveryAttempt
+     * @property {Number} attemptCount
+     * @property {String} deliveryID - Shared by the attempts of a delivery.
+     * @property {Number} durationInMillisecond
+     * @property {String} [error]
+     * @property {String} eventID
+     * @property {String} eventName
+     * @property {String} ISOTime
+     * @property {String} status - Either `Delivered` or `Failed`.
+     * @property {Number} [statusCode]
+     * @property {String} webhookSubscriptionID
+     */
+    if (!nucleusValidator.isString(webhookSubscriptionID)) throw new NucleusError.UnexpectedValueTypeNucleusError("The webhook subscription ID must be a string.");
+
+    const webhookSubscription = await this.$datastore.retrieveItemFromHashFieldByName(WEBHOOK_SUBSCRIPTION_BY_ID_TABLE_NAME, webhookSubscriptionID);
+
+    if (nucleusValidator.isEmpty(webhookSubscription)) throw new NucleusError.UndefinedContextNucleusError(`The webhook subscription ("${webhookSubscriptionID}") does not exist.`);
+    if (webhookSubscription.originUserID !== originUserID) throw new NucleusError.UnauthorizedActionNucleusError(`The user ("${originUserID}") is not authorized to retrieve the delivery attempts of the webhook subscription ("${webhookSubscriptionID}")`);
+
+    const webhookDeliveryAttemptList = await this.$datastore.$$server.lrangeAsync(`${WEBHOOK_DELIVERY_ATTEMPT_LIST_ITEM_KEY_PREFIX}:${webhookSubscriptionID}`, 0, -1);
+
+    return { webhookDeliveryAttemptList: webhookDeliveryAttemptList.map((webhookDeliveryAttempt) => JSON.parse(webhookDeliveryAttempt)) };
+  }
+
+  /**
+   * Retrieves all the webhook subscriptions created by the origin user, without their secret.
+   *
+   * @argument {String} originUserID
+   *
+   * @returns {Promise<{ webhookSubscriptionList: webhookSubscription[] }>}
+   */
+  async retrieveAllWebhookSubscriptions (originUserID) {
+    const webhookSubscriptionByID = await this.$datastore.retrieveAllItemsFromHashByName(WEBHOOK_SUBSCRIPTION_BY_ID_TABLE_NAME);
+
+    const webhookSubscriptionList = Object.keys(webhookSubscriptionByID || {})
+      .filter((webhookSubscriptionID) => webhookSubscriptionByID[webhookSubscriptionID].originUserID === originUserID)
+      .map((webhookSubscriptionID) => {
+        const { channelNameList, createdISOTime, ID, originUserID, URL: webhookURL } = webhookSubscriptionByID[webhookSubscriptionID];
+
+        return { channelNameList, createdISOTime, ID, originUserID, URL: webhookURL };
+      });
+
+    return { webhookSubscriptionList };
+  }
+
+  /**
+   * Retrieves the schema of every event described by the engines, sorted by event name, so that subscribers know which
+   * properties of the message they can rely on.
+   * @example
+   * const eventCatalog = await $engine.retrieveEventCatalog();
+   * // [ { actionName: 'CreateDummy', eventMessageStructure: { dummy: 'object' }, eventName: 'DummyCreated', ... } ]
+   *
+   * @returns {Promise<eventSchema[]>}
+   */
+  async retrieveEventCatalog () {
+    const eventSchemaByEventName = await this.$datastore.retrieveAllItemsFromHashByName(EVENT_SCHEMA_BY_EVENT_NAME_TABLE_NAME);
+
+    return Object.keys(eventSchemaByEventName || {})
+      .sort()
+      .map((eventName) => {
+
+        return eventSchemaByEventName[eventName];
+      });
+  }
+
+  /**
+   * Retrieves an event schema given an event name.
+   * The schemas are cached by the engine since they are retrieved every time an event is published.
+   *
+   * @argument {String} eventName
+   *
+   * @returns {Promise<eventSchema>}
+   */
+  retrieveEventSchemaByEventName (eventName) {
+    const $$eventSchemaCache = this.$$eventSchemaCacheByEventName[eventName];
+
+    if (!!$$eventSchemaCache && Date.now() - $$eventSchemaCache.retrievalTime < $$eventSchemaCacheTTL) return Promise.resolve($$eventSchemaCache.eventSchema);
+
+    return this.$datastore.retrieveItemFromHashFieldByName(EVENT_SCHEMA_BY_EVENT_NAME_TABLE_NAME, eventName)
+      .tap((eventSchema) => {
+        this.$$eventSchemaCacheByEventName[eventName] = { eventSchema, retrievalTime: Date.now() };
+      });
+  }
+
+  /**
+   * Retrieves the extendable action configurations given an action name.
+   *
+   * @argument {String} actionName
+   *
+   * @returns {Promise<extendableActionConfiguration>}
+   */
+  retrieveExtendableActionConfigurationByActionName (actionName) {
+
+    return this.$datastore.retrieveItemFromHashFieldByName(EXTENDABLE_ACTION_CONFIGURATION_BY_ACTION_NAME_TABLE_NAME, actionName);
+  }
+
+  /**
+   * Retrieves the number of actions that are being executed by the engine for an action queue.
+   * @example
+   * const inFlightActionCount = $engine.retrieveInFlightActionCountByActionQueueName('Dummy');
+   *
+   * @argument {String} actionQueueName
+   *
+   * @returns {Number}
+   */
+  retrieveInFlightActionCountByActionQueueName (actionQueueName) {
+
+    return (this.$$actionQueueSemaphoreByActionQueueName.hasOwnProperty(actionQueueName)) ?
+      this.$$actionQueueSemaphoreByActionQueueName[actionQueueName].inFlightActionCount : 0;
+  }
+
+  /**
+   * Retrieves a pending action name and call the execution.
+   * The pending actions of higher priority are always retrieved first.
+   * When the engine uses a reliable action queue, the action is kept in the engine's processing list until its
+   * execution is done and the action queue is drained until it is empty or every slot is taken.
+   * The action queue is only popped if the number of actions in flight is under the maximum; otherwise the retrieval
+   * is resumed as soon as an action is done.
+   *
+   * @argument {String} actionQueueName
+   *
+   * @returns {Promise<void>}
+   */
+  async retrievePendingAction (actionQueueName) {
+    if (this.$$isShuttingDown) return;
+
+    const $handlerDatastore = (this.$handlerDatastoreByName.hasOwnProperty(`${actionQueueName}Handler`)) ?
+      this.$handlerDatastoreByName[`${actionQueueName}Handler`] :
+      (this.$handlerDatastoreByName[`${actionQueueName}Handler`] = this.$actionDatastore.duplicateConnection(`${actionQueueName}Handler`));
+    const processingActionQueueName = (this.reliableActionQueue) ? NucleusEngine.generateProcessingActionQueueName(actionQueueName, this.ID) : undefined;
+
+    const $$actionQueueSemaphore = this.retrieveActionQueueSemaphoreByActionQueueName(actionQueueName);
+
+    await $handlerDatastore;
+
+    // The ID of the handler's connection lets the engine unblock it when it shuts down.
+    if (!processingActionQueueName && !this.$$handlerClientIDPromiseByActionQueueName.hasOwnProperty(actionQueueName)) {
+      this.$$handlerClientIDPromiseByActionQueueName[actionQueueName] = $handlerDatastore.$$server.send_commandAsync('CLIENT', [ 'ID' ]);
+    }
+
+    if (!processingActionQueueName) await this.$$handlerClientIDPromiseByActionQueueName[actionQueueName];
+
+    if ($$actionQueueSemaphore.inFlightActionCount + $$actionQueueSemaphore.retrievingActionCount >= $$actionQueueSemaphore.maxConcurrentActions) {
+      $$actionQueueSemaphore.retrievalWasDeferred = true;
+
+      return;
+    }
+
+    // The slot is taken before popping the action queue so that concurrent retrievals can't exceed the maximum.
+    $$actionQueueSemaphore.retrievingActionCount++;
+    $$actionQueueSemaphore.lastRetrievalTime = Date.now();
+
+    let actionWasDispatched = false;
+
+    const releaseActionQueueSlot = (slotCountName) => {
+      $$actionQueueSemaphore[slotCountName]--;
+
+      if (!$$actionQueueSemaphore.retrievalWasDeferred) return;
+
+      $$actionQueueSemaphore.retrievalWasDeferred = false;
+      process.nextTick(this.retrievePendingAction.bind(this, actionQueueName));
+    };
+
+    try {
+      this.$logger.debug(`Retrieving a pending action from action queue "${actionQueueName}"...`, { actionQueueName });
+
+      if (!$handlerDatastore.$$server.connected) throw new NucleusError.UnexpectedValueNucleusError(`The handler is not connected anymore.`);
+
+      const priorityActionQueueNameList = NucleusEngine.generatePriorityActionQueueNameList(actionQueueName);
+
+      // Redis can't block on multiple lists while moving an item, the reliable queue relies on the keyspace
+      // notifications to be called again instead.
+      const [ priorityActionQueueName, actionItemKey ] = ((!!processingActionQueueName) ?
+        await this.$actionDatastore.evaluateLUAScriptByName('RetrievePendingActionByPriority', processingActionQueueName, ...priorityActionQueueNameList) :
+        await $handlerDatastore.$$server.brpopAsync(...priorityActionQueueNameList, 0)) || [];
+
+      if (!actionItemKey) return;
+
+      const removeActionFromProcessingList = () => {
+        if (!processingActionQueueName) return Promise.resolve();
+
+        return this.$actionDatastore.$$server.lremAsync(processingActionQueueName, 1, actionItemKey);
+      };
+
+      // Special command used to tell the handler to stop trying to retrieve pending action.
+      if (actionItemKey === '$$_ForceQuit') {
+        $$actionQueueSemaphore.retrievalWasDeferred = false;
+
+        return removeActionFromProcessingList();
+      }
+
+      // The engine started shutting down while the action queue was being popped, the action is put back at the front
+      // of its queue for another engine.
+      if (this.$$isShuttingDown) {
+        this.$logger.debug(`Requeuing the action "${actionItemKey}" because the engine is shutting down.`, { actionQueueName });
+
+        await this.$actionDatastore.$$server.rpushAsync(priorityActionQueueName, actionItemKey);
+
+        return removeActionFromProcessingList();
+      }
+
+      const actionAttributes = await this.$actionDatastore.retrieveAllItemsFromHashByName(actionItemKey);
+
+      // The publisher gave up on the action before it could be executed.
+      if (actionAttributes.status === NucleusAction.CancelledActionStatus) {
+        this.$logger.debug(`Skipping the action "${actionItemKey}" because it was cancelled.`, { actionQueueName });
+
+        return removeActionFromProcessingList();
+      }
+
+      // A requeued action might have expired or might have been done right before its engine died.
+      if (
+        !!processingActionQueueName &&
+        (nucleusValidator.isEmpty(actionAttributes) || actionAttributes.status === NucleusAction.CompletedActionStatus || actionAttributes.status === NucleusAction.FailedActionStatus)
+      ) {
+        this.$logger.debug(`Skipping the action "${actionItemKey}" because it has expired or is already done.`, { actionQueueName });
+
+        return removeActionFromProcessingList();
+      }
+
+      const $action = new NucleusAction(actionAttributes);
+      const { ID: actionID, meta: { correlationID }, name: actionName } = $action;
+
+      this.$logger.debug(`Retrieved a pending action "${actionName} (${actionID})" from action queue "${actionQueueName}".`, { actionID, actionName, actionQueueName, correlationID });
+      // if (NODE_ENVIRONMENT === DEVELOPMENT_ENVIRONMENT_NAME) {
+      //   try {
+      //     const actionQueueItemCount = await this.$actionDatastore.$$server.llenAsync(actionQueueName);
+      //     this.$logger.debug(`${actionQueueName} action queue has ${actionQueueItemCount} pending action${(actionQueueItemCount > 1) ? 's' : ''} left.`);
+      //
+      //   } catch (e) {
+      //     console.error(e);
+      //   }
+      // }
+
+      actionWasDispatched = true;
+      $$actionQueueSemaphore.retrievingActionCount--;
+      $$actionQueueSemaphore.inFlightActionCount++;
+
+      const $$actionExecutionPromise = new Promise((resolve) => {
+        process.nextTick(() => {
+          resolve(this.executeAction($action));
+        });
+      })
+        .catch((error) => {
+          this.$logger.error(error.message, {
+            actionID: $action.ID,
+            actionName: $action.name,
+            correlationID: $action.meta.correlationID,
+            originUserID: $action.meta.originUserID,
+            ...error
+          });
+        })
+        .then(removeActionFromProcessingList)
+        .catch((error) => {
+          this.$logger.error(`Could not remove the action "${actionName} (${actionID})" from the processing list because of an external error: ${error}`, { actionID, actionName, actionQueueName, correlationID });
+        })
+        .then(() => {
+          this.$$inFlightActionPromiseSet.delete($$actionExecutionPromise);
+          releaseActionQueueSlot('inFlightActionCount');
+        });
+
+      this.$$inFlightActionPromiseSet.add($$actionExecutionPromise);
+
+      // Unlike the blocking pop, the reliable queue is not notified of the actions that were pushed in the meantime.
+      if (!!processingActionQueueName) process.nextTick(this.retrievePendingAction.bind(this, actionQueueName));
+    } catch (error) {
+      this.$logger.warn(`Could not retrieve a pending action because of an error: ${error}`, {
+        engineID: this.ID,
+        engineName: this.name,
+        error
+      });
+    } finally {
+      if (!actionWasDispatched) releaseActionQueueSlot('retrievingActionCount');
+    }
+  }
+
+  /**
+   * Retrieves the resource structure given a resource type.
+   *
+   * @argument {String} resourceType
+   *
+   * @returns {Promise<resourceStructure>}
+   */
+  retrieveResourceStructureByResourceType (resourceType) {
+
+    return this.$datastore.retrieveItemFromHashFieldByName(RESOURCE_STRUCTURE_BY_RESOURCE_TYPE_TABLE_NAME, resourceType);
+  }
+
+  /**
+   * Retrieves a saga given its ID.
+   *
+   * @argument {String} sagaID
+   *
+   * @returns {Promise<saga>}
+   */
+  retrieveSagaByID (sagaID) {
+    if (!nucleusValidator.isString(sagaID)) throw new NucleusError.UnexpectedValueTypeNucleusError("The saga ID must be a string.");
+
+    return this.$actionDatastore.retrieveItemByName(`${SAGA_ITEM_KEY_PREFIX}:${sagaID}`);
+  }
+
+  /**
+   * Retries a failed action given its retry policy.
+   * The action is marked as pending and added to the scheduled actions so that it is pushed back to its action queue
+   * once the backoff time has elapsed, even if the engine stops meanwhile; the backoff time grows exponentially with
+   * every attempt.
+   *
+   * @argument {NucleusAction} $action
+   * @argument {actionRetryPolicy} actionRetryPolicy
+   * @argument {NucleusError} error
+   *
+   * @returns {Promise<Boolean>} - Resolves to `false` if the action can't be retried.
+   */
+  async retryActionWithBackoff ($action, actionRetryPolicy, error) {
+    /**
+     * @typedef {Object} actionRetryPolicy
+     * @property {Number} [backoffInMillisecond=1000] - The time to wait before the second attempt.
+     * @property {Number} [backoffMultiplier=2]
+     * @property {Number} [maximumAttemptCount=1]
+     * @property {String|String[]} [retryableErrorNameList] - Matches the name of the error or, for an external error, the name of the original error; any error is retryable if omitted.
+     */
+    const { backoffInMillisecond = 1000, backoffMultiplier = 2, maximumAttemptCount = 1, retryableErrorNameList } = actionRetryPolicy;
+    const { ID: actionID, meta: { attemptCount = 1, correlationID, priority: actionPriority }, name: actionName } = $action;
+
+    if (attemptCount >= maximumAttemptCount) return false;
+    if (!!retryableErrorNameList && ![].concat(retryableErrorNameList).some((errorName) => errorName === error.name || errorName === (error.meta || {}).originalErrorName)) return false;
+
+    const actionQueueName = await this.retrieveActionQueueNameByActionName(actionName);
+
+    if (!nucleusValidator.isString(actionQueueName)) return false;
+
+    const actionItemKey = $action.generateOwnItemKey();
+    const backoffTime = backoffInMillisecond * Math.pow(backoffMultiplier, attemptCount - 1);
+    const scheduledAction = { actionItemKey, actionQueueName: NucleusEngine.generatePriorityActionQueueName(actionQueueName, actionPriority) };
+
+    $action.meta.attemptCount = attemptCount + 1;
+    $action.updateStatus(NucleusAction.PendingActionStatus);
+
+    this.$logger.warn(`The action "${actionName} (${actionID})" failed on attempt ${attemptCount} of ${maximumAttemptCount}, retrying in ${backoffTime}ms: ${error.message}`, { actionID, actionName, actionQueueName, correlationID });
+
+    await this.$actionDatastore.$$server.multi()
+      .hmset(actionItemKey, 'meta', $action.meta.toString(), 'status', NucleusDatastore.stringifyItem($action.status))
+      .zadd(SCHEDULED_ACTION_SET_ITEM_NAME_TABLE_NAME, Date.now() + backoffTime, JSON.stringify(scheduledAction))
+      // The action is kept for the usual TTL once it is due.
+      .pexpire(actionItemKey, backoffTime + this.actionTTL)
+      .execAsync();
+
+    startActionScheduler(this);
+
+    return true;
+  }
+
+  /**
+   * Attempts again the failed webhook deliveries that are due.
+   * A delivery is claimed for twice the delivery timeout by the engine that attempts it, so that another engine attempts
+   * it if the engine stops in the meantime.
+   *
+   * @returns {Promise<{ retriedWebhookDeliveryCount: Number }>}
+   */
+  async retryAllDueWebhookDeliveries () {
+    const timestamp = Date.now();
+    const webhookDeliveryList = await this.$datastore.evaluateLUAScriptByName('ClaimAllDueWebhookDeliveries', WEBHOOK_DELIVERY_RETRY_SET_ITEM_NAME_TABLE_NAME, timestamp, timestamp + this.webhookDeliveryTimeout * 2);
 
-    return this.$datastore.retrieveItemFromHashFieldByName(ACTION_CONFIGURATION_BY_ACTION_NAME_TABLE_NAME, actionName);
+    await Promise.all(webhookDeliveryList
+      .map((webhookDelivery) => {
+        // The deliveries are parsed by the datastore; they were stored stringified the same way.
+        const stringifiedWebhookDelivery = JSON.stringify(webhookDelivery);
+        const webhookSubscription = this.$$webhookSubscriptionByID[webhookDelivery.webhookSubscriptionID];
+
+        // The webhook subscription was removed since the last attempt.
+        if (!webhookSubscription) return this.$datastore.$$server.zremAsync(WEBHOOK_DELIVERY_RETRY_SET_ITEM_NAME_TABLE_NAME, stringifiedWebhookDelivery);
+
+        return attemptWebhookDelivery(this, webhookSubscription, webhookDelivery, stringifiedWebhookDelivery);
+      }));
+
+    return { retriedWebhookDeliveryCount: webhookDeliveryList.length };
   }
 
   /**
-   * Retrieves the extendable action configurations given an action name.
-   *
-   * @argument {String} actionName
+   * Signals that the engine is alive; the heartbeat expires if it isn't renewed within three intervals.
    *
-   * @returns {Promise<extendableActionConfiguration>}
+   * @returns {Promise<void>}
    */
-  retrieveExtendableActionConfigurationByActionName (actionName) {
+  sendEngineHeartbeat () {
 
-    return this.$datastore.retrieveItemFromHashFieldByName(EXTENDABLE_ACTION_CONFIGURATION_BY_ACTION_NAME_TABLE_NAME, actionName);
+    return this.$actionDatastore.$$server.psetexAsync(`${ENGINE_HEARTBEAT_ITEM_KEY_PREFIX}:${this.ID}`, this.engineHeartbeatInterval * 3, Date.now())
+      .catch((error) => {
+        this.$logger.warn(`Could not send the ${this.name} engine's heartbeat because of an error: ${error}`, { engineID: this.ID, engineName: this.name });
+      });
   }
 
   /**
-   * Retrieves a pending action name and call the execution.
+   * Shuts the engine down gracefully: the engine stops retrieving pending actions, waits for the actions in flight to be
+   * executed then destroys the engine. The actions retrieved but not started are put back in their action queue.
+   * @example
+   * await $engine.shutdown({ drainTimeout: 1000 * 30 });
    *
-   * @argument {String} actionQueueName
+   * @argument {Object} [options]
+   * @argument {Number} [options.drainTimeout=this.defaultDrainTimeout] - The time in milliseconds to wait for the actions in flight.
    *
-   * @returns {Promise<void>}
+   * @returns {Promise<{ drainedActionCount: Number, undrainedActionCount: Number }>}
    */
-  async retrievePendingAction (actionQueueName) {
-    const $handlerDatastore = (this.$handlerDatastoreByName.hasOwnProperty(`${actionQueueName}Handler`)) ?
-      this.$handlerDatastoreByName[`${actionQueueName}Handler`] :
-      (this.$handlerDatastoreByName[`${actionQueueName}Handler`] = this.$actionDatastore.duplicateConnection(`${actionQueueName}Handler`));
+  shutdown (options = {}) {
+    if (!!this.$$shutdownPromise) return this.$$shutdownPromise;
 
-    await $handlerDatastore;
+    const { drainTimeout = this.defaultDrainTimeout } = options;
 
-    try {
-      this.$logger.debug(`Retrieving a pending action from action queue "${actionQueueName}"...`, { actionQueueName });
+    this.$$isShuttingDown = true;
 
-      if (!$handlerDatastore.$$server.connected) throw new NucleusError.UnexpectedValueNucleusError(`The handler is not connected anymore.`);
+    this.$logger.info(`Shutting down the ${this.name} engine...`, { engineID: this.ID, engineName: this.name });
 
-      const actionItemKey = (await $handlerDatastore.$$server.brpopAsync(actionQueueName, 0))[1];
+    this.$$shutdownPromise = Promise.all(Object.keys(this.$$actionQueueSemaphoreByActionQueueName)
+      .map((actionQueueName) => {
+        const $$actionQueueSemaphore = this.$$actionQueueSemaphoreByActionQueueName[actionQueueName];
 
-      // Special command used to tell the handler to stop trying to retrieve pending action.
-      if (actionItemKey === '$$_ForceQuit') return;
+        // Release the handlers that are blocked waiting for an action; the reliable action queue doesn't block.
+        if (this.reliableActionQueue || $$actionQueueSemaphore.retrievingActionCount === 0) return;
 
-      const $action = new NucleusAction(await (this.$actionDatastore.retrieveAllItemsFromHashByName(actionItemKey)));
-      const { ID: actionID, meta: { correlationID }, name: actionName } = $action;
+        return unblockActionQueueHandler(this, actionQueueName, $$actionQueueSemaphore);
+      }))
+      .then(() => {
+        const $$inFlightActionPromiseList = Array.from(this.$$inFlightActionPromiseSet);
 
-      this.$logger.debug(`Retrieved a pending action "${actionName} (${actionID})" from action queue "${actionQueueName}".`, { actionID, actionName, actionQueueName, correlationID });
-      // if (NODE_ENVIRONMENT === DEVELOPMENT_ENVIRONMENT_NAME) {
-      //   try {
-      //     const actionQueueItemCount = await this.$actionDatastore.$$server.llenAsync(actionQueueName);
-      //     this.$logger.debug(`${actionQueueName} action queue has ${actionQueueItemCount} pending action${(actionQueueItemCount > 1) ? 's' : ''} left.`);
-      //
-      //   } catch (e) {
-      //     console.error(e);
-      //   }
-      // }
+        this.$logger.debug(`Waiting for ${$$inFlightActionPromiseList.length} action${($$inFlightActionPromiseList.length > 1) ? 's' : ''} in flight...`, { engineID: this.ID, engineName: this.name });
 
-      process.nextTick(() => {
-        this.executeAction($action)
-          .catch((error) => {
-            this.$logger.error(error.message, {
-              actionID: $action.ID,
-              actionName: $action.name,
-              correlationID: $action.meta.correlationID,
-              originUserID: $action.meta.originUserID,
-              ...error
-            });
-          });
-      });
-    } catch (error) {
-      this.$logger.warn(`Could not retrieve a pending action because of an error: ${error}`, {
-        engineID: this.ID,
-        engineName: this.name,
-        error
-      });
-    }
-  }
+        return Promise.all($$inFlightActionPromiseList)
+          .timeout(drainTimeout)
+          .return({ drainedActionCount: $$inFlightActionPromiseList.length, undrainedActionCount: 0 })
+          .catch(Promise.TimeoutError, () => {
+            const undrainedActionCount = this.$$inFlightActionPromiseSet.size;
 
-  /**
-   * Retrieves the resource structure given a resource type.
-   *
-   * @argument {String} resourceType
-   *
-   * @returns {Promise<resourceStructure>}
-   */
-  retrieveResourceStructureByResourceType (resourceType) {
+            this.$logger.warn(`The ${this.name} engine is shutting down with ${undrainedActionCount} action${(undrainedActionCount > 1) ? 's' : ''} still in flight.`, { engineID: this.ID, engineName: this.name, undrainedActionCount });
 
-    return this.$datastore.retrieveItemFromHashFieldByName(RESOURCE_STRUCTURE_BY_RESOURCE_TYPE_TABLE_NAME, resourceType);
+            return { drainedActionCount: $$inFlightActionPromiseList.length - undrainedActionCount, undrainedActionCount };
+          });
+      })
+      .tap(this.destroy.bind(this));
+
+    return this.$$shutdownPromise;
   }
 
   /**
@@ -905,6 +3564,10 @@ end
      * @property {String[]} [alternativeActionSignature]
      * @property {String[]} [actionSignature]
      * @property {Object} [argumentConfigurationByArgumentName]
+     * @property {String} [actionPriority]
+     * @property {actionRateLimit} [actionRateLimit]
+     * @property {Object} [actionResponseStructure] - The structure of the action's response, derived from the `@returns` tag.
+     * @property {actionRetryPolicy} [actionRetryPolicy]
      * @property {String} contextName=Self
      * @property {String} [eventName]
      * @property {String} fileName
@@ -917,14 +3580,104 @@ end
       return Promise.all(actionConfigurationList.map(this.storeActionConfiguration.bind(this)));
     }
 
-    const { actionName } = actionConfiguration;
+    const { actionName, actionPriority, actionRateLimit } = actionConfiguration;
+
+    if (!!actionPriority && !~NucleusAction.NucleusActionPriorityWeightList.indexOf(actionPriority)) return Promise.reject(new NucleusError.UnexpectedValueNucleusError(`The action priority '${actionPriority}' of the action "${actionName}" is not a valid priority.`));
+    if (!!actionRateLimit && !nucleusValidator.isNumber(actionRateLimit.tokenCount)) return Promise.reject(new NucleusError.UnexpectedValueTypeNucleusError(`The token count of the rate limit of the action "${actionName}" must be a number.`));
 
     return Promise.all([
       this.$datastore.addItemToHashFieldByName(ACTION_CONFIGURATION_BY_ACTION_NAME_TABLE_NAME, actionName, actionConfiguration),
-      this.$actionDatastore.addItemToHashFieldByName(ACTION_QUEUE_NAME_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME, actionName, this.defaultActionQueueName)
+      this.$actionDatastore.addItemToHashFieldByName(ACTION_QUEUE_NAME_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME, actionName, this.defaultActionQueueName),
+      // The default priority is stored with the action queue name since publishers only have access to the action datastore.
+      (!!actionPriority) ?
+        this.$actionDatastore.addItemToHashFieldByName(ACTION_PRIORITY_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME, actionName, actionPriority) :
+        this.$actionDatastore.removeItemFromFieldByName(ACTION_PRIORITY_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME, actionName),
+      // The rate limit is enforced by the publishers as well.
+      (!!actionRateLimit) ?
+        this.$actionDatastore.addItemToHashFieldByName(ACTION_RATE_LIMIT_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME, actionName, actionRateLimit) :
+        this.$actionDatastore.removeItemFromFieldByName(ACTION_RATE_LIMIT_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME, actionName)
     ]);
   }
 
+  /**
+   * Stores a recurring action schedule; the action will be published every time the cron expression matches.
+   * The cron expression has five fields (minute, hour, day of the month, month and day of the week) that are evaluated
+   * in UTC.
+   * @example
+   * await $engine.storeActionSchedule({
+   *   actionMessage: { resourceType: 'Dummy' },
+   *   actionName: 'ArchiveAllStaleResourcesByType',
+   *   cronExpression: '0 2 * * *',
+   *   originUserID,
+   *   scheduleName: 'NightlyDummyArchive'
+   * });
+   *
+   * @argument {actionSchedule} actionSchedule
+   *
+   * @returns {Promise<{ nextExecutionTime: Number }>}
+   *
+   * @throws Will throw an error if the schedule name, the action name or the origin user ID is missing.
+   * @throws Will throw an error if the cron expression is not valid.
+   */
+  async storeActionSchedule (actionSchedule) {
+    /**
+     * @typedef {Object} actionSchedule
+     * @property {Object} [actionMessage={}]
+     * @property {String} actionName
+     * @property {String} cronExpression
+     * @property {String} originUserID
+     * @property {String} [priority]
+     * @property {String} scheduleName
+     */
+    const { actionMessage = {}, actionName, cronExpression, originUserID, priority, scheduleName } = actionSchedule;
+
+    if (!nucleusValidator.isString(scheduleName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The schedule name must be a string.");
+    if (!nucleusValidator.isString(actionName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action name must be a string.");
+    if (!nucleusValidator.isString(cronExpression)) throw new NucleusError.UnexpectedValueTypeNucleusError("The cron expression must be a string.");
+    if (!originUserID) throw new NucleusError.UndefinedValueNucleusError("The origin user ID must be defined.");
+
+    const nextExecutionTime = NucleusCronExpression.retrieveNextTime(cronExpression, Date.now());
+
+    await this.$actionDatastore.$$server.multi()
+      .hset(ACTION_SCHEDULE_BY_SCHEDULE_NAME_TABLE_NAME, scheduleName, JSON.stringify({ actionMessage, actionName, cronExpression, originUserID, priority, scheduleName }))
+      .zadd(ACTION_SCHEDULE_NAME_SET_ITEM_NAME_TABLE_NAME, nextExecutionTime, scheduleName)
+      .execAsync();
+
+    startActionScheduler(this);
+
+    return { nextExecutionTime };
+  }
+
+  /**
+   * Stores an event schema.
+   *
+   * @argument {eventSchema} eventSchema
+   *
+   * @returns {Promise}
+   */
+  storeEventSchema (eventSchema) {
+    /**
+     * @typedef {Object} eventSchema
+     * @property {String} [actionName] - The action that publishes the event once executed.
+     * @property {Object} eventMessageStructure - The structure of the event's message, derived from an `EventSchema` typedef or the action's `@returns` tag.
+     * @property {String} eventName
+     * @property {String} [fileName]
+     * @property {String} [filePath]
+     */
+    if (nucleusValidator.isArray(eventSchema)) {
+      const eventSchemaList = eventSchema;
+
+      return Promise.all(eventSchemaList.map(this.storeEventSchema.bind(this)));
+    }
+
+    const { eventName } = eventSchema;
+
+    return this.$datastore.addItemToHashFieldByName(EVENT_SCHEMA_BY_EVENT_NAME_TABLE_NAME, eventName, eventSchema)
+      .tap(() => {
+        this.$$eventSchemaCacheByEventName[eventName] = { eventSchema, retrievalTime: Date.now() };
+      });
+  }
+
   /**
    * Stores an extendable action configuration.
    *
@@ -987,16 +3740,98 @@ end
     return this.$datastore.addItemToHashFieldByName(RESOURCE_STRUCTURE_BY_RESOURCE_TYPE_TABLE_NAME, resourceType, resourceStructure);
   }
 
+  /**
+   * Stores the state of a saga. Once the saga is settled, it expires like an action and it is no longer bound to the
+   * engine.
+   *
+   * @argument {saga} saga
+   *
+   * @returns {Promise<saga>}
+   */
+  storeSaga (saga) {
+    const { ID: sagaID, name: sagaName, status: sagaStatus } = saga;
+    const sagaItemKey = `${SAGA_ITEM_KEY_PREFIX}:${sagaID}`;
+
+    saga.meta.modifiedISOTime = new Date().toISOString();
+
+    if (sagaStatus === ProcessingSagaStatus || sagaStatus === CompensatingSagaStatus) return this.$actionDatastore.createItem(sagaItemKey, saga);
+
+    return Promise.all([
+      this.$actionDatastore.createItem(sagaItemKey, saga, Math.ceil(this.actionTTL / 1000)),
+      this.$actionDatastore.removeItemFromFieldByName(`${SAGA_ENGINE_ID_BY_SAGA_ID_TABLE_NAME_PREFIX}:${sagaName}`, sagaID)
+    ])
+      .return(saga);
+  }
+
+  /**
+   * Streams an action's response if it is an async iterator: every chunk is added to the action's response stream, the
+   * stream ends with the number of chunks or with the error that interrupted the iteration.
+   * Any other response is left untouched.
+   *
+   * @argument {NucleusAction} $action
+   * @argument {AsyncIterator|Object} actionResponse
+   *
+   * @returns {Promise<Object>} - The number of chunks streamed, or the action response.
+   */
+  async streamActionResponse ($action, actionResponse) {
+    if (!actionResponse || !nucleusValidator.isFunction(actionResponse[$$asyncIteratorSymbol])) return actionResponse;
+
+    const { ID: actionID, meta: { correlationID }, name: actionName } = $action;
+    const actionResponseStreamItemKey = `${ACTION_RESPONSE_STREAM_ITEM_KEY_PREFIX}:${actionID}`;
+    const $actionResponseIterator = actionResponse[$$asyncIteratorSymbol]();
+    let streamedChunkCount = 0;
+
+    this.$logger.debug(`Streaming the response of the action "${actionName} (${actionID})"...`, { actionID, actionName, correlationID });
+
+    try {
+      while (true) {
+        const { done, value } = await $actionResponseIterator.next();
+
+        if (done) break;
+
+        await this.$actionDatastore.$$server.send_commandAsync('XADD', [ actionResponseStreamItemKey, '*', 'chunk', NucleusDatastore.stringifyItem(value) ]);
+
+        // The stream expires with the action.
+        if (++streamedChunkCount === 1) await this.$actionDatastore.$$server.pexpireAsync(actionResponseStreamItemKey, this.actionTTL);
+      }
+
+      await this.$actionDatastore.$$server.send_commandAsync('XADD', [ actionResponseStreamItemKey, '*', 'end', streamedChunkCount ]);
+    } catch (error) {
+      await this.$actionDatastore.$$server.send_commandAsync('XADD', [ actionResponseStreamItemKey, '*', 'error', JSON.stringify({ message: error.message, meta: error.meta, name: error.name }) ])
+        .catch(() => {});
+
+      throw error;
+    } finally {
+      await this.$actionDatastore.$$server.pexpireAsync(actionResponseStreamItemKey, this.actionTTL)
+        .catch(() => {});
+    }
+
+    this.$logger.debug(`The response of the action "${actionName} (${actionID})" has been streamed in ${streamedChunkCount} chunk${(streamedChunkCount > 1) ? 's' : ''}.`, { actionID, actionName, correlationID, streamedChunkCount });
+
+    return { streamedChunkCount };
+  }
+
   /**
    * Subscribe to the action queue updates given its name.
+   * @example
+   * // Execute at most 10 actions of the `Dummy` action queue at the same time.
+   * await $engine.subscribeToActionQueueUpdate('Dummy', { maxConcurrentActions: 10 });
    *
    * @argument {String} actionQueueName
+   * @argument {Object} [options]
+   * @argument {Number} [options.maxConcurrentActions=this.maxConcurrentActions]
    *
    * @returns {Promise<void>}
    */
-  async subscribeToActionQueueUpdate (actionQueueName) {
+  async subscribeToActionQueueUpdate (actionQueueName, options = {}) {
     if (!nucleusValidator.isString(actionQueueName)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action queue name must be a string.");
 
+    const { maxConcurrentActions = this.maxConcurrentActions } = options;
+
+    if (!(maxConcurrentActions >= 1)) throw new NucleusError.UnexpectedValueNucleusError("The maximum number of concurrent actions must be at least 1.");
+
+    this.retrieveActionQueueSemaphoreByActionQueueName(actionQueueName).maxConcurrentActions = maxConcurrentActions;
+
     const actionDatastoreIndex = this.$actionDatastore.index;
     const $actionQueueSubscriberDatastore = (this.$handlerDatastoreByName.hasOwnProperty(`${actionQueueName}Subscriber`)) ?
       this.$handlerDatastoreByName[`${actionQueueName}Subscriber`] :
@@ -1005,18 +3840,41 @@ end
     await $actionQueueSubscriberDatastore;
 
     try {
-      const channelName = `__keyspace@${actionDatastoreIndex}__:${actionQueueName}`;
+      if (this.reliableActionQueue) {
+        await this.$actionDatastore.addItemToSetByName(`${actionQueueName}:${PROCESSING_ENGINE_ID_SET_ITEM_KEY_SUFFIX}`, this.ID);
+
+        // Any engine can requeue the actions of a dead engine, the script is atomic.
+        const requeueStaleActions = () => {
+
+          return this.requeueStaleActionsByActionQueueName(actionQueueName)
+            .catch((error) => {
+              this.$logger.warn(`Could not requeue the stale actions because of an error: ${error}`, { actionQueueName, engineID: this.ID, engineName: this.name });
+            });
+        };
+
+        await requeueStaleActions();
+
+        this.$$intervalList.push(setInterval(requeueStaleActions, this.engineHeartbeatInterval * 3));
+        // The keyspace notifications are not guaranteed to be delivered, e.g. while the subscriber reconnects.
+        this.$$intervalList.push(setInterval(this.retrievePendingAction.bind(this, actionQueueName), this.reliableActionQueuePollingInterval));
+      }
 
       // Debounces the request fixing an issue that would cause the system to slow down as more requests are made.
       let timeout;
 
-      $actionQueueSubscriberDatastore.subscribeToChannelName(channelName);
-      $actionQueueSubscriberDatastore.handleEventByChannelName(channelName, () => {
-        if (this.debounceActionExecution) {
-          clearTimeout(timeout);
-          timeout = setTimeout(this.retrievePendingAction.bind(this, actionQueueName), 6);
-        } else process.nextTick(this.retrievePendingAction.bind(this, actionQueueName));
-      });
+      // Every priority of the action queue has its own list to watch.
+      NucleusEngine.generatePriorityActionQueueNameList(actionQueueName)
+        .forEach((priorityActionQueueName) => {
+          const channelName = `__keyspace@${actionDatastoreIndex}__:${priorityActionQueueName}`;
+
+          $actionQueueSubscriberDatastore.subscribeToChannelName(channelName);
+          $actionQueueSubscriberDatastore.handleEventByChannelName(channelName, () => {
+            if (this.debounceActionExecution) {
+              clearTimeout(timeout);
+              timeout = setTimeout(this.retrievePendingAction.bind(this, actionQueueName), 6);
+            } else process.nextTick(this.retrievePendingAction.bind(this, actionQueueName));
+          });
+        });
 
       return Promise.resolve();
     } catch (error) {
@@ -1038,15 +3896,233 @@ end
   }
 
   /**
-   * Unsubscribes to a channel given its name.
+   * Retrieves the webhook subscriptions and subscribes to the channels that are not handled yet.
+   * The channels that are not used by any subscription anymore stay subscribed but their events are ignored.
+   *
+   * @returns {Promise<{ webhookSubscriptionCount: Number }>}
+   */
+  async synchronizeWebhookSubscriptions () {
+    const webhookSubscriptionByID = await this.$datastore.retrieveAllItemsFromHashByName(WEBHOOK_SUBSCRIPTION_BY_ID_TABLE_NAME) || {};
+
+    this.$$webhookSubscriptionByID = webhookSubscriptionByID;
+
+    const channelNameList = Object.keys(webhookSubscriptionByID)
+      .reduce((accumulator, webhookSubscriptionID) => accumulator.concat(webhookSubscriptionByID[webhookSubscriptionID].channelNameList), [])
+      .filter((channelName, index, channelNameList) => channelNameList.indexOf(channelName) === index && !this.$$webhookChannelNameSet.has(channelName));
+
+    await Promise.all(channelNameList
+      .map((channelName) => {
+        this.$$webhookChannelNameSet.add(channelName);
+
+        return this.subscribeAndHandleEventByChannelName(channelName, this.handleWebhookEvent.bind(this, channelName), { consumerGroupName: $$webhookConsumerGroupName });
+      }));
+
+    return { webhookSubscriptionCount: Object.keys(webhookSubscriptionByID).length };
+  }
+
+  /**
+   * Unsubscribes to a channel given its name.
+   *
+   * @argument {String} channelName
+   *
+   * @returns {Promise<void>}
+   */
+  async unsubscribeFromEventChannelByName (channelName) {
+    // The consumer of the event stream stops once its subscription is removed.
+    if (this.$$eventStreamSubscriptionByChannelName.hasOwnProperty(channelName)) {
+      const { $$reclaimInterval, consumerGroupIsTransient, consumerGroupName } = this.$$eventStreamSubscriptionByChannelName[channelName];
+
+      clearInterval($$reclaimInterval);
+      Reflect.deleteProperty(this.$$eventStreamSubscriptionByChannelName, channelName);
+
+      if (consumerGroupIsTransient) await destroyEventStreamConsumerGroup(this, channelName, consumerGroupName);
+    }
+
+    return this.$eventSubscriberDatastore.unsubscribeFromChannelName(channelName);
+  }
+
+  /**
+   * Unsubscribes from a channel pattern and removes its handler callbacks.
+   *
+   * @argument {String} channelPattern
+   *
+   * @returns {Promise<void>}
+   */
+  async unsubscribeFromEventChannelPattern (channelPattern) {
+    Reflect.deleteProperty(this.eventHandlerByChannelPattern, channelPattern);
+    Reflect.deleteProperty(this.$$eventSubscriptionPromiseByChannelPattern, channelPattern);
+
+    return this.$eventSubscriberDatastore.unsubscribeFromChannelPattern(channelPattern);
+  }
+
+  /**
+   * Updates the circuit breaker of an action given the outcome of its execution; the `ActionCircuitOpened` and
+   * `ActionCircuitClosed` events are published when the circuit opens or closes.
+   *
+   * @argument {NucleusAction} $action
+   * @argument {NucleusError} [error] - The error of the execution, if it failed.
+   *
+   * @returns {Promise<{ circuitState: String }>}
+   */
+  async updateActionCircuitBreaker ($action, error) {
+    const { ID: actionID, meta: { correlationID }, name: actionName } = $action;
+    const $circuitBreaker = this.retrieveActionCircuitBreakerByActionName(actionName);
+
+    const publishCircuitEvent = (eventName, eventMessage) => {
+
+      return Promise.try(() => this.publishEventToChannelByName(eventName, new NucleusEvent(eventName, eventMessage, { correlationID, originEngineID: this.ID, originEngineName: this.name, originProcessID: process.pid })))
+        .catch((error) => {
+          this.$logger.warn(`Could not publish the event "${eventName}" because of an error: ${error}`, { actionName, correlationID });
+        });
+    };
+
+    if (!error) {
+      if (!$circuitBreaker.recordSuccess(actionID)) return { circuitState: $circuitBreaker.state };
+
+      this.$logger.info(`The circuit of the action "${actionName}" is closed.`, { actionID, actionName, correlationID });
+
+      await publishCircuitEvent('ActionCircuitClosed', { actionName });
+
+      return { circuitState: $circuitBreaker.state };
+    }
+
+    if ($circuitBreaker.recordFailure(actionID)) {
+      const { cooldownInMillisecond, failureTimeList: { length: failureCount } } = $circuitBreaker;
+
+      this.$logger.warn(`The circuit of the action "${actionName}" is open for ${cooldownInMillisecond}ms after ${failureCount} failure${(failureCount > 1) ? 's' : ''}: ${error.message}`, { actionID, actionName, correlationID, failureCount });
+
+      await publishCircuitEvent('ActionCircuitOpened', { actionName, cooldownInMillisecond, error: { message: error.message, name: error.name }, failureCount });
+    }
+
+    return { circuitState: $circuitBreaker.state };
+  }
+
+  /**
+   * Updates the progress of an action; the publisher can follow it with the `onProgress` option.
+   * @example
+   * await $engine.updateActionProgress($action, 50, "Imported 500 of 1000 dummies.");
+   *
+   * @argument {NucleusAction} $action
+   * @argument {Number} percent - A number between 0 and 100.
+   * @argument {String} [message]
+   *
+   * @returns {Promise<{ message: String=, percent: Number, updatedISOTime: String }>}
+   *
+   * @throws Will throw an error if the percent is not a number between 0 and 100.
+   */
+  async updateActionProgress ($action, percent, message) {
+    if (!Number.isFinite(percent) || percent < 0 || percent > 100) throw new NucleusError.UnexpectedValueNucleusError("The progress must be a number between 0 and 100.");
+    if (!!message && !nucleusValidator.isString(message)) throw new NucleusError.UnexpectedValueTypeNucleusError("The progress message must be a string.");
+
+    const { ID: actionID, meta: { correlationID }, name: actionName } = $action;
+    const actionProgress = { message, percent, updatedISOTime: new Date().toISOString() };
+
+    $action.progress = actionProgress;
+
+    await this.$actionDatastore.addItemToHashFieldByName($action.generateOwnItemKey(), 'progress', actionProgress);
+
+    this.$logger.debug(`The action "${actionName} (${actionID})" progressed to ${percent}%.`, { actionID, actionName, correlationID, percent });
+
+    return actionProgress;
+  }
+
+  /**
+   * Adds a middleware that is executed around every action executed by the engine, Koa style.
+   * @example
+   * $engine.useActionMiddleware(async (context, next) => {
+   *   const { $action } = context;
+   *   const startTime = Date.now();
+   *
+   *   await next();
+   *
+   *   $logger.info(`${$action.name} took ${Date.now() - startTime}ms.`, { actionResponse: context.actionResponse });
+   * });
+   *
+   * @see {@link #executeActionMiddlewareChain|NucleusEngine#executeActionMiddlewareChain}
+   *
+   * @argument {Function} actionMiddleware - `(context: Object, next: Function) => Promise`
+   *
+   * @throws Will throw an error if the action middleware is not a function.
+   */
+  useActionMiddleware (actionMiddleware) {
+    if (!nucleusValidator.isFunction(actionMiddleware)) throw new NucleusError.UnexpectedValueTypeNucleusError("The action middleware must be a function.");
+
+    this.$$actionMiddlewareList.push(actionMiddleware);
+  }
+
+  /**
+   * Validates an action's response given the structure of the response.
+   * An invalid response fails the action if the engine's `failOnInvalidActionResponse` option is set; otherwise a
+   * warning is logged. A streamed response is not validated, the response structure doesn't describe its chunks.
+   *
+   * @argument {NucleusAction} $action
+   * @argument {Object} [actionResponseStructure]
+   * @argument {AsyncIterator|Object} actionResponse
+   *
+   * @returns {Object} - The action response.
+   *
+   * @throws Will throw an error if the response does not match the structure and the engine fails on invalid responses.
+   */
+  validateActionResponse ($action, actionResponseStructure, actionResponse) {
+    if (nucleusValidator.isEmpty(actionResponseStructure)) return actionResponse;
+    if (!!actionResponse && nucleusValidator.isFunction(actionResponse[$$asyncIteratorSymbol])) return actionResponse;
+
+    const { ID: actionID, meta: { correlationID }, name: actionName } = $action;
+
+    try {
+      NucleusTypeExpression.generateStruct(actionResponseStructure)(actionResponse);
+    } catch (error) {
+      const errorMessage = `The response of the action "${actionName} (${actionID})" does not match its structure: ${error.message}`;
+
+      if (this.failOnInvalidActionResponse) throw new NucleusError.UnexpectedValueTypeNucleusError(errorMessage, { actionID, actionName, correlationID });
+
+      this.$logger.warn(errorMessage, { actionID, actionName, correlationID });
+    }
+
+    return actionResponse;
+  }
+
+  /**
+   * Validates an event's message given the structure of the message.
+   * An invalid message is refused if the engine's `failOnInvalidEventMessage` option is set; otherwise a warning is
+   * logged.
+   *
+   * @argument {NucleusEvent} $event
+   * @argument {Object} [eventMessageStructure]
+   *
+   * @throws Will throw an error if the message does not match the structure and the engine fails on invalid messages.
+   */
+  validateEventMessage ($event, eventMessageStructure) {
+    if (nucleusValidator.isEmpty(eventMessageStructure)) return;
+
+    const { ID: eventID, meta: { correlationID }, name: eventName } = $event;
+
+    try {
+      NucleusTypeExpression.generateStruct(eventMessageStructure)(Object.assign({}, $event.message));
+    } catch (error) {
+      const errorMessage = `The message of the event "${eventName} (${eventID})" does not match its schema: ${error.message}`;
+
+      if (this.failOnInvalidEventMessage) throw new NucleusError.UnexpectedValueTypeNucleusError(errorMessage, { correlationID, eventID, eventName });
+
+      this.$logger.warn(errorMessage, { correlationID, eventID, eventName });
+    }
+  }
+
+  /**
+   * Verifies that the circuit of an action lets it through; see `NucleusCircuitBreaker`.
    *
-   * @argument {String} channelName
+   * @argument {NucleusAction} $action
    *
-   * @returns {Promise<void>}
+   * @throws Will throw a `CircuitOpenNucleusError` if the circuit of the action is open or half-open.
    */
-  async unsubscribeFromEventChannelByName (channelName) {
+  verifyActionCircuitBreaker ($action) {
+    const { ID: actionID, meta: { correlationID }, name: actionName } = $action;
+    const $circuitBreaker = this.retrieveActionCircuitBreakerByActionName(actionName);
+    const { state: previousCircuitState } = $circuitBreaker;
 
-    return this.$eventSubscriberDatastore.unsubscribeFromChannelName(channelName);
+    if (!$circuitBreaker.allowsExecution(actionID)) throw new NucleusError.CircuitOpenNucleusError(`The circuit of the action "${actionName}" is open because it kept failing recently.`, { actionID, actionName, circuitState: $circuitBreaker.state, correlationID });
+
+    if (previousCircuitState === NucleusCircuitBreaker.OpenCircuitState) this.$logger.info(`The circuit of the action "${actionName}" is half-open, executing "${actionID}" as a trial...`, { actionID, actionName, correlationID });
   }
 
   /**
@@ -1105,7 +4181,7 @@ Please make sure that everything is set-up properly. https://github.com/sebastie
    * @returns {Object}
    */
   static augmentLogger ($logger, $action) {
-    const { ID: actionID, meta: { correlationID }, name: actionName, originUserID } = $action;
+    const { ID: actionID, meta: { correlationID, spanID, traceID }, name: actionName, originUserID } = $action;
     const loggerLevelNameList = [
       "error",
       "warn",
@@ -1119,7 +4195,7 @@ Please make sure that everything is set-up properly. https://github.com/sebastie
     loggerLevelNameList
       .reduce((accumulator, loggerLevel) => {
         accumulator[loggerLevel] = function (message, meta = {}) {
-          meta = Object.assign({}, meta, { correlationID, actionID, actionName, originUserID });
+          meta = Object.assign({}, meta, { correlationID, actionID, actionName, originUserID, spanID, traceID });
 
           return $logger[loggerLevel].call($logger, message, meta);
         };
@@ -1130,6 +4206,88 @@ Please make sure that everything is set-up properly. https://github.com/sebastie
     return loggerWrapper;
   }
 
+  /**
+   * Generates the dead letter queue name of an action queue.
+   * @example
+   * const deadLetterActionQueueName = NucleusEngine.generateDeadLetterActionQueueName('Dummy');
+   * // deadLetterActionQueueName === 'Dummy:DeadLetter'
+   *
+   * @argument {String} actionQueueName
+   *
+   * @returns {String}
+   */
+  static generateDeadLetterActionQueueName (actionQueueName) {
+
+    return `${actionQueueName}:${DEAD_LETTER_ACTION_QUEUE_NAME_SUFFIX}`;
+  }
+
+  /**
+   * Generates the name of the list that holds the actions being processed by an engine.
+   * @example
+   * const processingActionQueueName = NucleusEngine.generateProcessingActionQueueName('Dummy', $engine.ID);
+   * // processingActionQueueName === 'Dummy:Processing:<Engine's ID>'
+   *
+   * @argument {String} actionQueueName
+   * @argument {String} engineID
+   *
+   * @returns {String}
+   */
+  static generateProcessingActionQueueName (actionQueueName, engineID) {
+
+    return `${actionQueueName}:${PROCESSING_ACTION_QUEUE_NAME_SUFFIX}:${engineID}`;
+  }
+
+  /**
+   * Generates the name of the list that holds the pending actions of an action queue given a priority.
+   * The normal priority uses the action queue itself.
+   * @example
+   * const priorityActionQueueName = NucleusEngine.generatePriorityActionQueueName('Dummy', NucleusAction.HighActionPriority);
+   * // priorityActionQueueName === 'Dummy:HighPriority'
+   *
+   * @argument {String} actionQueueName
+   * @argument {String} [actionPriority=Normal]
+   *
+   * @returns {String}
+   */
+  static generatePriorityActionQueueName (actionQueueName, actionPriority = NucleusAction.NormalActionPriority) {
+    if (!actionPriority || actionPriority === NucleusAction.NormalActionPriority) return actionQueueName;
+
+    return `${actionQueueName}:${actionPriority}Priority`;
+  }
+
+  /**
+   * Generates the names of the lists that hold the pending actions of an action queue, from the highest to the lowest
+   * priority.
+   *
+   * @argument {String} actionQueueName
+   *
+   * @returns {String[]}
+   */
+  static generatePriorityActionQueueNameList (actionQueueName) {
+
+    return NucleusAction.NucleusActionPriorityWeightList
+      .slice()
+      .reverse()
+      .map(NucleusEngine.generatePriorityActionQueueName.bind(null, actionQueueName));
+  }
+
+  /**
+   * Generates the signature of a webhook request; see `NucleusWebhook.generateSignature`.
+   * @example
+   * const signature = NucleusEngine.generateWebhookSignature(secret, request.headers['x-nucleus-timestamp'], requestBody);
+   * // request.headers['x-nucleus-signature'] === `sha256=${signature}`
+   *
+   * @argument {String} secret
+   * @argument {Number|String} timestamp
+   * @argument {String} body
+   *
+   * @returns {String} - The hexadecimal HMAC-SHA256 of the timestamp and the body.
+   */
+  static generateWebhookSignature (secret, timestamp, body) {
+
+    return NucleusWebhook.generateSignature(secret, timestamp, body);
+  }
+
   /**
    * Parses a template string.
    * @example
@@ -1201,8 +4359,140 @@ Please make sure that everything is set-up properly. https://github.com/sebastie
 
 }
 
+/** @memberOf NucleusEngine */
+NucleusEngine.ClosedCircuitState = NucleusCircuitBreaker.ClosedCircuitState;
+/** @memberOf NucleusEngine */
+NucleusEngine.HalfOpenCircuitState = NucleusCircuitBreaker.HalfOpenCircuitState;
+/** @memberOf NucleusEngine */
+NucleusEngine.OpenCircuitState = NucleusCircuitBreaker.OpenCircuitState;
+/** @memberOf NucleusEngine */
+NucleusEngine.CompensatedSagaStatus = CompensatedSagaStatus;
+/** @memberOf NucleusEngine */
+NucleusEngine.CompensatingSagaStatus = CompensatingSagaStatus;
+/** @memberOf NucleusEngine */
+NucleusEngine.CompletedSagaStatus = CompletedSagaStatus;
+/** @memberOf NucleusEngine */
+NucleusEngine.FailedSagaStatus = FailedSagaStatus;
+/** @memberOf NucleusEngine */
+NucleusEngine.ProcessingSagaStatus = ProcessingSagaStatus;
+/** @memberOf NucleusEngine */
+NucleusEngine.HealthyHealthStatus = HealthyHealthStatus;
+/** @memberOf NucleusEngine */
+NucleusEngine.BroadcastEventDelivery = BroadcastEventDelivery;
+/** @memberOf NucleusEngine */
+NucleusEngine.CompetingEventDelivery = CompetingEventDelivery;
+/** @memberOf NucleusEngine */
+NucleusEngine.PubSubEventTransport = PubSubEventTransport;
+/** @memberOf NucleusEngine */
+NucleusEngine.StreamEventTransport = StreamEventTransport;
+/** @memberOf NucleusEngine */
+NucleusEngine.UnhealthyHealthStatus = UnhealthyHealthStatus;
+/** @memberOf NucleusEngine */
+NucleusEngine.DeliveredWebhookDeliveryStatus = DeliveredWebhookDeliveryStatus;
+/** @memberOf NucleusEngine */
+NucleusEngine.FailedWebhookDeliveryStatus = FailedWebhookDeliveryStatus;
+/** @memberOf NucleusEngine */
+NucleusEngine.WebhookSubscriptionCreatedEventName = WebhookSubscriptionCreatedEventName;
+/** @memberOf NucleusEngine */
+NucleusEngine.WebhookSubscriptionRemovedEventName = WebhookSubscriptionRemovedEventName;
+
 module.exports = NucleusEngine;
 
+/**
+ * Releases the idempotency key of an action that could not be published, if it is still registered for that action;
+ * the action is marked as cancelled so that the duplicate requests attached to it are rejected.
+ *
+ * @argument {NucleusEngine} $engine
+ * @argument {String} actionName
+ * @argument {String} idempotencyKey
+ * @argument {String} actionItemKey
+ *
+ * @returns {Promise}
+ */
+function releaseActionIdempotencyKey ($engine, actionName, idempotencyKey, actionItemKey) {
+
+  return $engine.$actionDatastore.evaluateLUAScriptByName('ReleaseActionIdempotencyKey', `${IDEMPOTENCY_KEY_ITEM_KEY_PREFIX}:${actionName}:${idempotencyKey}`, actionItemKey, NucleusDatastore.stringifyItem(NucleusAction.PendingActionStatus), NucleusDatastore.stringifyItem(NucleusAction.CancelledActionStatus))
+    .catch((error) => {
+      $engine.$logger.warn(`Could not release the idempotency key "${idempotencyKey}" of the action "${actionName}" because of an error: ${error}`, { actionName, idempotencyKey });
+    });
+}
+
+/**
+ * Releases the subscription of a request to the channel of an action; the requests attached to the same action share
+ * the engine's subscription to its channel, the channel is unsubscribed once the last of them is released.
+ *
+ * @argument {NucleusEngine} $engine
+ * @argument {NucleusDatastore} $actionSubscriberDatastore
+ * @argument {String} channelName
+ *
+ * @returns {Promise}
+ */
+function releaseActionChannelSubscription ($engine, $actionSubscriberDatastore, channelName) {
+  if (--$engine.$$actionRequestCountByChannelName[channelName] > 0) return Promise.resolve();
+
+  Reflect.deleteProperty($engine.$$actionRequestCountByChannelName, channelName);
+
+  return $actionSubscriberDatastore.unsubscribeFromChannelName(channelName);
+}
+
+/**
+ * Verifies that an action can be published before publishing it; every path that publishes an action for a response
+ * goes through it. The idempotency key is verified first so that the duplicates of an action don't consume any token,
+ * then the origin user consumes a token of the action's rate limit.
+ *
+ * @argument {NucleusEngine} $engine
+ * @argument {NucleusAction} $action
+ * @argument {actionRateLimit} [actionRateLimit]
+ * @argument {String} [idempotencyKey]
+ *
+ * @returns {Promise<{ actionID: String, actionIsDuplicate: Boolean, actionItemKey: String }>} - The item key of the original action if the request is a duplicate.
+ *
+ * @throws Will reject with a `RateLimitedNucleusError` if the origin user has no token left.
+ */
+async function verifyActionPublication ($engine, $action, actionRateLimit, idempotencyKey) {
+  const { name: actionName, originUserID } = $action;
+  const { actionItemKey, actionIsDuplicate } = (!!idempotencyKey) ?
+    await $engine.registerActionIdempotencyKey(actionName, idempotencyKey, $action.generateOwnItemKey()) :
+    { actionItemKey: $action.generateOwnItemKey(), actionIsDuplicate: false };
+  const [ , , actionID ] = actionItemKey.split(':');
+
+  if (actionIsDuplicate) return { actionID, actionIsDuplicate, actionItemKey };
+
+  try {
+    await $engine.consumeActionRateLimitToken(actionName, originUserID, actionRateLimit);
+  } catch (error) {
+    // The action won't be published, the next request with the same idempotency key must not attach to it.
+    if (!!idempotencyKey) await releaseActionIdempotencyKey($engine, actionName, idempotencyKey, actionItemKey);
+
+    throw error;
+  }
+
+  return { actionID, actionIsDuplicate, actionItemKey };
+}
+
+/**
+ * Unblocks the engine's connection that is waiting for the pending actions of an action queue, until none of the
+ * engine's retrievals is waiting anymore. Only the engine's own connection is unblocked so that the other engines keep
+ * retrieving the actions of the queue.
+ *
+ * @argument {NucleusEngine} $engine
+ * @argument {String} actionQueueName
+ * @argument {Object} $$actionQueueSemaphore
+ *
+ * @returns {Promise<void>}
+ */
+async function unblockActionQueueHandler ($engine, actionQueueName, $$actionQueueSemaphore) {
+  const $handlerDatastore = $engine.$handlerDatastoreByName[`${actionQueueName}Handler`];
+  const handlerClientID = await $engine.$$handlerClientIDPromiseByActionQueueName[actionQueueName];
+
+  while ($$actionQueueSemaphore.retrievingActionCount > 0 && $handlerDatastore.$$server.connected) {
+    const handlerWasUnblocked = await $engine.$actionDatastore.$$server.send_commandAsync('CLIENT', [ 'UNBLOCK', handlerClientID ]);
+
+    // The next retrieval might not be blocking yet.
+    if (!handlerWasUnblocked) await Promise.delay($$actionQueueHandlerUnblockingInterval);
+  }
+}
+
 /**
  * Parses the Nucleus doclet tags.
  *
@@ -1230,6 +4520,21 @@ function parseNucleusTag (docletTagList) {
     }, {});
 }
 
+/**
+ * Parses the option list of a Nucleus doclet tag that is written as key/value pairs.
+ * @example
+ * parseNucleusTagOptionList([ 'maximumAttemptCount', '3', 'retryableErrorNameList', '["NucleusError"]' ]);
+ * // { maximumAttemptCount: 3, retryableErrorNameList: [ 'NucleusError' ] }
+ *
+ * @argument {String[]} nucleusTagOptionList
+ *
+ * @returns {Object}
+ */
+function parseNucleusTagOptionList (nucleusTagOptionList) {
+
+  return NucleusDatastore.parseItem(NucleusDatastore.parseHashItem(nucleusTagOptionList));
+}
+
 /**
  * Retrieves all doclets in path.
  * @see {@link https://github.com/jsdoc3/jsdoc/blob/master/lib/jsdoc/doclet.js|JSDoc Doclet|}
@@ -1258,3 +4563,500 @@ function retrieveAllDocletsInPath (path) {
     $$childProcess.on('error', reject);
   });
 }
+
+/**
+ * Lets the engine run for the action scheduler's leadership and publish the due scheduled actions at every interval;
+ * the action scheduler is only started once per engine.
+ * A publisher engine, which borrows the scheduling methods, never runs the action scheduler: the actions it schedules
+ * are published by the engines.
+ *
+ * @argument {NucleusEngine|NucleusPublisherEngine} $engine
+ */
+function startActionScheduler ($engine) {
+  if ($engine.$$actionSchedulerIsStarted || !nucleusValidator.isArray($engine.$$intervalList)) return;
+
+  $engine.$$actionSchedulerIsStarted = true;
+
+  $engine.$$intervalList.push(setInterval(() => {
+    $engine.publishAllDueScheduledActions()
+      .catch((error) => {
+        $engine.$logger.warn(`Could not publish the scheduled actions because of an error: ${error}`, { engineID: $engine.ID, engineName: $engine.name });
+      });
+  }, $engine.actionSchedulerInterval));
+}
+
+/**
+ * Appends the commands that publish an action to an action queue to a transaction.
+ * The action is pushed to the list of the action queue that matches its priority.
+ *
+ * @argument {Multi} $multi
+ * @argument {String} actionQueueName
+ * @argument {NucleusAction} $action
+ * @argument {Number} actionTTL - The time to live of the action in milliseconds.
+ *
+ * @returns {Multi}
+ */
+function appendActionPublicationToTransaction ($multi, actionQueueName, $action, actionTTL) {
+  const { ID: actionID, meta: { priority: actionPriority }, name: actionName } = $action;
+  const actionKeyName = $action.generateOwnItemKey();
+  // Each priority has its own list so that the higher priorities are always drained first.
+  const priorityActionQueueName = NucleusEngine.generatePriorityActionQueueName(actionQueueName, actionPriority);
+
+  $action.updateStatus(NucleusAction.PendingActionStatus);
+
+  return $multi
+    // Store the action as a hash item.
+    .hmset(actionKeyName, 'ID', actionID, 'meta', $action.meta.toString(), 'name', actionName, 'status', NucleusDatastore.stringifyItem($action.status), 'originalMessage', $action.originalMessage.toString(), 'originUserID', $action.originUserID)
+    // Add the action key name into the appropriate action queue.
+    .lpush(priorityActionQueueName, actionKeyName)
+    // Expire the action in a set TTL, the action should be kept a little while for debugging but not for too long to
+    // prevent unnecessary memory bulk-up.
+    .pexpire(actionKeyName, actionTTL);
+}
+
+/**
+ * Generates an async iterable that reads the response stream of an action from the beginning. A dedicated connection
+ * is used because reading the stream blocks the connection until a chunk is added.
+ *
+ * @argument {NucleusEngine} $engine
+ * @argument {Promise<{ actionID: String, actionItemKey: String, actionName: String }>} $$actionPromise - The promise of the published action, or of the original action of a duplicate request.
+ * @argument {Number} pollingInterval - The time in milliseconds to wait for a chunk before verifying the action's status.
+ *
+ * @returns {AsyncIterable}
+ */
+function generateActionResponseStream ($engine, $$actionPromise, pollingInterval) {
+  const chunkList = [];
+  let $actionResponseStreamDatastore;
+  let lastStreamEntryID = '0';
+  let streamIsDone = false;
+
+  const close = () => {
+    streamIsDone = true;
+    chunkList.length = 0;
+
+    if (!$actionResponseStreamDatastore) return Promise.resolve();
+
+    return $actionResponseStreamDatastore.destroy()
+      .catch(() => {});
+  };
+  const generateError = (errorAttributes) => {
+    const NucleusErrorType = (Object.keys(NucleusError).includes(errorAttributes.name)) ? NucleusError[errorAttributes.name] : NucleusError;
+
+    return new NucleusErrorType(errorAttributes.message, { error: errorAttributes });
+  };
+  const readStream = async ({ actionID, actionItemKey, actionName }) => {
+    const actionResponseStreamItemKey = `${ACTION_RESPONSE_STREAM_ITEM_KEY_PREFIX}:${actionID}`;
+    let actionWasCompleted = false;
+
+    while (chunkList.length === 0 && !streamIsDone) {
+      // Once the action is completed, the rest of the stream is read without blocking.
+      const streamList = await $actionResponseStreamDatastore.$$server.send_commandAsync('XREAD', [].concat(
+        (actionWasCompleted) ? [] : [ 'BLOCK', pollingInterval ],
+        [ 'STREAMS', actionResponseStreamItemKey, lastStreamEntryID ]
+      ));
+
+      if (!streamList) {
+        if (actionWasCompleted) {
+          streamIsDone = true;
+
+          continue;
+        }
+
+        // The action might have failed before its handler started streaming or might not stream at all.
+        const [ actionFinalMessage, actionStatus ] = await $engine.$actionDatastore.retrieveItemFromHashFieldByName(actionItemKey, 'finalMessage', 'status');
+
+        if (!actionStatus) throw new NucleusError.UndefinedContextNucleusError(`The action "${actionName} (${actionID})" doesn't exist anymore.`, { actionID, actionName });
+        if (actionStatus === NucleusAction.CancelledActionStatus) throw new NucleusError.TimeoutNucleusError(`The action "${actionName} (${actionID})" was cancelled before it could be fulfilled.`, { actionID, actionName });
+        if (actionStatus === NucleusAction.FailedActionStatus) throw generateError((actionFinalMessage || {}).error || { message: `The action "${actionName} (${actionID})" failed.`, meta: { actionID, actionName } });
+
+        if (actionStatus === NucleusAction.CompletedActionStatus) {
+          const actionResponseStreamLength = await $actionResponseStreamDatastore.$$server.send_commandAsync('XLEN', [ actionResponseStreamItemKey ]);
+
+          if (actionResponseStreamLength === 0) {
+            chunkList.push(actionFinalMessage);
+            streamIsDone = true;
+          }
+
+          actionWasCompleted = true;
+        }
+
+        continue;
+      }
+
+      const [ [ , streamEntryList ] ] = streamList;
+
+      streamEntryList
+        .forEach(([ streamEntryID, [ fieldName, value ] ]) => {
+          lastStreamEntryID = streamEntryID;
+
+          if (fieldName === 'chunk') chunkList.push(NucleusDatastore.parseItem(value));
+          else if (fieldName === 'end') streamIsDone = true;
+          else if (fieldName === 'error') throw generateError(JSON.parse(value));
+        });
+    }
+  };
+
+  const $actionResponseStream = {
+    async next () {
+      if (chunkList.length === 0 && !streamIsDone) {
+        try {
+          const publishedAction = await $$actionPromise;
+
+          if (!$actionResponseStreamDatastore) $actionResponseStreamDatastore = await $engine.$actionDatastore.duplicateConnection(`${$engine.name}ActionResponseStream`);
+
+          await readStream(publishedAction);
+        } catch (error) {
+          await close();
+
+          throw error;
+        }
+      }
+
+      if (chunkList.length === 0) {
+        await close();
+
+        return { done: true, value: undefined };
+      }
+
+      return { done: false, value: chunkList.shift() };
+    },
+    async return () {
+      await close();
+
+      return { done: true, value: undefined };
+    },
+    [$$asyncIteratorSymbol] () {
+
+      return $actionResponseStream;
+    }
+  };
+
+  return $actionResponseStream;
+}
+
+
+/**
+ * Generates a proxy of the engine for the handler of an action; the actions published through it are children of the
+ * action in its trace and share its correlation ID, unless the options say otherwise.
+ *
+ * @argument {NucleusEngine} $engine
+ * @argument {NucleusAction} $action
+ *
+ * @returns {Proxy}
+ */
+function generateTracedEngineProxy ($engine, $action) {
+  const { meta: { correlationID, spanID: parentSpanID, traceID } } = $action;
+  const augmentOptions = (options) => {
+    const optionsByName = (nucleusValidator.isObject(options)) ? options : { originUserID: options };
+
+    return Object.keys(optionsByName)
+      .filter((optionName) => optionsByName[optionName] !== undefined)
+      .reduce((accumulator, optionName) => {
+        accumulator[optionName] = optionsByName[optionName];
+
+        return accumulator;
+      }, { correlationID, parentSpanID, traceID });
+  };
+  const publishMethodByMethodName = {
+    publishActionBatchAndHandleResponses (actionRequestList, options) {
+
+      return $engine.publishActionBatchAndHandleResponses.call($$tracedEngineProxy, actionRequestList, augmentOptions(options));
+    },
+    publishActionByNameAndHandleResponse (actionName, actionMessage, options) {
+
+      return $engine.publishActionByNameAndHandleResponse.call($$tracedEngineProxy, actionName, actionMessage, augmentOptions(options));
+    },
+    publishActionByNameAndStreamResponse (actionName, actionMessage, options) {
+
+      return $engine.publishActionByNameAndStreamResponse.call($$tracedEngineProxy, actionName, actionMessage, augmentOptions(options));
+    },
+    publishActionByNameAtTime (actionName, actionMessage, executionTime, options) {
+
+      return $engine.publishActionByNameAtTime.call($$tracedEngineProxy, actionName, actionMessage, executionTime, augmentOptions(options));
+    }
+  };
+
+  const $$tracedEngineProxy = new Proxy($engine, {
+    get: function (object, property) {
+      if (publishMethodByMethodName.hasOwnProperty(property)) return publishMethodByMethodName[property];
+
+      return Reflect.get(object, property);
+    }
+  });
+
+  return $$tracedEngineProxy;
+}
+
+/**
+ * Consumes the event stream of a channel for a subscription, until the subscription is removed.
+ *
+ * @argument {NucleusEngine} $engine
+ * @argument {String} channelName
+ * @argument {Object} $$eventStreamSubscription
+ *
+ * @returns {Promise<void>}
+ */
+async function consumeEventStream ($engine, channelName, $$eventStreamSubscription) {
+  const { consumerGroupName } = $$eventStreamSubscription;
+  const eventStreamItemKey = `${EVENT_STREAM_ITEM_KEY_PREFIX}:${channelName}`;
+  const handlerDatastoreName = `${channelName}EventStreamHandler`;
+  const $handlerDatastore = ($engine.$handlerDatastoreByName.hasOwnProperty(handlerDatastoreName)) ?
+    $engine.$handlerDatastoreByName[handlerDatastoreName] :
+    ($engine.$handlerDatastoreByName[handlerDatastoreName] = $engine.$eventDatastore.duplicateConnection(handlerDatastoreName));
+  const subscriptionIsActive = () => $engine.$$eventStreamSubscriptionByChannelName[channelName] === $$eventStreamSubscription;
+
+  await $handlerDatastore;
+
+  while (subscriptionIsActive()) {
+    try {
+      const streamList = await $handlerDatastore.$$server.send_commandAsync('XREADGROUP', [ 'GROUP', consumerGroupName, $engine.ID, 'COUNT', 10, 'BLOCK', $$eventStreamBlockingTimeout, 'STREAMS', eventStreamItemKey, '>' ]);
+
+      if (!streamList || !subscriptionIsActive()) continue;
+
+      const [ [ , streamEntryList ] ] = streamList;
+
+      await handleEventStreamEntryList($engine, channelName, $$eventStreamSubscription, streamEntryList);
+    } catch (error) {
+      if (!subscriptionIsActive()) return;
+
+      $engine.$logger.warn(`Could not read the event stream of the channel "${channelName}" because of an error: ${error}`, { channelName, consumerGroupName, engineID: $engine.ID, engineName: $engine.name });
+
+      // The stream and its consumer groups might have been removed.
+      if (/^NOGROUP/.test(error.message)) await createEventStreamConsumerGroup($engine, channelName, consumerGroupName).catch(() => {});
+
+      await Promise.delay($$eventStreamBlockingTimeout);
+    }
+  }
+}
+
+/**
+ * Creates a consumer group for the event stream of a channel, unless it already exists. The consumer group receives the
+ * events published from now on.
+ *
+ * @argument {NucleusEngine} $engine
+ * @argument {String} channelName
+ * @argument {String} consumerGroupName
+ *
+ * @returns {Promise<void>}
+ */
+function createEventStreamConsumerGroup ($engine, channelName, consumerGroupName) {
+
+  return $engine.$eventDatastore.$$server.send_commandAsync('XGROUP', [ 'CREATE', `${EVENT_STREAM_ITEM_KEY_PREFIX}:${channelName}`, consumerGroupName, '$', 'MKSTREAM' ])
+    .catch((error) => {
+      if (!/^BUSYGROUP/.test(error.message)) throw error;
+    });
+}
+
+/**
+ * Removes a consumer group from the event stream of a channel, with its pending events.
+ *
+ * @argument {NucleusEngine} $engine
+ * @argument {String} channelName
+ * @argument {String} consumerGroupName
+ *
+ * @returns {Promise<void>}
+ */
+function destroyEventStreamConsumerGroup ($engine, channelName, consumerGroupName) {
+
+  return $engine.$eventDatastore.$$server.send_commandAsync('XGROUP', [ 'DESTROY', `${EVENT_STREAM_ITEM_KEY_PREFIX}:${channelName}`, consumerGroupName ]);
+}
+
+/**
+ * Dispatches an event to the handler callbacks of a list of subscriptions.
+ * The event is claimed once per consumer group for the subscriptions with a `competing` delivery, so that only one
+ * engine of the consumer group handles it; the subscriptions with a `broadcast` delivery always handle it.
+ *
+ * @argument {NucleusEngine} $engine
+ * @argument {NucleusEvent} $event
+ * @argument {Object[]} eventSubscriptionList
+ * @argument {String} handledEventItemKeyListItemKeyPrefix
+ * @argument {Array} handlerArgumentList
+ *
+ * @returns {Promise<void>}
+ */
+function dispatchEventToSubscriptionList ($engine, $event, eventSubscriptionList, handledEventItemKeyListItemKeyPrefix, handlerArgumentList) {
+  const { meta: { correlationID } } = $event;
+  const timestamp = Date.now();
+  const eventItemKey = (correlationID) ? NucleusResource.generateItemKey($event.type, $event.name, correlationID) : $event.generateOwnItemKey();
+  const competingConsumerGroupNameList = Array.from(new Set(eventSubscriptionList
+    .filter(({ delivery }) => delivery === CompetingEventDelivery)
+    .map(({ consumerGroupName }) => consumerGroupName)));
+
+  return Promise.filter(competingConsumerGroupNameList, (consumerGroupName) => {
+
+    return $engine.$engineDatastore.evaluateLUAScriptByName('HandleEventQueuing', `${handledEventItemKeyListItemKeyPrefix}:${consumerGroupName}`, timestamp, timestamp + $engine.eventTTL, eventItemKey)
+      .then(([ eventWasHandled ]) => !eventWasHandled);
+  })
+    .then((claimedConsumerGroupNameList) => {
+      eventSubscriptionList
+        .filter(({ consumerGroupName, delivery }) => delivery === BroadcastEventDelivery || claimedConsumerGroupNameList.includes(consumerGroupName))
+        .forEach(({ handlerCallback }) => {
+          // A failing handler callback must not keep the other ones from handling the event.
+          Promise.try(() => handlerCallback.apply($engine, handlerArgumentList))
+            .catch((error) => {
+              $engine.$logger.error(`Could not handle the event "${$event.name} (${$event.ID})" because of an error: ${error}`, { correlationID, eventID: $event.ID, eventName: $event.name });
+            });
+        });
+    });
+}
+
+/**
+ * Handles the entries of an event stream one after the other; every entry is acknowledged once all of the handler
+ * callbacks are done.
+ *
+ * @argument {NucleusEngine} $engine
+ * @argument {String} channelName
+ * @argument {Object} $$eventStreamSubscription
+ * @argument {Array[]} streamEntryList
+ *
+ * @returns {Promise<void>}
+ */
+function handleEventStreamEntryList ($engine, channelName, $$eventStreamSubscription, streamEntryList) {
+  const { consumerGroupName, handlerCallbackList } = $$eventStreamSubscription;
+  const eventStreamItemKey = `${EVENT_STREAM_ITEM_KEY_PREFIX}:${channelName}`;
+  const acknowledgeStreamEntry = (streamEntryID) => $engine.$eventDatastore.$$server.send_commandAsync('XACK', [ eventStreamItemKey, consumerGroupName, streamEntryID ]);
+
+  return Promise.mapSeries(streamEntryList, ([ streamEntryID, streamEntryFieldList ]) => {
+    // The entries that were trimmed from the stream since they were delivered have no field anymore.
+    if (!streamEntryFieldList) return acknowledgeStreamEntry(streamEntryID);
+
+    const $event = parseEventStreamEntry(streamEntryFieldList);
+
+    return Promise.all(handlerCallbackList
+      .map((handlerCallback) => Promise.try(() => handlerCallback.call($engine, $event))))
+      .then(() => acknowledgeStreamEntry(streamEntryID))
+      .catch((error) => {
+        $engine.$logger.warn(`Could not handle the event "${$event.name} (${streamEntryID})" of the channel "${channelName}" because of an error: ${error}`, { channelName, consumerGroupName, correlationID: $event.meta.correlationID, engineID: $engine.ID, engineName: $engine.name, eventName: $event.name });
+      });
+  })
+    .return();
+}
+
+/**
+ * Parses the fields of an event stream entry into an event.
+ *
+ * @argument {String[]} streamEntryFieldList
+ *
+ * @returns {NucleusEvent}
+ */
+function parseEventStreamEntry ([ , stringifiedEvent ]) {
+  const { meta, message, name } = JSON.parse(stringifiedEvent);
+
+  return new NucleusEvent(name, message, Object.assign({}, meta, { originUserID: meta.authorUserID }));
+}
+
+/**
+ * Checks the health of a datastore connection.
+ *
+ * @argument {NucleusDatastore} $datastore
+ * @argument {Object} options
+ * @argument {Boolean} [options.datastoreIsBlocking=false] - Only verifies that the connection is connected.
+ * @argument {Number} options.healthCheckTimeout
+ *
+ * @returns {Promise<{ datastoreName: String, error: String, latencyInMillisecond: Number, status: String }>}
+ */
+function checkDatastoreHealth ($datastore, options) {
+  const { datastoreIsBlocking = false, healthCheckTimeout } = options;
+  const startTime = Date.now();
+
+  return Promise.try(() => {
+    // The commands sent to a disconnected datastore are queued until it reconnects.
+    if (!$datastore.$$server.connected) throw new NucleusError.UndefinedContextNucleusError(`The datastore "${$datastore.name}" is not connected.`);
+
+    if (datastoreIsBlocking) return;
+
+    return Promise.resolve($datastore.ping()).timeout(healthCheckTimeout);
+  })
+    .then(() => ({ datastoreName: $datastore.name, latencyInMillisecond: Date.now() - startTime, status: HealthyHealthStatus }))
+    .catch((error) => ({ datastoreName: $datastore.name, error: error.message, status: UnhealthyHealthStatus }));
+}
+
+/**
+ * Registers the metrics of an engine.
+ *
+ * @argument {NucleusMetricsRegistry} $metricsRegistry
+ */
+function registerAllEngineMetrics ($metricsRegistry) {
+  $metricsRegistry.registerMetric('nucleus_action_execution_duration_seconds', NucleusMetricsRegistry.HistogramMetricType, 'The time it took to execute the handler of an action.');
+  $metricsRegistry.registerMetric('nucleus_action_queue_length', NucleusMetricsRegistry.GaugeMetricType, 'The number of pending actions in an action queue.');
+  $metricsRegistry.registerMetric('nucleus_executed_action_total', NucleusMetricsRegistry.CounterMetricType, 'The number of actions executed successfully.');
+  $metricsRegistry.registerMetric('nucleus_failed_action_total', NucleusMetricsRegistry.CounterMetricType, 'The number of action executions that failed.');
+  $metricsRegistry.registerMetric('nucleus_in_flight_action_count', NucleusMetricsRegistry.GaugeMetricType, 'The number of actions of an action queue being executed by the engine.');
+  $metricsRegistry.registerMetric('nucleus_published_action_total', NucleusMetricsRegistry.CounterMetricType, 'The number of actions published.');
+}
+
+/**
+ * Attempts a webhook delivery and records the attempt; a failed delivery is stored to be attempted again once its
+ * backoff time has elapsed, unless the engine's retry policy is exhausted or the webhook subscription was removed.
+ *
+ * @argument {NucleusEngine} $engine
+ * @argument {webhookSubscription} webhookSubscription
+ * @argument {webhookDelivery} webhookDelivery
+ * @argument {String} [claimedWebhookDelivery] - The stringified delivery claimed from the retry set, removed once attempted.
+ *
+ * @returns {Promise<{ attemptCount: Number, deliveryID: String, deliveryWillBeRetried: Boolean, status: String }>}
+ */
+async function attemptWebhookDelivery ($engine, webhookSubscription, webhookDelivery, claimedWebhookDelivery) {
+  const { secret, URL: webhookURL } = webhookSubscription;
+  const { attemptCount, body, correlationID, deliveryID, eventID, eventName, webhookSubscriptionID } = webhookDelivery;
+  const { backoffInMillisecond = 1000, backoffMultiplier = 2, maximumAttemptCount = 1 } = $engine.webhookRetryPolicy;
+  const webhookHostWasAllowed = NucleusWebhook.hostIsAllowed(webhookURL, $engine.webhookHostAllowList, $engine.webhookHostDenyList);
+  const timestamp = Date.now();
+  const webhookDeliveryAttempt = { attemptCount, deliveryID, eventID, eventName, ISOTime: new Date(timestamp).toISOString(), webhookSubscriptionID };
+
+  try {
+    // The host may have been denied since the webhook subscription was created.
+    if (!webhookHostWasAllowed) throw new NucleusError.UnexpectedValueNucleusError(`The host of the webhook URL "${webhookURL}" is not allowed.`);
+
+    const { statusCode } = await NucleusWebhook.sendRequest(webhookURL, body, {
+      'X-Nucleus-Delivery-ID': deliveryID,
+      'X-Nucleus-Event-ID': eventID,
+      'X-Nucleus-Event-Name': eventName,
+      'X-Nucleus-Signature': `sha256=${NucleusEngine.generateWebhookSignature(secret, timestamp, body)}`,
+      'X-Nucleus-Timestamp': timestamp
+    }, $engine.webhookDeliveryTimeout, {
+      allowPrivateAddresses: $engine.webhookAllowPrivateAddresses,
+      hostAllowList: $engine.webhookHostAllowList,
+      hostDenyList: $engine.webhookHostDenyList
+    });
+
+    webhookDeliveryAttempt.statusCode = statusCode;
+
+    if (statusCode < 200 || statusCode >= 300) throw new NucleusError.UnexpectedValueNucleusError(`The webhook answered with the status code ${statusCode}.`);
+
+    webhookDeliveryAttempt.status = DeliveredWebhookDeliveryStatus;
+  } catch (error) {
+    webhookDeliveryAttempt.error = error.message;
+    webhookDeliveryAttempt.status = FailedWebhookDeliveryStatus;
+  }
+
+  webhookDeliveryAttempt.durationInMillisecond = Date.now() - timestamp;
+
+  const deliveryWillBeRetried = webhookDeliveryAttempt.status === FailedWebhookDeliveryStatus &&
+    webhookHostWasAllowed &&
+    attemptCount < maximumAttemptCount &&
+    $engine.$$webhookSubscriptionByID.hasOwnProperty(webhookSubscriptionID);
+  const backoffTime = backoffInMillisecond * Math.pow(backoffMultiplier, attemptCount - 1);
+  const $multi = $engine.$datastore.$$server.multi()
+    .lpush(`${WEBHOOK_DELIVERY_ATTEMPT_LIST_ITEM_KEY_PREFIX}:${webhookSubscriptionID}`, JSON.stringify(webhookDeliveryAttempt))
+    .ltrim(`${WEBHOOK_DELIVERY_ATTEMPT_LIST_ITEM_KEY_PREFIX}:${webhookSubscriptionID}`, 0, $$webhookDeliveryAttemptMaximumCount - 1);
+
+  if (!!claimedWebhookDelivery) $multi.zrem(WEBHOOK_DELIVERY_RETRY_SET_ITEM_NAME_TABLE_NAME, claimedWebhookDelivery);
+  if (deliveryWillBeRetried) $multi.zadd(WEBHOOK_DELIVERY_RETRY_SET_ITEM_NAME_TABLE_NAME, timestamp + backoffTime, JSON.stringify(Object.assign({}, webhookDelivery, { attemptCount: attemptCount + 1 })));
+
+  await $multi.execAsync()
+    .catch((error) => {
+      $engine.$logger.warn(`Could not record the delivery attempt of the event "${eventName} (${eventID})" to the webhook subscription "${webhookSubscriptionID}" because of an error: ${error}`, { correlationID, deliveryID, eventID, eventName, webhookSubscriptionID });
+    });
+
+  if (webhookDeliveryAttempt.status === DeliveredWebhookDeliveryStatus) {
+    $engine.$logger.debug(`The event "${eventName} (${eventID})" has been delivered to the webhook subscription "${webhookSubscriptionID}".`, { attemptCount, correlationID, deliveryID, eventID, eventName, webhookSubscriptionID });
+  } else if (deliveryWillBeRetried) {
+    $engine.$logger.warn(`The delivery of the event "${eventName} (${eventID})" to the webhook subscription "${webhookSubscriptionID}" failed on attempt ${attemptCount} of ${maximumAttemptCount}, retrying in ${backoffTime}ms: ${webhookDeliveryAttempt.error}`, { attemptCount, correlationID, deliveryID, eventID, eventName, webhookSubscriptionID });
+  } else {
+    $engine.$logger.error(`Could not deliver the event "${eventName} (${eventID})" to the webhook subscription "${webhookSubscriptionID}" after ${attemptCount} attempt${(attemptCount > 1) ? 's' : ''}: ${webhookDeliveryAttempt.error}`, { attemptCount, correlationID, deliveryID, eventID, eventName, webhookSubscriptionID });
+  }
+
+  return { attemptCount, deliveryID, deliveryWillBeRetried, status: webhookDeliveryAttempt.status };
+}
+
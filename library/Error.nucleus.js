@@ -91,6 +91,75 @@ class NucleusError extends Error {
 
 }
 
+class CircuitOpenNucleusError extends NucleusError {
+
+  /**
+   * Creates a Circuit Open Nucleus Error.
+   * @memberOf NucleusError
+   *
+   * @argument {String} errorMessage
+   */
+  constructor (errorMessage, options) {
+    super(errorMessage, options);
+
+    this.name = 'CircuitOpenNucleusError';
+    this.errorCode = 609;
+  }
+
+}
+
+class RateLimitedNucleusError extends NucleusError {
+
+  /**
+   * Creates a Rate Limited Nucleus Error.
+   * The time to wait before trying again is available as `meta.retryAfterInMillisecond`.
+   * @memberOf NucleusError
+   *
+   * @argument {String} errorMessage
+   */
+  constructor (errorMessage, options) {
+    super(errorMessage, options);
+
+    this.name = 'RateLimitedNucleusError';
+    this.errorCode = 608;
+  }
+
+}
+
+class SagaFailedNucleusError extends NucleusError {
+
+  /**
+   * Creates a Saga Failed Nucleus Error.
+   * @memberOf NucleusError
+   *
+   * @argument {String} errorMessage
+   */
+  constructor (errorMessage, options) {
+    super(errorMessage, options);
+
+    this.name = 'SagaFailedNucleusError';
+    this.errorCode = 607;
+  }
+
+}
+
+class TimeoutNucleusError extends NucleusError {
+
+  /**
+   * Creates a Timeout Nucleus Error.
+   * @memberOf NucleusError
+   *
+   * @argument {String} errorMessage
+   */
+  constructor (errorMessage, options) {
+    super(errorMessage, options);
+
+    this.name = 'TimeoutNucleusError';
+    this.errorCode = 606;
+  }
+
+}
+
 class UnauthorizedActionNucleusError extends NucleusError {
 
   /**
@@ -174,6 +243,10 @@ class UnexpectedValueTypeNucleusError extends NucleusError {
 
 }
 
+NucleusError.CircuitOpenNucleusError = CircuitOpenNucleusError;
+NucleusError.RateLimitedNucleusError = RateLimitedNucleusError;
+NucleusError.SagaFailedNucleusError = SagaFailedNucleusError;
+NucleusError.TimeoutNucleusError = TimeoutNucleusError;
 NucleusError.UnauthorizedActionNucleusError = UnauthorizedActionNucleusError;
 NucleusError.UndefinedContextNucleusError = UndefinedContextNucleusError;
 NucleusError.UndefinedValueNucleusError = UndefinedValueNucleusError;
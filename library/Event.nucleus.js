@@ -25,6 +25,9 @@ const eventResourceStructure = {
  * @property {String} meta.originEngineID
  * @property {String} meta.originEngineName
  * @property {String} meta.originProcessID
+ * @property {String} [meta.parentSpanID] - The span ID of the action that triggered the event.
+ * @property {String} meta.spanID
+ * @property {String} meta.traceID
  * @property {String} name
  * @property {Object} message
  */
@@ -44,6 +47,9 @@ class NucleusEvent extends NucleusResource {
    * @argument {String} [options.originEngineID]
    * @argument {String} [options.originEngineName]
    * @argument {String} [options.originProcessID]
+   * @argument {String} [options.parentSpanID] - The span ID of the action that triggered the event.
+   * @argument {String} [options.spanID] - Defaults to a new span ID.
+   * @argument {String} [options.traceID] - Defaults to a new trace ID.
    *
    * @throws Will throw an error if the event name is missing or an empty string.
    */
@@ -52,10 +58,12 @@ class NucleusEvent extends NucleusResource {
     else {
       if (!nucleusValidator.isString(eventName) || nucleusValidator.isEmpty(eventName)) throw new NucleusError.UndefinedValueNucleusError("The event name is mandatory.");
 
-      const { correlationID, originEngineID = 'Unknown', originEngineName = 'Unknown', originProcessID = process.pid, originUserID = 'Unknown' } = options;
-      const eventAttributes = { meta: { originEngineID, originEngineName, originProcessID }, name: eventName, message: eventMessage };
+      const { correlationID, originEngineID = 'Unknown', originEngineName = 'Unknown', originProcessID = process.pid, originUserID = 'Unknown', parentSpanID, spanID = NucleusResource.generateSpanID(), traceID = NucleusResource.generateTraceID() } = options;
+      // The trace and span IDs follow the W3C trace context format.
+      const eventAttributes = { meta: { originEngineID, originEngineName, originProcessID, spanID, traceID }, name: eventName, message: eventMessage };
 
       if (!!correlationID) eventAttributes.meta.correlationID = correlationID;
+      if (!!parentSpanID) eventAttributes.meta.parentSpanID = parentSpanID;
 
       super('NucleusEvent', eventResourceStructure, eventAttributes, originUserID);
 
@@ -0,0 +1,71 @@
+"use strict";
+
+/**
+ * @fileOverview Define the Nucleus In Memory Span Exporter class that keeps the spans of the engine in memory.
+ */
+
+const Promise = require('bluebird');
+
+const NucleusError = require('./Error.nucleus');
+
+const nucleusValidator = require('./validator.nucleus');
+
+class NucleusInMemorySpanExporter {
+
+  /**
+   * Creates a Nucleus In Memory Span Exporter; mostly useful for testing and debugging.
+   * @example
+   * const $spanExporter = new NucleusInMemorySpanExporter();
+   * const $engine = new NucleusEngine('Dummy', { $spanExporter });
+   *
+   * @returns {NucleusInMemorySpanExporter}
+   */
+  constructor () {
+    /** @member {span[]} spanList */
+    this.spanList = [];
+  }
+
+  /**
+   * Exports a span.
+   *
+   * @argument {span} span
+   *
+   * @returns {Promise}
+   */
+  export (span) {
+    this.spanList.push(span);
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Removes every span that was exported.
+   *
+   * @returns {Promise}
+   */
+  reset () {
+    this.spanList.length = 0;
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Retrieves all the spans of a trace in the order they were exported.
+   * @example
+   * const spanList = await $spanExporter.retrieveAllSpansByTraceID(traceID);
+   *
+   * @argument {String} traceID
+   *
+   * @returns {Promise<span[]>}
+   *
+   * @throws Will throw an error if the trace ID is not a string.
+   */
+  retrieveAllSpansByTraceID (traceID) {
+    if (!nucleusValidator.isString(traceID)) return Promise.reject(new NucleusError.UnexpectedValueTypeNucleusError("The trace ID must be a string."));
+
+    return Promise.resolve(this.spanList.filter((span) => span.traceID === traceID));
+  }
+
+}
+
+module.exports = NucleusInMemorySpanExporter;
@@ -0,0 +1,90 @@
+"use strict";
+
+/**
+ * @fileOverview Define the Nucleus JSON File Span Exporter class that appends the spans of the engine to a file.
+ */
+
+const Promise = require('bluebird');
+const fs = require('fs');
+
+const NucleusError = require('./Error.nucleus');
+
+const nucleusValidator = require('./validator.nucleus');
+
+const fsAppendFilePromisified = Promise.promisify(fs.appendFile);
+const fsReadFilePromisified = Promise.promisify(fs.readFile);
+
+class NucleusJSONFileSpanExporter {
+
+  /**
+   * Creates a Nucleus JSON File Span Exporter. Every span is appended to the file as a line of JSON.
+   * @example
+   * const $spanExporter = new NucleusJSONFileSpanExporter(path.join(__dirname, 'spans.json'));
+   * const $engine = new NucleusEngine('Dummy', { $spanExporter });
+   *
+   * @argument {String} filePath
+   *
+   * @returns {NucleusJSONFileSpanExporter}
+   *
+   * @throws Will throw an error if the file path is not a string.
+   */
+  constructor (filePath) {
+    if (!nucleusValidator.isString(filePath)) throw new NucleusError.UnexpectedValueTypeNucleusError("The file path must be a string.");
+
+    /** @member {String} filePath */
+    Reflect.defineProperty(this, 'filePath', { enumerable: true, value: filePath, writable: false });
+
+    // The spans are appended one after the other so that the lines never interleave.
+    this.$$appendPromise = Promise.resolve();
+  }
+
+  /**
+   * Exports a span.
+   *
+   * @argument {span} span
+   *
+   * @returns {Promise}
+   */
+  export (span) {
+    this.$$appendPromise = this.$$appendPromise
+      .catch(() => {})
+      .then(() => fsAppendFilePromisified(this.filePath, `${JSON.stringify(span)}\n`, 'UTF8'));
+
+    return this.$$appendPromise;
+  }
+
+  /**
+   * Retrieves all the spans of a trace in the order they were exported.
+   * @example
+   * const spanList = await $spanExporter.retrieveAllSpansByTraceID(traceID);
+   *
+   * @argument {String} traceID
+   *
+   * @returns {Promise<span[]>}
+   *
+   * @throws Will throw an error if the trace ID is not a string.
+   */
+  retrieveAllSpansByTraceID (traceID) {
+    if (!nucleusValidator.isString(traceID)) return Promise.reject(new NucleusError.UnexpectedValueTypeNucleusError("The trace ID must be a string."));
+
+    return this.$$appendPromise
+      .catch(() => {})
+      .then(() => fsReadFilePromisified(this.filePath, 'UTF8'))
+      .catch((error) => {
+        if (error.code === 'ENOENT') return '';
+
+        throw error;
+      })
+      .then((fileContent) => {
+
+        return fileContent
+          .split('\n')
+          .filter((line) => !nucleusValidator.isEmpty(line))
+          .map((line) => JSON.parse(line))
+          .filter((span) => span.traceID === traceID);
+      });
+  }
+
+}
+
+module.exports = NucleusJSONFileSpanExporter;
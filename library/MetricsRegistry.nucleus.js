@@ -0,0 +1,226 @@
+"use strict";
+
+/**
+ * @fileOverview Define the Nucleus Metrics Registry class that collects the metrics of an engine and renders them in the
+ * Prometheus text format.
+ */
+
+const NucleusError = require('./Error.nucleus');
+
+const nucleusValidator = require('./validator.nucleus');
+
+const CounterMetricType = 'counter';
+const GaugeMetricType = 'gauge';
+const HistogramMetricType = 'histogram';
+
+const $$defaultHistogramBucketList = [ 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10 ];
+const $$metricNameRegularExpression = new RegExp(/^[a-zA-Z_:][a-zA-Z0-9_:]*$/);
+
+class NucleusMetricsRegistry {
+
+  /**
+   * Creates a Nucleus Metrics Registry.
+   * @example
+   * const $metricsRegistry = new NucleusMetricsRegistry();
+   *
+   * $metricsRegistry.registerMetric('nucleus_executed_action_total', NucleusMetricsRegistry.CounterMetricType, 'The number of executed actions.');
+   * $metricsRegistry.incrementCounter('nucleus_executed_action_total', { action_name: 'CreateDummy' });
+   *
+   * @returns {NucleusMetricsRegistry}
+   */
+  constructor () {
+    this.metricByMetricName = {};
+  }
+
+  /**
+   * Increments a counter given its name and labels.
+   *
+   * @argument {String} metricName
+   * @argument {Object} [labelByLabelName={}]
+   * @argument {Number} [value=1]
+   *
+   * @throws Will throw an error if the metric is not a registered counter.
+   */
+  incrementCounter (metricName, labelByLabelName = {}, value = 1) {
+    const sample = this.retrieveSampleByMetricName(metricName, CounterMetricType, labelByLabelName);
+
+    sample.value += value;
+  }
+
+  /**
+   * Observes a value in a histogram given its name and labels.
+   *
+   * @argument {String} metricName
+   * @argument {Object} [labelByLabelName={}]
+   * @argument {Number} value
+   *
+   * @throws Will throw an error if the metric is not a registered histogram.
+   */
+  observeHistogram (metricName, labelByLabelName = {}, value) {
+    const sample = this.retrieveSampleByMetricName(metricName, HistogramMetricType, labelByLabelName);
+
+    sample.bucketList
+      .forEach((bucket) => {
+        if (value <= bucket.upperBound) bucket.count++;
+      });
+    sample.count++;
+    sample.sum += value;
+  }
+
+  /**
+   * Registers a metric; registering a metric that already exists has no effect.
+   *
+   * @argument {String} metricName
+   * @argument {String} metricType - One of `counter`, `gauge` or `histogram`.
+   * @argument {String} metricHelp
+   * @argument {Object} [options]
+   * @argument {Number[]} [options.bucketList] - The upper bounds of the buckets of a histogram.
+   *
+   * @throws Will throw an error if the metric name is not valid or if the metric type is unknown.
+   */
+  registerMetric (metricName, metricType, metricHelp, options = {}) {
+    const { bucketList = $$defaultHistogramBucketList } = options;
+
+    if (!nucleusValidator.isString(metricName) || !$$metricNameRegularExpression.test(metricName)) throw new NucleusError.UnexpectedValueNucleusError(`The metric name "${metricName}" is not valid.`);
+    if (![ CounterMetricType, GaugeMetricType, HistogramMetricType ].includes(metricType)) throw new NucleusError.UnexpectedValueNucleusError(`The metric type "${metricType}" is not valid.`);
+
+    if (this.metricByMetricName.hasOwnProperty(metricName)) return;
+
+    this.metricByMetricName[metricName] = { bucketList: bucketList.slice().sort((a, b) => a - b), metricHelp, metricName, metricType, sampleByLabelKey: {} };
+  }
+
+  /**
+   * Renders every metric in the Prometheus text format.
+   * @see {@link https://prometheus.io/docs/instrumenting/exposition_formats/}
+   *
+   * @returns {String}
+   */
+  render () {
+
+    return Object.keys(this.metricByMetricName)
+      .sort()
+      .map((metricName) => {
+        const { metricHelp, metricType, sampleByLabelKey } = this.metricByMetricName[metricName];
+        const lineList = [ `# HELP ${metricName} ${escapeMetricHelp(metricHelp)}`, `# TYPE ${metricName} ${metricType}` ];
+
+        Object.keys(sampleByLabelKey)
+          .sort()
+          .forEach((labelKey) => {
+            const { bucketList, count, labelByLabelName, sum, value } = sampleByLabelKey[labelKey];
+
+            if (metricType !== HistogramMetricType) {
+              lineList.push(`${metricName}${renderLabelList(labelByLabelName)} ${value}`);
+
+              return;
+            }
+
+            bucketList
+              .forEach(({ count, upperBound }) => {
+                lineList.push(`${metricName}_bucket${renderLabelList(Object.assign({}, labelByLabelName, { le: upperBound }))} ${count}`);
+              });
+            lineList.push(`${metricName}_bucket${renderLabelList(Object.assign({}, labelByLabelName, { le: '+Inf' }))} ${count}`);
+            lineList.push(`${metricName}_sum${renderLabelList(labelByLabelName)} ${sum}`);
+            lineList.push(`${metricName}_count${renderLabelList(labelByLabelName)} ${count}`);
+          });
+
+        return lineList.join('\n');
+      })
+      .join('\n')
+      .concat('\n');
+  }
+
+  /**
+   * Removes every sample of a metric given its name; useful for gauges that are sampled all at once.
+   *
+   * @argument {String} metricName
+   */
+  resetMetricByName (metricName) {
+    if (!this.metricByMetricName.hasOwnProperty(metricName)) return;
+
+    this.metricByMetricName[metricName].sampleByLabelKey = {};
+  }
+
+  /**
+   * Retrieves the sample of a metric given its name and labels; the sample is created if it doesn't exist.
+   *
+   * @argument {String} metricName
+   * @argument {String} metricType
+   * @argument {Object} labelByLabelName
+   *
+   * @returns {Object}
+   *
+   * @throws Will throw an error if the metric is not registered with the given type.
+   */
+  retrieveSampleByMetricName (metricName, metricType, labelByLabelName) {
+    const metric = this.metricByMetricName[metricName];
+
+    if (!metric || metric.metricType !== metricType) throw new NucleusError.UndefinedContextNucleusError(`The ${metricType} "${metricName}" is not registered.`);
+
+    const labelKey = JSON.stringify(Object.keys(labelByLabelName).sort().map((labelName) => [ labelName, String(labelByLabelName[labelName]) ]));
+
+    if (!metric.sampleByLabelKey.hasOwnProperty(labelKey)) {
+      metric.sampleByLabelKey[labelKey] = (metricType === HistogramMetricType) ?
+        { bucketList: metric.bucketList.map((upperBound) => ({ count: 0, upperBound })), count: 0, labelByLabelName, sum: 0 } :
+        { labelByLabelName, value: 0 };
+    }
+
+    return metric.sampleByLabelKey[labelKey];
+  }
+
+  /**
+   * Sets the value of a gauge given its name and labels.
+   *
+   * @argument {String} metricName
+   * @argument {Object} [labelByLabelName={}]
+   * @argument {Number} value
+   *
+   * @throws Will throw an error if the metric is not a registered gauge.
+   */
+  setGauge (metricName, labelByLabelName = {}, value) {
+    const sample = this.retrieveSampleByMetricName(metricName, GaugeMetricType, labelByLabelName);
+
+    sample.value = value;
+  }
+
+}
+
+/** @memberOf NucleusMetricsRegistry */
+NucleusMetricsRegistry.CounterMetricType = CounterMetricType;
+/** @memberOf NucleusMetricsRegistry */
+NucleusMetricsRegistry.GaugeMetricType = GaugeMetricType;
+/** @memberOf NucleusMetricsRegistry */
+NucleusMetricsRegistry.HistogramMetricType = HistogramMetricType;
+
+module.exports = NucleusMetricsRegistry;
+
+/**
+ * Escapes the help of a metric.
+ *
+ * @argument {String} metricHelp
+ *
+ * @returns {String}
+ */
+function escapeMetricHelp (metricHelp) {
+
+  return String(metricHelp).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+/**
+ * Renders a list of labels, sorted by name.
+ * @example
+ * renderLabelList({ action_name: 'CreateDummy' });
+ * // '{action_name="CreateDummy"}'
+ *
+ * @argument {Object} labelByLabelName
+ *
+ * @returns {String}
+ */
+function renderLabelList (labelByLabelName) {
+  const labelNameList = Object.keys(labelByLabelName).sort();
+
+  if (labelNameList.length === 0) return '';
+
+  return `{${labelNameList
+    .map((labelName) => `${labelName}="${String(labelByLabelName[labelName]).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`)
+    .join(',')}}`;
+}
@@ -1,9 +1,15 @@
 "use strict";
 
+const Promise = require('bluebird');
+const fs = require('fs');
+const path = require('path');
 const uuid = require('uuid');
 
 const NucleusDatastore = require('./Datastore.nucleus');
 const NucleusEngine = require('./Engine.nucleus');
+const NucleusMetricsRegistry = require('./MetricsRegistry.nucleus');
+
+const fsReadFilePromisified = Promise.promisify(fs.readFile);
 
 class PublisherEngine {
 
@@ -11,6 +17,7 @@ class PublisherEngine {
     const {
       $actionDatastore = new NucleusDatastore(),
       $logger = console,
+      originUserRateLimit
     } = options;
 
     /** @member {String} ID */
@@ -20,12 +27,36 @@ class PublisherEngine {
 
     this.$actionDatastore = $actionDatastore;
     this.$logger = $logger;
+    this.$metricsRegistry = new NucleusMetricsRegistry();
+    this.originUserRateLimit = originUserRateLimit;
 
     this.$handlerDatastoreByName = {};
+    this.$$actionRequestCountByChannelName = {};
+
+    this.$metricsRegistry.registerMetric('nucleus_published_action_total', NucleusMetricsRegistry.CounterMetricType, 'The number of actions published.');
 
     this.actionTTL = 1000 * 60 * 60; // One hour
 
-    this.$$promise = Promise.all([this.$actionDatastore]);
+    this.$$promise = Promise.all([this.$actionDatastore])
+      .then(() => {
+
+        return Promise.all([
+          fsReadFilePromisified(path.join(__dirname, '/lua/cancelPendingAction.lua'), 'UTF8'),
+          fsReadFilePromisified(path.join(__dirname, '/lua/consumeRateLimitTokens.lua'), 'UTF8'),
+          fsReadFilePromisified(path.join(__dirname, '/lua/registerActionIdempotencyKey.lua'), 'UTF8'),
+          fsReadFilePromisified(path.join(__dirname, '/lua/releaseActionIdempotencyKey.lua'), 'UTF8')
+        ]);
+      })
+      // The publisher registers the scripts of the methods it borrows from the engine, even if no engine registered them yet.
+      .then(([ cancelPendingActionScript, consumeRateLimitTokensScript, registerActionIdempotencyKeyScript, releaseActionIdempotencyKeyScript ]) => {
+
+        return Promise.all([
+          this.$actionDatastore.registerScriptByName('CancelPendingAction', cancelPendingActionScript),
+          this.$actionDatastore.registerScriptByName('ConsumeRateLimitTokens', consumeRateLimitTokensScript),
+          this.$actionDatastore.registerScriptByName('RegisterActionIdempotencyKey', registerActionIdempotencyKeyScript),
+          this.$actionDatastore.registerScriptByName('ReleaseActionIdempotencyKey', releaseActionIdempotencyKeyScript)
+        ]);
+      });
 
     const $$proxy = new Proxy(this, {
       get: function (object, property) {
@@ -42,9 +73,16 @@ class PublisherEngine {
 
 }
 
+PublisherEngine.prototype.cancelActionByItemKey = NucleusEngine.prototype.cancelActionByItemKey;
+PublisherEngine.prototype.consumeActionRateLimitToken = NucleusEngine.prototype.consumeActionRateLimitToken;
 PublisherEngine.prototype.handleActionChannelRedisEvent = NucleusEngine.prototype.handleActionChannelRedisEvent;
 PublisherEngine.prototype.handleActionStatusUpdated = NucleusEngine.prototype.handleActionStatusUpdated;
+PublisherEngine.prototype.publishActionBatchAndHandleResponses = NucleusEngine.prototype.publishActionBatchAndHandleResponses;
 PublisherEngine.prototype.publishActionByNameAndHandleResponse = NucleusEngine.prototype.publishActionByNameAndHandleResponse;
+PublisherEngine.prototype.publishActionByNameAndStreamResponse = NucleusEngine.prototype.publishActionByNameAndStreamResponse;
+PublisherEngine.prototype.publishActionByNameAtTime = NucleusEngine.prototype.publishActionByNameAtTime;
+PublisherEngine.prototype.publishActionByNameWithDelay = NucleusEngine.prototype.publishActionByNameWithDelay;
 PublisherEngine.prototype.publishActionToQueueByName = NucleusEngine.prototype.publishActionToQueueByName;
+PublisherEngine.prototype.registerActionIdempotencyKey = NucleusEngine.prototype.registerActionIdempotencyKey;
 
 module.exports = PublisherEngine;
\ No newline at end of file
@@ -6,6 +6,7 @@
  * @author Sebastien Filion
  */
 
+const crypto = require('crypto');
 const uuid = require('uuid');
 
 const NucleusError = require('./Error.nucleus');
@@ -115,6 +116,26 @@ class NucleusResource {
     return attributeList.join(':');
   }
 
+  /**
+   * Generates a span ID of 16 hexadecimal characters, as defined by the W3C trace context.
+   *
+   * @returns {String}
+   */
+  static generateSpanID () {
+
+    return crypto.randomBytes(8).toString('hex');
+  }
+
+  /**
+   * Generates a trace ID of 32 hexadecimal characters, as defined by the W3C trace context.
+   *
+   * @returns {String}
+   */
+  static generateTraceID () {
+
+    return crypto.randomBytes(16).toString('hex');
+  }
+
   /**
    * Generates an attribute proxy, it will ensure that any property gets stringify as JSON.
    *
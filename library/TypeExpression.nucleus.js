@@ -0,0 +1,139 @@
+"use strict";
+
+/**
+ * @fileOverview Define the Nucleus Type Expression class that parses the JSDoc type expressions of the actions and the
+ * event schemas into struct types.
+ */
+
+const nucleusValidator = require('./validator.nucleus');
+
+const $$complexDataTypeRegularExpression = new RegExp(/([a-z]+)\.<[A-Za-z]+>/);
+const $$promiseDataTypeRegularExpression = new RegExp(/^Promise\.<(.*)>$/);
+
+class NucleusTypeExpression {
+
+  /**
+   * Generates a struct from an action response structure; unlike resource structures, the response objects are allowed
+   * to have properties that are not described.
+   *
+   * @argument {Object|Array|String} actionResponseStructure
+   *
+   * @returns {Function|Array|String}
+   */
+  static generateStruct (actionResponseStructure) {
+    if (nucleusValidator.isArray(actionResponseStructure)) return actionResponseStructure.map(NucleusTypeExpression.generateStruct);
+
+    if (!nucleusValidator.isObject(actionResponseStructure)) return actionResponseStructure;
+
+    return nucleusValidator.struct.partial(Object.keys(actionResponseStructure)
+      .reduce((accumulator, propertyName) => {
+        accumulator[propertyName] = NucleusTypeExpression.generateStruct(actionResponseStructure[propertyName]);
+
+        return accumulator;
+      }, {}));
+  }
+
+  /**
+   * Parses a JSDoc type expression into a struct type.
+   * @example
+   * NucleusTypeExpression.parse('{dummyID: String, tagList: Array.<String>, count: ?Number}');
+   * // { dummyID: 'string', tagList: [ 'string' ], count: 'number?' }
+   *
+   * @argument {String} typeExpression
+   *
+   * @returns {Object|Array|String}
+   */
+  static parse (typeExpression) {
+    const structTypeList = [ 'any', 'array', 'boolean', 'date', 'error', 'function', 'null', 'number', 'object', 'regexp', 'string', 'undefined' ];
+    let trimmedTypeExpression = typeExpression.trim();
+
+    // Types like `?String` or `String=` are optional.
+    const typeIsOptional = trimmedTypeExpression.startsWith('?') || trimmedTypeExpression.endsWith('=');
+
+    trimmedTypeExpression = trimmedTypeExpression.replace(/^\?/, '').replace(/=$/, '');
+
+    if (/^\{.*\}$/.test(trimmedTypeExpression)) {
+      // A struct can't be optional, an optional record is only validated as an object.
+      if (typeIsOptional) return 'object?';
+
+      return splitTypeExpression(trimmedTypeExpression.slice(1, -1), ',')
+        .reduce((accumulator, propertyTypeExpression) => {
+          const separatorIndex = propertyTypeExpression.indexOf(':');
+
+          accumulator[propertyTypeExpression.slice(0, separatorIndex).trim()] = NucleusTypeExpression.parse(propertyTypeExpression.slice(separatorIndex + 1));
+
+          return accumulator;
+        }, {});
+    }
+
+    const unionTypeList = splitTypeExpression(trimmedTypeExpression.replace(/^\((.*)\)$/, '$1'), '|');
+    const [ , arrayItemTypeExpression ] = (unionTypeList.length === 1 && !typeIsOptional) ? (unionTypeList[0].match(/^Array\.<(.*)>$/) || []) : [];
+
+    if (!!arrayItemTypeExpression) return [ NucleusTypeExpression.parse(arrayItemTypeExpression) ];
+
+    const structType = unionTypeList
+      .map((unionTypeExpression) => {
+        const cleanedTypeExpression = nucleusValidator.shiftFirstLetterToLowerCase(unionTypeExpression.trim()).replace($$complexDataTypeRegularExpression, "$1");
+
+        if (cleanedTypeExpression === '*') return 'any';
+
+        // Any other type, like a resource, is expected to be an object.
+        return (structTypeList.includes(cleanedTypeExpression)) ? cleanedTypeExpression : 'object';
+      })
+      .filter((structType, index, structTypeList) => structTypeList.indexOf(structType) === index)
+      .join('|');
+
+    return (typeIsOptional) ? `${structType}?` : structType;
+  }
+
+  /**
+   * Parses the return type expression of an action into a response structure. Only a record type, optionally wrapped in a
+   * promise, describes a structure.
+   * @example
+   * NucleusTypeExpression.parseActionResponseStructure('Promise.<{dummy: Dummy, dummyIDList: Array.<String>, count: Number=}>');
+   * // { dummy: 'object', dummyIDList: [ 'string' ], count: 'number?' }
+   *
+   * @argument {String} returnTypeExpression
+   *
+   * @returns {Object|undefined}
+   */
+  static parseActionResponseStructure (returnTypeExpression) {
+    const [ , recordTypeExpression = returnTypeExpression ] = returnTypeExpression.match($$promiseDataTypeRegularExpression) || [];
+
+    if (!/^\{.*\}$/.test(recordTypeExpression.trim())) return;
+
+    return NucleusTypeExpression.parse(recordTypeExpression);
+  }
+
+}
+
+module.exports = NucleusTypeExpression;
+
+/**
+ * Splits a type expression given a separator, ignoring the separators that are nested in a type.
+ *
+ * @argument {String} typeExpression
+ * @argument {String} separator
+ *
+ * @returns {String[]}
+ */
+function splitTypeExpression (typeExpression, separator) {
+  const typeExpressionList = [];
+  let depth = 0;
+  let startIndex = 0;
+
+  for (let index = 0; index < typeExpression.length; index++) {
+    const character = typeExpression[index];
+
+    if ('{<(['.includes(character)) depth++;
+    else if ('}>)]'.includes(character)) depth--;
+    else if (character === separator && depth === 0) {
+      typeExpressionList.push(typeExpression.slice(startIndex, index));
+      startIndex = index + 1;
+    }
+  }
+
+  typeExpressionList.push(typeExpression.slice(startIndex));
+
+  return typeExpressionList.filter((typeExpression) => typeExpression.trim() !== '');
+}
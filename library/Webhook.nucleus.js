@@ -0,0 +1,277 @@
+"use strict";
+
+/**
+ * @fileOverview Define the Nucleus Webhook class that signs and sends the requests delivering the events to the webhook
+ * subscriptions.
+ */
+
+const Promise = require('bluebird');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const url = require('url');
+
+const NucleusError = require('./Error.nucleus');
+
+// The maximum number of redirects followed by a webhook request.
+const $$webhookRedirectMaximumCount = 3;
+
+// The loopback, link-local, private, shared and unspecified IPv4 ranges, as a first address and a prefix length.
+const $$privateIPv4RangeList = [
+  [ [ 0, 0, 0, 0 ], 8 ],
+  [ [ 10, 0, 0, 0 ], 8 ],
+  [ [ 100, 64, 0, 0 ], 10 ],
+  [ [ 127, 0, 0, 0 ], 8 ],
+  [ [ 169, 254, 0, 0 ], 16 ],
+  [ [ 172, 16, 0, 0 ], 12 ],
+  [ [ 192, 168, 0, 0 ], 16 ]
+];
+
+class NucleusWebhook {
+
+  /**
+   * Generates the signature of a webhook request; the webhooks should compare it to the `X-Nucleus-Signature` header
+   * and reject the requests which timestamp is too old.
+   * @example
+   * const signature = NucleusWebhook.generateSignature(secret, request.headers['x-nucleus-timestamp'], requestBody);
+   * // request.headers['x-nucleus-signature'] === `sha256=${signature}`
+   *
+   * @argument {String} secret
+   * @argument {Number|String} timestamp
+   * @argument {String} body
+   *
+   * @returns {String} - The hexadecimal HMAC-SHA256 of the timestamp and the body.
+   */
+  static generateSignature (secret, timestamp, body) {
+
+    return crypto.createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+  }
+
+  /**
+   * Verifies if an IP address is a loopback, link-local, private, shared or unspecified address; the IPv4 addresses
+   * embedded in an IPv6 address (e.g. `::ffff:127.0.0.1`) are verified as IPv4 addresses.
+   * @example
+   * NucleusWebhook.addressIsPrivate('::ffff:a9fe:a9fe');
+   * // true
+   *
+   * @argument {String} address
+   *
+   * @returns {Boolean} - Whether the address is private; a value that is not an IP address is not.
+   */
+  static addressIsPrivate (address) {
+    const normalizedAddress = String(address).split('%')[0].toLowerCase();
+    const addressFamily = net.isIP(normalizedAddress);
+
+    if (addressFamily === 4) return IPv4AddressIsPrivate(normalizedAddress.split('.').map(Number));
+    if (addressFamily !== 6) return false;
+
+    const hextetList = expandIPv6Address(normalizedAddress);
+    const embeddedIPv4Address = [ hextetList[6] >> 8, hextetList[6] & 0xff, hextetList[7] >> 8, hextetList[7] & 0xff ];
+
+    // The unspecified, loopback, IPv4-compatible and IPv4-mapped addresses.
+    if (hextetList.slice(0, 5).every((hextet) => hextet === 0) && [ 0, 0xffff ].includes(hextetList[5])) return IPv4AddressIsPrivate(embeddedIPv4Address);
+    // The NAT64 addresses.
+    if (hextetList[0] === 0x64 && hextetList[1] === 0xff9b && hextetList.slice(2, 6).every((hextet) => hextet === 0)) return IPv4AddressIsPrivate(embeddedIPv4Address);
+
+    // The unique local (`fc00::/7`) and link-local (`fe80::/10`) addresses.
+    return (hextetList[0] & 0xfe00) === 0xfc00 || (hextetList[0] & 0xffc0) === 0xfe80;
+  }
+
+  /**
+   * Verifies that the host of a webhook URL is allowed; a host starting with `*.` matches its subdomains.
+   * Only the host name of the URL is verified, not the address it resolves to: the resolved address is verified when
+   * the request is sent.
+   * @example
+   * NucleusWebhook.hostIsAllowed('https://hooks.example.com/dummy', [ '*.example.com' ]);
+   * // true
+   *
+   * @argument {String} webhookURL
+   * @argument {String[]} [hostAllowList] - Any host is allowed if omitted.
+   * @argument {String[]} [hostDenyList=[]]
+   *
+   * @returns {Boolean}
+   */
+  static hostIsAllowed (webhookURL, hostAllowList, hostDenyList = []) {
+    const hostname = (url.parse(webhookURL).hostname || '').toLowerCase();
+    const hostMatches = (host) => {
+      const normalizedHost = host.toLowerCase();
+
+      if (normalizedHost.startsWith('*.')) return hostname.endsWith(normalizedHost.slice(1));
+
+      return hostname === normalizedHost;
+    };
+
+    if (hostDenyList.some(hostMatches)) return false;
+
+    return !hostAllowList || hostAllowList.some(hostMatches);
+  }
+
+  /**
+   * Posts a JSON body to a webhook URL.
+   * The address the host resolves to is verified before connecting, so a host name or a numeric form resolving to a
+   * private address is refused unless the private addresses are allowed. Only the redirects preserving the method
+   * (307 and 308) are followed, and only to a URL passing the same verifications; any other redirect is resolved with
+   * its status code.
+   * @example
+   * const { statusCode } = await NucleusWebhook.sendRequest('https://hooks.example.com/dummy', body, { 'X-Nucleus-Timestamp': timestamp }, 5000);
+   *
+   * @argument {String} webhookURL
+   * @argument {String} body
+   * @argument {Object} headerByName
+   * @argument {Number} timeout
+   * @argument {Object} [options={}]
+   * @argument {Boolean} [options.allowPrivateAddresses=false] - Allows the loopback, link-local and private addresses, e.g. to post to a local webhook.
+   * @argument {String[]} [options.hostAllowList] - The only hosts a redirect can lead to; any host is allowed if omitted.
+   * @argument {String[]} [options.hostDenyList=[]] - The hosts a redirect can't lead to.
+   *
+   * @returns {Promise<{ statusCode: Number }>}
+   *
+   * @throws Will throw an error if the webhook URL resolves to a private address that is not allowed.
+   * @throws Will throw an error if the webhook redirects to a URL that is not allowed or redirects too many times.
+   * @throws Will throw an error if the webhook does not answer within the timeout.
+   */
+  static sendRequest (webhookURL, body, headerByName, timeout, options = {}) {
+
+    return postWebhookRequest(webhookURL, body, headerByName, timeout, options, 0);
+  }
+
+}
+
+module.exports = NucleusWebhook;
+
+/**
+ * Expands an IPv6 address to its list of 8 hextets; a trailing IPv4 address is expanded to the last 2 hextets.
+ *
+ * @argument {String} address
+ *
+ * @returns {Number[]}
+ */
+function expandIPv6Address (address) {
+  const [ headAddress, tailAddress ] = address.split('::');
+  const parseHextetList = (partialAddress) => {
+    if (!partialAddress) return [];
+
+    return partialAddress.split(':').reduce((hextetList, group) => {
+      if (!group.includes('.')) return hextetList.concat(parseInt(group, 16));
+
+      const [ firstByte, secondByte, thirdByte, fourthByte ] = group.split('.').map(Number);
+
+      return hextetList.concat((firstByte << 8) + secondByte, (thirdByte << 8) + fourthByte);
+    }, []);
+  };
+  const headHextetList = parseHextetList(headAddress);
+  const tailHextetList = parseHextetList(tailAddress);
+
+  return headHextetList
+    .concat(new Array(8 - headHextetList.length - tailHextetList.length).fill(0))
+    .concat(tailHextetList);
+}
+
+/**
+ * Verifies if an IPv4 address is part of a loopback, link-local, private, shared or unspecified range.
+ *
+ * @argument {Number[]} byteList
+ *
+ * @returns {Boolean}
+ */
+function IPv4AddressIsPrivate (byteList) {
+  const addressValue = byteList.reduce((value, byte) => value * 256 + byte, 0);
+
+  return $$privateIPv4RangeList.some(([ rangeByteList, prefixLength ]) => {
+    const rangeValue = rangeByteList.reduce((value, byte) => value * 256 + byte, 0);
+    const rangeSize = Math.pow(2, 32 - prefixLength);
+
+    return addressValue >= rangeValue && addressValue < rangeValue + rangeSize;
+  });
+}
+
+/**
+ * Posts a JSON body to a webhook URL, verifying the address it resolves to, and follows its redirects.
+ *
+ * @argument {String} webhookURL
+ * @argument {String} body
+ * @argument {Object} headerByName
+ * @argument {Number} timeout
+ * @argument {Object} options
+ * @argument {Number} redirectCount
+ *
+ * @returns {Promise<{ statusCode: Number }>}
+ */
+function postWebhookRequest (webhookURL, body, headerByName, timeout, options, redirectCount) {
+  const { allowPrivateAddresses = false } = options;
+
+  return new Promise((resolve, reject) => {
+    const { hostname, path: requestPath, port, protocol } = url.parse(webhookURL);
+
+    // A literal IP address is not looked up.
+    if (!allowPrivateAddresses && NucleusWebhook.addressIsPrivate(hostname)) throw new NucleusError.UnexpectedValueNucleusError(`The webhook URL "${webhookURL}" is a private address.`);
+
+    const $$request = ((protocol === 'https:') ? https : http).request({
+      headers: Object.assign({ 'Content-Length': Buffer.byteLength(body), 'Content-Type': 'application/json' }, headerByName),
+      hostname,
+      // The address is verified once resolved, as the host name could resolve to another address later on.
+      lookup: (allowPrivateAddresses) ? undefined : (lookupHostname, lookupOptions, callback) => {
+        dns.lookup(lookupHostname, lookupOptions, (error, address, family) => {
+          if (!!error) return callback(error);
+
+          const addressList = (Array.isArray(address)) ? address.map((resolvedAddress) => resolvedAddress.address) : [ address ];
+
+          if (addressList.some(NucleusWebhook.addressIsPrivate)) return callback(new NucleusError.UnexpectedValueNucleusError(`The host of the webhook URL "${webhookURL}" resolves to a private address.`));
+
+          callback(null, address, family);
+        });
+      },
+      method: 'POST',
+      path: requestPath,
+      port
+    }, (response) => {
+      // The response's body is ignored but must be consumed for the socket to be released.
+      response.resume();
+      response.on('end', () => {
+        if (![ 307, 308 ].includes(response.statusCode) || !response.headers.location) return resolve({ statusCode: response.statusCode });
+
+        resolve(followWebhookRedirect(webhookURL, response.headers.location, body, headerByName, timeout, options, redirectCount));
+      });
+    });
+
+    $$request.setTimeout(timeout, () => {
+      $$request.abort();
+
+      reject(new NucleusError.TimeoutNucleusError(`The webhook did not answer within ${timeout}ms.`));
+    });
+    $$request.on('error', reject);
+
+    $$request.end(body);
+  });
+}
+
+/**
+ * Follows the redirect of a webhook; the URL it leads to must pass the same verifications as the webhook URL.
+ *
+ * @argument {String} webhookURL
+ * @argument {String} location
+ * @argument {String} body
+ * @argument {Object} headerByName
+ * @argument {Number} timeout
+ * @argument {Object} options
+ * @argument {Number} redirectCount
+ *
+ * @returns {Promise<{ statusCode: Number }>}
+ */
+function followWebhookRedirect (webhookURL, location, body, headerByName, timeout, options, redirectCount) {
+  const { hostAllowList, hostDenyList = [] } = options;
+
+  return Promise.try(() => {
+    const redirectURL = url.resolve(webhookURL, location);
+
+    if (redirectCount >= $$webhookRedirectMaximumCount) throw new NucleusError.UnexpectedValueNucleusError(`The webhook redirected more than ${$$webhookRedirectMaximumCount} times.`);
+    if (![ 'http:', 'https:' ].includes(url.parse(redirectURL).protocol)) throw new NucleusError.UnexpectedValueNucleusError(`The webhook redirected to "${redirectURL}" which is not an HTTP or HTTPS URL.`);
+    if (!NucleusWebhook.hostIsAllowed(redirectURL, hostAllowList, hostDenyList)) throw new NucleusError.UnexpectedValueNucleusError(`The webhook redirected to "${redirectURL}" which host is not allowed.`);
+
+    return postWebhookRequest(redirectURL, body, headerByName, timeout, options, redirectCount + 1);
+  });
+}
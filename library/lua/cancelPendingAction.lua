@@ -0,0 +1,10 @@
+local actionItemKey = ARGV[1]
+local pendingActionStatus = ARGV[2]
+local cancelledActionStatus = ARGV[3]
+
+-- An action that is being processed or that is done won't be affected.
+if (redis.call('HGET', actionItemKey, 'status') ~= pendingActionStatus) then return 0 end
+
+redis.call('HSET', actionItemKey, 'status', cancelledActionStatus)
+
+return 1
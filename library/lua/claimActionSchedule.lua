@@ -0,0 +1,11 @@
+local actionScheduleNameSetName = ARGV[1]
+local scheduleName = ARGV[2]
+local scheduledTime = ARGV[3]
+local nextScheduledTime = ARGV[4]
+
+-- Only move the schedule to its next execution time if no other engine did it in the meantime.
+if (redis.call('ZSCORE', actionScheduleNameSetName, scheduleName) ~= scheduledTime) then return 0 end
+
+redis.call('ZADD', actionScheduleNameSetName, nextScheduledTime, scheduleName)
+
+return 1
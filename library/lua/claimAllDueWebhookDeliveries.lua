@@ -0,0 +1,10 @@
+local webhookDeliveryRetrySetName = ARGV[1]
+local claimedUntilTime = ARGV[3]
+local webhookDeliveryList = redis.call('ZRANGEBYSCORE', webhookDeliveryRetrySetName, '-inf', ARGV[2])
+
+-- The deliveries are pushed back so that another engine attempts them if this one stops in the meantime.
+for index, webhookDelivery in ipairs(webhookDeliveryList) do
+  redis.call('ZADD', webhookDeliveryRetrySetName, claimedUntilTime, webhookDelivery)
+end
+
+return webhookDeliveryList
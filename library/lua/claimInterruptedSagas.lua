@@ -0,0 +1,19 @@
+local sagaEngineIDBySagaIDItemKey = ARGV[1]
+local engineHeartbeatItemKeyPrefix = ARGV[2]
+local claimingEngineID = ARGV[3]
+
+local claimedSagaIDList = {}
+local sagaIDEngineIDList = redis.call('HGETALL', sagaEngineIDBySagaIDItemKey)
+
+for index = 1, #sagaIDEngineIDList, 2 do
+  local sagaID = sagaIDEngineIDList[index]
+  local engineID = sagaIDEngineIDList[index + 1]
+
+  -- The engine stopped sending heartbeats; the saga it was orchestrating is taken over by the claiming engine.
+  if (engineID ~= claimingEngineID and redis.call('EXISTS', engineHeartbeatItemKeyPrefix..engineID) == 0) then
+    redis.call('HSET', sagaEngineIDBySagaIDItemKey, sagaID, claimingEngineID)
+    table.insert(claimedSagaIDList, sagaID)
+  end
+end
+
+return claimedSagaIDList
@@ -0,0 +1,33 @@
+local now = tonumber(ARGV[1])
+local bucketList = {}
+local retryAfterInMillisecond = 0
+
+-- Every bucket is described by its item key, its capacity and the time it takes to be completely refilled.
+for index = 2, table.getn(ARGV), 3 do
+  local bucketItemKey = ARGV[index]
+  local tokenCount = tonumber(ARGV[index + 1])
+  local intervalInMillisecond = tonumber(ARGV[index + 2])
+  local bucket = redis.call('HMGET', bucketItemKey, 'availableTokenCount', 'refilledTime')
+  local availableTokenCount = tonumber(bucket[1]) or tokenCount
+  local refilledTime = tonumber(bucket[2]) or now
+
+  -- The bucket is refilled continuously, up to its capacity.
+  availableTokenCount = math.min(tokenCount, availableTokenCount + (math.max(0, now - refilledTime) * tokenCount / intervalInMillisecond))
+
+  if availableTokenCount < 1 then
+    retryAfterInMillisecond = math.max(retryAfterInMillisecond, math.ceil((1 - availableTokenCount) * intervalInMillisecond / tokenCount))
+  end
+
+  bucketList[table.getn(bucketList) + 1] = { bucketItemKey, availableTokenCount, intervalInMillisecond }
+end
+
+-- A token is only consumed if every bucket has one available.
+if retryAfterInMillisecond > 0 then return retryAfterInMillisecond end
+
+for _, bucket in ipairs(bucketList) do
+  redis.call('HMSET', bucket[1], 'availableTokenCount', tostring(bucket[2] - 1), 'refilledTime', tostring(now))
+  -- An untouched bucket is full again once the interval elapsed.
+  redis.call('PEXPIRE', bucket[1], math.ceil(bucket[3]))
+end
+
+return 0
@@ -0,0 +1,14 @@
+local leaderItemKey = ARGV[1]
+local engineID = ARGV[2]
+local leaderTTL = ARGV[3]
+
+if (redis.call('SET', leaderItemKey, engineID, 'NX', 'PX', leaderTTL)) then return 1 end
+
+-- The current leader renews its lease.
+if (redis.call('GET', leaderItemKey) == engineID) then
+  redis.call('PEXPIRE', leaderItemKey, leaderTTL)
+
+  return 1
+end
+
+return 0
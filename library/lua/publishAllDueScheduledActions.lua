@@ -0,0 +1,11 @@
+local scheduledActionSetName = ARGV[1]
+local scheduledActionList = redis.call('ZRANGEBYSCORE', scheduledActionSetName, '-inf', ARGV[2])
+
+for index, scheduledAction in ipairs(scheduledActionList) do
+  local decodedScheduledAction = cjson.decode(scheduledAction)
+
+  redis.call('ZREM', scheduledActionSetName, scheduledAction)
+  redis.call('LPUSH', decodedScheduledAction.actionQueueName, decodedScheduledAction.actionItemKey)
+end
+
+return #scheduledActionList
@@ -0,0 +1,21 @@
+local idempotencyKeyItemKey = ARGV[1]
+local actionItemKey = ARGV[2]
+local actionTTL = ARGV[3]
+local pendingActionStatus = ARGV[4]
+local cancelledActionStatus = ARGV[5]
+
+local registeredActionItemKey = redis.call('GET', idempotencyKeyItemKey)
+
+if (registeredActionItemKey) then
+  local registeredActionStatus = redis.call('HGET', registeredActionItemKey, 'status')
+
+  -- The key is only released by an action that was cancelled or that is not stored anymore.
+  if (registeredActionStatus and registeredActionStatus ~= cancelledActionStatus) then return registeredActionItemKey end
+end
+
+redis.call('SET', idempotencyKeyItemKey, actionItemKey, 'PX', actionTTL)
+-- The action is stored as pending right away so that it is not taken for a missing action until it is published.
+redis.call('HSET', actionItemKey, 'status', pendingActionStatus)
+redis.call('PEXPIRE', actionItemKey, actionTTL)
+
+return actionItemKey
@@ -0,0 +1,15 @@
+local idempotencyKeyItemKey = ARGV[1]
+local actionItemKey = ARGV[2]
+local pendingActionStatus = ARGV[3]
+local cancelledActionStatus = ARGV[4]
+
+if (redis.call('GET', idempotencyKeyItemKey) ~= actionItemKey) then return 0 end
+
+redis.call('DEL', idempotencyKeyItemKey)
+
+-- The duplicate requests attached to the action that won't be published are rejected.
+if (redis.call('HGET', actionItemKey, 'status') == pendingActionStatus) then
+  redis.call('HSET', actionItemKey, 'status', cancelledActionStatus)
+end
+
+return 1
@@ -0,0 +1,45 @@
+local actionQueueName = ARGV[1]
+local processingEngineIDSetItemKey = ARGV[2]
+local processingActionQueueNamePrefix = ARGV[3]
+local engineHeartbeatItemKeyPrefix = ARGV[4]
+local normalActionPriority = ARGV[5]
+
+local requeuedActionCount = 0
+local engineIDList = redis.call('SMEMBERS', processingEngineIDSetItemKey)
+
+-- The action is pushed back to the list of its priority; see `NucleusEngine.generatePriorityActionQueueName`.
+local function generatePriorityActionQueueName (actionItemKey)
+  local actionMeta = redis.call('HGET', actionItemKey, 'meta')
+
+  if (not actionMeta) then return actionQueueName end
+
+  local metaWasDecoded, decodedActionMeta = pcall(cjson.decode, actionMeta)
+
+  -- The meta is encoded twice when it is stored through the datastore's hash helpers.
+  if (metaWasDecoded and type(decodedActionMeta) == 'string') then metaWasDecoded, decodedActionMeta = pcall(cjson.decode, decodedActionMeta) end
+
+  if (not metaWasDecoded or type(decodedActionMeta) ~= 'table' or type(decodedActionMeta.priority) ~= 'string' or decodedActionMeta.priority == normalActionPriority) then return actionQueueName end
+
+  return actionQueueName..':'..decodedActionMeta.priority..'Priority'
+end
+
+for index, engineID in pairs(engineIDList) do
+  -- The engine stopped sending heartbeats; every action it was processing is pushed back to the action queue.
+  if (redis.call('EXISTS', engineHeartbeatItemKeyPrefix..engineID) == 0) then
+    local processingActionQueueName = processingActionQueueNamePrefix..engineID
+    local actionItemKey = redis.call('RPOP', processingActionQueueName)
+
+    while (actionItemKey) do
+      if (actionItemKey ~= '$$_ForceQuit') then
+        redis.call('RPUSH', generatePriorityActionQueueName(actionItemKey), actionItemKey)
+        requeuedActionCount = requeuedActionCount + 1
+      end
+
+      actionItemKey = redis.call('RPOP', processingActionQueueName)
+    end
+
+    redis.call('SREM', processingEngineIDSetItemKey, engineID)
+  end
+end
+
+return requeuedActionCount
@@ -0,0 +1,10 @@
+local processingActionQueueName = ARGV[1]
+
+-- The action queue names are expected from the highest to the lowest priority.
+for index = 2, #ARGV do
+  local actionItemKey = redis.call('RPOPLPUSH', ARGV[index], processingActionQueueName)
+
+  if (actionItemKey) then return { ARGV[index], actionItemKey } end
+end
+
+return nil
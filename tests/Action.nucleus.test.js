@@ -88,6 +88,11 @@ mocha.suite('Nucleus Action', function () {
       chai.expect(function () { new NucleusAction('', {}); }).to.throw(NucleusError);
     });
 
+    mocha.test("Using a priority that is not a valid priority throws an error.", function () {
+      chai.expect(function () { new NucleusAction('DummyAction', {}, { priority: NucleusAction.HighActionPriority }); }).to.not.throw();
+      chai.expect(function () { new NucleusAction('DummyAction', {}, { priority: 'Urgent' }); }).to.throw(NucleusError);
+    });
+
     mocha.test("The action is converted to a convenience string if force to string.", function () {
       const $action = new NucleusAction('DummyAction', {});
       const actionPrimitive = `${$action}`;
@@ -314,6 +319,7 @@ mocha.suite('Nucleus Action', function () {
     mocha.test("The NucleusAction class has a list of valid action status as property", function () {
       chai.expect(NucleusAction.PendingActionStatus).to.be.a('string');
       chai.expect(NucleusAction.ProcessingActionStatus).to.be.a('string');
+      chai.expect(NucleusAction.CancelledActionStatus).to.be.a('string');
       chai.expect(NucleusAction.FailedActionStatus).to.be.a('string');
       chai.expect(NucleusAction.CompletedActionStatus).to.be.a('string');
 
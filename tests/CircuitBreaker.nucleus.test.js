@@ -0,0 +1,61 @@
+"use strict";
+
+const chai = require('chai');
+const mocha = require('mocha');
+
+const NucleusCircuitBreaker = require('../library/CircuitBreaker.nucleus');
+
+mocha.suite('Nucleus Circuit Breaker', function () {
+
+  mocha.test("The circuit opens once the threshold of failures is reached within the failure window.", function () {
+    const $circuitBreaker = new NucleusCircuitBreaker({ failureThreshold: 2, failureWindowInMillisecond: 1000 });
+
+    chai.expect($circuitBreaker.allowsExecution('1', 0)).to.be.true;
+    chai.expect($circuitBreaker.recordFailure('1', 0)).to.be.false;
+    // The first failure is out of the failure window.
+    chai.expect($circuitBreaker.recordFailure('2', 1500)).to.be.false;
+    chai.expect($circuitBreaker.state).to.equal(NucleusCircuitBreaker.ClosedCircuitState);
+    chai.expect($circuitBreaker.recordFailure('3', 1600)).to.be.true;
+    chai.expect($circuitBreaker.state).to.equal(NucleusCircuitBreaker.OpenCircuitState);
+    chai.expect($circuitBreaker.allowsExecution('4', 1700)).to.be.false;
+  });
+
+  mocha.test("Once the cooldown elapsed, only the trial action is let through and closes the circuit if it succeeds.", function () {
+    const $circuitBreaker = new NucleusCircuitBreaker({ cooldownInMillisecond: 500, failureThreshold: 1 });
+
+    $circuitBreaker.recordFailure('1', 0);
+
+    chai.expect($circuitBreaker.allowsExecution('2', 400)).to.be.false;
+    chai.expect($circuitBreaker.allowsExecution('2', 500)).to.be.true;
+    chai.expect($circuitBreaker.state).to.equal(NucleusCircuitBreaker.HalfOpenCircuitState);
+    chai.expect($circuitBreaker.allowsExecution('3', 600)).to.be.false;
+    // A trial action that is retried is let through again.
+    chai.expect($circuitBreaker.allowsExecution('2', 700)).to.be.true;
+    chai.expect($circuitBreaker.recordSuccess('3')).to.be.false;
+    chai.expect($circuitBreaker.recordSuccess('2')).to.be.true;
+    chai.expect($circuitBreaker.state).to.equal(NucleusCircuitBreaker.ClosedCircuitState);
+    chai.expect($circuitBreaker.failureTimeList).to.be.empty;
+  });
+
+  mocha.test("The circuit opens again if the trial action fails.", function () {
+    const $circuitBreaker = new NucleusCircuitBreaker({ cooldownInMillisecond: 500, failureThreshold: 3 });
+
+    [ '1', '2', '3' ].forEach((actionID) => $circuitBreaker.recordFailure(actionID, 0));
+
+    chai.expect($circuitBreaker.allowsExecution('4', 500)).to.be.true;
+    chai.expect($circuitBreaker.recordFailure('4', 600)).to.be.true;
+    chai.expect($circuitBreaker.state).to.equal(NucleusCircuitBreaker.OpenCircuitState);
+    chai.expect($circuitBreaker.openedTime).to.equal(600);
+    chai.expect($circuitBreaker.allowsExecution('5', 1000)).to.be.false;
+  });
+
+  mocha.test("The success of an action has no effect on a closed circuit.", function () {
+    const $circuitBreaker = new NucleusCircuitBreaker();
+
+    $circuitBreaker.recordFailure('1', 0);
+
+    chai.expect($circuitBreaker.recordSuccess('2')).to.be.false;
+    chai.expect($circuitBreaker.failureTimeList).to.have.lengthOf(1);
+  });
+
+});
@@ -0,0 +1,60 @@
+"use strict";
+
+const chai = require('chai');
+const mocha = require('mocha');
+
+const NucleusError = require('../library/Error.nucleus');
+const NucleusCronExpression = require('../library/CronExpression.nucleus');
+
+mocha.suite('Nucleus Cron Expression', function () {
+
+  mocha.test("The next time is strictly after the given time and rounded to the minute.", function () {
+
+    chai.expect(NucleusCronExpression.retrieveNextTime('* * * * *', Date.UTC(2018, 0, 1, 12, 0, 30))).to.equal(Date.UTC(2018, 0, 1, 12, 1));
+    chai.expect(NucleusCronExpression.retrieveNextTime('* * * * *', Date.UTC(2018, 0, 1, 12))).to.equal(Date.UTC(2018, 0, 1, 12, 1));
+  });
+
+  mocha.test("The next time matches the minute and the hour, on the next day if needed.", function () {
+
+    chai.expect(NucleusCronExpression.retrieveNextTime('0 2 * * *', Date.UTC(2018, 0, 1, 12))).to.equal(Date.UTC(2018, 0, 2, 2));
+    chai.expect(NucleusCronExpression.retrieveNextTime('30 14 * * *', Date.UTC(2018, 0, 1, 12))).to.equal(Date.UTC(2018, 0, 1, 14, 30));
+  });
+
+  mocha.test("The steps, ranges and lists are supported.", function () {
+
+    chai.expect(NucleusCronExpression.retrieveNextTime('*/15 * * * *', Date.UTC(2018, 0, 1, 12, 16))).to.equal(Date.UTC(2018, 0, 1, 12, 30));
+    chai.expect(NucleusCronExpression.retrieveNextTime('0 9-17/4 * * *', Date.UTC(2018, 0, 1, 12))).to.equal(Date.UTC(2018, 0, 1, 13));
+    chai.expect(NucleusCronExpression.retrieveNextTime('0 0 1,15 * *', Date.UTC(2018, 0, 2))).to.equal(Date.UTC(2018, 0, 15));
+  });
+
+  mocha.test("The next time skips to the next matching month, across years.", function () {
+
+    chai.expect(NucleusCronExpression.retrieveNextTime('0 0 1 3 *', Date.UTC(2018, 5, 1))).to.equal(Date.UTC(2019, 2, 1));
+  });
+
+  mocha.test("Sunday is matched by both 0 and 7.", function () {
+    // January 7th 2018 is a Sunday.
+    chai.expect(NucleusCronExpression.retrieveNextTime('0 0 * * 0', Date.UTC(2018, 0, 1))).to.equal(Date.UTC(2018, 0, 7));
+    chai.expect(NucleusCronExpression.retrieveNextTime('0 0 * * 7', Date.UTC(2018, 0, 1))).to.equal(Date.UTC(2018, 0, 7));
+  });
+
+  mocha.test("A day matches either the day of the month or the day of the week when both are restricted.", function () {
+    // January 1st 2018 is a Monday, the next Friday is January 5th.
+    chai.expect(NucleusCronExpression.retrieveNextTime('0 0 20 * 5', Date.UTC(2018, 0, 1))).to.equal(Date.UTC(2018, 0, 5));
+    chai.expect(NucleusCronExpression.retrieveNextTime('0 0 3 * 5', Date.UTC(2018, 0, 1))).to.equal(Date.UTC(2018, 0, 3));
+  });
+
+  mocha.test("An invalid cron expression throws an error.", function () {
+
+    [ '* * * *', '60 * * * *', '0 25 * * *', '0 0 0 * *', '5-1 * * * *', '*/0 * * * *', 'a * * * *' ]
+      .forEach((cronExpression) => {
+        chai.expect(() => NucleusCronExpression.retrieveNextTime(cronExpression, Date.UTC(2018, 0, 1))).to.throw(NucleusError.UnexpectedValueNucleusError);
+      });
+  });
+
+  mocha.test("A cron expression that never matches throws an error.", function () {
+
+    chai.expect(() => NucleusCronExpression.retrieveNextTime('0 0 31 2 *', Date.UTC(2018, 0, 1))).to.throw(NucleusError.UnexpectedValueNucleusError, /never matches/);
+  });
+
+});
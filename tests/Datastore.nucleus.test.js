@@ -921,6 +921,52 @@ return { itemIDA, itemIDB, itemIDC }
 
     });
 
+    mocha.suite("#handleEventByChannelPattern", function () {
+
+      mocha.teardown(function () {
+        const { $datastore } = this;
+
+        $datastore.$$handlerCallbackListByChannelPattern = {};
+      });
+
+      mocha.test("The handler callback is added.", async function () {
+        const { $datastore } = this;
+
+        const spy = sinon.spy(() => Promise.resolve());
+
+        await $datastore.handleEventByChannelPattern('*ByIDArchived', spy);
+
+        chai.expect($datastore.$$handlerCallbackListByChannelPattern, "The `*ByIDArchived` pattern has been added.").to.have.property('*ByIDArchived');
+        chai.expect($datastore.$$handlerCallbackListByChannelPattern['*ByIDArchived'], "The spy handler has been added.").to.deep.equal([ spy ]);
+      });
+
+      mocha.test("Every registered handler callback is executed after an event is published to a channel matching the pattern.", async function () {
+        const { $datastore } = this;
+        const $subscriberDatastore = $datastore.duplicateConnection();
+
+        const spy = sinon.spy(() => Promise.resolve());
+
+        await $subscriberDatastore;
+        await $subscriberDatastore.handleEventByChannelPattern('*ByIDArchived', spy);
+        await $subscriberDatastore.subscribeToChannelPattern('*ByIDArchived');
+
+        await $datastore.$$server.publishAsync('DummyByIDArchived', JSON.stringify(new NucleusEvent('DummyByIDArchived', { dummyID: uuid.v4() })));
+        await $datastore.$$server.publishAsync('DummyByIDRemoved', JSON.stringify(new NucleusEvent('DummyByIDRemoved', { dummyID: uuid.v4() })));
+
+        await Promise.delay(100);
+
+        chai.expect(spy.calledOnce, "The handler callback has been called once.").to.be.true;
+        chai.expect(spy.firstCall.args[0], "The channel name is passed to the handler callback.").to.equal('DummyByIDArchived');
+        chai.expect(spy.firstCall.args[1]).to.be.an.instanceOf(NucleusEvent);
+        chai.expect(spy.firstCall.args[1].name).to.equal('DummyByIDArchived');
+
+        await $subscriberDatastore.unsubscribeFromChannelPattern('*ByIDArchived');
+
+        return $subscriberDatastore.destroy();
+      });
+
+    });
+
     mocha.suite("#executeHandlerCallbackForChannelName", function () {
 
       mocha.suiteSetup(function () {
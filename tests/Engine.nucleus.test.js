@@ -4,7 +4,10 @@ const Promise = require('bluebird');
 const chai = require('chai');
 const chaiAsPromised = require('chai-as-promised');
 const chaiSubset = require('chai-subset');
+const fs = require('fs');
+const http = require('http');
 const mocha = require('mocha');
+const os = require('os');
 const path = require('path');
 const uuid = require('uuid');
 const sinon = require('sinon');
@@ -16,6 +19,8 @@ const NucleusDatastore = require('../library/Datastore.nucleus');
 const NucleusEngine = require('../library/Engine.nucleus');
 const NucleusError = require('../library/Error.nucleus');
 const NucleusEvent = require('../library/Event.nucleus');
+const NucleusInMemorySpanExporter = require('../library/InMemorySpanExporter.nucleus');
+const NucleusJSONFileSpanExporter = require('../library/JSONFileSpanExporter.nucleus');
 
 const DummyEngine = require('./autodiscoveryTestAssets/Dummy.engine');
 
@@ -197,6 +202,25 @@ mocha.suite('Nucleus Engine', function () {
       await $dummyEngine.storeActionConfiguration({
         actionName: 'ExecuteSimpleDummyWithArguments',
         actionSignature: [ 'AID1', 'AID2' ],
+        actionResponseStructure: {
+          AID1: 'string',
+          AID2: 'string'
+        },
+        argumentConfigurationByArgumentName: {
+          AID1: 'string',
+          AID2: 'string'
+        },
+        contextName: 'Self',
+        methodName: 'executeSimpleDummyWithArguments'
+      });
+
+      await $dummyEngine.storeActionConfiguration({
+        actionName: 'ExecuteSimpleDummyWithUnexpectedResponse',
+        actionSignature: [ 'AID1', 'AID2' ],
+        actionResponseStructure: {
+          AID1: 'string',
+          AID2: 'number'
+        },
         argumentConfigurationByArgumentName: {
           AID1: 'string',
           AID2: 'string'
@@ -225,6 +249,46 @@ mocha.suite('Nucleus Engine', function () {
         methodName: 'executeSimpleDummyWithRandomExecutionTime'
       });
 
+      await $dummyEngine.storeActionConfiguration({
+        actionName: 'ExecuteSimpleDummyThatAlwaysFails',
+        actionRetryPolicy: {
+          backoffInMillisecond: 10,
+          maximumAttemptCount: 2
+        },
+        contextName: 'Self',
+        methodName: 'executeSimpleDummyThatAlwaysFails'
+      });
+
+      await $dummyEngine.storeActionConfiguration({
+        actionName: 'ExecuteSimpleDummyThatFailsOnce',
+        actionSignature: [ 'AID' ],
+        actionRetryPolicy: {
+          backoffInMillisecond: 10,
+          maximumAttemptCount: 3,
+          retryableErrorNameList: [ 'NucleusError' ]
+        },
+        argumentConfigurationByArgumentName: {
+          AID: 'string'
+        },
+        contextName: 'Self',
+        methodName: 'executeSimpleDummyThatFailsOnce'
+      });
+
+      await $dummyEngine.storeActionConfiguration({
+        actionName: 'ExecuteSimpleDummyThatFailsOnceWithTypeError',
+        actionSignature: [ 'AID' ],
+        actionRetryPolicy: {
+          backoffInMillisecond: 10,
+          maximumAttemptCount: 3,
+          retryableErrorNameList: [ 'TypeError' ]
+        },
+        argumentConfigurationByArgumentName: {
+          AID: 'string'
+        },
+        contextName: 'Self',
+        methodName: 'executeSimpleDummyThatFailsOnceWithTypeError'
+      });
+
       await $dummyEngine.storeActionConfiguration({
         actionName: 'ThrowErrorWithMetaData',
         contextName: 'Self',
@@ -361,6 +425,249 @@ mocha.suite('Nucleus Engine', function () {
         return $$eventPromise;
       });
 
+      mocha.suite("Action middleware", function () {
+
+        mocha.teardown(function () {
+          const { $dummyEngine } = this;
+
+          $dummyEngine.$$actionMiddlewareList.length = 0;
+        });
+
+        mocha.test("The middlewares are executed in order around the action with its resolved signature and response.", async function () {
+          const { $dummyEngine } = this;
+          const AID1 = uuid.v1();
+          const AID2 = uuid.v1();
+          const executionStepList = [];
+
+          $dummyEngine.useActionMiddleware(async (context, next) => {
+            executionStepList.push('first:before');
+
+            chai.expect(context.$action).to.be.an.instanceOf(NucleusAction);
+            chai.expect(context.actionSignature).to.deep.equal([ 'AID1', 'AID2' ]);
+
+            await next();
+
+            chai.expect(context.actionResponse).to.deep.equal({ AID1, AID2 });
+
+            executionStepList.push('first:after');
+          });
+          $dummyEngine.useActionMiddleware(async (context, next) => {
+            executionStepList.push('second:before');
+
+            await next();
+
+            executionStepList.push('second:after');
+          });
+
+          const $action = new NucleusAction('ExecuteSimpleDummyWithArguments', { AID1, AID2 });
+
+          const { finalMessage } = await $dummyEngine.executeAction($action);
+
+          chai.expect(finalMessage).to.deep.equal({ AID1, AID2 });
+          chai.expect(executionStepList).to.deep.equal([ 'first:before', 'second:before', 'second:after', 'first:after' ]);
+        });
+
+        mocha.test("A middleware can replace the action response without executing the action.", async function () {
+          const { $dummyEngine } = this;
+
+          $dummyEngine.useActionMiddleware((context) => {
+            context.actionResponse = { cached: true };
+          });
+
+          const $action = new NucleusAction('ExecuteSimpleDummyWithArguments', { AID1: uuid.v1(), AID2: uuid.v1() });
+
+          const { finalMessage } = await $dummyEngine.executeAction($action);
+
+          chai.expect(finalMessage).to.deep.equal({ cached: true });
+        });
+
+        mocha.test("A middleware that throws an error fails the action.", function () {
+          const { $dummyEngine } = this;
+
+          $dummyEngine.useActionMiddleware(() => {
+            throw new NucleusError.UnauthorizedActionNucleusError("The user is not allowed to execute this action.");
+          });
+
+          const $action = new NucleusAction('ExecuteSimpleDummy', {});
+
+          return chai.expect($dummyEngine.executeAction($action)).to.be.rejectedWith(NucleusError.UnauthorizedActionNucleusError);
+        });
+
+        mocha.test("Adding a middleware that is not a function throws an error.", function () {
+          const { $dummyEngine } = this;
+
+          chai.expect(function () { $dummyEngine.useActionMiddleware({}); }).to.throw(NucleusError.UnexpectedValueTypeNucleusError);
+        });
+
+      });
+
+      mocha.suite("Response validation", function () {
+
+        mocha.teardown(function () {
+          const { $dummyEngine } = this;
+
+          $dummyEngine.failOnInvalidActionResponse = false;
+        });
+
+        mocha.test("A response that matches the action's response structure is returned.", async function () {
+          const { $dummyEngine } = this;
+          const AID1 = uuid.v1();
+          const AID2 = uuid.v1();
+
+          $dummyEngine.failOnInvalidActionResponse = true;
+
+          const $action = new NucleusAction('ExecuteSimpleDummyWithArguments', { AID1, AID2 });
+
+          const { finalMessage } = await $dummyEngine.executeAction($action);
+
+          chai.expect(finalMessage).to.deep.equal({ AID1, AID2 });
+        });
+
+        mocha.test("A response that does not match the action's response structure logs a warning by default.", async function () {
+          const { $dummyEngine } = this;
+          const AID1 = uuid.v1();
+          const AID2 = uuid.v1();
+
+          const warnSpy = sinon.spy($dummyEngine.$logger, 'warn');
+
+          const $action = new NucleusAction('ExecuteSimpleDummyWithUnexpectedResponse', { AID1, AID2 });
+
+          try {
+            const { finalMessage } = await $dummyEngine.executeAction($action);
+
+            chai.expect(finalMessage).to.deep.equal({ AID1, AID2 });
+            chai.expect(warnSpy.calledWithMatch(/does not match its structure/)).to.be.true;
+          } finally {
+            warnSpy.restore();
+          }
+        });
+
+        mocha.test("A response that does not match the action's response structure fails the action if the engine is configured to.", function () {
+          const { $dummyEngine } = this;
+
+          $dummyEngine.failOnInvalidActionResponse = true;
+
+          const $action = new NucleusAction('ExecuteSimpleDummyWithUnexpectedResponse', { AID1: uuid.v1(), AID2: uuid.v1() });
+
+          return chai.expect($dummyEngine.executeAction($action)).to.be.rejectedWith(NucleusError.UnexpectedValueTypeNucleusError);
+        });
+
+      });
+
+      mocha.suite("Retry policy", function () {
+
+        mocha.teardown(async function () {
+          const { $datastore } = this;
+
+          return Promise.all([
+            $datastore.removeItemByName('Dummy'),
+            $datastore.removeItemByName('Dummy:DeadLetter'),
+            $datastore.removeItemByName('ScheduledActionSet')
+          ]);
+        });
+
+        mocha.test("A failed action is marked as pending and scheduled to be pushed back to its action queue after the backoff time.", async function () {
+          const { $datastore, $dummyEngine } = this;
+          const AID = uuid.v4();
+          const failureTime = Date.now();
+
+          const $action = new NucleusAction('ExecuteSimpleDummyThatFailsOnce', { AID });
+
+          const { meta: { attemptCount }, status } = await $dummyEngine.executeAction($action);
+
+          chai.expect(status).to.equal(NucleusAction.PendingActionStatus);
+          chai.expect(attemptCount).to.equal(2);
+
+          const scheduledActionTime = await $datastore.$$server.zscoreAsync('ScheduledActionSet', JSON.stringify({ actionItemKey: $action.generateOwnItemKey(), actionQueueName: 'Dummy' }));
+
+          chai.expect(Number(scheduledActionTime)).to.be.at.least(failureTime + 10);
+        });
+
+        mocha.test("The retried action is completed on its next attempt.", async function () {
+          const { $dummyEngine } = this;
+          const AID = uuid.v4();
+
+          const $action = new NucleusAction('ExecuteSimpleDummyThatFailsOnce', { AID });
+
+          await $dummyEngine.executeAction($action);
+
+          const { finalMessage, status } = await $dummyEngine.executeAction($action);
+
+          chai.expect(status).to.equal(NucleusAction.CompletedActionStatus);
+          chai.expect(finalMessage).to.deep.equal({ AID });
+        });
+
+        mocha.test("An external error is retried given the name of the original error.", async function () {
+          const { $dummyEngine } = this;
+          const AID = uuid.v4();
+
+          const $action = new NucleusAction('ExecuteSimpleDummyThatFailsOnceWithTypeError', { AID });
+
+          const { status } = await $dummyEngine.executeAction($action);
+
+          chai.expect(status).to.equal(NucleusAction.PendingActionStatus);
+        });
+
+        mocha.test("An error that is not retryable fails the action on the first attempt.", function () {
+          const { $dummyEngine } = this;
+
+          // The missing `AID` argument throws an `UndefinedContextNucleusError` which is not in the retryable error list.
+          const $action = new NucleusAction('ExecuteSimpleDummyThatFailsOnce', {});
+
+          return chai.expect($dummyEngine.executeAction($action))
+            .to.be.rejectedWith(NucleusError.UndefinedContextNucleusError);
+        });
+
+        mocha.test("An action that exhausted its retry policy is moved to the dead letter queue.", async function () {
+          const { $dummyEngine } = this;
+
+          const $action = new NucleusAction('ExecuteSimpleDummyThatAlwaysFails', {});
+
+          await $dummyEngine.executeAction($action);
+
+          await chai.expect($dummyEngine.executeAction($action)).to.be.rejectedWith(NucleusError);
+
+          const deadLetterActionList = await $dummyEngine.retrieveAllDeadLetterActionsByActionQueueName('Dummy');
+
+          chai.expect(deadLetterActionList).to.have.length(1);
+          chai.expect(deadLetterActionList[0]).to.be.an.instanceOf(NucleusAction);
+          chai.expect(deadLetterActionList[0].ID).to.equal($action.ID);
+          chai.expect(deadLetterActionList[0].status).to.equal(NucleusAction.FailedActionStatus);
+        });
+
+        mocha.test("An action can be replayed from the dead letter queue.", async function () {
+          const { $datastore, $dummyEngine } = this;
+
+          const $action = new NucleusAction('ExecuteSimpleDummyThatAlwaysFails', {});
+
+          await $dummyEngine.executeAction($action);
+          await chai.expect($dummyEngine.executeAction($action)).to.be.rejectedWith(NucleusError);
+
+          await $datastore.removeItemByName('Dummy');
+
+          const { $action: $replayedAction } = await $dummyEngine.replayDeadLetterActionByID('Dummy', $action.ID);
+
+          chai.expect($replayedAction.ID).to.not.equal($action.ID);
+          chai.expect($replayedAction.meta.replayedActionID).to.equal($action.ID);
+
+          const [ deadLetterActionList, actionItemKeyList ] = await Promise.all([
+            $dummyEngine.retrieveAllDeadLetterActionsByActionQueueName('Dummy'),
+            $datastore.$$server.lrangeAsync('Dummy', 0, -1)
+          ]);
+
+          chai.expect(deadLetterActionList).to.have.length(0);
+          chai.expect(actionItemKeyList).to.deep.equal([ $replayedAction.generateOwnItemKey() ]);
+        });
+
+        mocha.test("Replaying an action that is not in the dead letter queue throws an error.", function () {
+          const { $dummyEngine } = this;
+
+          return chai.expect($dummyEngine.replayDeadLetterActionByID('Dummy', uuid.v1()))
+            .to.be.rejectedWith(NucleusError.UndefinedContextNucleusError);
+        });
+
+      });
+
       mocha.suite("Extendable action", function () {
 
         mocha.suiteSetup(async function () {
@@ -456,215 +763,2869 @@ mocha.suite('Nucleus Engine', function () {
         ]);
       });
 
+      mocha.test("The action is pushed to the action queue list of its priority.", async function () {
+        const { $datastore, $engine } = this;
+
+        const $action = new NucleusAction('DummyAction', {}, { priority: NucleusAction.HighActionPriority });
+
+        await $engine.publishActionToQueueByName('Dummy', $action);
+
+        const actionItemKeyList = await $datastore.$$server.lrangeAsync('Dummy:HighPriority', 0, -1);
+
+        chai.expect(actionItemKeyList).to.deep.equal([ $action.generateOwnItemKey() ]);
+      });
+
     });
 
-    mocha.suite("#publishActionByNameAndHandleResponse", function () {
+    mocha.suite("#retrievePendingAction", function () {
 
-      mocha.setup(async function () {
+      mocha.setup(function () {
         const { $datastore } = this;
-        const $handlerDatastore = this.$datastore.duplicateConnection();
 
-        // Manually update the action's item's status and final message.
-        // This will trigger the #publishActionByNameAndHandleResponse to resolve with the response;
+        return $datastore.$$server.delAsync(NucleusEngine.generatePriorityActionQueueNameList('Dummy'));
+      });
 
-        await $handlerDatastore.$$server.subscribe(`__keyspace@${DATASTORE_INDEX}__:Dummy`);
+      mocha.teardown(function () {
+        const { $$sandbox } = this;
 
-        $handlerDatastore.$$server.on('message', async (channelName, redisCommand) => {
-          if (channelName !== `__keyspace@${DATASTORE_INDEX}__:Dummy` || redisCommand !== 'lpush') return;
+        $$sandbox.restore();
+      });
 
-          const actionItemKey = await $datastore.$$server.lpopAsync('Dummy');
+      mocha.test("The pending actions of higher priority are retrieved first.", async function () {
+        const { $$sandbox, $engine } = this;
 
-          if (/.*ExecuteSimpleDummy.*/.test(actionItemKey)) {
-            await $datastore.addItemToHashFieldByName(actionItemKey, 'finalMessage', { dummy: { ID: uuid.v4() } }, 'status', NucleusAction.CompletedActionStatus);
-          } else if (/.*ThrowErrorWithMetaData.*/.test(actionItemKey)) {
-            await $datastore.addItemToHashFieldByName(actionItemKey, 'finalMessage', { error: new NucleusError(`This is an error with meta data.`, { EID: uuid() }) }, 'status', NucleusAction.FailedActionStatus);
-          }
+        const $lowPriorityAction = new NucleusAction('DummyAction', {}, { priority: NucleusAction.LowActionPriority });
+        const $normalPriorityAction = new NucleusAction('DummyAction', {});
+        const $highPriorityAction = new NucleusAction('DummyAction', {}, { priority: NucleusAction.HighActionPriority });
 
-          await $handlerDatastore.$$server.unsubscribe(`__keyspace@${DATASTORE_INDEX}__:Dummy`);
-        });
+        await $engine.publishActionToQueueByName('Dummy', $lowPriorityAction);
+        await $engine.publishActionToQueueByName('Dummy', $normalPriorityAction);
+        await $engine.publishActionToQueueByName('Dummy', $highPriorityAction);
 
-        return Promise.delay(1000);
-      });
+        const executeActionStub = $$sandbox.stub($engine, 'executeAction').resolves();
 
-      mocha.test("The response is returned once the action has been fulfilled.", async function () {
-        const { $engine } = this;
-        const userID = uuid.v4();
+        await $engine.retrievePendingAction('Dummy');
+        await $engine.retrievePendingAction('Dummy');
+        await $engine.retrievePendingAction('Dummy');
 
-        const { dummy } = await $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', { iam: 'special' }, userID);
+        // The execution is deferred to the next tick.
+        await Promise.delay(10);
 
-        chai.expect(dummy).to.be.an('object');
+        const executedActionIDList = executeActionStub.getCalls().map(({ args: [ $action ] }) => $action.ID);
+
+        chai.expect(executedActionIDList).to.deep.equal([ $highPriorityAction.ID, $normalPriorityAction.ID, $lowPriorityAction.ID ]);
       });
 
-      mocha.test("The error contains the meta data", async function () {
-        const { $engine } = this;
-        const userID = uuid.v4();
+      mocha.test("An action configured with a priority is published with that priority by default.", async function () {
+        const { $datastore, $dummyEngine } = this;
 
-        try {
-          await $engine.publishActionByNameAndHandleResponse('ThrowErrorWithMetaData', {}, userID);
-        } catch (error) {
-          chai.expect(error.meta).to.have.ownProperty('EID');
-        }
-      });
+        await $dummyEngine.storeActionConfiguration({
+          actionName: 'ExecutePrioritizedDummy',
+          actionPriority: NucleusAction.HighActionPriority,
+          contextName: 'Self',
+          methodName: 'executeSimpleDummy'
+        });
 
-      mocha.test("The response promise can be used like a bluebird promise.", function () {
-        const { $engine } = this;
-        const userID = uuid.v4();
+        $dummyEngine.publishActionByNameAndHandleResponse('ExecutePrioritizedDummy', {}, { originUserID: 'dummyUserID', timeout: 100 })
+          .catch(() => {});
 
-        return $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', { iam: 'special' }, userID)
-          .tap(console.log);
+        await Promise.delay(10);
+
+        const actionItemKeyList = await $datastore.$$server.lrangeAsync('Dummy:HighPriority', 0, -1);
+
+        chai.expect(actionItemKeyList).to.have.length(1);
       });
 
     });
 
-    mocha.suite("Correlation ID", function () {
+    mocha.suite("Scheduled actions", function () {
 
-      mocha.suiteSetup(async function () {
+      mocha.setup(function () {
         const { $datastore } = this;
-        const $handlerDatastore = this.$datastore.duplicateConnection();
 
-        // Manually update the action's item's status and final message.
-        // This will trigger the #publishActionByNameAndHandleResponse to resolve with the response;
+        return Promise.all([
+          $datastore.removeItemByName('ActionSchedulerLeader'),
+          $datastore.removeItemByName('Dummy'),
+          $datastore.removeItemByName('ScheduledActionSet')
+        ]);
+      });
 
-        await $handlerDatastore.$$server.subscribe(`__keyspace@${DATASTORE_INDEX}__:Dummy`);
+      mocha.teardown(function () {
+        const { $datastore, $dummyEngine } = this;
 
-        $handlerDatastore.$$server.on('message', async (channelName, redisCommand) => {
-          if (channelName !== `__keyspace@${DATASTORE_INDEX}__:Dummy` || redisCommand !== 'lpush') return;
+        return Promise.all([
+          $datastore.removeItemByName('Dummy'),
+          $dummyEngine.removeActionScheduleByName('DummySchedule')
+        ]);
+      });
 
-          const actionItemKey = await $datastore.$$server.lpopAsync('Dummy');
+      mocha.test("A delayed action is pushed to its action queue only once it is due.", async function () {
+        const { $datastore, $dummyEngine, $engine } = this;
 
-          await $datastore.addItemToHashFieldByName(actionItemKey, 'finalMessage', { dummy: { ID: uuid.v4() } }, 'status', NucleusAction.CompletedActionStatus);
+        const { $action } = await $engine.publishActionByNameWithDelay('ExecuteSimpleDummy', {}, 200, 'dummyUserID');
 
-          await $handlerDatastore.$$server.unsubscribe(`__keyspace@${DATASTORE_INDEX}__:Dummy`);
-        });
+        await Promise.all([
+          $engine.publishAllDueScheduledActions(),
+          $dummyEngine.publishAllDueScheduledActions()
+        ]);
 
-        return Promise.delay(1000);
-      });
+        chai.expect(await $datastore.$$server.llenAsync('Dummy'), "The action is not due yet.").to.equal(0);
+        chai.expect(await $datastore.$$server.existsAsync($action.generateOwnItemKey()), "The action is stored right away.").to.equal(1);
 
-      mocha.test("Correlation ID are logged for the whole lifecycle of an action when passed as an option of the #publishActionByNameAndHandleResponse method.", async function () {
-        const { $engine, $$sandbox } = this;
-        const $$loggerDebugStub = $$sandbox.stub($engine.$logger, 'debug');
+        await Promise.delay(250);
 
-        const correlationID = uuid.v4();
-        const originUserID = uuid.v4();
+        await Promise.all([
+          $engine.publishAllDueScheduledActions(),
+          $dummyEngine.publishAllDueScheduledActions()
+        ]);
 
-        await $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', {}, { correlationID, originUserID });
-        await Promise.delay(1000);
+        const actionItemKeyList = await $datastore.$$server.lrangeAsync('Dummy', 0, -1);
 
-        chai.expect($$loggerDebugStub.calledWith(sinon.match.string, sinon.match({
-          correlationID
-        })));
+        chai.expect(actionItemKeyList).to.deep.equal([ $action.generateOwnItemKey() ]);
       });
 
-    });
+      mocha.test("A scheduled action is published exactly once when many engines publish the due actions.", async function () {
+        const { $datastore, $dummyEngine, $engine } = this;
 
-    mocha.suite("Load testing", function () {
-      this.timeout(1000 * 15);
+        await $engine.publishActionByNameAtTime('ExecuteSimpleDummy', {}, new Date(Date.now() - 1000), 'dummyUserID');
 
-      mocha.teardown(function () {
-        const { $datastore } = this;
+        await Promise.all([
+          $engine.publishAllDueScheduledActions(),
+          $dummyEngine.publishAllDueScheduledActions()
+        ]);
 
-        return $datastore.removeItemByName('Dummy');
+        chai.expect(await $datastore.$$server.llenAsync('Dummy')).to.equal(1);
       });
 
-      mocha.suiteTeardown(function () {
+      mocha.test("Only one engine is the leader of the action scheduler.", async function () {
+        const { $dummyEngine, $engine } = this;
+
+        const leaderElectionList = await Promise.all([
+          $engine.electActionSchedulerLeader(),
+          $dummyEngine.electActionSchedulerLeader()
+        ]);
+
+        chai.expect(leaderElectionList.filter(({ isLeader }) => isLeader)).to.have.length(1);
+      });
+
+      mocha.test("A recurring action schedule that is due publishes its action and is moved to its next execution time.", async function () {
+        const { $datastore, $dummyEngine, $engine } = this;
+
+        const { nextExecutionTime } = await $dummyEngine.storeActionSchedule({
+          actionName: 'ExecuteSimpleDummy',
+          cronExpression: '*/5 * * * *',
+          originUserID: 'dummyUserID',
+          scheduleName: 'DummySchedule'
+        });
+
+        chai.expect(nextExecutionTime % (1000 * 60 * 5)).to.equal(0);
+        chai.expect(await $dummyEngine.retrieveAllActionSchedules()).to.containSubset([ { actionName: 'ExecuteSimpleDummy', scheduleName: 'DummySchedule' } ]);
+
+        // Make the schedule due.
+        await $datastore.$$server.zaddAsync('ActionScheduleNameSet', Date.now() - 1000, 'DummySchedule');
+
+        await Promise.all([
+          $engine.publishAllDueScheduledActions(),
+          $dummyEngine.publishAllDueScheduledActions()
+        ]);
+
+        chai.expect(await $datastore.$$server.llenAsync('Dummy')).to.equal(1);
+        chai.expect(Number(await $datastore.$$server.zscoreAsync('ActionScheduleNameSet', 'DummySchedule'))).to.be.above(Date.now());
+      });
+
+      mocha.test("An engine only runs for the action scheduler's leadership once it schedules an action.", async function () {
+        const datastoreOptions = { index: DATASTORE_INDEX, port: DATASTORE_PORT, URL: DATASTORE_URL };
+        const $schedulerEngine = new NucleusEngine('Scheduler', {
+          $actionDatastore: new NucleusDatastore('SchedulerActionDatastore', datastoreOptions),
+          $engineDatastore: new NucleusDatastore('SchedulerEngineDatastore', datastoreOptions),
+          $eventDatastore: new NucleusDatastore('SchedulerEventDatastore', datastoreOptions),
+          actionSchedulerInterval: 20
+        });
+
+        await $schedulerEngine;
+
+        const $$publishAllDueScheduledActionsSpy = sinon.spy($schedulerEngine, 'publishAllDueScheduledActions');
+
+        try {
+          await Promise.delay(100);
+
+          chai.expect($$publishAllDueScheduledActionsSpy.called).to.be.false;
+
+          await $schedulerEngine.publishActionByNameWithDelay('ExecuteSimpleDummy', {}, 1000 * 60, 'dummyUserID');
+
+          await Promise.delay(100);
+
+          chai.expect($$publishAllDueScheduledActionsSpy.called).to.be.true;
+        } finally {
+          await $schedulerEngine.destroy();
+        }
+      });
+
+      mocha.test("Storing a schedule with an invalid cron expression throws an error.", function () {
+        const { $dummyEngine } = this;
+
+        return chai.expect($dummyEngine.storeActionSchedule({
+          actionName: 'ExecuteSimpleDummy',
+          cronExpression: '0 25 * * *',
+          originUserID: 'dummyUserID',
+          scheduleName: 'DummySchedule'
+        })).to.be.rejectedWith(NucleusError.UnexpectedValueNucleusError);
+      });
+
+    });
+
+    mocha.suite("#publishActionByNameAndHandleResponse", function () {
+
+      mocha.setup(async function () {
+        const { $datastore } = this;
+        const $handlerDatastore = this.$datastore.duplicateConnection();
+
+        // Manually update the action's item's status and final message.
+        // This will trigger the #publishActionByNameAndHandleResponse to resolve with the response;
+
+        await $handlerDatastore.$$server.subscribe(`__keyspace@${DATASTORE_INDEX}__:Dummy`);
+
+        $handlerDatastore.$$server.on('message', async (channelName, redisCommand) => {
+          if (channelName !== `__keyspace@${DATASTORE_INDEX}__:Dummy` || redisCommand !== 'lpush') return;
+
+          const actionItemKey = await $datastore.$$server.lpopAsync('Dummy');
+
+          if (/.*ExecuteSimpleDummy.*/.test(actionItemKey)) {
+            await $datastore.addItemToHashFieldByName(actionItemKey, 'finalMessage', { dummy: { ID: uuid.v4() } }, 'status', NucleusAction.CompletedActionStatus);
+          } else if (/.*ThrowErrorWithMetaData.*/.test(actionItemKey)) {
+            await $datastore.addItemToHashFieldByName(actionItemKey, 'finalMessage', { error: new NucleusError(`This is an error with meta data.`, { EID: uuid() }) }, 'status', NucleusAction.FailedActionStatus);
+          }
+
+          await $handlerDatastore.$$server.unsubscribe(`__keyspace@${DATASTORE_INDEX}__:Dummy`);
+        });
+
+        return Promise.delay(1000);
+      });
+
+      mocha.test("The response is returned once the action has been fulfilled.", async function () {
+        const { $engine } = this;
+        const userID = uuid.v4();
+
+        const { dummy } = await $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', { iam: 'special' }, userID);
+
+        chai.expect(dummy).to.be.an('object');
+      });
+
+      mocha.test("The error contains the meta data", async function () {
+        const { $engine } = this;
+        const userID = uuid.v4();
+
+        try {
+          await $engine.publishActionByNameAndHandleResponse('ThrowErrorWithMetaData', {}, userID);
+        } catch (error) {
+          chai.expect(error.meta).to.have.ownProperty('EID');
+        }
+      });
+
+      mocha.test("The response promise can be used like a bluebird promise.", function () {
+        const { $engine } = this;
+        const userID = uuid.v4();
+
+        return $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', { iam: 'special' }, userID)
+          .tap(console.log);
+      });
+
+      mocha.suite("Timeout and cancellation", function () {
+
+        mocha.suiteSetup(function () {
+          const { $datastore } = this;
+
+          // This action is never fulfilled by the manual handler.
+          return $datastore.addItemToHashFieldByName(ACTION_QUEUE_NAME_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME, 'ExecuteHangingDummy', 'Dummy');
+        });
+
+        mocha.test("The publisher stops waiting once the timeout has elapsed and the action is marked as cancelled.", async function () {
+          const { $datastore, $engine, $$sandbox } = this;
+          const $$publishActionToQueueByNameSpy = $$sandbox.spy($engine, 'publishActionToQueueByName');
+          const originUserID = uuid.v4();
+
+          await chai.expect($engine.publishActionByNameAndHandleResponse('ExecuteHangingDummy', {}, { originUserID, timeout: 500 }))
+            .to.be.rejectedWith(NucleusError.TimeoutNucleusError);
+
+          const { args: [ [ actionQueueName, $action ] ] } = $$publishActionToQueueByNameSpy;
+
+          $$publishActionToQueueByNameSpy.restore();
+
+          await Promise.delay(100);
+
+          const actionStatus = await $datastore.retrieveItemFromHashFieldByName($action.generateOwnItemKey(), 'status');
+
+          chai.expect(actionQueueName).to.equal('Dummy');
+          chai.expect(actionStatus).to.equal(NucleusAction.CancelledActionStatus);
+        });
+
+        mocha.test("The publisher stops waiting once the signal is aborted.", async function () {
+          const { $engine } = this;
+          const originUserID = uuid.v4();
+          const $$abortListenerList = [];
+          const signal = {
+            aborted: false,
+            addEventListener (eventName, listener) { $$abortListenerList.push(listener); },
+            removeEventListener () {}
+          };
+
+          setTimeout(() => {
+            signal.aborted = true;
+            $$abortListenerList.forEach(listener => listener());
+          }, 500);
+
+          return chai.expect($engine.publishActionByNameAndHandleResponse('ExecuteHangingDummy', {}, { originUserID, signal }))
+            .to.be.rejectedWith(NucleusError.TimeoutNucleusError);
+        });
+
+        mocha.test("The action is not published if the signal is already aborted.", async function () {
+          const { $engine, $$sandbox } = this;
+          const $$publishActionToQueueByNameSpy = $$sandbox.spy($engine, 'publishActionToQueueByName');
+          const originUserID = uuid.v4();
+          const signal = { aborted: true };
+
+          await chai.expect($engine.publishActionByNameAndHandleResponse('ExecuteHangingDummy', {}, { originUserID, signal }))
+            .to.be.rejectedWith(NucleusError.TimeoutNucleusError);
+
+          $$publishActionToQueueByNameSpy.restore();
+
+          chai.expect($$publishActionToQueueByNameSpy.called).to.be.false;
+        });
+
+      });
+
+      mocha.suite("Idempotency key", function () {
+
+        mocha.teardown(function () {
+          const { $$sandbox } = this;
+
+          $$sandbox.restore();
+        });
+
+        mocha.test("A duplicate request is attached to the original action instead of publishing a new action.", async function () {
+          const { $datastore, $engine, $$sandbox } = this;
+          const $$publishActionToQueueByNameSpy = $$sandbox.spy($engine, 'publishActionToQueueByName');
+          const AID = uuid.v4();
+          const idempotencyKey = uuid.v4();
+          const originUserID = uuid.v4();
+
+          const $$originalResponsePromise = $engine.publishActionByNameAndHandleResponse('ExecuteHangingDummy', {}, { idempotencyKey, originUserID });
+
+          await Promise.delay(100);
+
+          const $$duplicateResponsePromise = $engine.publishActionByNameAndHandleResponse('ExecuteHangingDummy', {}, { idempotencyKey, originUserID });
+
+          await Promise.delay(100);
+
+          chai.expect($$publishActionToQueueByNameSpy.calledOnce).to.be.true;
+
+          const { args: [ [ , $action ] ] } = $$publishActionToQueueByNameSpy;
+
+          await $datastore.addItemToHashFieldByName($action.generateOwnItemKey(), 'finalMessage', { AID }, 'status', NucleusAction.CompletedActionStatus);
+
+          const responseList = await Promise.all([ $$originalResponsePromise, $$duplicateResponsePromise ]);
+
+          chai.expect(responseList).to.deep.equal([ { AID }, { AID } ]);
+        });
+
+        mocha.test("Concurrent duplicate requests publish the action once.", async function () {
+          const { $datastore, $engine, $$sandbox } = this;
+          const $$publishActionToQueueByNameSpy = $$sandbox.spy($engine, 'publishActionToQueueByName');
+          const AID = uuid.v4();
+          const idempotencyKey = uuid.v4();
+          const originUserID = uuid.v4();
+
+          const $$responsePromiseList = [
+            $engine.publishActionByNameAndHandleResponse('ExecuteHangingDummy', {}, { idempotencyKey, originUserID }),
+            $engine.publishActionByNameAndHandleResponse('ExecuteHangingDummy', {}, { idempotencyKey, originUserID })
+          ];
+
+          await Promise.delay(100);
+
+          chai.expect($$publishActionToQueueByNameSpy.calledOnce).to.be.true;
+
+          const { args: [ [ , $action ] ] } = $$publishActionToQueueByNameSpy;
+
+          await $datastore.addItemToHashFieldByName($action.generateOwnItemKey(), 'finalMessage', { AID }, 'status', NucleusAction.CompletedActionStatus);
+
+          const responseList = await Promise.all($$responsePromiseList);
+
+          chai.expect(responseList).to.deep.equal([ { AID }, { AID } ]);
+        });
+
+        mocha.test("A request with the idempotency key of a fulfilled action returns the original final message.", async function () {
+          const { $datastore, $engine, $$sandbox } = this;
+          const $$publishActionToQueueByNameSpy = $$sandbox.spy($engine, 'publishActionToQueueByName');
+          const AID = uuid.v4();
+          const idempotencyKey = uuid.v4();
+          const originUserID = uuid.v4();
+
+          $engine.publishActionByNameAndHandleResponse('ExecuteHangingDummy', {}, { idempotencyKey, originUserID });
+
+          await Promise.delay(100);
+
+          const { args: [ [ , $action ] ] } = $$publishActionToQueueByNameSpy;
+
+          await $datastore.addItemToHashFieldByName($action.generateOwnItemKey(), 'finalMessage', { AID }, 'status', NucleusAction.CompletedActionStatus);
+
+          const response = await $engine.publishActionByNameAndHandleResponse('ExecuteHangingDummy', {}, { idempotencyKey, originUserID });
+
+          chai.expect(response).to.deep.equal({ AID });
+          chai.expect($$publishActionToQueueByNameSpy.calledOnce).to.be.true;
+        });
+
+        mocha.test("A request with the idempotency key of a cancelled action publishes a new action.", async function () {
+          const { $engine, $$sandbox } = this;
+          const $$publishActionToQueueByNameSpy = $$sandbox.spy($engine, 'publishActionToQueueByName');
+          const idempotencyKey = uuid.v4();
+          const originUserID = uuid.v4();
+
+          await chai.expect($engine.publishActionByNameAndHandleResponse('ExecuteHangingDummy', {}, { idempotencyKey, originUserID, timeout: 100 }))
+            .to.be.rejectedWith(NucleusError.TimeoutNucleusError);
+
+          await Promise.delay(50);
+
+          await chai.expect($engine.publishActionByNameAndHandleResponse('ExecuteHangingDummy', {}, { idempotencyKey, originUserID, timeout: 100 }))
+            .to.be.rejectedWith(NucleusError.TimeoutNucleusError);
+
+          chai.expect($$publishActionToQueueByNameSpy.calledTwice).to.be.true;
+        });
+
+        mocha.test("A request which action could not be published is rejected and releases its idempotency key.", async function () {
+          const { $engine, $$sandbox } = this;
+          const idempotencyKey = uuid.v4();
+          const originUserID = uuid.v4();
+
+          const $$publishActionToQueueByNameStub = $$sandbox.stub($engine, 'publishActionToQueueByName').rejects(new Error("Dummy connection error"));
+
+          await chai.expect($engine.publishActionByNameAndHandleResponse('ExecuteHangingDummy', {}, { idempotencyKey, originUserID }))
+            .to.be.rejectedWith(NucleusError, /Dummy connection error/);
+
+          $$publishActionToQueueByNameStub.restore();
+
+          const $$publishActionToQueueByNameSpy = $$sandbox.spy($engine, 'publishActionToQueueByName');
+
+          await chai.expect($engine.publishActionByNameAndHandleResponse('ExecuteHangingDummy', {}, { idempotencyKey, originUserID, timeout: 100 }))
+            .to.be.rejectedWith(NucleusError.TimeoutNucleusError);
+
+          chai.expect($$publishActionToQueueByNameSpy.calledOnce).to.be.true;
+        });
+
+        mocha.test("A duplicate request that times out releases its subscription to the channel of the original action.", async function () {
+          const { $engine, $$sandbox } = this;
+          const $$cancelActionByItemKeySpy = $$sandbox.spy($engine, 'cancelActionByItemKey');
+          const $$publishActionToQueueByNameSpy = $$sandbox.spy($engine, 'publishActionToQueueByName');
+          const idempotencyKey = uuid.v4();
+          const originUserID = uuid.v4();
+
+          const $$originalResponsePromise = chai.expect($engine.publishActionByNameAndHandleResponse('ExecuteHangingDummy', {}, { idempotencyKey, originUserID, timeout: 500 }))
+            .to.be.rejectedWith(NucleusError.TimeoutNucleusError);
+
+          await Promise.delay(100);
+
+          const { args: [ [ , $action ] ] } = $$publishActionToQueueByNameSpy;
+          const channelName = `__keyspace@${DATASTORE_INDEX}__:${$action.generateOwnItemKey()}`;
+          const $$unsubscribeFromChannelNameSpy = $$sandbox.spy($engine.$handlerDatastoreByName['ActionSubscriber'], 'unsubscribeFromChannelName');
+
+          await chai.expect($engine.publishActionByNameAndHandleResponse('ExecuteHangingDummy', {}, { idempotencyKey, originUserID, timeout: 100 }))
+            .to.be.rejectedWith(NucleusError.TimeoutNucleusError);
+
+          // The original request still waits on the same subscription.
+          chai.expect($engine.$$actionRequestCountByChannelName[channelName]).to.equal(1);
+          chai.expect($$unsubscribeFromChannelNameSpy.called).to.be.false;
+
+          await $$originalResponsePromise;
+
+          chai.expect($engine.$$actionRequestCountByChannelName).to.not.have.property(channelName);
+          chai.expect($$unsubscribeFromChannelNameSpy.calledOnceWith(channelName)).to.be.true;
+          chai.expect($$cancelActionByItemKeySpy.calledOnce).to.be.true;
+        });
+
+      });
+
+    });
+
+    mocha.suite("#publishActionBatchAndHandleResponses", function () {
+      this.timeout(1000 * 5);
+
+      mocha.suiteSetup(async function () {
+        const executionCountList = [];
+        let executingActionCount = 0;
+
+        class BatchEngine extends NucleusEngine {
+
+          constructor () {
+            const datastoreOptions = { index: DATASTORE_INDEX, port: DATASTORE_PORT, URL: DATASTORE_URL };
+
+            super('Batch', {
+              $actionDatastore: new NucleusDatastore('BatchActionDatastore', datastoreOptions),
+              $engineDatastore: new NucleusDatastore('BatchEngineDatastore', datastoreOptions),
+              $eventDatastore: new NucleusDatastore('BatchEventDatastore', datastoreOptions),
+              automaticallyRetrievePendingActions: true
+            });
+          }
+
+          async executeBatchDummy (AID) {
+            executionCountList.push(++executingActionCount);
+
+            await Promise.delay(20);
+
+            executingActionCount--;
+
+            if (AID === 'Failing') throw new NucleusError.UnexpectedValueNucleusError("This dummy always fails.");
+
+            return { AID };
+          }
+
+          executeHangingBatchDummy () {
+
+            return new Promise(() => {});
+          }
+
+        }
+
+        const $batchEngine = new BatchEngine();
+
+        await $batchEngine;
+
+        await $batchEngine.storeActionConfiguration([
+          { actionName: 'ExecuteBatchDummy', actionSignature: [ 'AID' ], contextName: 'Self', methodName: 'executeBatchDummy' },
+          { actionName: 'ExecuteHangingBatchDummy', contextName: 'Self', methodName: 'executeHangingBatchDummy' }
+        ]);
+
+        Reflect.defineProperty(this, '$batchEngine', { value: $batchEngine, writable: true });
+        Reflect.defineProperty(this, 'executionCountList', { value: executionCountList, writable: true });
+      });
+
+      mocha.setup(function () {
+        const { executionCountList } = this;
+
+        executionCountList.length = 0;
+      });
+
+      mocha.teardown(function () {
+        const { $$sandbox } = this;
+
+        $$sandbox.restore();
+      });
+
+      mocha.suiteTeardown(function () {
+        const { $batchEngine } = this;
+
+        return $batchEngine.destroy();
+      });
+
+      mocha.test("The settled results are returned in the order of the batch.", async function () {
+        const { $batchEngine } = this;
+        const AIDList = [ uuid.v4(), 'Failing', uuid.v4() ];
+
+        const settledResultList = await $batchEngine.publishActionBatchAndHandleResponses(
+          AIDList.map((AID) => ({ actionName: 'ExecuteBatchDummy', actionMessage: { AID } })),
+          uuid.v4()
+        );
+
+        chai.expect(settledResultList).to.have.length(3);
+        chai.expect(settledResultList[0]).to.deep.equal({ status: 'fulfilled', value: { AID: AIDList[0] } });
+        chai.expect(settledResultList[1].status).to.equal('rejected');
+        chai.expect(settledResultList[1].reason).to.be.an.instanceOf(NucleusError.UnexpectedValueNucleusError);
+        chai.expect(settledResultList[2]).to.deep.equal({ status: 'fulfilled', value: { AID: AIDList[2] } });
+      });
+
+      mocha.test("The actions are published in a single transaction.", async function () {
+        const { $batchEngine, $$sandbox } = this;
+        const $$multiSpy = $$sandbox.spy($batchEngine.$actionDatastore.$$server, 'multi');
+
+        await $batchEngine.publishActionBatchAndHandleResponses(
+          Array.apply(null, { length: 10 }).map(() => ({ actionName: 'ExecuteBatchDummy', actionMessage: { AID: uuid.v4() } })),
+          uuid.v4()
+        );
+
+        chai.expect($$multiSpy.calledOnce).to.be.true;
+      });
+
+      mocha.test("The number of actions waiting for a response never exceeds the maximum.", async function () {
+        const { $batchEngine, executionCountList } = this;
+
+        const settledResultList = await $batchEngine.publishActionBatchAndHandleResponses(
+          Array.apply(null, { length: 6 }).map(() => ({ actionName: 'ExecuteBatchDummy', actionMessage: { AID: uuid.v4() } })),
+          { maxConcurrentActions: 2, originUserID: uuid.v4() }
+        );
+
+        chai.expect(settledResultList.every(({ status }) => status === 'fulfilled')).to.be.true;
+        chai.expect(executionCountList).to.have.length(6);
+        chai.expect(Math.max(...executionCountList)).to.be.at.most(2);
+      });
+
+      mocha.test("The actions that are not fulfilled within the timeout are rejected.", async function () {
+        const { $batchEngine } = this;
+        const AID = uuid.v4();
+
+        const [ fulfilledResult, timedOutResult ] = await $batchEngine.publishActionBatchAndHandleResponses(
+          [
+            { actionName: 'ExecuteBatchDummy', actionMessage: { AID } },
+            { actionName: 'ExecuteHangingBatchDummy' }
+          ],
+          { originUserID: uuid.v4(), timeout: 500 }
+        );
+
+        chai.expect(fulfilledResult).to.deep.equal({ status: 'fulfilled', value: { AID } });
+        chai.expect(timedOutResult.status).to.equal('rejected');
+        chai.expect(timedOutResult.reason).to.be.an.instanceOf(NucleusError.TimeoutNucleusError);
+      });
+
+      mocha.test("An action that is not registered is rejected without failing the batch.", async function () {
+        const { $batchEngine } = this;
+        const AID = uuid.v4();
+
+        const [ fulfilledResult, rejectedResult ] = await $batchEngine.publishActionBatchAndHandleResponses(
+          [
+            { actionName: 'ExecuteBatchDummy', actionMessage: { AID } },
+            { actionName: 'ExecuteUnregisteredBatchDummy' }
+          ],
+          uuid.v4()
+        );
+
+        chai.expect(fulfilledResult).to.deep.equal({ status: 'fulfilled', value: { AID } });
+        chai.expect(rejectedResult.reason).to.be.an.instanceOf(NucleusError.UndefinedContextNucleusError);
+      });
+
+      mocha.test("A request with the idempotency key of an action is attached to that action instead of publishing a new action.", async function () {
+        const { $batchEngine, executionCountList } = this;
+        const AID = uuid.v4();
+        const idempotencyKey = uuid.v4();
+        const originUserID = uuid.v4();
+
+        await $batchEngine.publishActionByNameAndHandleResponse('ExecuteBatchDummy', { AID }, { idempotencyKey, originUserID });
+
+        const [ duplicateResult ] = await $batchEngine.publishActionBatchAndHandleResponses(
+          [ { actionName: 'ExecuteBatchDummy', actionMessage: { AID: uuid.v4() }, idempotencyKey } ],
+          originUserID
+        );
+
+        chai.expect(duplicateResult).to.deep.equal({ status: 'fulfilled', value: { AID } });
+        chai.expect(executionCountList).to.have.length(1);
+      });
+
+    });
+
+    mocha.suite("Progress reporting", function () {
+      this.timeout(1000 * 5);
+
+      mocha.suiteSetup(async function () {
+
+        class ProgressEngine extends NucleusEngine {
+
+          constructor () {
+            const datastoreOptions = { index: DATASTORE_INDEX, port: DATASTORE_PORT, URL: DATASTORE_URL };
+
+            super('Progress', {
+              $actionDatastore: new NucleusDatastore('ProgressActionDatastore', datastoreOptions),
+              $engineDatastore: new NucleusDatastore('ProgressEngineDatastore', datastoreOptions),
+              $eventDatastore: new NucleusDatastore('ProgressEventDatastore', datastoreOptions),
+              automaticallyRetrievePendingActions: true
+            });
+          }
+
+          async importDummies (dummyCount, $progress) {
+            for (let index = 1; index <= dummyCount; index++) {
+              await Promise.delay(50);
+
+              await $progress(index / dummyCount * 100, `Imported ${index} of ${dummyCount} dummies.`);
+            }
+
+            return { dummyCount };
+          }
+
+        }
+
+        const $progressEngine = new ProgressEngine();
+
+        await $progressEngine;
+
+        await $progressEngine.storeActionConfiguration({
+          actionName: 'ImportDummies',
+          actionSignature: [ 'dummyCount', '$progress' ],
+          contextName: 'Self',
+          methodName: 'importDummies'
+        });
+
+        Reflect.defineProperty(this, '$progressEngine', { value: $progressEngine, writable: true });
+      });
+
+      mocha.suiteTeardown(function () {
+        const { $progressEngine } = this;
+
+        return $progressEngine.destroy();
+      });
+
+      mocha.test("The publisher is notified every time the handler reports its progress.", async function () {
+        const { $progressEngine } = this;
+        const actionProgressList = [];
+
+        const { dummyCount } = await $progressEngine.publishActionByNameAndHandleResponse('ImportDummies', { dummyCount: 2 }, {
+          onProgress: (actionProgress) => actionProgressList.push(actionProgress),
+          originUserID: uuid.v4()
+        });
+
+        chai.expect(dummyCount).to.equal(2);
+        chai.expect(actionProgressList).to.containSubset([
+          { message: 'Imported 1 of 2 dummies.', percent: 50 },
+          { message: 'Imported 2 of 2 dummies.', percent: 100 }
+        ]);
+      });
+
+      mocha.test("The progress is stored with the action.", async function () {
+        const { $datastore, $progressEngine } = this;
+        const $action = new NucleusAction('ImportDummies', { dummyCount: 1 });
+
+        await $progressEngine.executeAction($action);
+
+        const actionProgress = await $datastore.retrieveItemFromHashFieldByName($action.generateOwnItemKey(), 'progress');
+
+        chai.expect(actionProgress).to.deep.include({ message: 'Imported 1 of 1 dummies.', percent: 100 });
+      });
+
+      mocha.test("Reporting a progress that is not between 0 and 100 throws an error.", function () {
+        const { $progressEngine } = this;
+        const $action = new NucleusAction('ImportDummies', { dummyCount: 1 });
+
+        return chai.expect($progressEngine.updateActionProgress($action, 150)).to.be.rejectedWith(NucleusError.UnexpectedValueNucleusError);
+      });
+
+    });
+
+    mocha.suite("Streaming responses", function () {
+      this.timeout(1000 * 5);
+
+      mocha.suiteSetup(async function () {
+
+        class StreamEngine extends NucleusEngine {
+
+          constructor () {
+            const datastoreOptions = { index: DATASTORE_INDEX, port: DATASTORE_PORT, URL: DATASTORE_URL };
+
+            super('Stream', {
+              $actionDatastore: new NucleusDatastore('StreamActionDatastore', datastoreOptions),
+              $engineDatastore: new NucleusDatastore('StreamEngineDatastore', datastoreOptions),
+              $eventDatastore: new NucleusDatastore('StreamEventDatastore', datastoreOptions),
+              automaticallyRetrievePendingActions: true
+            });
+          }
+
+          retrieveAllDummies (dummyCount) {
+
+            return generateDummyIterator(dummyCount);
+          }
+
+          retrieveAllDummiesAndFail (dummyCount) {
+
+            return generateDummyIterator(dummyCount, new NucleusError.UndefinedContextNucleusError("The dummy datastore is unavailable."));
+          }
+
+          retrieveDummyCount (dummyCount) {
+
+            return Promise.resolve({ dummyCount });
+          }
+
+        }
+
+        const $streamEngine = new StreamEngine();
+
+        await $streamEngine;
+
+        await Promise.all([
+          $streamEngine.storeActionConfiguration({
+            actionName: 'RetrieveAllDummies',
+            actionSignature: [ 'dummyCount' ],
+            contextName: 'Self',
+            methodName: 'retrieveAllDummies'
+          }),
+          $streamEngine.storeActionConfiguration({
+            actionName: 'RetrieveAllDummiesAndFail',
+            actionSignature: [ 'dummyCount' ],
+            contextName: 'Self',
+            methodName: 'retrieveAllDummiesAndFail'
+          }),
+          $streamEngine.storeActionConfiguration({
+            actionName: 'RetrieveAllDummiesWithResponseStructure',
+            actionResponseStructure: { dummy: 'object' },
+            actionSignature: [ 'dummyCount' ],
+            contextName: 'Self',
+            methodName: 'retrieveAllDummies'
+          }),
+          $streamEngine.storeActionConfiguration({
+            actionName: 'RetrieveDummyCount',
+            actionSignature: [ 'dummyCount' ],
+            contextName: 'Self',
+            methodName: 'retrieveDummyCount'
+          })
+        ]);
+
+        Reflect.defineProperty(this, '$streamEngine', { value: $streamEngine, writable: true });
+      });
+
+      mocha.suiteTeardown(function () {
+        const { $streamEngine } = this;
+
+        return $streamEngine.destroy();
+      });
+
+      mocha.test("The publisher receives every chunk yielded by the handler in order.", async function () {
+        const { $streamEngine } = this;
+        const $actionResponseStream = $streamEngine.publishActionByNameAndStreamResponse('RetrieveAllDummies', { dummyCount: 3 }, { originUserID: uuid.v4() });
+
+        const chunkList = await collectActionResponseStream($actionResponseStream);
+
+        chai.expect(chunkList).to.deep.equal([
+          { dummy: { index: 0 } },
+          { dummy: { index: 1 } },
+          { dummy: { index: 2 } }
+        ]);
+      });
+
+      mocha.test("The response of a handler that doesn't stream is received as a single chunk.", async function () {
+        const { $streamEngine } = this;
+        const $actionResponseStream = $streamEngine.publishActionByNameAndStreamResponse('RetrieveDummyCount', { dummyCount: 3 }, { originUserID: uuid.v4() });
+
+        const chunkList = await collectActionResponseStream($actionResponseStream);
+
+        chai.expect(chunkList).to.deep.equal([ { dummyCount: 3 } ]);
+      });
+
+      mocha.test("An error thrown while streaming rejects the stream after the chunks yielded before it.", async function () {
+        const { $streamEngine } = this;
+        const $actionResponseStream = $streamEngine.publishActionByNameAndStreamResponse('RetrieveAllDummiesAndFail', { dummyCount: 2 }, { originUserID: uuid.v4() });
+        const chunkList = [];
+
+        await chai.expect(collectActionResponseStream($actionResponseStream, chunkList)).to.be.rejectedWith(NucleusError.UndefinedContextNucleusError);
+
+        chai.expect(chunkList).to.have.length(2);
+      });
+
+      mocha.test("The final message of a streamed action only holds the count of chunks.", async function () {
+        const { $datastore, $streamEngine } = this;
+        const $action = new NucleusAction('RetrieveAllDummies', { dummyCount: 2 });
+
+        await $streamEngine.executeAction($action);
+
+        const actionFinalMessage = await $datastore.retrieveItemFromHashFieldByName($action.generateOwnItemKey(), 'finalMessage');
+
+        chai.expect(actionFinalMessage).to.deep.equal({ streamedChunkCount: 2 });
+      });
+
+      mocha.test("A streamed response is not validated against the action's response structure.", async function () {
+        const { $streamEngine } = this;
+        const $action = new NucleusAction('RetrieveAllDummiesWithResponseStructure', { dummyCount: 2 });
+
+        $streamEngine.failOnInvalidActionResponse = true;
+
+        try {
+          const { finalMessage } = await $streamEngine.executeAction($action);
+
+          chai.expect(finalMessage).to.deep.equal({ streamedChunkCount: 2 });
+        } finally {
+          $streamEngine.failOnInvalidActionResponse = false;
+        }
+      });
+
+      mocha.test("A request with the idempotency key of an action reads the stream of that action.", async function () {
+        const { $streamEngine } = this;
+        const idempotencyKey = uuid.v4();
+        const originUserID = uuid.v4();
+
+        await collectActionResponseStream($streamEngine.publishActionByNameAndStreamResponse('RetrieveAllDummies', { dummyCount: 3 }, { idempotencyKey, originUserID }));
+
+        const chunkList = await collectActionResponseStream($streamEngine.publishActionByNameAndStreamResponse('RetrieveAllDummies', { dummyCount: 1 }, { idempotencyKey, originUserID }));
+
+        chai.expect(chunkList).to.have.length(3);
+      });
+
+    });
+
+    mocha.suite("Audit trail", function () {
+      this.timeout(1000 * 5);
+
+      mocha.suiteSetup(async function () {
+
+        class AuditEngine extends NucleusEngine {
+
+          constructor (options = {}) {
+            const datastoreOptions = { index: DATASTORE_INDEX, port: DATASTORE_PORT, URL: DATASTORE_URL };
+
+            super('Audit', Object.assign({
+              $actionDatastore: new NucleusDatastore('AuditActionDatastore', datastoreOptions),
+              $engineDatastore: new NucleusDatastore('AuditEngineDatastore', datastoreOptions),
+              $eventDatastore: new NucleusDatastore('AuditEventDatastore', datastoreOptions),
+              auditActions: true
+            }, options));
+          }
+
+          archiveDummyByID (dummyID) {
+
+            return Promise.resolve({ dummyID });
+          }
+
+          archiveDummyByIDAndFail (dummyID) {
+
+            return Promise.reject(new NucleusError.UndefinedContextNucleusError(`The dummy "${dummyID}" doesn't exist.`, { resourceID: dummyID }));
+          }
+
+        }
+
+        const $auditEngine = new AuditEngine();
+
+        await $auditEngine;
+
+        await Promise.all([
+          $auditEngine.storeActionConfiguration({
+            actionName: 'ArchiveDummyByID',
+            actionSignature: [ 'dummyID' ],
+            contextName: 'Self',
+            methodName: 'archiveDummyByID'
+          }),
+          $auditEngine.storeActionConfiguration({
+            actionName: 'ArchiveDummyByIDAndFail',
+            actionSignature: [ 'dummyID' ],
+            contextName: 'Self',
+            methodName: 'archiveDummyByIDAndFail'
+          })
+        ]);
+
+        Reflect.defineProperty(this, 'AuditEngine', { value: AuditEngine, writable: false });
+        Reflect.defineProperty(this, '$auditEngine', { value: $auditEngine, writable: true });
+      });
+
+      mocha.suiteTeardown(function () {
+        const { $auditEngine } = this;
+
+        return $auditEngine.destroy();
+      });
+
+      mocha.test("A completed action is recorded in the audit trail.", async function () {
+        const { $auditEngine } = this;
+        const dummyID = uuid.v4();
+        const originUserID = uuid.v4();
+        const $action = new NucleusAction('ArchiveDummyByID', { dummyID, resourceID: dummyID, resourceType: 'Dummy' }, { originUserID });
+
+        await $auditEngine.executeAction($action);
+
+        const actionAuditEntryList = await $auditEngine.retrieveAllActionAuditEntries({ originUserID });
+
+        chai.expect(actionAuditEntryList).to.have.length(1);
+        chai.expect(actionAuditEntryList[0]).to.deep.include({
+          actionID: $action.ID,
+          actionName: 'ArchiveDummyByID',
+          actionStatus: NucleusAction.CompletedActionStatus,
+          engineName: 'Audit',
+          originUserID,
+          resourceID: dummyID,
+          resourceType: 'Dummy'
+        });
+        chai.expect(actionAuditEntryList[0].executionDuration).to.be.a('number');
+      });
+
+      mocha.test("A failed action is recorded in the audit trail with its error.", async function () {
+        const { $auditEngine } = this;
+        const dummyID = uuid.v4();
+        const originUserID = uuid.v4();
+        const $action = new NucleusAction('ArchiveDummyByIDAndFail', { dummyID }, { originUserID });
+
+        await chai.expect($auditEngine.executeAction($action)).to.be.rejectedWith(NucleusError.UndefinedContextNucleusError);
+
+        const actionAuditEntryList = await $auditEngine.retrieveAllActionAuditEntries({ originUserID });
+
+        chai.expect(actionAuditEntryList).to.have.length(1);
+        chai.expect(actionAuditEntryList[0]).to.deep.include({
+          actionStatus: NucleusAction.FailedActionStatus,
+          error: { message: `The dummy "${dummyID}" doesn't exist.`, name: 'UndefinedContextNucleusError' },
+          resourceID: dummyID
+        });
+      });
+
+      mocha.test("The audit trail is filtered by action name, resource and time range.", async function () {
+        const { $auditEngine } = this;
+        const dummyID = uuid.v4();
+        const originUserID = uuid.v4();
+
+        await $auditEngine.executeAction(new NucleusAction('ArchiveDummyByID', { dummyID, resourceID: dummyID }, { originUserID }));
+        await $auditEngine.executeAction(new NucleusAction('ArchiveDummyByID', { dummyID: uuid.v4() }, { originUserID }));
+        await $auditEngine.executeAction(new NucleusAction('ArchiveDummyByIDAndFail', { dummyID }, { originUserID })).catch(() => {});
+
+        const fromTime = Date.now();
+
+        await Promise.delay(10);
+
+        chai.expect(await $auditEngine.retrieveAllActionAuditEntries({ actionName: 'ArchiveDummyByID', originUserID })).to.have.length(2);
+        chai.expect(await $auditEngine.retrieveAllActionAuditEntries({ originUserID, resourceID: dummyID })).to.have.length(2);
+        chai.expect(await $auditEngine.retrieveAllActionAuditEntries({ limit: 1, originUserID })).to.have.length(1);
+        chai.expect(await $auditEngine.retrieveAllActionAuditEntries({ fromTime, originUserID })).to.have.length(0);
+      });
+
+      mocha.test("The action audit entries are recorded by the action audit writer.", async function () {
+        const { AuditEngine, $$sandbox } = this;
+        const $actionAuditWriter = { write: $$sandbox.spy(), retrieve: $$sandbox.stub().resolves([]) };
+        const $auditEngine = new AuditEngine({ $actionAuditWriter, auditActions: false });
+
+        await $auditEngine;
+
+        const $action = new NucleusAction('ArchiveDummyByID', { dummyID: uuid.v4() }, { originUserID: uuid.v4() });
+
+        await $auditEngine.executeAction($action);
+
+        chai.expect($actionAuditWriter.write.calledOnce).to.be.true;
+        chai.expect($actionAuditWriter.write.getCall(0).args[0]).to.deep.include({ actionID: $action.ID, actionStatus: NucleusAction.CompletedActionStatus });
+
+        await $auditEngine.retrieveAllActionAuditEntries({ actionName: 'ArchiveDummyByID' });
+
+        chai.expect($actionAuditWriter.retrieve.calledWith({ actionName: 'ArchiveDummyByID' })).to.be.true;
+
+        await $auditEngine.destroy();
+      });
+
+      mocha.test("The action audit stream is trimmed to about its maximum length.", async function () {
+        const { $auditEngine, $$sandbox } = this;
+        const $$sendCommandSpy = $$sandbox.spy($auditEngine.$actionDatastore.$$server, 'send_commandAsync');
+
+        try {
+          await $auditEngine.executeAction(new NucleusAction('ArchiveDummyByID', { dummyID: uuid.v4() }, { originUserID: uuid.v4() }));
+
+          const [ , XADDArgumentList ] = $$sendCommandSpy.args.find(([ commandName ]) => commandName === 'XADD');
+
+          chai.expect(XADDArgumentList.slice(0, 4)).to.deep.equal([ 'ActionAuditTrail', 'MAXLEN', '~', 100000 ]);
+        } finally {
+          $$sandbox.restore();
+        }
+      });
+
+    });
+
+    mocha.suite("Rate limiting", function () {
+      this.timeout(1000 * 5);
+
+      mocha.suiteSetup(async function () {
+
+        class RateLimitEngine extends NucleusEngine {
+
+          constructor () {
+            const datastoreOptions = { index: DATASTORE_INDEX, port: DATASTORE_PORT, URL: DATASTORE_URL };
+
+            super('RateLimit', {
+              $actionDatastore: new NucleusDatastore('RateLimitActionDatastore', datastoreOptions),
+              $engineDatastore: new NucleusDatastore('RateLimitEngineDatastore', datastoreOptions),
+              $eventDatastore: new NucleusDatastore('RateLimitEventDatastore', datastoreOptions),
+              automaticallyRetrievePendingActions: true,
+              originUserRateLimit: { intervalInMillisecond: 1000 * 60, tokenCount: 3 }
+            });
+          }
+
+          createDummy (dummyAttributes) {
+
+            return Promise.resolve({ dummy: dummyAttributes });
+          }
+
+        }
+
+        const $rateLimitEngine = new RateLimitEngine();
+
+        await $rateLimitEngine;
+
+        await Promise.all([
+          $rateLimitEngine.storeActionConfiguration({
+            actionName: 'CreateDummy',
+            actionRateLimit: { intervalInMillisecond: 1000 * 60, tokenCount: 2 },
+            actionSignature: [ 'dummyAttributes' ],
+            contextName: 'Self',
+            methodName: 'createDummy'
+          }),
+          $rateLimitEngine.storeActionConfiguration({
+            actionName: 'CreateDummyWithoutRateLimit',
+            actionSignature: [ 'dummyAttributes' ],
+            contextName: 'Self',
+            methodName: 'createDummy'
+          })
+        ]);
+
+        Reflect.defineProperty(this, '$rateLimitEngine', { value: $rateLimitEngine, writable: true });
+      });
+
+      mocha.suiteTeardown(function () {
+        const { $rateLimitEngine } = this;
+
+        return $rateLimitEngine.destroy();
+      });
+
+      mocha.test("The action is rejected with the time to wait once the origin user exceeded its rate limit.", async function () {
+        const { $rateLimitEngine } = this;
+        const originUserID = uuid.v4();
+
+        await $rateLimitEngine.publishActionByNameAndHandleResponse('CreateDummy', { dummyAttributes: {} }, { originUserID });
+        await $rateLimitEngine.publishActionByNameAndHandleResponse('CreateDummy', { dummyAttributes: {} }, { originUserID });
+
+        const error = await $rateLimitEngine.publishActionByNameAndHandleResponse('CreateDummy', { dummyAttributes: {} }, { originUserID })
+          .catch((error) => error);
+
+        chai.expect(error).to.be.an.instanceof(NucleusError.RateLimitedNucleusError);
+        chai.expect(error.meta.retryAfterInMillisecond).to.be.above(0);
+      });
+
+      mocha.test("A duplicate request doesn't consume any rate limit token.", async function () {
+        const { $rateLimitEngine } = this;
+        const idempotencyKey = uuid.v4();
+        const originUserID = uuid.v4();
+
+        await $rateLimitEngine.publishActionByNameAndHandleResponse('CreateDummy', { dummyAttributes: {} }, { idempotencyKey, originUserID });
+        await $rateLimitEngine.publishActionByNameAndHandleResponse('CreateDummy', { dummyAttributes: {} }, { idempotencyKey, originUserID });
+        await $rateLimitEngine.publishActionByNameAndHandleResponse('CreateDummy', { dummyAttributes: {} }, { idempotencyKey, originUserID });
+
+        return chai.expect($rateLimitEngine.publishActionByNameAndHandleResponse('CreateDummy', { dummyAttributes: {} }, { originUserID })).to.be.fulfilled;
+      });
+
+      mocha.test("Every origin user has its own rate limit.", async function () {
+        const { $rateLimitEngine } = this;
+        const originUserID = uuid.v4();
+
+        await $rateLimitEngine.publishActionByNameAndHandleResponse('CreateDummy', { dummyAttributes: {} }, { originUserID });
+        await $rateLimitEngine.publishActionByNameAndHandleResponse('CreateDummy', { dummyAttributes: {} }, { originUserID });
+
+        return chai.expect($rateLimitEngine.publishActionByNameAndHandleResponse('CreateDummy', { dummyAttributes: {} }, { originUserID: uuid.v4() })).to.be.fulfilled;
+      });
+
+      mocha.test("The rate limit is verified when executing an action that was published otherwise.", async function () {
+        const { $rateLimitEngine } = this;
+        const originUserID = uuid.v4();
+
+        await $rateLimitEngine.executeAction(new NucleusAction('CreateDummy', { dummyAttributes: {} }, { originUserID }));
+        await $rateLimitEngine.executeAction(new NucleusAction('CreateDummy', { dummyAttributes: {} }, { originUserID }));
+
+        return chai.expect($rateLimitEngine.executeAction(new NucleusAction('CreateDummy', { dummyAttributes: {} }, { originUserID }))).to.be.rejectedWith(NucleusError.RateLimitedNucleusError);
+      });
+
+      mocha.test("The rate limit is re-checked when executing an action that was published through the engine.", async function () {
+        const { $rateLimitEngine } = this;
+        const originUserID = uuid.v4();
+
+        await $rateLimitEngine.publishActionByNameAndHandleResponse('CreateDummy', { dummyAttributes: {} }, { originUserID });
+        await $rateLimitEngine.publishActionByNameAndHandleResponse('CreateDummy', { dummyAttributes: {} }, { originUserID });
+
+        return chai.expect($rateLimitEngine.executeAction(new NucleusAction('CreateDummy', { dummyAttributes: {} }, { originUserID }))).to.be.rejectedWith(NucleusError.RateLimitedNucleusError);
+      });
+
+      mocha.test("The origin user rate limit applies to every action.", async function () {
+        const { $rateLimitEngine } = this;
+        const originUserID = uuid.v4();
+
+        await $rateLimitEngine.publishActionByNameAndHandleResponse('CreateDummyWithoutRateLimit', { dummyAttributes: {} }, { originUserID });
+        await $rateLimitEngine.publishActionByNameAndHandleResponse('CreateDummyWithoutRateLimit', { dummyAttributes: {} }, { originUserID });
+        await $rateLimitEngine.publishActionByNameAndHandleResponse('CreateDummy', { dummyAttributes: {} }, { originUserID });
+
+        return chai.expect($rateLimitEngine.publishActionByNameAndHandleResponse('CreateDummyWithoutRateLimit', { dummyAttributes: {} }, { originUserID })).to.be.rejectedWith(NucleusError.RateLimitedNucleusError);
+      });
+
+      mocha.test("The rate limit is verified for every action of a batch.", async function () {
+        const { $rateLimitEngine } = this;
+
+        const settledResultList = await $rateLimitEngine.publishActionBatchAndHandleResponses(
+          Array.apply(null, { length: 3 }).map(() => ({ actionName: 'CreateDummy', actionMessage: { dummyAttributes: {} } })),
+          uuid.v4()
+        );
+
+        chai.expect(settledResultList.map(({ status }) => status)).to.deep.equal([ 'fulfilled', 'fulfilled', 'rejected' ]);
+        chai.expect(settledResultList[2].reason).to.be.an.instanceof(NucleusError.RateLimitedNucleusError);
+      });
+
+      mocha.test("The rate limit is verified before publishing an action which response is streamed.", async function () {
+        const { $rateLimitEngine } = this;
+        const originUserID = uuid.v4();
+
+        await collectActionResponseStream($rateLimitEngine.publishActionByNameAndStreamResponse('CreateDummy', { dummyAttributes: {} }, { originUserID }));
+        await collectActionResponseStream($rateLimitEngine.publishActionByNameAndStreamResponse('CreateDummy', { dummyAttributes: {} }, { originUserID }));
+
+        return chai.expect(collectActionResponseStream($rateLimitEngine.publishActionByNameAndStreamResponse('CreateDummy', { dummyAttributes: {} }, { originUserID }))).to.be.rejectedWith(NucleusError.RateLimitedNucleusError);
+      });
+
+    });
+
+    mocha.suite("Circuit breaker", function () {
+      this.timeout(1000 * 5);
+
+      mocha.suiteSetup(async function () {
+        const { $$sandbox } = this;
+        const $$pingDownstreamSpy = $$sandbox.spy();
+
+        class CircuitBreakerEngine extends NucleusEngine {
+
+          constructor () {
+            const datastoreOptions = { index: DATASTORE_INDEX, port: DATASTORE_PORT, URL: DATASTORE_URL };
+
+            super('CircuitBreaker', {
+              $actionDatastore: new NucleusDatastore('CircuitBreakerActionDatastore', datastoreOptions),
+              $engineDatastore: new NucleusDatastore('CircuitBreakerEngineDatastore', datastoreOptions),
+              $eventDatastore: new NucleusDatastore('CircuitBreakerEventDatastore', datastoreOptions),
+              actionCircuitBreakerPolicy: { cooldownInMillisecond: 500, failureThreshold: 2 }
+            });
+          }
+
+          pingDownstream (downstreamIsBroken) {
+            $$pingDownstreamSpy();
+
+            if (downstreamIsBroken) return Promise.reject(new NucleusError.UndefinedContextNucleusError("The downstream is broken."));
+
+            return Promise.resolve({ downstreamIsBroken });
+          }
+
+        }
+
+        const $circuitBreakerEngine = new CircuitBreakerEngine();
+
+        await $circuitBreakerEngine;
+
+        await Promise.all([ 'PingDownstream', 'PingBrokenDownstream' ]
+          .map((actionName) => {
+
+            return $circuitBreakerEngine.storeActionConfiguration({
+              actionName,
+              actionSignature: [ 'downstreamIsBroken' ],
+              contextName: 'Self',
+              methodName: 'pingDownstream'
+            });
+          }));
+
+        Reflect.defineProperty(this, '$circuitBreakerEngine', { value: $circuitBreakerEngine, writable: true });
+        Reflect.defineProperty(this, '$$pingDownstreamSpy', { value: $$pingDownstreamSpy, writable: false });
+      });
+
+      mocha.suiteTeardown(function () {
+        const { $circuitBreakerEngine } = this;
+
+        return $circuitBreakerEngine.destroy();
+      });
+
+      mocha.test("The circuit opens after too many failures and fails the following actions fast.", async function () {
+        const { $circuitBreakerEngine, $$pingDownstreamSpy, $$sandbox } = this;
+        const $$actionCircuitOpenedEventSpy = $$sandbox.spy();
+
+        $circuitBreakerEngine.subscribeAndHandleEventByChannelName('ActionCircuitOpened', $$actionCircuitOpenedEventSpy);
+
+        await chai.expect($circuitBreakerEngine.executeAction(new NucleusAction('PingDownstream', { downstreamIsBroken: true }))).to.be.rejectedWith(NucleusError.UndefinedContextNucleusError);
+        await chai.expect($circuitBreakerEngine.executeAction(new NucleusAction('PingDownstream', { downstreamIsBroken: true }))).to.be.rejectedWith(NucleusError.UndefinedContextNucleusError);
+
+        $$pingDownstreamSpy.resetHistory();
+
+        await chai.expect($circuitBreakerEngine.executeAction(new NucleusAction('PingDownstream', { downstreamIsBroken: false }))).to.be.rejectedWith(NucleusError.CircuitOpenNucleusError);
+
+        await Promise.delay(100);
+
+        chai.expect($$pingDownstreamSpy.called).to.be.false;
+        chai.expect($$actionCircuitOpenedEventSpy.calledOnce).to.be.true;
+        chai.expect($circuitBreakerEngine.retrieveActionCircuitBreakerByActionName('PingDownstream').state).to.equal(NucleusEngine.OpenCircuitState);
+
+        await $circuitBreakerEngine.unsubscribeFromEventChannelByName('ActionCircuitOpened');
+      });
+
+      mocha.test("A successful trial action closes the circuit once the cooldown elapsed.", async function () {
+        const { $circuitBreakerEngine, $$sandbox } = this;
+        const $$actionCircuitClosedEventSpy = $$sandbox.spy();
+
+        $circuitBreakerEngine.subscribeAndHandleEventByChannelName('ActionCircuitClosed', $$actionCircuitClosedEventSpy);
+
+        await Promise.delay(500);
+
+        await $circuitBreakerEngine.executeAction(new NucleusAction('PingDownstream', { downstreamIsBroken: false }));
+
+        await Promise.delay(100);
+
+        chai.expect($$actionCircuitClosedEventSpy.calledOnce).to.be.true;
+        chai.expect($circuitBreakerEngine.retrieveActionCircuitBreakerByActionName('PingDownstream').state).to.equal(NucleusEngine.ClosedCircuitState);
+
+        await $circuitBreakerEngine.unsubscribeFromEventChannelByName('ActionCircuitClosed');
+      });
+
+      mocha.test("A failed trial action opens the circuit again.", async function () {
+        const { $circuitBreakerEngine } = this;
+
+        await $circuitBreakerEngine.executeAction(new NucleusAction('PingBrokenDownstream', { downstreamIsBroken: true })).catch(() => {});
+        await $circuitBreakerEngine.executeAction(new NucleusAction('PingBrokenDownstream', { downstreamIsBroken: true })).catch(() => {});
+
+        await Promise.delay(500);
+
+        await chai.expect($circuitBreakerEngine.executeAction(new NucleusAction('PingBrokenDownstream', { downstreamIsBroken: true }))).to.be.rejectedWith(NucleusError.UndefinedContextNucleusError);
+
+        chai.expect($circuitBreakerEngine.retrieveActionCircuitBreakerByActionName('PingBrokenDownstream').state).to.equal(NucleusEngine.OpenCircuitState);
+
+        return chai.expect($circuitBreakerEngine.executeAction(new NucleusAction('PingBrokenDownstream', { downstreamIsBroken: false }))).to.be.rejectedWith(NucleusError.CircuitOpenNucleusError);
+      });
+
+    });
+
+    mocha.suite("Tracing", function () {
+      this.timeout(1000 * 5);
+
+      mocha.suiteSetup(async function () {
+        const $spanExporter = new NucleusInMemorySpanExporter();
+
+        class TracingEngine extends NucleusEngine {
+
+          constructor () {
+            const datastoreOptions = { index: DATASTORE_INDEX, port: DATASTORE_PORT, URL: DATASTORE_URL };
+
+            super('Tracing', {
+              $actionDatastore: new NucleusDatastore('TracingActionDatastore', datastoreOptions),
+              $engineDatastore: new NucleusDatastore('TracingEngineDatastore', datastoreOptions),
+              $eventDatastore: new NucleusDatastore('TracingEventDatastore', datastoreOptions),
+              $spanExporter,
+              automaticallyRetrievePendingActions: true
+            });
+          }
+
+          async createDummyWithOwner (dummyAttributes, originUserID) {
+            const { owner } = await this.publishActionByNameAndHandleResponse('CreateDummyOwner', { ownerAttributes: {} }, originUserID);
+
+            return { dummy: Object.assign({ ownerID: owner.ID }, dummyAttributes) };
+          }
+
+          createDummyOwner (ownerAttributes) {
+
+            return Promise.resolve({ owner: Object.assign({ ID: uuid.v4() }, ownerAttributes) });
+          }
+
+        }
+
+        const $tracingEngine = new TracingEngine();
+
+        await $tracingEngine;
+
+        await Promise.all([
+          $tracingEngine.storeActionConfiguration({
+            actionName: 'CreateDummyWithOwner',
+            actionSignature: [ 'dummyAttributes', 'originUserID' ],
+            contextName: 'Self',
+            methodName: 'createDummyWithOwner'
+          }),
+          $tracingEngine.storeActionConfiguration({
+            actionName: 'CreateDummyOwner',
+            actionSignature: [ 'ownerAttributes' ],
+            contextName: 'Self',
+            eventName: 'DummyOwnerCreated',
+            methodName: 'createDummyOwner'
+          })
+        ]);
+
+        Reflect.defineProperty(this, '$spanExporter', { value: $spanExporter, writable: false });
+        Reflect.defineProperty(this, '$tracingEngine', { value: $tracingEngine, writable: true });
+      });
+
+      mocha.suiteTeardown(function () {
+        const { $tracingEngine } = this;
+
+        return $tracingEngine.destroy();
+      });
+
+      mocha.test("The action published by a handler is a child of its action in the same trace.", async function () {
+        const { $spanExporter, $tracingEngine } = this;
+        const traceID = '4bf92f3577b34da6a3ce929d0e0e4736';
+
+        await $tracingEngine.publishActionByNameAndHandleResponse('CreateDummyWithOwner', { dummyAttributes: {} }, { originUserID: uuid.v4(), traceID });
+
+        const spanList = await $spanExporter.retrieveAllSpansByTraceID(traceID);
+        const parentSpan = spanList.find(({ name }) => name === 'CreateDummyWithOwner');
+        const childSpan = spanList.find(({ name }) => name === 'CreateDummyOwner');
+
+        chai.expect(spanList).to.have.length(2);
+        chai.expect(parentSpan.parentSpanID).to.be.undefined;
+        chai.expect(childSpan.parentSpanID).to.equal(parentSpan.spanID);
+        chai.expect(childSpan).to.deep.include({ statusCode: 'Ok', traceID });
+        chai.expect(childSpan.endTime).to.be.at.most(parentSpan.endTime);
+      });
+
+      mocha.test("The event of an action is part of the action's trace.", async function () {
+        const { $spanExporter, $tracingEngine } = this;
+        const $action = new NucleusAction('CreateDummyOwner', { ownerAttributes: {} });
+
+        const $$eventPromise = new Promise((resolve) => {
+          $tracingEngine.subscribeAndHandleEventByChannelName('DummyOwnerCreated', resolve);
+        });
+
+        await $tracingEngine.executeAction($action);
+
+        const $event = await $$eventPromise;
+        const [ span ] = await $spanExporter.retrieveAllSpansByTraceID($action.meta.traceID);
+
+        chai.expect($event.meta).to.deep.include({ parentSpanID: $action.meta.spanID, traceID: $action.meta.traceID });
+        chai.expect(span.spanID).to.equal($action.meta.spanID);
+
+        await $tracingEngine.unsubscribeFromEventChannelByName('DummyOwnerCreated');
+      });
+
+      mocha.test("The spans are appended to a file by the JSON file span exporter.", async function () {
+        const $spanExporter = new NucleusJSONFileSpanExporter(path.join(os.tmpdir(), `${uuid.v4()}.json`));
+        const traceID = uuid.v4();
+
+        await Promise.all([
+          $spanExporter.export({ name: 'CreateDummyWithOwner', spanID: '00f067aa0ba902b7', traceID }),
+          $spanExporter.export({ name: 'CreateDummyOwner', parentSpanID: '00f067aa0ba902b7', spanID: '53995c3f42cd8ad8', traceID }),
+          $spanExporter.export({ name: 'CreateDummyOwner', spanID: 'b7ad6b7169203331', traceID: uuid.v4() })
+        ]);
+
+        const spanList = await $spanExporter.retrieveAllSpansByTraceID(traceID);
+
+        chai.expect(spanList.map(({ spanID }) => spanID)).to.deep.equal([ '00f067aa0ba902b7', '53995c3f42cd8ad8' ]);
+
+        fs.unlinkSync($spanExporter.filePath);
+      });
+
+    });
+
+    mocha.suite("Webhooks", function () {
+      this.timeout(1000 * 5);
+
+      mocha.suiteSetup(function () {
+        const webhookRequestList = [];
+        const webhookResponseStatusCodeList = [];
+
+        // The stub webhook answers with the queued status codes, then with `200`.
+        const $$webhookServer = http.createServer((request, response) => {
+          const chunkList = [];
+
+          request.on('data', chunkList.push.bind(chunkList));
+          request.on('end', () => {
+            webhookRequestList.push({ body: Buffer.concat(chunkList).toString(), headers: request.headers });
+
+            response.statusCode = webhookResponseStatusCodeList.shift() || 200;
+            response.end();
+          });
+        });
+
+        Reflect.defineProperty(this, '$$webhookServer', { value: $$webhookServer, writable: false });
+        Reflect.defineProperty(this, 'webhookRequestList', { value: webhookRequestList, writable: false });
+        Reflect.defineProperty(this, 'webhookResponseStatusCodeList', { value: webhookResponseStatusCodeList, writable: false });
+
+        return new Promise((resolve) => $$webhookServer.listen(0, resolve));
+      });
+
+      mocha.suiteSetup(async function () {
+
+        class WebhookEngine extends NucleusEngine {
+
+          constructor () {
+            const datastoreOptions = { index: DATASTORE_INDEX, port: DATASTORE_PORT, URL: DATASTORE_URL };
+
+            super('Webhook', {
+              $actionDatastore: new NucleusDatastore('WebhookActionDatastore', datastoreOptions),
+              $engineDatastore: new NucleusDatastore('WebhookEngineDatastore', datastoreOptions),
+              $eventDatastore: new NucleusDatastore('WebhookEventDatastore', datastoreOptions),
+              automaticallyDeliverWebhooks: true,
+              automaticallyRetrievePendingActions: true,
+              // The webhooks are posted to a local server.
+              webhookAllowPrivateAddresses: true,
+              webhookDeliveryRetryInterval: 20,
+              webhookHostDenyList: [ '169.254.169.254', '*.internal' ],
+              webhookRetryPolicy: { backoffInMillisecond: 10, maximumAttemptCount: 3 }
+            });
+          }
+
+        }
+
+        const $webhookEngine = new WebhookEngine();
+
+        await $webhookEngine;
+
+        Reflect.defineProperty(this, '$webhookEngine', { value: $webhookEngine, writable: false });
+      });
+
+      mocha.setup(async function () {
+        const { $$webhookServer, $webhookEngine } = this;
+        const { port } = $$webhookServer.address();
+        const originUserID = uuid.v4();
+
+        const { webhookSubscription } = await $webhookEngine.publishActionByNameAndHandleResponse('CreateWebhookSubscription', {
+          webhookSubscriptionAttributes: { channelNameList: [ 'DummyWebhookCreated' ], URL: `http://localhost:${port}/webhook` }
+        }, originUserID);
+
+        // Let the engine synchronize its webhook subscriptions.
+        await Promise.delay(100);
+
+        Reflect.defineProperty(this, 'originUserID', { configurable: true, value: originUserID, writable: false });
+        Reflect.defineProperty(this, 'webhookSubscription', { configurable: true, value: webhookSubscription, writable: false });
+      });
+
+      mocha.teardown(async function () {
+        const { $webhookEngine, originUserID, webhookRequestList, webhookResponseStatusCodeList, webhookSubscription } = this;
+
+        await $webhookEngine.removeWebhookSubscriptionByID(webhookSubscription.ID, originUserID);
+
+        Reflect.deleteProperty(this, 'originUserID');
+        Reflect.deleteProperty(this, 'webhookSubscription');
+        webhookRequestList.splice(0);
+        webhookResponseStatusCodeList.splice(0);
+      });
+
+      mocha.suiteTeardown(function () {
+        const { $$webhookServer, $webhookEngine } = this;
+
+        $$webhookServer.close();
+
+        return $webhookEngine.destroy();
+      });
+
+      mocha.test("The webhook subscription is created and retrieved through actions.", async function () {
+        const { $webhookEngine, originUserID, webhookSubscription } = this;
+
+        chai.expect(webhookSubscription).to.have.property('ID');
+        chai.expect(webhookSubscription).to.have.property('secret');
+
+        const { webhookSubscriptionList } = await $webhookEngine.publishActionByNameAndHandleResponse('RetrieveAllWebhookSubscriptions', {}, originUserID);
+
+        chai.expect(webhookSubscriptionList.map(({ ID }) => ID)).to.deep.equal([ webhookSubscription.ID ]);
+        chai.expect(webhookSubscriptionList[0]).to.not.have.property('secret');
+      });
+
+      mocha.test("Only the webhook subscriptions of the origin user are retrieved.", async function () {
+        const { $webhookEngine } = this;
+
+        const { webhookSubscriptionList } = await $webhookEngine.publishActionByNameAndHandleResponse('RetrieveAllWebhookSubscriptions', {}, uuid.v4());
+
+        chai.expect(webhookSubscriptionList).to.have.length(0);
+      });
+
+      mocha.test("Only the origin user who created the webhook subscription can remove it or retrieve its delivery attempts.", async function () {
+        const { $webhookEngine, webhookSubscription } = this;
+
+        await chai.expect($webhookEngine.removeWebhookSubscriptionByID(webhookSubscription.ID, uuid.v4())).to.be.rejectedWith(NucleusError.UnauthorizedActionNucleusError);
+        await chai.expect($webhookEngine.retrieveAllWebhookDeliveryAttemptsBySubscriptionID(webhookSubscription.ID, uuid.v4())).to.be.rejectedWith(NucleusError.UnauthorizedActionNucleusError);
+      });
+
+      mocha.test("The event is posted to the webhook with a signature.", async function () {
+        const { $webhookEngine, webhookRequestList, webhookSubscription } = this;
+        const AID = uuid.v1();
+
+        await $webhookEngine.publishEventToChannelByName('DummyWebhookCreated', new NucleusEvent('DummyWebhookCreated', { AID }));
+
+        await Promise.delay(200);
+
+        chai.expect(webhookRequestList).to.have.length(1);
+
+        const [ { body, headers } ] = webhookRequestList;
+
+        chai.expect(JSON.parse(body)).to.have.property('name', 'DummyWebhookCreated');
+        chai.expect(JSON.parse(body).message).to.deep.equal({ AID });
+        chai.expect(headers['x-nucleus-event-name']).to.equal('DummyWebhookCreated');
+        chai.expect(headers['x-nucleus-signature']).to.equal(`sha256=${NucleusEngine.generateWebhookSignature(webhookSubscription.secret, headers['x-nucleus-timestamp'], body)}`);
+      });
+
+      mocha.test("A failed delivery is retried with a backoff and every attempt is recorded.", async function () {
+        const { $datastore, $webhookEngine, originUserID, webhookRequestList, webhookResponseStatusCodeList, webhookSubscription } = this;
+
+        webhookResponseStatusCodeList.push(500, 503);
+
+        await $webhookEngine.publishEventToChannelByName('DummyWebhookCreated', new NucleusEvent('DummyWebhookCreated', { AID: uuid.v1() }));
+
+        await Promise.delay(500);
+
+        chai.expect(webhookRequestList).to.have.length(3);
+        chai.expect(webhookRequestList.map(({ headers }) => headers['x-nucleus-delivery-id'])).to.satisfy((deliveryIDList) => deliveryIDList.every((deliveryID) => deliveryID === deliveryIDList[0]));
+
+        const { webhookDeliveryAttemptList } = await $webhookEngine.retrieveAllWebhookDeliveryAttemptsBySubscriptionID(webhookSubscription.ID, originUserID);
+
+        chai.expect(webhookDeliveryAttemptList.map(({ attemptCount, status, statusCode }) => ({ attemptCount, status, statusCode }))).to.deep.equal([
+          { attemptCount: 3, status: NucleusEngine.DeliveredWebhookDeliveryStatus, statusCode: 200 },
+          { attemptCount: 2, status: NucleusEngine.FailedWebhookDeliveryStatus, statusCode: 503 },
+          { attemptCount: 1, status: NucleusEngine.FailedWebhookDeliveryStatus, statusCode: 500 }
+        ]);
+        chai.expect(await $datastore.$$server.zcardAsync('WebhookDeliveryRetrySet')).to.equal(0);
+      });
+
+      mocha.test("A failed delivery is stored and retried by the engines delivering the webhooks.", async function () {
+        const { $datastore, $webhookEngine, originUserID, webhookResponseStatusCodeList, webhookSubscription } = this;
+
+        webhookResponseStatusCodeList.push(500);
+
+        const $event = new NucleusEvent('DummyWebhookCreated', { AID: uuid.v1() });
+        const { deliveryID, deliveryWillBeRetried, status } = await $webhookEngine.deliverEventToWebhookSubscription(webhookSubscription, $event);
+
+        chai.expect(status).to.equal(NucleusEngine.FailedWebhookDeliveryStatus);
+        chai.expect(deliveryWillBeRetried).to.be.true;
+
+        await Promise.delay(200);
+
+        const { webhookDeliveryAttemptList: [ webhookDeliveryAttempt ] } = await $webhookEngine.retrieveAllWebhookDeliveryAttemptsBySubscriptionID(webhookSubscription.ID, originUserID);
+
+        chai.expect(webhookDeliveryAttempt).to.containSubset({ attemptCount: 2, deliveryID, eventID: $event.ID, status: NucleusEngine.DeliveredWebhookDeliveryStatus });
+        chai.expect(await $datastore.$$server.zcardAsync('WebhookDeliveryRetrySet')).to.equal(0);
+      });
+
+      mocha.test("The events are not posted once the webhook subscription is removed.", async function () {
+        const { $webhookEngine, originUserID, webhookRequestList, webhookSubscription } = this;
+
+        const { webhookSubscriptionWasRemoved } = await $webhookEngine.publishActionByNameAndHandleResponse('RemoveWebhookSubscriptionByID', { webhookSubscriptionID: webhookSubscription.ID }, originUserID);
+
+        chai.expect(webhookSubscriptionWasRemoved).to.be.true;
+
+        await Promise.delay(100);
+
+        await $webhookEngine.publishEventToChannelByName('DummyWebhookCreated', new NucleusEvent('DummyWebhookCreated', { AID: uuid.v1() }));
+
+        await Promise.delay(200);
+
+        chai.expect(webhookRequestList).to.have.length(0);
+      });
+
+      mocha.test("The webhook subscription must be valid.", async function () {
+        const { $webhookEngine } = this;
+
+        await chai.expect($webhookEngine.createWebhookSubscription({ channelNameList: [], URL: 'http://localhost/webhook' }, uuid.v4())).to.be.rejectedWith(NucleusError.UnexpectedValueTypeNucleusError);
+        await chai.expect($webhookEngine.createWebhookSubscription({ channelNameList: [ 'DummyWebhookCreated' ], URL: 'ftp://localhost/webhook' }, uuid.v4())).to.be.rejectedWith(NucleusError.UnexpectedValueNucleusError);
+      });
+
+      mocha.test("A webhook can't be posted to a denied host.", async function () {
+        const { $webhookEngine } = this;
+
+        await chai.expect($webhookEngine.createWebhookSubscription({ channelNameList: [ 'DummyWebhookCreated' ], URL: 'http://169.254.169.254/latest/meta-data' }, uuid.v4())).to.be.rejectedWith(NucleusError.UnexpectedValueNucleusError);
+        await chai.expect($webhookEngine.createWebhookSubscription({ channelNameList: [ 'DummyWebhookCreated' ], URL: 'https://billing.internal/webhook' }, uuid.v4())).to.be.rejectedWith(NucleusError.UnexpectedValueNucleusError);
+      });
+
+      mocha.test("A webhook can't be posted to a private address unless the engine allows it.", async function () {
+        const { $webhookEngine } = this;
+
+        $webhookEngine.webhookAllowPrivateAddresses = false;
+
+        try {
+          await chai.expect($webhookEngine.createWebhookSubscription({ channelNameList: [ 'DummyWebhookCreated' ], URL: 'http://10.0.0.1/webhook' }, uuid.v4())).to.be.rejectedWith(NucleusError.UnexpectedValueNucleusError);
+          await chai.expect($webhookEngine.createWebhookSubscription({ channelNameList: [ 'DummyWebhookCreated' ], URL: 'http://[::ffff:127.0.0.1]/webhook' }, uuid.v4())).to.be.rejectedWith(NucleusError.UnexpectedValueNucleusError);
+        } finally {
+          $webhookEngine.webhookAllowPrivateAddresses = true;
+        }
+      });
+
+    });
+
+    mocha.suite("Event catalog", function () {
+
+      mocha.suiteSetup(async function () {
+
+        class EventCatalogEngine extends NucleusEngine {
+
+          constructor () {
+            const datastoreOptions = { index: DATASTORE_INDEX, port: DATASTORE_PORT, URL: DATASTORE_URL };
+
+            super('EventCatalog', {
+              $actionDatastore: new NucleusDatastore('EventCatalogActionDatastore', datastoreOptions),
+              $engineDatastore: new NucleusDatastore('EventCatalogEngineDatastore', datastoreOptions),
+              $eventDatastore: new NucleusDatastore('EventCatalogEventDatastore', datastoreOptions)
+            });
+          }
+
+          executeDummyCreation () {
+
+            return Promise.resolve({ dummyIDList: [ uuid.v1() ] });
+          }
+
+        }
+
+        const $eventCatalogEngine = new EventCatalogEngine();
+
+        await $eventCatalogEngine;
+
+        await $eventCatalogEngine.storeEventSchema([
+          {
+            actionName: 'CreateDummy',
+            eventMessageStructure: {
+              dummy: 'object',
+              dummyIDList: [ 'string' ]
+            },
+            eventName: 'DummyCreated'
+          },
+          {
+            eventMessageStructure: {
+              AID: 'string',
+              count: 'number?'
+            },
+            eventName: 'DummyCounted'
+          }
+        ]);
+
+        await $eventCatalogEngine.storeActionConfiguration({
+          actionName: 'CreateDummyWithInvalidEvent',
+          contextName: 'Self',
+          eventName: 'DummyCreated',
+          methodName: 'executeDummyCreation'
+        });
+
+        Reflect.defineProperty(this, '$eventCatalogEngine', { value: $eventCatalogEngine, writable: false });
+      });
+
+      mocha.teardown(function () {
+        const { $eventCatalogEngine } = this;
+
+        $eventCatalogEngine.failOnInvalidEventMessage = false;
+      });
+
+      mocha.suiteTeardown(function () {
+        const { $eventCatalogEngine } = this;
+
+        return $eventCatalogEngine.destroy();
+      });
+
+      mocha.test("The event catalog lists every event schema by event name.", async function () {
+        const { $eventCatalogEngine } = this;
+
+        const eventCatalog = await $eventCatalogEngine.retrieveEventCatalog();
+
+        chai.expect(eventCatalog.map(({ eventName }) => eventName)).to.deep.equal([ 'DummyCounted', 'DummyCreated' ]);
+        chai.expect(eventCatalog[1]).to.deep.equal({
+          actionName: 'CreateDummy',
+          eventMessageStructure: {
+            dummy: 'object',
+            dummyIDList: [ 'string' ]
+          },
+          eventName: 'DummyCreated'
+        });
+      });
+
+      mocha.test("An event which message matches its schema is published.", async function () {
+        const { $eventCatalogEngine } = this;
+
+        $eventCatalogEngine.failOnInvalidEventMessage = true;
+
+        const { $event } = await $eventCatalogEngine.publishEventToChannelByName('DummyCounted', new NucleusEvent('DummyCounted', { AID: uuid.v1() }));
+
+        chai.expect($event.name).to.equal('DummyCounted');
+      });
+
+      mocha.test("An event which message does not match its schema logs a warning by default.", async function () {
+        const { $eventCatalogEngine } = this;
+
+        const warnSpy = sinon.spy($eventCatalogEngine.$logger, 'warn');
+
+        try {
+          await $eventCatalogEngine.publishEventToChannelByName('DummyCounted', new NucleusEvent('DummyCounted', { AID: uuid.v1(), count: 'one' }));
+
+          chai.expect(warnSpy.calledWithMatch(/does not match its schema/)).to.be.true;
+        } finally {
+          warnSpy.restore();
+        }
+      });
+
+      mocha.test("An event which message does not match its schema is refused if the engine is configured to.", async function () {
+        const { $eventCatalogEngine, $$sandbox } = this;
+        const $$eventSpy = $$sandbox.spy();
+
+        $eventCatalogEngine.failOnInvalidEventMessage = true;
+
+        await $eventCatalogEngine.subscribeAndHandleEventByChannelName('DummyCreated', $$eventSpy);
+
+        await chai.expect($eventCatalogEngine.publishEventToChannelByName('DummyCreated', new NucleusEvent('DummyCreated', { dummyIDList: [ uuid.v1() ] })))
+          .to.be.rejectedWith(NucleusError.UnexpectedValueTypeNucleusError);
+
+        await Promise.delay(100);
+
+        chai.expect($$eventSpy.called).to.be.false;
+
+        await $eventCatalogEngine.unsubscribeFromEventChannelByName('DummyCreated');
+      });
+
+      mocha.test("An action fails if the message of its event is refused.", function () {
+        const { $eventCatalogEngine } = this;
+
+        $eventCatalogEngine.failOnInvalidEventMessage = true;
+
+        const $action = new NucleusAction('CreateDummyWithInvalidEvent', {});
+
+        return chai.expect($eventCatalogEngine.executeAction($action)).to.be.rejectedWith(NucleusError.UnexpectedValueTypeNucleusError);
+      });
+
+    });
+
+    mocha.suite("Event streams", function () {
+      this.timeout(1000 * 5);
+
+      mocha.suiteSetup(async function () {
+
+        class EventStreamEngine extends NucleusEngine {
+
+          constructor () {
+            const datastoreOptions = { index: DATASTORE_INDEX, port: DATASTORE_PORT, URL: DATASTORE_URL };
+
+            super('EventStream', {
+              $actionDatastore: new NucleusDatastore('EventStreamActionDatastore', datastoreOptions),
+              $engineDatastore: new NucleusDatastore('EventStreamEngineDatastore', datastoreOptions),
+              $eventDatastore: new NucleusDatastore('EventStreamEventDatastore', datastoreOptions),
+              eventStreamClaimTimeout: 200,
+              eventTransport: NucleusEngine.StreamEventTransport
+            });
+          }
+
+        }
+
+        const $eventStreamEngine1 = new EventStreamEngine();
+        const $eventStreamEngine2 = new EventStreamEngine();
+
+        await Promise.all([ $eventStreamEngine1, $eventStreamEngine2 ]);
+
+        Reflect.defineProperty(this, 'EventStreamEngine', { value: EventStreamEngine, writable: false });
+        Reflect.defineProperty(this, '$eventStreamEngine1', { value: $eventStreamEngine1, writable: false });
+        Reflect.defineProperty(this, '$eventStreamEngine2', { value: $eventStreamEngine2, writable: false });
+      });
+
+      mocha.suiteTeardown(async function () {
+        const { $eventStreamEngine1, $eventStreamEngine2 } = this;
+
+        await $eventStreamEngine1.$eventDatastore.$$server.delAsync([ 'EventStream:DummyBroadcasted', 'EventStream:DummyStreamBroadcasted', 'EventStream:DummyStreamed', 'EventStream:DummyRestarted', 'EventStream:DummyFailed', 'EventStream:DummyReplayed', 'EventStream:DummyReplicaBroadcasted' ]);
+
+        return Promise.all([ $eventStreamEngine1.destroy(), $eventStreamEngine2.destroy() ]);
+      });
+
+      mocha.test("The engines of a consumer group share the events.", async function () {
+        const { $eventStreamEngine1, $eventStreamEngine2, $$sandbox } = this;
+        const $$engine1EventSpy = $$sandbox.spy();
+        const $$engine2EventSpy = $$sandbox.spy();
+
+        await Promise.all([
+          $eventStreamEngine1.subscribeAndHandleEventByChannelName('DummyStreamed', $$engine1EventSpy),
+          $eventStreamEngine2.subscribeAndHandleEventByChannelName('DummyStreamed', $$engine2EventSpy)
+        ]);
+
+        await Promise.mapSeries(Array.apply(null, { length: 10 }), (value, index) => {
+
+          return $eventStreamEngine1.publishEventToChannelByName('DummyStreamed', new NucleusEvent('DummyStreamed', { index }));
+        });
+
+        await Promise.delay(1000);
+
+        chai.expect($$engine1EventSpy.callCount + $$engine2EventSpy.callCount).to.equal(10);
+
+        const [ $event ] = ($$engine1EventSpy.called) ? $$engine1EventSpy.firstCall.args : $$engine2EventSpy.firstCall.args;
+
+        chai.expect($event).to.be.an.instanceOf(NucleusEvent);
+        chai.expect($event.name).to.equal('DummyStreamed');
+
+        await Promise.all([
+          $eventStreamEngine1.unsubscribeFromEventChannelByName('DummyStreamed'),
+          $eventStreamEngine2.unsubscribeFromEventChannelByName('DummyStreamed')
+        ]);
+      });
+
+      mocha.test("Every consumer group receives each event.", async function () {
+        const { $eventStreamEngine1, $eventStreamEngine2, $$sandbox } = this;
+        const $$engineEventSpy = $$sandbox.spy();
+        const $$auditEventSpy = $$sandbox.spy();
+
+        await Promise.all([
+          $eventStreamEngine1.subscribeAndHandleEventByChannelName('DummyBroadcasted', $$engineEventSpy),
+          $eventStreamEngine2.subscribeAndHandleEventByChannelName('DummyBroadcasted', $$auditEventSpy, { consumerGroupName: 'Audit' })
+        ]);
+
+        await Promise.mapSeries(Array.apply(null, { length: 5 }), (value, index) => {
+
+          return $eventStreamEngine1.publishEventToChannelByName('DummyBroadcasted', new NucleusEvent('DummyBroadcasted', { index }));
+        });
+
+        await Promise.delay(1000);
+
+        chai.expect($$engineEventSpy.callCount).to.equal(5);
+        chai.expect($$auditEventSpy.callCount).to.equal(5);
+
+        await Promise.all([
+          $eventStreamEngine1.unsubscribeFromEventChannelByName('DummyBroadcasted'),
+          $eventStreamEngine2.unsubscribeFromEventChannelByName('DummyBroadcasted')
+        ]);
+      });
+
+      mocha.test("Every engine receives each broadcast stream event and its consumer group is removed once it unsubscribes.", async function () {
+        const { $eventStreamEngine1, $eventStreamEngine2, $$sandbox } = this;
+        const $$engine1EventSpy = $$sandbox.spy();
+        const $$engine2EventSpy = $$sandbox.spy();
+
+        await Promise.all([
+          $eventStreamEngine1.subscribeAndHandleEventByChannelName('DummyStreamBroadcasted', $$engine1EventSpy, { delivery: NucleusEngine.BroadcastEventDelivery }),
+          $eventStreamEngine2.subscribeAndHandleEventByChannelName('DummyStreamBroadcasted', $$engine2EventSpy, { delivery: NucleusEngine.BroadcastEventDelivery })
+        ]);
+
+        await Promise.mapSeries(Array.apply(null, { length: 5 }), (value, index) => {
+
+          return $eventStreamEngine1.publishEventToChannelByName('DummyStreamBroadcasted', new NucleusEvent('DummyStreamBroadcasted', { index }));
+        });
+
+        await Promise.delay(1000);
+
+        chai.expect($$engine1EventSpy.callCount).to.equal(5);
+        chai.expect($$engine2EventSpy.callCount).to.equal(5);
+
+        await Promise.all([
+          $eventStreamEngine1.unsubscribeFromEventChannelByName('DummyStreamBroadcasted'),
+          $eventStreamEngine2.unsubscribeFromEventChannelByName('DummyStreamBroadcasted')
+        ]);
+
+        const consumerGroupList = await $eventStreamEngine1.$eventDatastore.$$server.send_commandAsync('XINFO', [ 'GROUPS', 'EventStream:DummyStreamBroadcasted' ]);
+
+        chai.expect(consumerGroupList).to.have.length(0);
+      });
+
+      mocha.test("Only the broadcast consumer group named after the engine's ID is removed once the engine is destroyed.", async function () {
+        const { EventStreamEngine, $eventStreamEngine1, $$sandbox } = this;
+        const $eventStreamEngine = new EventStreamEngine();
+
+        await $eventStreamEngine;
+
+        await Promise.all([
+          $eventStreamEngine.subscribeAndHandleEventByChannelName('DummyStreamBroadcasted', $$sandbox.spy(), { delivery: NucleusEngine.BroadcastEventDelivery }),
+          $eventStreamEngine.subscribeAndHandleEventByChannelName('DummyReplicaBroadcasted', $$sandbox.spy(), { consumerGroupName: 'Replica', delivery: NucleusEngine.BroadcastEventDelivery })
+        ]);
+
+        await $eventStreamEngine.destroy();
+
+        const [ transientConsumerGroupList, stableConsumerGroupList ] = await Promise.all([
+          $eventStreamEngine1.$eventDatastore.$$server.send_commandAsync('XINFO', [ 'GROUPS', 'EventStream:DummyStreamBroadcasted' ]),
+          $eventStreamEngine1.$eventDatastore.$$server.send_commandAsync('XINFO', [ 'GROUPS', 'EventStream:DummyReplicaBroadcasted' ])
+        ]);
+
+        chai.expect(transientConsumerGroupList).to.have.length(0);
+        chai.expect(stableConsumerGroupList).to.have.length(1);
+      });
+
+      mocha.test("The events published while the consumer group was not consuming are received once it subscribes again.", async function () {
+        const { $eventStreamEngine1, $$sandbox } = this;
+        const $$eventSpy = $$sandbox.spy();
+
+        await $eventStreamEngine1.subscribeAndHandleEventByChannelName('DummyRestarted', $$sandbox.spy());
+        await $eventStreamEngine1.unsubscribeFromEventChannelByName('DummyRestarted');
+        await Promise.delay(1000);
+
+        await $eventStreamEngine1.publishEventToChannelByName('DummyRestarted', new NucleusEvent('DummyRestarted', { AID: uuid.v4() }));
+
+        await $eventStreamEngine1.subscribeAndHandleEventByChannelName('DummyRestarted', $$eventSpy);
+        await Promise.delay(200);
+
+        chai.expect($$eventSpy.calledOnce).to.be.true;
+
+        await $eventStreamEngine1.unsubscribeFromEventChannelByName('DummyRestarted');
+      });
+
+      mocha.test("The events which handler failed are reclaimed and handled again.", async function () {
+        const { $eventStreamEngine1, $$sandbox } = this;
+        const $$eventSpy = $$sandbox.stub();
+
+        $$eventSpy.onFirstCall().rejects(new NucleusError.UndefinedContextNucleusError("The dummy failed."));
+        $$eventSpy.resolves();
+
+        await $eventStreamEngine1.subscribeAndHandleEventByChannelName('DummyFailed', $$eventSpy);
+
+        await $eventStreamEngine1.publishEventToChannelByName('DummyFailed', new NucleusEvent('DummyFailed', { AID: uuid.v4() }));
+
+        await Promise.delay(1000);
+
+        const pendingEntryList = await $eventStreamEngine1.$eventDatastore.$$server.send_commandAsync('XPENDING', [ 'EventStream:DummyFailed', 'EventStream', '-', '+', 10 ]);
+
+        chai.expect($$eventSpy.calledTwice).to.be.true;
+        chai.expect(pendingEntryList).to.have.length(0);
+
+        await $eventStreamEngine1.unsubscribeFromEventChannelByName('DummyFailed');
+      });
+
+      mocha.test("The events of a channel are replayed since a given time.", async function () {
+        const { $eventStreamEngine1 } = this;
+
+        const timestamp = Date.now();
+
+        await Promise.mapSeries([ 'A', 'B', 'C' ], (dummyName) => {
+
+          return $eventStreamEngine1.publishEventToChannelByName('DummyReplayed', new NucleusEvent('DummyReplayed', { dummyName }));
+        });
+
+        const eventList = await $eventStreamEngine1.replayEventsSince('DummyReplayed', timestamp);
+
+        chai.expect(eventList.map(({ message: { dummyName } }) => dummyName)).to.deep.equal([ 'A', 'B', 'C' ]);
+        chai.expect(await $eventStreamEngine1.replayEventsSince('DummyReplayed', Date.now() + 1000)).to.have.length(0);
+      });
+
+    });
+
+    mocha.suite("Health", function () {
+      this.timeout(1000 * 5);
+
+      mocha.suiteSetup(async function () {
+        const resolveHangingDummyList = [];
+
+        class HealthEngine extends NucleusEngine {
+
+          constructor () {
+            const datastoreOptions = { index: DATASTORE_INDEX, port: DATASTORE_PORT, URL: DATASTORE_URL };
+
+            super('Health', {
+              $actionDatastore: new NucleusDatastore('HealthActionDatastore', datastoreOptions),
+              $engineDatastore: new NucleusDatastore('HealthEngineDatastore', datastoreOptions),
+              $eventDatastore: new NucleusDatastore('HealthEventDatastore', datastoreOptions),
+              actionQueueStuckTimeout: 200,
+              automaticallyRetrievePendingActions: true,
+              debounceActionExecution: false,
+              maxConcurrentActions: 1
+            });
+          }
+
+          executeHangingDummy () {
+
+            return new Promise((resolve) => {
+              resolveHangingDummyList.push(resolve.bind(null, { AID: uuid.v4() }));
+            });
+          }
+
+        }
+
+        const $healthEngine = new HealthEngine();
+
+        await $healthEngine;
+
+        await $healthEngine.storeActionConfiguration({
+          actionName: 'ExecuteHangingDummy',
+          contextName: 'Self',
+          methodName: 'executeHangingDummy'
+        });
+
+        Reflect.defineProperty(this, '$healthEngine', { value: $healthEngine, writable: false });
+        Reflect.defineProperty(this, 'resolveHangingDummyList', { value: resolveHangingDummyList, writable: false });
+      });
+
+      mocha.suiteTeardown(function () {
+        const { $healthEngine } = this;
+
+        return $healthEngine.destroy();
+      });
+
+      mocha.test("The engine is healthy and ready once initialized.", async function () {
+        const { $healthEngine } = this;
+
+        const engineHealth = await $healthEngine.checkHealth();
+
+        chai.expect(engineHealth).to.deep.include({ engineID: $healthEngine.ID, engineName: 'Health', isReady: true, status: NucleusEngine.HealthyHealthStatus });
+        chai.expect(engineHealth.datastoreHealthList.map(({ datastoreName }) => datastoreName)).to.include.members([ 'HealthActionDatastore', 'HealthEventSubscriberDatastore', 'HealthSubscriber' ]);
+        chai.expect(engineHealth.datastoreHealthList.every(({ status }) => status === NucleusEngine.HealthyHealthStatus)).to.be.true;
+        chai.expect(engineHealth.actionQueueHealthList).to.containSubset([ { actionQueueName: 'Health', pendingActionCount: 0, status: NucleusEngine.HealthyHealthStatus } ]);
+      });
+
+      mocha.test("The engine is unhealthy when an action queue has pending actions the engine doesn't retrieve.", async function () {
+        const { $healthEngine, resolveHangingDummyList } = this;
+
+        // The first action takes the only slot of the action queue and hangs.
+        await $healthEngine.publishActionToQueueByName('Health', new NucleusAction('ExecuteHangingDummy', {}));
+        await Promise.delay(50);
+        await $healthEngine.publishActionToQueueByName('Health', new NucleusAction('ExecuteHangingDummy', {}));
+        await Promise.delay(250);
+
+        const unhealthyEngineHealth = await $healthEngine.checkHealth();
+
+        chai.expect(unhealthyEngineHealth.status).to.equal(NucleusEngine.UnhealthyHealthStatus);
+        chai.expect(unhealthyEngineHealth.actionQueueHealthList).to.containSubset([ { actionQueueName: 'Health', inFlightActionCount: 1, pendingActionCount: 1, status: NucleusEngine.UnhealthyHealthStatus } ]);
+
+        resolveHangingDummyList.shift()();
+        await Promise.delay(100);
+        resolveHangingDummyList.shift()();
+        await Promise.delay(50);
+
+        const healthyEngineHealth = await $healthEngine.checkHealth();
+
+        chai.expect(healthyEngineHealth.status).to.equal(NucleusEngine.HealthyHealthStatus);
+      });
+
+      mocha.test("The health and readiness probes are served over HTTP.", async function () {
+        const { $healthEngine } = this;
+
+        const { port } = await $healthEngine.listenToHTTPPort(0);
+
+        const requestByPath = (requestPath) => new Promise((resolve, reject) => {
+          http.get({ path: requestPath, port }, (response) => {
+            let body = '';
+
+            response.setEncoding('utf8');
+            response.on('data', (chunk) => { body += chunk; });
+            response.on('end', () => resolve({ body, statusCode: response.statusCode }));
+          })
+            .on('error', reject);
+        });
+
+        const healthResponse = await requestByPath('/healthz');
+        const readinessResponse = await requestByPath('/readyz');
+
+        chai.expect(healthResponse.statusCode).to.equal(200);
+        chai.expect(JSON.parse(healthResponse.body)).to.deep.include({ engineName: 'Health', status: NucleusEngine.HealthyHealthStatus });
+        chai.expect(readinessResponse.statusCode).to.equal(200);
+      });
+
+    });
+
+    mocha.suite("Metrics", function () {
+      this.timeout(1000 * 5);
+
+      mocha.suiteSetup(async function () {
+
+        class MetricsEngine extends NucleusEngine {
+
+          constructor () {
+            const datastoreOptions = { index: DATASTORE_INDEX, port: DATASTORE_PORT, URL: DATASTORE_URL };
+
+            super('Metrics', {
+              $actionDatastore: new NucleusDatastore('MetricsActionDatastore', datastoreOptions),
+              $engineDatastore: new NucleusDatastore('MetricsEngineDatastore', datastoreOptions),
+              $eventDatastore: new NucleusDatastore('MetricsEventDatastore', datastoreOptions)
+            });
+          }
+
+          executeSimpleDummy () {
+
+            return Promise.resolve({ AID: uuid.v4() });
+          }
+
+          executeFailingDummy () {
+
+            return Promise.reject(new NucleusError.UndefinedContextNucleusError("The dummy failed."));
+          }
+
+        }
+
+        const $metricsEngine = new MetricsEngine();
+
+        await $metricsEngine;
+
+        await Promise.all([
+          $metricsEngine.storeActionConfiguration({
+            actionName: 'ExecuteSimpleDummy',
+            contextName: 'Self',
+            methodName: 'executeSimpleDummy'
+          }),
+          $metricsEngine.storeActionConfiguration({
+            actionName: 'ExecuteFailingDummy',
+            contextName: 'Self',
+            methodName: 'executeFailingDummy'
+          })
+        ]);
+
+        Reflect.defineProperty(this, '$metricsEngine', { value: $metricsEngine, writable: false });
+      });
+
+      mocha.suiteTeardown(async function () {
+        const { $metricsEngine } = this;
+
+        await $metricsEngine.$actionDatastore.$$server.delAsync(NucleusEngine.generatePriorityActionQueueNameList('Metrics'));
+
+        return $metricsEngine.destroy();
+      });
+
+      mocha.test("The executed and failed actions are counted and their execution time is recorded.", async function () {
+        const { $metricsEngine } = this;
+
+        await $metricsEngine.executeAction(new NucleusAction('ExecuteSimpleDummy', {}));
+        await $metricsEngine.executeAction(new NucleusAction('ExecuteSimpleDummy', {}));
+        await $metricsEngine.executeAction(new NucleusAction('ExecuteFailingDummy', {})).catch(() => {});
+
+        const renderedMetrics = await $metricsEngine.renderMetrics();
+
+        chai.expect(renderedMetrics).to.include('# TYPE nucleus_executed_action_total counter\n');
+        chai.expect(renderedMetrics).to.include('nucleus_executed_action_total{action_name="ExecuteSimpleDummy"} 2\n');
+        chai.expect(renderedMetrics).to.include('nucleus_failed_action_total{action_name="ExecuteFailingDummy",error_name="UndefinedContextNucleusError"} 1\n');
+        chai.expect(renderedMetrics).to.include('nucleus_action_execution_duration_seconds_count{action_name="ExecuteSimpleDummy"} 2\n');
+        chai.expect(renderedMetrics).to.include('nucleus_action_execution_duration_seconds_bucket{action_name="ExecuteFailingDummy",le="+Inf"} 1\n');
+      });
+
+      mocha.test("The published actions are counted and the length of the action queues is sampled.", async function () {
+        const { $metricsEngine } = this;
+
+        await $metricsEngine.publishActionToQueueByName('Metrics', new NucleusAction('ExecuteSimpleDummy', {}));
+        await $metricsEngine.publishActionToQueueByName('Metrics', new NucleusAction('ExecuteSimpleDummy', {}, { priority: NucleusAction.HighActionPriority }));
+
+        const renderedMetrics = await $metricsEngine.renderMetrics();
+
+        chai.expect(renderedMetrics).to.include('nucleus_published_action_total{action_name="ExecuteSimpleDummy"} 2\n');
+        chai.expect(renderedMetrics).to.include('nucleus_action_queue_length{action_queue_name="Metrics"} 2\n');
+      });
+
+      mocha.test("The metrics are served over HTTP.", async function () {
+        const { $metricsEngine } = this;
+
+        const { port } = await $metricsEngine.listenToHTTPPort(0);
+
+        const requestByPath = (requestPath) => new Promise((resolve, reject) => {
+          http.get({ path: requestPath, port }, (response) => {
+            let body = '';
+
+            response.setEncoding('utf8');
+            response.on('data', (chunk) => { body += chunk; });
+            response.on('end', () => resolve({ body, contentType: response.headers['content-type'], statusCode: response.statusCode }));
+          })
+            .on('error', reject);
+        });
+
+        const metricsResponse = await requestByPath('/metrics');
+        const notFoundResponse = await requestByPath('/dummy');
+
+        chai.expect(metricsResponse.statusCode).to.equal(200);
+        chai.expect(metricsResponse.contentType).to.match(/^text\/plain; version=0\.0\.4/);
+        chai.expect(metricsResponse.body).to.include('# TYPE nucleus_action_queue_length gauge\n');
+        chai.expect(notFoundResponse.statusCode).to.equal(404);
+      });
+
+    });
+
+    mocha.suite("Correlation ID", function () {
+
+      mocha.suiteSetup(async function () {
+        const { $datastore } = this;
+        const $handlerDatastore = this.$datastore.duplicateConnection();
+
+        // Manually update the action's item's status and final message.
+        // This will trigger the #publishActionByNameAndHandleResponse to resolve with the response;
+
+        await $handlerDatastore.$$server.subscribe(`__keyspace@${DATASTORE_INDEX}__:Dummy`);
+
+        $handlerDatastore.$$server.on('message', async (channelName, redisCommand) => {
+          if (channelName !== `__keyspace@${DATASTORE_INDEX}__:Dummy` || redisCommand !== 'lpush') return;
+
+          const actionItemKey = await $datastore.$$server.lpopAsync('Dummy');
+
+          await $datastore.addItemToHashFieldByName(actionItemKey, 'finalMessage', { dummy: { ID: uuid.v4() } }, 'status', NucleusAction.CompletedActionStatus);
+
+          await $handlerDatastore.$$server.unsubscribe(`__keyspace@${DATASTORE_INDEX}__:Dummy`);
+        });
+
+        return Promise.delay(1000);
+      });
+
+      mocha.test("Correlation ID are logged for the whole lifecycle of an action when passed as an option of the #publishActionByNameAndHandleResponse method.", async function () {
+        const { $engine, $$sandbox } = this;
+        const $$loggerDebugStub = $$sandbox.stub($engine.$logger, 'debug');
+
+        const correlationID = uuid.v4();
+        const originUserID = uuid.v4();
+
+        await $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', {}, { correlationID, originUserID });
+        await Promise.delay(1000);
+
+        chai.expect($$loggerDebugStub.calledWith(sinon.match.string, sinon.match({
+          correlationID
+        })));
+      });
+
+    });
+
+    mocha.suite("Load testing", function () {
+      this.timeout(1000 * 15);
+
+      mocha.teardown(function () {
+        const { $datastore } = this;
+
+        return $datastore.removeItemByName('Dummy');
+      });
+
+      mocha.suiteTeardown(function () {
         const { $datastore } = this;
 
-        return $datastore.evaluateLUAScript(`return redis.call('INFO', 'Memory')`)
-          .then(console.log);
+        return $datastore.evaluateLUAScript(`return redis.call('INFO', 'Memory')`)
+          .then(console.log);
+      });
+
+      mocha.suite("Action publication", function () {
+        const requestCountList = [ 25, 50, 100, 500 ];
+
+        requestCountList
+          .forEach((requestCount) => {
+
+            mocha.test(`${requestCount} requests...`, function () {
+              const { $engine } = this;
+
+              return Promise.all(Array.apply(null, { length: requestCount })
+                .map(() => {
+                  const userID = uuid.v4();
+                  const $action = new NucleusAction('ExecuteSimpleDummy', {}, userID);
+
+                  return $engine.publishActionToQueueByName('Dummy', $action);
+                }));
+            });
+
+          });
+
+      });
+
+      mocha.suite("Full request loop", function () {
+        const requestCountList = [ 1, 25, 50, 100, 500 ];
+
+        // Before debounce
+        // 25 requests => 674ms
+        // 50 requests => 1325ms
+        // 100 requests => 2631ms
+        // 500 requests => 20338ms
+
+        // With 5ms debounce +20%
+        // 25 requests => 733ms
+        // 50 requests => 1394ms
+        // 100 requests => 2608ms
+        // 500 requests => 16156ms
+
+        // 500 requests => 13677ms
+
+        mocha.suiteSetup(function () {
+          const { $dummyEngine } = this;
+
+          return $dummyEngine.subscribeToActionQueueUpdate('Dummy');
+        });
+
+        requestCountList
+          .forEach((requestCount) => {
+
+            mocha.test(`${requestCount} requests...`, function () {
+              const { $engine } = this;
+
+              return Promise.all(Array.apply(null, { length: requestCount })
+                .map(async () => {
+                  const userID = uuid.v4();
+
+                  const { AID } = await $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', {}, userID);
+
+                  chai.expect(AID).to.be.a('string');
+                }));
+            });
+
+          });
+
+      });
+
+      mocha.suite("Full request loop with random execution time", function () {
+        const requestCountList = [ 1, 25, 50, 100, 500, 1000 ];
+
+        mocha.suiteSetup(function () {
+          const { $dummyEngine } = this;
+
+          return $dummyEngine.subscribeToActionQueueUpdate('Dummy');
+        });
+
+        requestCountList
+          .forEach((requestCount) => {
+
+            mocha.test(`${requestCount} requests...`, function () {
+              const { $engine } = this;
+
+              return Promise.all(Array.apply(null, { length: requestCount })
+                .map(async () => {
+                  const userID = uuid.v4();
+
+                  const { AID } = await $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummyWithRandomExecutionTime', {}, userID);
+
+                  chai.expect(AID).to.be.a('string');
+                }));
+            });
+
+          });
+
+      });
+
+    });
+
+    mocha.suite("Reliable action queue", function () {
+      this.timeout(1000 * 5);
+
+      mocha.suiteSetup(async function () {
+
+        class ReliableEngine extends NucleusEngine {
+
+          constructor () {
+            const datastoreOptions = { index: DATASTORE_INDEX, port: DATASTORE_PORT, URL: DATASTORE_URL };
+
+            super('Reliable', {
+              $actionDatastore: new NucleusDatastore('ReliableActionDatastore', datastoreOptions),
+              $engineDatastore: new NucleusDatastore('ReliableEngineDatastore', datastoreOptions),
+              $eventDatastore: new NucleusDatastore('ReliableEventDatastore', datastoreOptions),
+              automaticallyRetrievePendingActions: true,
+              engineHeartbeatInterval: 100,
+              reliableActionQueue: true
+            });
+          }
+
+          executeReliableDummy (AID) {
+
+            return Promise.resolve({ AID });
+          }
+
+        }
+
+        const $reliableEngine = new ReliableEngine();
+
+        await $reliableEngine;
+
+        await $reliableEngine.storeActionConfiguration({
+          actionName: 'ExecuteReliableDummy',
+          actionSignature: [ 'AID' ],
+          contextName: 'Self',
+          methodName: 'executeReliableDummy'
+        });
+
+        Reflect.defineProperty(this, '$reliableEngine', { value: $reliableEngine, writable: true });
+      });
+
+      mocha.suiteTeardown(function () {
+        const { $reliableEngine } = this;
+
+        return $reliableEngine.destroy();
+      });
+
+      mocha.test("The engine's heartbeat is sent.", async function () {
+        const { $datastore, $reliableEngine } = this;
+
+        const engineHeartbeatExists = await $datastore.verifyThatItemByNameExist(`EngineHeartbeat:${$reliableEngine.ID}`);
+
+        chai.expect(engineHeartbeatExists).to.be.true;
+      });
+
+      mocha.test("The action is removed from the engine's processing list once executed.", async function () {
+        const { $datastore, $reliableEngine } = this;
+        const AID = uuid.v4();
+        const originUserID = uuid.v4();
+
+        const response = await $reliableEngine.publishActionByNameAndHandleResponse('ExecuteReliableDummy', { AID }, originUserID);
+
+        chai.expect(response).to.deep.equal({ AID });
+
+        await Promise.delay(100);
+
+        const processingActionCount = await $datastore.$$server.llenAsync(NucleusEngine.generateProcessingActionQueueName('Reliable', $reliableEngine.ID));
+
+        chai.expect(processingActionCount).to.equal(0);
+      });
+
+      mocha.test("Every action of a burst is retrieved.", async function () {
+        const { $reliableEngine } = this;
+        const AIDList = [ uuid.v4(), uuid.v4(), uuid.v4() ];
+        const originUserID = uuid.v4();
+
+        const responseList = await Promise.all(AIDList
+          .map((AID) => {
+
+            return $reliableEngine.publishActionByNameAndHandleResponse('ExecuteReliableDummy', { AID }, { originUserID, timeout: 1000 });
+          }));
+
+        chai.expect(responseList).to.deep.equal(AIDList.map((AID) => ({ AID })));
+      });
+
+      mocha.test("The actions processed by an engine that stopped sending heartbeats are requeued.", async function () {
+        const { $datastore, $reliableEngine } = this;
+        const deadEngineID = uuid.v1();
+        const actionItemKeyList = [ `NucleusAction:ExecuteReliableDummy:${uuid.v1()}`, `NucleusAction:ExecuteReliableDummy:${uuid.v1()}` ];
+
+        await $datastore.addItemToSetByName('ReliableStale:ProcessingEngineIDSet', deadEngineID);
+        await $datastore.addItemToSetByName('ReliableStale:ProcessingEngineIDSet', $reliableEngine.ID);
+        await $datastore.$$server.lpushAsync(NucleusEngine.generateProcessingActionQueueName('ReliableStale', deadEngineID), actionItemKeyList);
+        await $datastore.$$server.lpushAsync(NucleusEngine.generateProcessingActionQueueName('ReliableStale', $reliableEngine.ID), `NucleusAction:ExecuteReliableDummy:${uuid.v1()}`);
+
+        const { requeuedActionCount } = await $reliableEngine.requeueStaleActionsByActionQueueName('ReliableStale');
+
+        chai.expect(requeuedActionCount).to.equal(2);
+
+        const [ requeuedActionItemKeyList, liveProcessingActionCount, { isMember: deadEngineIsRegistered } ] = await Promise.all([
+          $datastore.$$server.lrangeAsync('ReliableStale', 0, -1),
+          $datastore.$$server.llenAsync(NucleusEngine.generateProcessingActionQueueName('ReliableStale', $reliableEngine.ID)),
+          $datastore.itemIsMemberOfSet('ReliableStale:ProcessingEngineIDSet', deadEngineID)
+        ]);
+
+        chai.expect(requeuedActionItemKeyList).to.have.members(actionItemKeyList);
+        chai.expect(liveProcessingActionCount).to.equal(1);
+        chai.expect(deadEngineIsRegistered).to.be.false;
+      });
+
+      mocha.test("A stale action is requeued to the list of its priority.", async function () {
+        const { $datastore, $reliableEngine } = this;
+        const deadEngineID = uuid.v1();
+        const $action = new NucleusAction('ExecuteReliableDummy', { AID: uuid.v4() }, { priority: NucleusAction.HighActionPriority });
+        const actionItemKey = $action.generateOwnItemKey();
+
+        await $datastore.addItemToHashFieldByName(actionItemKey, 'meta', $action.meta.toString());
+        await $datastore.addItemToSetByName('ReliableStalePriority:ProcessingEngineIDSet', deadEngineID);
+        await $datastore.$$server.lpushAsync(NucleusEngine.generateProcessingActionQueueName('ReliableStalePriority', deadEngineID), actionItemKey);
+
+        await $reliableEngine.requeueStaleActionsByActionQueueName('ReliableStalePriority');
+
+        const [ normalPriorityActionItemKeyList, highPriorityActionItemKeyList ] = await Promise.all([
+          $datastore.$$server.lrangeAsync('ReliableStalePriority', 0, -1),
+          $datastore.$$server.lrangeAsync(NucleusEngine.generatePriorityActionQueueName('ReliableStalePriority', NucleusAction.HighActionPriority), 0, -1)
+        ]);
+
+        chai.expect(normalPriorityActionItemKeyList).to.have.length(0);
+        chai.expect(highPriorityActionItemKeyList).to.deep.equal([ actionItemKey ]);
+      });
+
+    });
+
+    mocha.suite("Concurrency limit", function () {
+      this.timeout(1000 * 5);
+
+      mocha.suiteSetup(async function () {
+        const executionCountList = [];
+        let executingActionCount = 0;
+
+        class ConcurrentEngine extends NucleusEngine {
+
+          constructor () {
+            const datastoreOptions = { index: DATASTORE_INDEX, port: DATASTORE_PORT, URL: DATASTORE_URL };
+
+            super('Concurrent', {
+              $actionDatastore: new NucleusDatastore('ConcurrentActionDatastore', datastoreOptions),
+              $engineDatastore: new NucleusDatastore('ConcurrentEngineDatastore', datastoreOptions),
+              $eventDatastore: new NucleusDatastore('ConcurrentEventDatastore', datastoreOptions),
+              automaticallyRetrievePendingActions: true,
+              maxConcurrentActions: 2
+            });
+          }
+
+          async executeSlowDummy (AID) {
+            executionCountList.push(++executingActionCount);
+
+            await Promise.delay(50);
+
+            executingActionCount--;
+
+            return { AID };
+          }
+
+        }
+
+        const $concurrentEngine = new ConcurrentEngine();
+
+        await $concurrentEngine;
+
+        await $concurrentEngine.storeActionConfiguration({
+          actionName: 'ExecuteSlowDummy',
+          actionSignature: [ 'AID' ],
+          contextName: 'Self',
+          methodName: 'executeSlowDummy'
+        });
+
+        Reflect.defineProperty(this, '$concurrentEngine', { value: $concurrentEngine, writable: true });
+        Reflect.defineProperty(this, 'executionCountList', { value: executionCountList, writable: true });
       });
 
-      mocha.suite("Action publication", function () {
-        const requestCountList = [ 25, 50, 100, 500 ];
+      mocha.suiteTeardown(function () {
+        const { $concurrentEngine } = this;
 
-        requestCountList
-          .forEach((requestCount) => {
+        return $concurrentEngine.destroy();
+      });
 
-            mocha.test(`${requestCount} requests...`, function () {
-              const { $engine } = this;
+      mocha.test("The engine never executes more actions than the maximum at the same time.", async function () {
+        const { $concurrentEngine, executionCountList } = this;
+        const originUserID = uuid.v4();
 
-              return Promise.all(Array.apply(null, { length: requestCount })
-                .map(() => {
-                  const userID = uuid.v4();
-                  const $action = new NucleusAction('ExecuteSimpleDummy', {}, userID);
+        const responseList = await Promise.all(Array.apply(null, { length: 6 })
+          .map(() => {
 
-                  return $engine.publishActionToQueueByName('Dummy', $action);
-                }));
-            });
+            return $concurrentEngine.publishActionByNameAndHandleResponse('ExecuteSlowDummy', { AID: uuid.v4() }, originUserID);
+          }));
 
-          });
+        chai.expect(responseList).to.have.length(6);
+        chai.expect(Math.max(...executionCountList)).to.equal(2);
+      });
+
+      mocha.test("The number of actions in flight is exposed per action queue.", async function () {
+        const { $concurrentEngine } = this;
+        const originUserID = uuid.v4();
+
+        const $$responsePromise = $concurrentEngine.publishActionByNameAndHandleResponse('ExecuteSlowDummy', { AID: uuid.v4() }, originUserID);
 
+        await Promise.delay(25);
+
+        chai.expect($concurrentEngine.retrieveInFlightActionCountByActionQueueName('Concurrent')).to.equal(1);
+
+        await $$responsePromise;
+        await Promise.delay(10);
+
+        chai.expect($concurrentEngine.retrieveInFlightActionCountByActionQueueName('Concurrent')).to.equal(0);
       });
 
-      mocha.suite("Full request loop", function () {
-        const requestCountList = [ 1, 25, 50, 100, 500 ];
+    });
 
-        // Before debounce
-        // 25 requests => 674ms
-        // 50 requests => 1325ms
-        // 100 requests => 2631ms
-        // 500 requests => 20338ms
+    mocha.suite("Graceful shutdown", function () {
+      this.timeout(1000 * 5);
 
-        // With 5ms debounce +20%
-        // 25 requests => 733ms
-        // 50 requests => 1394ms
-        // 100 requests => 2608ms
-        // 500 requests => 16156ms
+      mocha.setup(async function () {
 
-        // 500 requests => 13677ms
+        class DrainingEngine extends NucleusEngine {
 
-        mocha.suiteSetup(function () {
-          const { $dummyEngine } = this;
+          constructor () {
+            const datastoreOptions = { index: DATASTORE_INDEX, port: DATASTORE_PORT, URL: DATASTORE_URL };
 
-          return $dummyEngine.subscribeToActionQueueUpdate('Dummy');
+            super('Draining', {
+              $actionDatastore: new NucleusDatastore('DrainingActionDatastore', datastoreOptions),
+              $engineDatastore: new NucleusDatastore('DrainingEngineDatastore', datastoreOptions),
+              $eventDatastore: new NucleusDatastore('DrainingEventDatastore', datastoreOptions),
+              automaticallyRetrievePendingActions: true
+            });
+          }
+
+          async executeSlowDrainingDummy (AID) {
+            await Promise.delay(200);
+
+            return { AID };
+          }
+
+        }
+
+        const $drainingEngine = new DrainingEngine();
+
+        await $drainingEngine;
+
+        await $drainingEngine.storeActionConfiguration({
+          actionName: 'ExecuteSlowDrainingDummy',
+          actionSignature: [ 'AID' ],
+          contextName: 'Self',
+          methodName: 'executeSlowDrainingDummy'
         });
 
-        requestCountList
-          .forEach((requestCount) => {
+        Reflect.defineProperty(this, 'DrainingEngine', { value: DrainingEngine, configurable: true, writable: true });
+        Reflect.defineProperty(this, '$drainingEngine', { value: $drainingEngine, configurable: true, writable: true });
+      });
 
-            mocha.test(`${requestCount} requests...`, function () {
-              const { $engine } = this;
+      mocha.teardown(function () {
+        const { $datastore } = this;
 
-              return Promise.all(Array.apply(null, { length: requestCount })
-                .map(async () => {
-                  const userID = uuid.v4();
+        Reflect.deleteProperty(this, 'DrainingEngine');
+        Reflect.deleteProperty(this, '$drainingEngine');
 
-                  const { AID } = await $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummy', {}, userID);
+        return $datastore.removeItemByName('Draining');
+      });
 
-                  chai.expect(AID).to.be.a('string');
-                }));
+      mocha.test("The actions in flight are executed before the engine is destroyed.", async function () {
+        const { $drainingEngine, $engine } = this;
+        const AID = uuid.v4();
+
+        const $$responsePromise = $engine.publishActionByNameAndHandleResponse('ExecuteSlowDrainingDummy', { AID }, uuid.v4());
+
+        await Promise.delay(50);
+
+        const { drainedActionCount, undrainedActionCount } = await $drainingEngine.shutdown({ drainTimeout: 1000 });
+
+        chai.expect(drainedActionCount).to.equal(1);
+        chai.expect(undrainedActionCount).to.equal(0);
+
+        chai.expect(await $$responsePromise).to.deep.equal({ AID });
+      });
+
+      mocha.test("The engine stops waiting for the actions in flight once the drain timeout has elapsed.", async function () {
+        const { $drainingEngine, $engine } = this;
+
+        $engine.publishActionByNameAndHandleResponse('ExecuteSlowDrainingDummy', { AID: uuid.v4() }, { originUserID: uuid.v4(), timeout: 1000 })
+          .catch(() => {});
+
+        await Promise.delay(50);
+
+        const { drainedActionCount, undrainedActionCount } = await $drainingEngine.shutdown({ drainTimeout: 10 });
+
+        chai.expect(drainedActionCount).to.equal(0);
+        chai.expect(undrainedActionCount).to.equal(1);
+      });
+
+      mocha.test("The engine stops retrieving pending actions once it is shutting down.", async function () {
+        const { $datastore, $drainingEngine, $engine } = this;
+
+        await $drainingEngine.shutdown();
+
+        $engine.publishActionByNameAndHandleResponse('ExecuteSlowDrainingDummy', { AID: uuid.v4() }, { originUserID: uuid.v4(), timeout: 100 })
+          .catch(() => {});
+
+        await Promise.delay(50);
+
+        chai.expect(await $datastore.$$server.llenAsync('Draining')).to.equal(1);
+      });
+
+      mocha.test("The other engines keep retrieving the pending actions of the action queue once the engine is shut down.", async function () {
+        const { DrainingEngine, $datastore, $drainingEngine, $engine } = this;
+        const $otherDrainingEngine = new DrainingEngine();
+        const AID = uuid.v4();
+
+        await $otherDrainingEngine;
+
+        try {
+          await $drainingEngine.shutdown();
+
+          chai.expect(await $datastore.$$server.llenAsync('Draining')).to.equal(0);
+          chai.expect(await $engine.publishActionByNameAndHandleResponse('ExecuteSlowDrainingDummy', { AID }, { originUserID: uuid.v4(), timeout: 1000 })).to.deep.equal({ AID });
+        } finally {
+          await $otherDrainingEngine.destroy();
+        }
+      });
+
+    });
+
+    mocha.suite("Sagas", function () {
+      this.timeout(1000 * 5);
+
+      mocha.suiteSetup(async function () {
+        const executionStepList = [];
+
+        class SagaEngine extends NucleusEngine {
+
+          constructor () {
+            const datastoreOptions = { index: DATASTORE_INDEX, port: DATASTORE_PORT, URL: DATASTORE_URL };
+
+            super('Saga', {
+              $actionDatastore: new NucleusDatastore('SagaActionDatastore', datastoreOptions),
+              $engineDatastore: new NucleusDatastore('SagaEngineDatastore', datastoreOptions),
+              $eventDatastore: new NucleusDatastore('SagaEventDatastore', datastoreOptions),
+              automaticallyRetrievePendingActions: true
             });
+          }
 
-          });
+          createDummy (AID) {
+            executionStepList.push(`CreateDummy:${AID}`);
+
+            return Promise.resolve({ dummyID: AID });
+          }
+
+          createDummyOwner (dummyID) {
+            executionStepList.push(`CreateDummyOwner:${dummyID}`);
+
+            return Promise.resolve({ dummyOwnerID: dummyID });
+          }
+
+          failToAssignDummyOwner () {
+            executionStepList.push('FailToAssignDummyOwner');
+
+            return Promise.reject(new NucleusError("The dummy owner could not be assigned."));
+          }
+
+          removeDummyByID (dummyID) {
+            executionStepList.push(`RemoveDummyByID:${dummyID}`);
 
+            return Promise.resolve({ dummyID });
+          }
+
+          removeDummyOwnerByID (dummyOwnerID) {
+            executionStepList.push(`RemoveDummyOwnerByID:${dummyOwnerID}`);
+
+            return Promise.resolve({ dummyOwnerID });
+          }
+
+        }
+
+        const $sagaEngine = new SagaEngine();
+
+        await $sagaEngine;
+
+        await $sagaEngine.storeActionConfiguration([
+          { actionName: 'CreateDummy', actionSignature: [ 'AID' ], contextName: 'Self', methodName: 'createDummy' },
+          { actionName: 'CreateDummyOwner', actionSignature: [ 'dummyID' ], contextName: 'Self', methodName: 'createDummyOwner' },
+          { actionName: 'FailToAssignDummyOwner', contextName: 'Self', methodName: 'failToAssignDummyOwner' },
+          { actionName: 'RemoveDummyByID', actionSignature: [ 'dummyID' ], contextName: 'Self', methodName: 'removeDummyByID' },
+          { actionName: 'RemoveDummyOwnerByID', actionSignature: [ 'dummyOwnerID' ], contextName: 'Self', methodName: 'removeDummyOwnerByID' }
+        ]);
+
+        const dummySagaStepList = [
+          { actionName: 'CreateDummy', compensatingActionName: 'RemoveDummyByID' },
+          {
+            actionName: 'CreateDummyOwner',
+            compensatingActionName: 'RemoveDummyOwnerByID',
+            generateActionMessage: ({ stepResponseList: [ { dummyID } ] }) => ({ dummyID })
+          }
+        ];
+
+        $sagaEngine.defineSaga('CreateDummyWithOwner', dummySagaStepList);
+        $sagaEngine.defineSaga('CreateDummyWithOwnerThatFails', dummySagaStepList.concat({ actionName: 'FailToAssignDummyOwner' }));
+
+        Reflect.defineProperty(this, '$sagaEngine', { value: $sagaEngine, writable: true });
+        Reflect.defineProperty(this, 'executionStepList', { value: executionStepList, writable: true });
       });
 
-      mocha.suite("Full request loop with random execution time", function () {
-        const requestCountList = [ 1, 25, 50, 100, 500, 1000 ];
+      mocha.setup(function () {
+        const { executionStepList } = this;
 
-        mocha.suiteSetup(function () {
-          const { $dummyEngine } = this;
+        executionStepList.length = 0;
+      });
 
-          return $dummyEngine.subscribeToActionQueueUpdate('Dummy');
+      mocha.suiteTeardown(function () {
+        const { $sagaEngine } = this;
+
+        return $sagaEngine.destroy();
+      });
+
+      mocha.test("The steps of the saga are executed in order.", async function () {
+        const { $sagaEngine, executionStepList } = this;
+        const AID = uuid.v4();
+
+        const { sagaID, stepResponseList } = await $sagaEngine.executeSagaByName('CreateDummyWithOwner', { AID }, uuid.v4());
+
+        chai.expect(stepResponseList).to.deep.equal([ { dummyID: AID }, { dummyOwnerID: AID } ]);
+        chai.expect(executionStepList).to.deep.equal([ `CreateDummy:${AID}`, `CreateDummyOwner:${AID}` ]);
+
+        const saga = await $sagaEngine.retrieveSagaByID(sagaID);
+
+        chai.expect(saga.status).to.equal(NucleusEngine.CompletedSagaStatus);
+      });
+
+      mocha.test("The completed steps are compensated in reverse order when a step fails.", async function () {
+        const { $sagaEngine, executionStepList } = this;
+        const AID = uuid.v4();
+
+        try {
+          await $sagaEngine.executeSagaByName('CreateDummyWithOwnerThatFails', { AID }, uuid.v4());
+
+          throw new Error("The saga should have failed.");
+        } catch (error) {
+          chai.expect(error).to.be.an.instanceOf(NucleusError.SagaFailedNucleusError);
+          chai.expect(error.meta.sagaStatus).to.equal(NucleusEngine.CompensatedSagaStatus);
+
+          const saga = await $sagaEngine.retrieveSagaByID(error.meta.sagaID);
+
+          chai.expect(saga.status).to.equal(NucleusEngine.CompensatedSagaStatus);
+          chai.expect(saga.failedActionName).to.equal('FailToAssignDummyOwner');
+        }
+
+        chai.expect(executionStepList).to.deep.equal([
+          `CreateDummy:${AID}`,
+          `CreateDummyOwner:${AID}`,
+          'FailToAssignDummyOwner',
+          `RemoveDummyOwnerByID:${AID}`,
+          `RemoveDummyByID:${AID}`
+        ]);
+      });
+
+      mocha.test("A saga that was interrupted is resumed from its current step.", async function () {
+        const { $datastore, $sagaEngine, executionStepList } = this;
+        const AID = uuid.v4();
+        const sagaID = uuid.v4();
+
+        // The saga was orchestrated by an engine that stopped sending heartbeats after the first step.
+        await $datastore.createItem(`Saga:${sagaID}`, {
+          ID: sagaID,
+          message: { AID },
+          meta: {},
+          name: 'CreateDummyWithOwner',
+          originUserID: uuid.v4(),
+          status: NucleusEngine.ProcessingSagaStatus,
+          stepIndex: 1,
+          stepResponseList: [ { dummyID: AID } ]
         });
+        await $datastore.addItemToHashFieldByName('SagaEngineIDBySagaID:CreateDummyWithOwner', sagaID, uuid.v4());
 
-        requestCountList
-          .forEach((requestCount) => {
+        const { resumedSagaCount } = await $sagaEngine.resumeAllInterruptedSagas();
 
-            mocha.test(`${requestCount} requests...`, function () {
-              const { $engine } = this;
+        chai.expect(resumedSagaCount).to.equal(1);
 
-              return Promise.all(Array.apply(null, { length: requestCount })
-                .map(async () => {
-                  const userID = uuid.v4();
+        await Promise.delay(500);
 
-                  const { AID } = await $engine.publishActionByNameAndHandleResponse('ExecuteSimpleDummyWithRandomExecutionTime', {}, userID);
+        const saga = await $sagaEngine.retrieveSagaByID(sagaID);
 
-                  chai.expect(AID).to.be.a('string');
-                }));
-            });
+        chai.expect(saga.status).to.equal(NucleusEngine.CompletedSagaStatus);
+        chai.expect(saga.stepResponseList).to.deep.equal([ { dummyID: AID }, { dummyOwnerID: AID } ]);
+        chai.expect(executionStepList).to.deep.equal([ `CreateDummyOwner:${AID}` ]);
+      });
 
-          });
+      mocha.test("A saga that is orchestrated by a live engine is not resumed.", async function () {
+        const { $sagaEngine } = this;
+
+        const $$sagaPromise = $sagaEngine.executeSagaByName('CreateDummyWithOwner', { AID: uuid.v4() }, uuid.v4());
 
+        const { resumedSagaCount } = await $sagaEngine.resumeAllInterruptedSagas();
+
+        chai.expect(resumedSagaCount).to.equal(0);
+
+        return $$sagaPromise;
+      });
+
+      mocha.test("Defining a saga without steps throws an error.", function () {
+        const { $sagaEngine } = this;
+
+        chai.expect(function () { $sagaEngine.defineSaga('EmptyDummySaga', []); }).to.throw(NucleusError.UnexpectedValueTypeNucleusError);
       });
 
     });
@@ -686,6 +3647,7 @@ mocha.suite('Nucleus Engine', function () {
           },
           {
             actionName: 'ExecuteSimpleDummyWithArguments',
+            actionResponseStructure: { AID1: 'string', AID2: 'string' },
             actionSignature: ['AID1', 'AID2']
           },
           {
@@ -858,8 +3820,158 @@ mocha.suite('Nucleus Engine', function () {
         $dummyEngine.unsubscribeFromEventChannelByName('ConfirmEnginePing');
       });
 
+      mocha.test("Every type of engine handles a competing event once.", async function () {
+        const { $dummyEngine, multiInstanceEngineList, $$sandbox } = this;
+        const $$dummyEngineEventSpy = $$sandbox.spy();
+        const $$multiInstanceEngineEventSpy = $$sandbox.spy();
+
+        $dummyEngine.subscribeAndHandleEventByChannelName('DummyDelivered', $$dummyEngineEventSpy);
+        multiInstanceEngineList
+          .forEach(($engine) => {
+            $engine.subscribeAndHandleEventByChannelName('DummyDelivered', $$multiInstanceEngineEventSpy, { delivery: NucleusEngine.CompetingEventDelivery });
+          });
+
+        await Promise.delay(100);
+
+        await $dummyEngine.publishEventToChannelByName('DummyDelivered', new NucleusEvent('DummyDelivered', { dummyID: uuid.v4() }, { correlationID: uuid.v4() }));
+
+        await Promise.delay(1000);
+
+        chai.expect($$dummyEngineEventSpy.callCount).to.equal(1);
+        chai.expect($$multiInstanceEngineEventSpy.callCount).to.equal(1);
+
+        await Promise.all([ $dummyEngine ].concat(multiInstanceEngineList)
+          .map(($engine) => {
+
+            return $engine.unsubscribeFromEventChannelByName('DummyDelivered');
+          }));
+      });
+
+      mocha.test("Every engine handles a broadcast event.", async function () {
+        const { $dummyEngine, multiInstanceEngineList, $$sandbox } = this;
+        const $$multiInstanceEngineEventSpy = $$sandbox.spy();
+
+        multiInstanceEngineList
+          .forEach(($engine) => {
+            $engine.subscribeAndHandleEventByChannelName('DummyBroadcasted', $$multiInstanceEngineEventSpy, { delivery: NucleusEngine.BroadcastEventDelivery });
+          });
+
+        await Promise.delay(100);
+
+        await $dummyEngine.publishEventToChannelByName('DummyBroadcasted', new NucleusEvent('DummyBroadcasted', { dummyID: uuid.v4() }, { correlationID: uuid.v4() }));
+
+        await Promise.delay(1000);
+
+        chai.expect($$multiInstanceEngineEventSpy.callCount).to.equal(3);
+        chai.expect($$multiInstanceEngineEventSpy.thisValues.map(({ ID }) => ID)).to.have.members(multiInstanceEngineList.map(({ ID }) => ID));
+
+        await Promise.all(multiInstanceEngineList
+          .map(($engine) => {
+
+            return $engine.unsubscribeFromEventChannelByName('DummyBroadcasted');
+          }));
+      });
+
+      mocha.test("The subscription resolves once the engine is subscribed to the channel.", async function () {
+        const { multiInstanceEngineList: [ $engine ] } = this;
+
+        const [ channelSubscription, channelPatternSubscription ] = await Promise.all([
+          $engine.subscribeAndHandleEventByChannelName('DummySubscribed', () => {}, { delivery: NucleusEngine.BroadcastEventDelivery }),
+          $engine.subscribeAndHandleEventByChannelPattern('*BySubscribedID', () => {})
+        ]);
+
+        chai.expect(channelSubscription).to.deep.equal({ channelName: 'DummySubscribed', consumerGroupName: $engine.ID, delivery: NucleusEngine.BroadcastEventDelivery });
+        chai.expect(channelPatternSubscription).to.deep.equal({ channelPattern: '*BySubscribedID', consumerGroupName: $engine.name, delivery: NucleusEngine.CompetingEventDelivery });
+
+        await Promise.all([
+          $engine.unsubscribeFromEventChannelByName('DummySubscribed'),
+          $engine.unsubscribeFromEventChannelPattern('*BySubscribedID')
+        ]);
+      });
+
+      mocha.test("A failing handler callback doesn't keep the other handler callbacks from handling the event.", async function () {
+        const { $dummyEngine, multiInstanceEngineList: [ $engine ], $$sandbox } = this;
+        const $$failingEventSpy = $$sandbox.stub().throws(new Error("This handler always fails."));
+        const $$dummyFailedEventSpy = $$sandbox.spy();
+
+        await $engine.subscribeAndHandleEventByChannelName('DummyFailed', $$failingEventSpy, { delivery: NucleusEngine.BroadcastEventDelivery });
+        await $engine.subscribeAndHandleEventByChannelName('DummyFailed', $$dummyFailedEventSpy, { delivery: NucleusEngine.BroadcastEventDelivery });
+
+        await $dummyEngine.publishEventToChannelByName('DummyFailed', new NucleusEvent('DummyFailed', { dummyID: uuid.v4() }, { correlationID: uuid.v4() }));
+
+        await Promise.delay(100);
+
+        chai.expect($$failingEventSpy.calledOnce).to.be.true;
+        chai.expect($$dummyFailedEventSpy.calledOnce).to.be.true;
+
+        await $engine.unsubscribeFromEventChannelByName('DummyFailed');
+      });
+
+      mocha.test("The event delivery must be valid.", function () {
+        const { $dummyEngine } = this;
+
+        chai.expect(() => $dummyEngine.subscribeAndHandleEventByChannelName('DummyDelivered', () => {}, { delivery: 'anycast' })).to.throw(NucleusError.UnexpectedValueNucleusError);
+      });
+
+      mocha.test("Pattern event handler is executed only once.", async function () {
+        const { $dummyEngine, multiInstanceEngineList, $$sandbox } = this;
+        const $$dummyArchivedEventSpy = $$sandbox.spy();
+
+        multiInstanceEngineList
+          .forEach(($engine) => {
+            $engine.subscribeAndHandleEventByChannelPattern('*ByIDArchived', $$dummyArchivedEventSpy);
+          });
+
+        await Promise.delay(100);
+
+        const $event = new NucleusEvent('DummyByIDArchived', { dummyID: uuid.v4() }, { correlationID: uuid.v4() });
+
+        await $dummyEngine.publishEventToChannelByName('DummyByIDArchived', $event);
+
+        await Promise.delay(1000);
+
+        chai.expect($$dummyArchivedEventSpy.callCount).to.equal(1);
+        chai.expect($$dummyArchivedEventSpy.firstCall.args[0].meta.correlationID).to.equal($event.meta.correlationID);
+        chai.expect($$dummyArchivedEventSpy.firstCall.args[1]).to.equal('DummyByIDArchived');
+
+        await Promise.all(multiInstanceEngineList
+          .map(($engine) => {
+
+            return $engine.unsubscribeFromEventChannelPattern('*ByIDArchived');
+          }));
+      });
+
     });
 
   });
 
 });
+
+function collectActionResponseStream ($actionResponseStream, chunkList = []) {
+
+  return $actionResponseStream.next()
+    .then(({ done, value }) => {
+      if (done) return chunkList;
+
+      chunkList.push(value);
+
+      return collectActionResponseStream($actionResponseStream, chunkList);
+    });
+}
+
+function generateDummyIterator (dummyCount, error) {
+  let index = 0;
+
+  return {
+    next () {
+      if (index < dummyCount) return Promise.delay(10).then(() => ({ done: false, value: { dummy: { index: index++ } } }));
+      if (error) return Promise.reject(error);
+
+      return Promise.resolve({ done: true });
+    },
+    [Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator')] () {
+
+      return this;
+    }
+  };
+}
@@ -0,0 +1,85 @@
+"use strict";
+
+const chai = require('chai');
+const mocha = require('mocha');
+
+const NucleusError = require('../library/Error.nucleus');
+const NucleusMetricsRegistry = require('../library/MetricsRegistry.nucleus');
+
+mocha.suite('Nucleus Metrics Registry', function () {
+
+  mocha.test("The counters are rendered per label in the Prometheus text format.", function () {
+    const $metricsRegistry = new NucleusMetricsRegistry();
+
+    $metricsRegistry.registerMetric('nucleus_executed_action_total', NucleusMetricsRegistry.CounterMetricType, 'The number of actions executed successfully.');
+
+    $metricsRegistry.incrementCounter('nucleus_executed_action_total', { action_name: 'CreateDummy' });
+    $metricsRegistry.incrementCounter('nucleus_executed_action_total', { action_name: 'CreateDummy' });
+    $metricsRegistry.incrementCounter('nucleus_executed_action_total', { action_name: 'RemoveDummy' }, 3);
+
+    chai.expect($metricsRegistry.render()).to.equal([
+      '# HELP nucleus_executed_action_total The number of actions executed successfully.',
+      '# TYPE nucleus_executed_action_total counter',
+      'nucleus_executed_action_total{action_name="CreateDummy"} 2',
+      'nucleus_executed_action_total{action_name="RemoveDummy"} 3',
+      ''
+    ].join('\n'));
+  });
+
+  mocha.test("The histograms are rendered with cumulative buckets, a sum and a count.", function () {
+    const $metricsRegistry = new NucleusMetricsRegistry();
+
+    $metricsRegistry.registerMetric('nucleus_action_execution_duration_seconds', NucleusMetricsRegistry.HistogramMetricType, 'The time it took to execute the handler of an action.', { bucketList: [ 1, 0.1 ] });
+
+    $metricsRegistry.observeHistogram('nucleus_action_execution_duration_seconds', { action_name: 'CreateDummy' }, 0.05);
+    $metricsRegistry.observeHistogram('nucleus_action_execution_duration_seconds', { action_name: 'CreateDummy' }, 0.5);
+    $metricsRegistry.observeHistogram('nucleus_action_execution_duration_seconds', { action_name: 'CreateDummy' }, 2);
+
+    chai.expect($metricsRegistry.render()).to.equal([
+      '# HELP nucleus_action_execution_duration_seconds The time it took to execute the handler of an action.',
+      '# TYPE nucleus_action_execution_duration_seconds histogram',
+      'nucleus_action_execution_duration_seconds_bucket{action_name="CreateDummy",le="0.1"} 1',
+      'nucleus_action_execution_duration_seconds_bucket{action_name="CreateDummy",le="1"} 2',
+      'nucleus_action_execution_duration_seconds_bucket{action_name="CreateDummy",le="+Inf"} 3',
+      'nucleus_action_execution_duration_seconds_sum{action_name="CreateDummy"} 2.55',
+      'nucleus_action_execution_duration_seconds_count{action_name="CreateDummy"} 3',
+      ''
+    ].join('\n'));
+  });
+
+  mocha.test("The gauges are set and reset.", function () {
+    const $metricsRegistry = new NucleusMetricsRegistry();
+
+    $metricsRegistry.registerMetric('nucleus_action_queue_length', NucleusMetricsRegistry.GaugeMetricType, 'The number of pending actions in an action queue.');
+
+    $metricsRegistry.setGauge('nucleus_action_queue_length', { action_queue_name: 'Dummy' }, 12);
+    $metricsRegistry.setGauge('nucleus_action_queue_length', { action_queue_name: 'Dummy' }, 4);
+
+    chai.expect($metricsRegistry.render()).to.include('nucleus_action_queue_length{action_queue_name="Dummy"} 4\n');
+
+    $metricsRegistry.resetMetricByName('nucleus_action_queue_length');
+
+    chai.expect($metricsRegistry.render()).to.not.include('action_queue_name="Dummy"');
+  });
+
+  mocha.test("The label values are escaped.", function () {
+    const $metricsRegistry = new NucleusMetricsRegistry();
+
+    $metricsRegistry.registerMetric('nucleus_failed_action_total', NucleusMetricsRegistry.CounterMetricType, 'The number of action executions that failed.');
+
+    $metricsRegistry.incrementCounter('nucleus_failed_action_total', { error_name: 'Dummy "quoted"\nerror\\' });
+
+    chai.expect($metricsRegistry.render()).to.include('nucleus_failed_action_total{error_name="Dummy \\"quoted\\"\\nerror\\\\"} 1\n');
+  });
+
+  mocha.test("Using a metric that is not registered, or with another type, throws an error.", function () {
+    const $metricsRegistry = new NucleusMetricsRegistry();
+
+    $metricsRegistry.registerMetric('nucleus_action_queue_length', NucleusMetricsRegistry.GaugeMetricType, 'The number of pending actions in an action queue.');
+
+    chai.expect(() => $metricsRegistry.incrementCounter('nucleus_published_action_total')).to.throw(NucleusError.UndefinedContextNucleusError);
+    chai.expect(() => $metricsRegistry.incrementCounter('nucleus_action_queue_length')).to.throw(NucleusError.UndefinedContextNucleusError);
+    chai.expect(() => $metricsRegistry.registerMetric('nucleus-action-queue-length', NucleusMetricsRegistry.GaugeMetricType, '')).to.throw(NucleusError.UnexpectedValueNucleusError);
+  });
+
+});
@@ -16,6 +16,7 @@ const NucleusError = require('../library/Error.nucleus');
 
 const ACTION_QUEUE_NAME_BY_ACTION_NAME_ITEM_NAME_TABLE_NAME = 'ActionQueueNameByActionName';
 const ACTION_QUEUE_NAME_SET_ITEM_NAME_TABLE_NAME = 'ActionQueueNameSet';
+const SCHEDULED_ACTION_SET_ITEM_NAME_TABLE_NAME = 'ScheduledActionSet';
 
 const DATASTORE_INDEX = 0;
 const DATASTORE_URL = 'localhost';
@@ -126,6 +127,54 @@ mocha.suite('Nucleus Publisher Engine', function () {
 
     });
 
+    mocha.suite("#consumeActionRateLimitToken", function () {
+
+      mocha.test("A publisher verifies the origin user rate limit without any engine registering the script.", async function () {
+        const { $datastore } = this;
+        const userID = uuid.v4();
+
+        await $datastore.$$server.scriptAsync('flush');
+        await $datastore.$$server.delAsync('LUAScriptSHAByScriptName');
+
+        const $actionDatastore = new NucleusDatastore('RateLimitedAction', {
+          index: DATASTORE_INDEX,
+          URL: DATASTORE_URL,
+          port: DATASTORE_PORT
+        });
+        const $rateLimitedEngine = new NucleusPublisherEngine('RateLimited', {
+          $actionDatastore,
+          originUserRateLimit: { intervalInMillisecond: 1000 * 60, tokenCount: 1 }
+        });
+
+        await $rateLimitedEngine;
+
+        try {
+          await $rateLimitedEngine.consumeActionRateLimitToken('ExecuteSimpleDummy', userID);
+
+          await chai.expect($rateLimitedEngine.consumeActionRateLimitToken('ExecuteSimpleDummy', userID)).to.be.rejectedWith(NucleusError.RateLimitedNucleusError);
+        } finally {
+          await $actionDatastore.destroy();
+        }
+      });
+
+    });
+
+    mocha.suite("#publishActionByNameWithDelay", function () {
+
+      mocha.test("The action is scheduled without the publisher running the action scheduler.", async function () {
+        const { $datastore, $engine } = this;
+        const userID = uuid.v4();
+
+        const { $action } = await $engine.publishActionByNameWithDelay('ExecuteSimpleDummy', { iam: 'special' }, 1000 * 60, userID);
+
+        const [ scheduledAction ] = await $datastore.$$server.zrangeAsync(SCHEDULED_ACTION_SET_ITEM_NAME_TABLE_NAME, 0, -1);
+
+        chai.expect(JSON.parse(scheduledAction)).to.have.property('actionItemKey', $action.generateOwnItemKey());
+        chai.expect($engine.$$actionSchedulerIsStarted).to.not.be.ok;
+      });
+
+    });
+
   });
 
 });
\ No newline at end of file
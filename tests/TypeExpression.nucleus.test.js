@@ -0,0 +1,62 @@
+"use strict";
+
+const chai = require('chai');
+const mocha = require('mocha');
+
+const NucleusTypeExpression = require('../library/TypeExpression.nucleus');
+
+mocha.suite('Nucleus Type Expression', function () {
+
+  mocha.test("The simple types are parsed into struct types and any other type is an object.", function () {
+
+    chai.expect(NucleusTypeExpression.parse('String')).to.equal('string');
+    chai.expect(NucleusTypeExpression.parse('Number')).to.equal('number');
+    chai.expect(NucleusTypeExpression.parse('*')).to.equal('any');
+    chai.expect(NucleusTypeExpression.parse('Dummy')).to.equal('object');
+    chai.expect(NucleusTypeExpression.parse('Object.<String>')).to.equal('object');
+  });
+
+  mocha.test("The optional types and the unions are parsed.", function () {
+
+    chai.expect(NucleusTypeExpression.parse('?String')).to.equal('string?');
+    chai.expect(NucleusTypeExpression.parse('Number=')).to.equal('number?');
+    chai.expect(NucleusTypeExpression.parse('(String|Number)')).to.equal('string|number');
+    chai.expect(NucleusTypeExpression.parse('Dummy|Resource')).to.equal('object');
+  });
+
+  mocha.test("The arrays and the records are parsed, even when nested.", function () {
+
+    chai.expect(NucleusTypeExpression.parse('Array.<String>')).to.deep.equal([ 'string' ]);
+    chai.expect(NucleusTypeExpression.parse('{dummy: {ID: String, tagList: Array.<String>}, count: Number=}')).to.deep.equal({
+      dummy: { ID: 'string', tagList: [ 'string' ] },
+      count: 'number?'
+    });
+    chai.expect(NucleusTypeExpression.parse('Array.<{dummyID: String}>')).to.deep.equal([ { dummyID: 'string' } ]);
+  });
+
+  mocha.test("An optional record is only parsed as an optional object.", function () {
+
+    chai.expect(NucleusTypeExpression.parse('?{dummyID: String}')).to.equal('object?');
+  });
+
+  mocha.test("Only a record return type, optionally wrapped in a promise, describes an action response structure.", function () {
+
+    chai.expect(NucleusTypeExpression.parseActionResponseStructure('Promise.<{dummy: Dummy, dummyIDList: Array.<String>, count: Number=}>')).to.deep.equal({
+      dummy: 'object',
+      dummyIDList: [ 'string' ],
+      count: 'number?'
+    });
+    chai.expect(NucleusTypeExpression.parseActionResponseStructure('{dummyID: String}')).to.deep.equal({ dummyID: 'string' });
+    chai.expect(NucleusTypeExpression.parseActionResponseStructure('Promise.<Object>')).to.be.undefined;
+    chai.expect(NucleusTypeExpression.parseActionResponseStructure('String')).to.be.undefined;
+  });
+
+  mocha.test("The generated struct allows properties that are not described and rejects invalid properties.", function () {
+    const struct = NucleusTypeExpression.generateStruct({ dummy: { ID: 'string' }, count: 'number?' });
+
+    chai.expect(() => struct({ dummy: { ID: '1', name: 'Dummy' }, extra: true })).to.not.throw();
+    chai.expect(() => struct({ dummy: { ID: 1 } })).to.throw();
+    chai.expect(() => struct({ dummy: { ID: '1' }, count: '1' })).to.throw();
+  });
+
+});
@@ -0,0 +1,171 @@
+"use strict";
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const http = require('http');
+const mocha = require('mocha');
+chai.use(chaiAsPromised);
+
+const NucleusError = require('../library/Error.nucleus');
+const NucleusWebhook = require('../library/Webhook.nucleus');
+
+mocha.suite('Nucleus Webhook', function () {
+
+  mocha.suiteSetup(function () {
+    const $$receivedRequestList = [];
+    const $$HTTPServer = http.createServer((request, response) => {
+      let body = '';
+
+      request.on('data', (chunk) => { body += chunk; });
+      request.on('end', () => {
+        $$receivedRequestList.push({ body, headerByName: request.headers, path: request.url });
+
+        if (request.url === '/slow') return;
+
+        if (request.url === '/redirecting') {
+          response.statusCode = 307;
+          response.setHeader('Location', '/webhook');
+
+          return response.end();
+        }
+
+        if (request.url === '/redirectingToLocalhost') {
+          response.statusCode = 308;
+          response.setHeader('Location', `http://localhost:${$$HTTPServer.address().port}/webhook`);
+
+          return response.end();
+        }
+
+        if (request.url === '/redirectingToItself') {
+          response.statusCode = 307;
+          response.setHeader('Location', '/redirectingToItself');
+
+          return response.end();
+        }
+
+        response.statusCode = (request.url === '/failing') ? 500 : 204;
+        response.end();
+      });
+    });
+
+    Reflect.defineProperty(this, '$$receivedRequestList', {
+      value: $$receivedRequestList,
+      writable: false
+    });
+
+    Reflect.defineProperty(this, '$$HTTPServer', {
+      value: $$HTTPServer,
+      writable: false
+    });
+
+    return new Promise((resolve) => $$HTTPServer.listen(0, '127.0.0.1', resolve));
+  });
+
+  mocha.suiteTeardown(function () {
+
+    return new Promise((resolve) => this.$$HTTPServer.close(resolve));
+  });
+
+  mocha.test("The signature is the HMAC-SHA256 of the timestamp and the body.", function () {
+    const signature = NucleusWebhook.generateSignature('secret', 1530000000000, '{"dummyID":"1"}');
+
+    chai.expect(signature).to.match(/^[a-f0-9]{64}$/);
+    chai.expect(NucleusWebhook.generateSignature('secret', 1530000000000, '{"dummyID":"1"}')).to.equal(signature);
+    chai.expect(NucleusWebhook.generateSignature('secret', 1530000000001, '{"dummyID":"1"}')).to.not.equal(signature);
+    chai.expect(NucleusWebhook.generateSignature('otherSecret', 1530000000000, '{"dummyID":"1"}')).to.not.equal(signature);
+  });
+
+  mocha.test("Any host that is not denied is allowed when there is no allow list.", function () {
+    chai.expect(NucleusWebhook.hostIsAllowed('https://example.com/webhook')).to.be.true;
+    chai.expect(NucleusWebhook.hostIsAllowed('http://127.0.0.1:3000/webhook', undefined, [ 'localhost' ])).to.be.true;
+    chai.expect(NucleusWebhook.hostIsAllowed('http://LOCALHOST:3000/webhook', undefined, [ 'localhost' ])).to.be.false;
+  });
+
+  mocha.test("Only the hosts of the allow list, or their subdomains for a wildcard, are allowed.", function () {
+    const hostAllowList = [ 'example.com', '*.hooks.example.org' ];
+
+    chai.expect(NucleusWebhook.hostIsAllowed('https://example.com/webhook', hostAllowList)).to.be.true;
+    chai.expect(NucleusWebhook.hostIsAllowed('https://api.example.com/webhook', hostAllowList)).to.be.false;
+    chai.expect(NucleusWebhook.hostIsAllowed('https://dummy.hooks.example.org/webhook', hostAllowList)).to.be.true;
+    chai.expect(NucleusWebhook.hostIsAllowed('https://hooks.example.org/webhook', hostAllowList)).to.be.false;
+    chai.expect(NucleusWebhook.hostIsAllowed('https://dummyhooks.example.org/webhook', hostAllowList)).to.be.false;
+  });
+
+  mocha.test("The deny list takes precedence over the allow list.", function () {
+
+    chai.expect(NucleusWebhook.hostIsAllowed('https://internal.example.com/webhook', [ '*.example.com' ], [ 'internal.example.com' ])).to.be.false;
+  });
+
+  mocha.test("The loopback, link-local, private and unspecified addresses are private, whatever their form.", function () {
+    [ '127.0.0.1', '10.1.2.3', '100.64.0.1', '172.31.255.255', '192.168.0.1', '169.254.169.254', '0.0.0.0', '::', '::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe', '64:ff9b::a00:1', 'fd00::1', 'FE80::1%eth0' ]
+      .forEach((address) => chai.expect(NucleusWebhook.addressIsPrivate(address), address).to.be.true);
+    [ '8.8.8.8', '172.32.0.1', '192.169.0.1', '2001:4860:4860::8888', '::ffff:8.8.8.8', 'example.com' ]
+      .forEach((address) => chai.expect(NucleusWebhook.addressIsPrivate(address), address).to.be.false);
+  });
+
+  mocha.test("The request is refused if the webhook URL is or resolves to a private address.", async function () {
+    const { port } = this.$$HTTPServer.address();
+    const receivedRequestCount = this.$$receivedRequestList.length;
+
+    await Promise.all([ '127.0.0.1', '[::1]', 'localhost', '2130706433' ].map((host) => {
+
+      return chai.expect(NucleusWebhook.sendRequest(`http://${host}:${port}/webhook`, '{}', {}, 1000)).to.be.rejectedWith(NucleusError.UnexpectedValueNucleusError);
+    }));
+
+    chai.expect(this.$$receivedRequestList).to.have.lengthOf(receivedRequestCount);
+  });
+
+  mocha.test("The request is posted with the body and the headers and resolves with the status code.", async function () {
+    const { port } = this.$$HTTPServer.address();
+    const body = JSON.stringify({ dummyID: '1' });
+
+    const { statusCode } = await NucleusWebhook.sendRequest(`http://127.0.0.1:${port}/webhook`, body, { 'X-Nucleus-Event-Name': 'DummyCreated' }, 1000, { allowPrivateAddresses: true });
+
+    chai.expect(statusCode).to.equal(204);
+
+    const receivedRequest = this.$$receivedRequestList[this.$$receivedRequestList.length - 1];
+
+    chai.expect(receivedRequest.body).to.equal(body);
+    chai.expect(receivedRequest.path).to.equal('/webhook');
+    chai.expect(receivedRequest.headerByName['content-type']).to.equal('application/json');
+    chai.expect(receivedRequest.headerByName['x-nucleus-event-name']).to.equal('DummyCreated');
+  });
+
+  mocha.test("A failing status code is resolved, not thrown.", async function () {
+    const { port } = this.$$HTTPServer.address();
+
+    const { statusCode } = await NucleusWebhook.sendRequest(`http://127.0.0.1:${port}/failing`, '{}', {}, 1000, { allowPrivateAddresses: true });
+
+    chai.expect(statusCode).to.equal(500);
+  });
+
+  mocha.test("A redirect preserving the method is followed.", async function () {
+    const { port } = this.$$HTTPServer.address();
+
+    const { statusCode } = await NucleusWebhook.sendRequest(`http://127.0.0.1:${port}/redirecting`, '{}', {}, 1000, { allowPrivateAddresses: true });
+
+    chai.expect(statusCode).to.equal(204);
+    chai.expect(this.$$receivedRequestList.slice(-2).map(({ path }) => path)).to.deep.equal([ '/redirecting', '/webhook' ]);
+  });
+
+  mocha.test("A redirect is refused if it leads to a denied host or once too many redirects were followed.", async function () {
+    const { port } = this.$$HTTPServer.address();
+
+    await chai.expect(NucleusWebhook.sendRequest(`http://127.0.0.1:${port}/redirectingToLocalhost`, '{}', {}, 1000, { allowPrivateAddresses: true, hostDenyList: [ 'localhost' ] })).to.be.rejectedWith(NucleusError.UnexpectedValueNucleusError);
+    await chai.expect(NucleusWebhook.sendRequest(`http://127.0.0.1:${port}/redirectingToItself`, '{}', {}, 1000, { allowPrivateAddresses: true })).to.be.rejectedWith(NucleusError.UnexpectedValueNucleusError);
+  });
+
+  mocha.test("A webhook that does not answer within the timeout throws a timeout error.", async function () {
+    const { port } = this.$$HTTPServer.address();
+
+    try {
+      await NucleusWebhook.sendRequest(`http://127.0.0.1:${port}/slow`, '{}', {}, 100, { allowPrivateAddresses: true });
+
+      throw new Error("The request should have timed out.");
+    } catch (error) {
+
+      chai.expect(error).to.be.an.instanceOf(NucleusError.TimeoutNucleusError);
+    }
+  });
+
+});
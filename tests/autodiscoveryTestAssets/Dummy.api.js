@@ -11,6 +11,17 @@
  * @memberOf DummyAPI
  */
 
+/**
+ * @Nucleus EventSchema DummyExtended
+ *
+ * @typedef {Object} DummyExtendedEventMessage
+ * @property {String} AID1
+ * @property {String} AID2
+ * @property {String} [AID3]
+ *
+ * @memberOf DummyAPI
+ */
+
 const resourceType = 'Dummy';
 
 /**
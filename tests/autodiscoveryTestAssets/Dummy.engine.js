@@ -4,6 +4,8 @@ const uuid = require('uuid');
 
 const NucleusEngine = require('../../library/Engine.nucleus');
 
+const failedAttemptCountByAID = {};
+
 class DummyEngine extends NucleusEngine {
 
   constructor () {
@@ -84,6 +86,59 @@ class DummyEngine extends NucleusEngine {
     return Promise.resolve();
   }
 
+  /**
+   * Executes a simple dummy that always fails.
+   *
+   * @Nucleus ActionName ExecuteSimpleDummyThatAlwaysFails
+   * @Nucleus ActionRetryPolicy maximumAttemptCount 2 backoffInMillisecond 10
+   *
+   * @returns {Promise<void>}
+   */
+  executeSimpleDummyThatAlwaysFails () {
+
+    return Promise.reject(new Error("This dummy always fails."));
+  }
+
+  /**
+   * Executes a simple dummy that fails on the first attempt.
+   *
+   * @Nucleus ActionName ExecuteSimpleDummyThatFailsOnce
+   * @Nucleus ActionRetryPolicy maximumAttemptCount 3 backoffInMillisecond 10 retryableErrorNameList ["NucleusError"]
+   *
+   * @argument {String} AID
+   *
+   * @returns {Promise<{ AID: String }>}
+   */
+  executeSimpleDummyThatFailsOnce (AID) {
+    if (!failedAttemptCountByAID[AID]) {
+      failedAttemptCountByAID[AID] = 1;
+
+      return Promise.reject(new Error("This dummy fails on the first attempt."));
+    }
+
+    return Promise.resolve({ AID });
+  }
+
+  /**
+   * Executes a simple dummy that fails with a type error on the first attempt.
+   *
+   * @Nucleus ActionName ExecuteSimpleDummyThatFailsOnceWithTypeError
+   * @Nucleus ActionRetryPolicy maximumAttemptCount 3 backoffInMillisecond 10 retryableErrorNameList ["TypeError"]
+   *
+   * @argument {String} AID
+   *
+   * @returns {Promise<{ AID: String }>}
+   */
+  executeSimpleDummyThatFailsOnceWithTypeError (AID) {
+    if (!failedAttemptCountByAID[AID]) {
+      failedAttemptCountByAID[AID] = 1;
+
+      return Promise.reject(new TypeError("This dummy fails on the first attempt."));
+    }
+
+    return Promise.resolve({ AID });
+  }
+
   /**
    * Executes a simple dummy.
    *